@@ -0,0 +1,34 @@
+/**
+ * Script to pass expired waitlist holds on to the next patient
+ * (for cron/scheduler use where the server's interval job does not run)
+ *
+ * Usage:
+ * node scripts/expireWaitlistHolds.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const waitlistJob = require('../src/jobs/waitlist.job');
+
+async function expireWaitlistHolds() {
+  let failed = false;
+
+  try {
+    console.log('Processing expired waitlist holds...');
+    const result = await waitlistJob.run();
+
+    if (!result) {
+      failed = true;
+    } else {
+      console.log(`✅ Passed on ${result.released.length} hold(s), expired ${result.expired} entr(ies)`);
+    }
+  } catch (error) {
+    failed = true;
+    console.error('❌ Error:', error.message);
+  } finally {
+    await mongoose.connection.close();
+    process.exit(failed ? 1 : 0);
+  }
+}
+
+expireWaitlistHolds();
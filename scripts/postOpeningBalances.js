@@ -0,0 +1,44 @@
+/**
+ * Script to post opening balances for wallets that held funds before the ledger
+ * went live, so reconciliation and statements match their stored balances.
+ * Safe to run more than once: each wallet gets at most one opening entry.
+ *
+ * Usage:
+ * node scripts/postOpeningBalances.js [--live-since 2026-01-31T00:00:00Z]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const ledger = require('../src/services/ledger.service');
+
+async function postOpeningBalances() {
+  let failed = false;
+
+  try {
+    const flag = process.argv.indexOf('--live-since');
+    const liveSince = flag > -1 ? new Date(process.argv[flag + 1]) : undefined;
+
+    if (liveSince && isNaN(liveSince.getTime())) {
+      throw new Error('--live-since must be a date');
+    }
+
+    await connectDB();
+
+    console.log('Posting opening balances...');
+    const result = await ledger.postOpeningBalances({ liveSince });
+
+    result.posted.forEach(({ walletId, amounts }) => {
+      console.log(`  ${walletId}: ${amounts.map(({ account, amount }) => `${account} ${amount}`).join(', ')}`);
+    });
+    console.log(`✅ Posted ${result.posted.length} opening balance(s) for wallets created before ${result.liveSince.toISOString()}`);
+  } catch (error) {
+    failed = true;
+    console.error('❌ Error:', error.message);
+  } finally {
+    await mongoose.connection.close();
+    process.exit(failed ? 1 : 0);
+  }
+}
+
+postOpeningBalances();
@@ -0,0 +1,40 @@
+/**
+ * Script to send appointment reminders that are due
+ * (for cron/scheduler use where the server's interval job does not run)
+ *
+ * Usage:
+ * node scripts/sendReminders.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const reminderJob = require('../src/jobs/reminder.job');
+const messaging = require('../src/services/messaging.service');
+
+async function sendReminders() {
+  let failed = false;
+
+  try {
+    messaging.assertConfigured();
+
+    console.log('Sending appointment reminders...');
+    const result = await reminderJob.run();
+
+    if (!result) {
+      failed = true;
+    } else {
+      console.log(`✅ Sent ${result.sent} reminder(s), skipped ${result.skipped}`);
+      if (result.failed > 0) {
+        console.error(`❌ ${result.failed} reminder(s) failed to send`);
+      }
+    }
+  } catch (error) {
+    failed = true;
+    console.error('❌ Error:', error.message);
+  } finally {
+    await mongoose.connection.close();
+    process.exit(failed ? 1 : 0);
+  }
+}
+
+sendReminders();
@@ -0,0 +1,38 @@
+/**
+ * Script to settle provider earnings whose hold period has passed
+ * (for cron/scheduler use where the server's interval job does not run)
+ *
+ * Usage:
+ * node scripts/settleEarnings.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const settlementJob = require('../src/jobs/settlement.job');
+
+async function settleEarnings() {
+  let failed = false;
+
+  try {
+    console.log('Settling provider earnings...');
+    const result = await settlementJob.run();
+
+    if (!result) {
+      failed = true;
+    } else {
+      console.log(`✅ Settled ${result.settled.length} payment(s)`);
+      if (result.failed.length > 0) {
+        failed = true;
+        console.error(`❌ ${result.failed.length} payment(s) failed to settle`);
+      }
+    }
+  } catch (error) {
+    failed = true;
+    console.error('❌ Error:', error.message);
+  } finally {
+    await mongoose.connection.close();
+    process.exit(failed ? 1 : 0);
+  }
+}
+
+settleEarnings();
@@ -1,5 +1,10 @@
+const { Server } = require('socket.io');
 const app = require('./src/app');
 const config = require('./src/config/config');
+const telemedicineSocket = require('./src/sockets/telemedicine.socket');
+const settlementJob = require('./src/jobs/settlement.job');
+const waitlistJob = require('./src/jobs/waitlist.job');
+const reminderJob = require('./src/jobs/reminder.job');
 
 const PORT = config.port || 3000;
 
@@ -12,7 +17,25 @@ const server = app.listen(PORT, () => {
   if (config.nodeEnv === 'development') {
     console.log(`📖 API Base URL: http://localhost:${PORT}/api`);
   }
+
+  // Pay providers for completed appointments once their hold period has passed
+  settlementJob.start();
+
+  // Pass unclaimed waitlist holds on to the next patient
+  waitlistJob.start();
+
+  // Send appointment reminders as they fall due
+  reminderJob.start();
+});
+
+// Real-time telemedicine rooms (not available on the serverless deployment)
+const io = new Server(server, {
+  cors: {
+    origin: config.nodeEnv === 'development' ? true : (config.corsOrigins || []),
+    credentials: true
+  }
 });
+telemedicineSocket.attach(io);
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
@@ -33,6 +56,10 @@ process.on('uncaughtException', (err) => {
 process.on('SIGTERM', () => {
   console.log('👋 SIGTERM received');
   console.log('🔄 Shutting down gracefully');
+  settlementJob.stop();
+  waitlistJob.stop();
+  reminderJob.stop();
+  io.disconnectSockets(true);
   server.close(() => {
     console.log('✅ Process terminated');
   });
@@ -41,6 +68,10 @@ process.on('SIGTERM', () => {
 process.on('SIGINT', () => {
   console.log('👋 SIGINT received');
   console.log('🔄 Shutting down gracefully');
+  settlementJob.stop();
+  waitlistJob.stop();
+  reminderJob.stop();
+  io.disconnectSockets(true);
   server.close(() => {
     console.log('✅ Process terminated');
   });
@@ -104,6 +104,9 @@ if (config.nodeEnv === 'production') {
   app.use(morgan('dev'));
 }
 
+// Payment webhooks read the raw body for signature checks, so mount them before body parsing
+app.use('/api/webhooks', require('./routes/webhook.routes'));
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -214,6 +217,7 @@ app.use('/api', ensureDbConnection);
 app.use('/api/auth', require('./routes/auth.routes'));
 app.use('/api/onboarding', require('./routes/onboarding.routes'));
 app.use('/api/providers/onboarding', require('./routes/providerOnboarding.routes'));
+app.use('/api/vendors/onboarding', require('./routes/vendorOnboarding.routes'));
 app.use('/api/users', require('./routes/user.routes'));
 app.use('/api/patients', require('./routes/patient.routes'));
 app.use('/api/providers', require('./routes/provider.routes'));
@@ -224,6 +228,14 @@ app.use('/api/medical-records', require('./routes/medicalRecord.routes'));
 app.use('/api/sponsorships', require('./routes/sponsorship.routes'));
 app.use('/api/wallets', require('./routes/wallet.routes'));
 app.use('/api/transactions', require('./routes/transaction.routes'));
+app.use('/api/exchange-rates', require('./routes/exchangeRate.routes'));
+app.use('/api/notifications', require('./routes/notification.routes'));
+app.use('/api/waitlist', require('./routes/waitlist.routes'));
+app.use('/api/calendar', require('./routes/calendar.routes'));
+app.use('/api/reviews', require('./routes/review.routes'));
+app.use('/api/prescriptions', require('./routes/prescription.routes'));
+app.use('/api/lab-orders', require('./routes/labOrder.routes'));
+app.use('/api/orders', require('./routes/order.routes'));
 app.use('/api/super-admin', require('./routes/superAdmin.routes'));
 
 // HMO Plans & Enrollments (Public and Authenticated routes)
@@ -30,6 +30,37 @@ module.exports = {
   stripeSecretKey: process.env.STRIPE_SECRET_KEY,
   stripeWebhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
 
+  // Withdrawals
+  payoutAdapter: process.env.PAYOUT_ADAPTER || 'manual',
+  minimumWithdrawalAmount: parseFloat(process.env.MIN_WITHDRAWAL_AMOUNT) || 10,
+
+  // Provider settlement (hours a completed payment is held before payout, and job interval)
+  settlementHoldHours: parseFloat(process.env.SETTLEMENT_HOLD_HOURS) || 24,
+  settlementIntervalMinutes: parseInt(process.env.SETTLEMENT_INTERVAL_MINUTES) || 15,
+
+  // Waitlist (minutes a freed slot is held for a waitlisted patient, and how often expired holds are passed on)
+  waitlistHoldMinutes: parseInt(process.env.WAITLIST_HOLD_MINUTES) || 30,
+  waitlistIntervalMinutes: parseInt(process.env.WAITLIST_INTERVAL_MINUTES) || 5,
+
+  // Appointment reminders (hours before the appointment, delivery adapters and job interval)
+  reminderOffsetsHours: (process.env.REMINDER_OFFSETS_HOURS || '24,1')
+    .split(',')
+    .map(hours => parseFloat(hours))
+    .filter(hours => hours > 0),
+  smsAdapter: process.env.SMS_ADAPTER || 'twilio',
+  emailAdapter: process.env.EMAIL_ADAPTER || 'sendgrid',
+  reminderIntervalMinutes: parseInt(process.env.REMINDER_INTERVAL_MINUTES) || 5,
+
+  // Telemedicine (minutes before the start a room opens, and after the scheduled end it stays open)
+  telemedicineJoinWindowMinutes: parseInt(process.env.TELEMEDICINE_JOIN_WINDOW_MINUTES) || 15,
+  telemedicineLateMinutes: parseInt(process.env.TELEMEDICINE_LATE_MINUTES) || 60,
+
+  // Statements
+  statementSigningSecret: process.env.STATEMENT_SIGNING_SECRET || 'default-statement-secret',
+
+  // Prescriptions
+  prescriptionSigningSecret: process.env.PRESCRIPTION_SIGNING_SECRET || 'default-prescription-secret',
+
   // Cloudinary
   cloudinaryCloudName: process.env.CLOUDINARY_CLOUD_NAME,
   cloudinaryApiKey: process.env.CLOUDINARY_API_KEY,
@@ -352,6 +352,42 @@ const options = {
         name: 'Transactions',
         description: 'Transaction history and processing'
       },
+      {
+        name: 'Exchange Rates',
+        description: 'Wallet currencies and conversion rates'
+      },
+      {
+        name: 'Notifications',
+        description: 'In-app notifications'
+      },
+      {
+        name: 'Waitlist',
+        description: 'Waitlists for fully booked providers'
+      },
+      {
+        name: 'Calendar',
+        description: 'iCalendar feeds and appointment downloads'
+      },
+      {
+        name: 'Reviews',
+        description: 'Patient reviews of providers'
+      },
+      {
+        name: 'Prescriptions',
+        description: 'E-prescriptions and pharmacy dispensing'
+      },
+      {
+        name: 'Lab Orders',
+        description: 'Lab test orders and results'
+      },
+      {
+        name: 'Orders',
+        description: 'Carts and orders from vendor catalogues'
+      },
+      {
+        name: 'Telemedicine',
+        description: 'Video, audio and chat consultation rooms'
+      },
       {
         name: 'SuperAdmin',
         description: 'Super admin platform management'
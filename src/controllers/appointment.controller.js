@@ -1,16 +1,49 @@
 const Appointment = require('../models/appointment.model');
 const User = require('../models/user.model');
-
-// Create appointment
+const Wallet = require('../models/wallet.model');
+const ledger = require('../services/ledger.service');
+const refundPolicy = require('../services/refundPolicy.service');
+const appointmentPayment = require('../services/appointmentPayment.service');
+const slots = require('../services/slot.service');
+const waitlist = require('../services/waitlist.service');
+const reminders = require('../services/reminder.service');
+const { APPOINTMENT_STATUS, USER_TYPES } = require('../utils/constants');
+
+// Create appointment in a free slot, pricing it from the provider's services and reserving the payment
 exports.create = async (req, res) => {
   try {
-    const { providerId, date, time, reason, type = 'consultation' } = req.body;
+    const {
+      providerId,
+      serviceId,
+      date,
+      time,
+      reason,
+      type = 'consultation',
+      mode,
+      payment = {}
+    } = req.body;
     const patientId = req.user._id;
+    const method = payment.method || 'personal_wallet';
+
+    if (!providerId || !serviceId || !date || !time || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provider, service, date, time, and reason are required'
+      });
+    }
 
-    if (!providerId || !date || !time) {
+    if (!appointmentPayment.methods.includes(method)) {
       return res.status(400).json({
         success: false,
-        message: 'Provider, date, and time are required'
+        message: `Payment method must be one of ${appointmentPayment.methods.join(', ')}`
+      });
+    }
+
+    const scheduledDate = slots.parseDate(date);
+    if (!scheduledDate || !slots.isValidTime(time)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date or time (expected HH:mm)'
       });
     }
 
@@ -26,17 +59,99 @@ exports.create = async (req, res) => {
       });
     }
 
-    // Create appointment
-    const appointment = await Appointment.create({
-      patient: patientId,
-      provider: providerId,
-      date: new Date(date),
-      time,
-      reason,
+    const pricing = appointmentPayment.priceService(provider, serviceId);
+    if (!pricing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found or not priced'
+      });
+    }
+
+    const { service, price, currency } = pricing;
+    const duration = slots.durationFor(provider, service);
+
+    const split = await appointmentPayment.planSplit({
+      patient: req.user,
+      provider,
+      service,
+      price,
+      currency,
       type,
-      status: 'scheduled'
+      method,
+      enrollmentId: payment.enrollmentId
+    });
+
+    if (split.error) {
+      return res.status(400).json({
+        success: false,
+        message: split.error
+      });
+    }
+
+    // The slot check, appointment and reservations are committed together
+    const appointment = await ledger.runInSession(null, async (session) => {
+      await slots.lockProvider(providerId, session);
+
+      // A slot held for this patient from the waitlist is theirs to book
+      const unavailable = await slots.unavailableReason(provider, scheduledDate, time, duration, {
+        session,
+        holder: patientId
+      });
+      if (unavailable) {
+        throw slotError(unavailable);
+      }
+
+      const [appointment] = await Appointment.create([{
+        patient: patientId,
+        provider: providerId,
+        type,
+        mode,
+        reason,
+        scheduledDate,
+        scheduledTime: {
+          startTime: time,
+          endTime: slots.endTime(time, duration),
+          duration
+        },
+        status: 'scheduled',
+        payment: {
+          method,
+          amount: {
+            consultation: price,
+            total: price,
+            currency
+          },
+          sponsorship: split.sponsorship || undefined,
+          insurance: split.insurance || undefined
+        },
+        createdBy: patientId
+      }], { session });
+
+      // Re-read the paying wallets in the transaction so a retry reserves against current balances
+      const portions = [];
+      for (const portion of split.portions) {
+        const wallet = await Wallet.findById(portion.wallet._id).session(session);
+        if (wallet.balance.available < portion.conversion.amount) {
+          throw paymentError(`Insufficient balance in ${portion.source} wallet`);
+        }
+        portions.push({ ...portion, wallet });
+      }
+
+      const payments = await appointmentPayment.reserve(appointment, provider, portions, session);
+
+      if (payments.length > 0) {
+        appointment.payment.transactions = payments.map(item => item._id);
+        appointment.payment.transactionId = payments[0].transactionId;
+        await appointment.save({ session });
+      }
+
+      await waitlist.markBooked(appointment, serviceId, session);
+
+      return appointment;
     });
 
+    await reminders.scheduleAll([appointment]);
+
     res.status(201).json({
       success: true,
       data: appointment,
@@ -44,7 +159,7 @@ exports.create = async (req, res) => {
     });
   } catch (error) {
     console.error('Create appointment error:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       message: 'Failed to create appointment',
       error: error.message
@@ -56,16 +171,8 @@ exports.create = async (req, res) => {
 exports.getAll = async (req, res) => {
   try {
     const { page = 1, limit = 20, status, upcoming } = req.query;
-    const userId = req.user._id;
-
-    const query = {};
 
-    // Check user type to determine query
-    if (req.user.userType === 'patient') {
-      query.patient = userId;
-    } else if (req.user.userType === 'provider') {
-      query.provider = userId;
-    }
+    const query = ownAppointmentQuery(req);
 
     if (status) query.status = status;
 
@@ -96,7 +203,7 @@ exports.getAll = async (req, res) => {
     });
   } catch (error) {
     console.error('Get appointments error:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       message: 'Failed to get appointments',
       error: error.message
@@ -107,19 +214,7 @@ exports.getAll = async (req, res) => {
 // Get appointment by ID
 exports.getById = async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user._id;
-
-    const query = { _id: id };
-
-    // Ensure user can only access their own appointments
-    if (req.user.userType === 'patient') {
-      query.patient = userId;
-    } else if (req.user.userType === 'provider') {
-      query.provider = userId;
-    }
-
-    const appointment = await Appointment.findOne(query)
+    const appointment = await Appointment.findOne(ownAppointmentQuery(req))
       .populate('patient', 'profile.firstName profile.lastName email phone')
       .populate('provider', 'profile.firstName profile.lastName specialization');
 
@@ -136,7 +231,7 @@ exports.getById = async (req, res) => {
     });
   } catch (error) {
     console.error('Get appointment error:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       message: 'Failed to get appointment',
       error: error.message
@@ -144,23 +239,19 @@ exports.getById = async (req, res) => {
   }
 };
 
-// Update appointment
+// Update appointment notes; moving the appointment goes through the reschedule flow
 exports.update = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { date, time, status, notes } = req.body;
-    const userId = req.user._id;
-
-    const query = { _id: id };
+    const { date, time, status, notes, reason } = req.body;
 
-    // Ensure user can only update their own appointments
-    if (req.user.userType === 'patient') {
-      query.patient = userId;
-    } else if (req.user.userType === 'provider') {
-      query.provider = userId;
+    if (status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status cannot be set directly; use the confirm, reschedule, start, complete, no-show or cancel endpoints'
+      });
     }
 
-    const appointment = await Appointment.findOne(query);
+    const appointment = await Appointment.findOne(ownAppointmentQuery(req));
 
     if (!appointment) {
       return res.status(404).json({
@@ -169,22 +260,22 @@ exports.update = async (req, res) => {
       });
     }
 
-    // Update fields
-    if (date) appointment.date = new Date(date);
-    if (time) appointment.time = time;
-    if (status) appointment.status = status;
-    if (notes) appointment.notes = notes;
-
-    await appointment.save();
+    let updated = appointment;
+    if (date || time) {
+      updated = await rescheduleAppointment(appointment, req.user, date, time, reason, { notes });
+    } else {
+      if (notes) appointment.consultation.notes = notes;
+      await appointment.save();
+    }
 
     res.status(200).json({
       success: true,
-      data: appointment,
+      data: updated,
       message: 'Appointment updated successfully'
     });
   } catch (error) {
     console.error('Update appointment error:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       message: 'Failed to update appointment',
       error: error.message
@@ -192,22 +283,86 @@ exports.update = async (req, res) => {
   }
 };
 
-// Cancel appointment
-exports.cancel = async (req, res) => {
+// Confirm attendance; the appointment is confirmed once both patient and provider have
+exports.confirm = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { reason } = req.body;
-    const userId = req.user._id;
+    const appointment = await Appointment.findOne(ownAppointmentQuery(req));
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    if (!['patient', 'provider'].includes(req.user.userType)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the patient or provider can confirm an appointment'
+      });
+    }
+
+    await appointment.confirm(req.user.userType);
+
+    res.status(200).json({
+      success: true,
+      data: appointment,
+      message: appointment.isFullyConfirmed
+        ? 'Appointment confirmed'
+        : 'Confirmation recorded; waiting for the other party'
+    });
+  } catch (error) {
+    console.error('Confirm appointment error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: 'Failed to confirm appointment',
+      error: error.message
+    });
+  }
+};
+
+// Move an appointment to a free slot
+exports.reschedule = async (req, res) => {
+  try {
+    const { date, time, reason } = req.body;
+
+    if (!date && !time) {
+      return res.status(400).json({
+        success: false,
+        message: 'A new date or time is required'
+      });
+    }
 
-    const query = { _id: id };
+    const appointment = await Appointment.findOne(ownAppointmentQuery(req));
 
-    if (req.user.userType === 'patient') {
-      query.patient = userId;
-    } else if (req.user.userType === 'provider') {
-      query.provider = userId;
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
     }
 
-    const appointment = await Appointment.findOne(query);
+    const rescheduled = await rescheduleAppointment(appointment, req.user, date, time, reason);
+
+    res.status(200).json({
+      success: true,
+      data: rescheduled,
+      message: 'Appointment rescheduled successfully'
+    });
+  } catch (error) {
+    console.error('Reschedule appointment error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: 'Failed to reschedule appointment',
+      error: error.message
+    });
+  }
+};
+
+// Start the consultation
+exports.start = async (req, res) => {
+  try {
+    const appointment = await Appointment.findOne(ownAppointmentQuery(req));
 
     if (!appointment) {
       return res.status(404).json({
@@ -216,21 +371,316 @@ exports.cancel = async (req, res) => {
       });
     }
 
-    appointment.status = 'cancelled';
-    appointment.cancellationReason = reason || 'Cancelled by user';
-    await appointment.save();
+    await appointment.startConsultation();
 
     res.status(200).json({
       success: true,
       data: appointment,
-      message: 'Appointment cancelled successfully'
+      message: 'Consultation started'
     });
   } catch (error) {
-    console.error('Cancel appointment error:', error);
+    console.error('Start appointment error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: 'Failed to start consultation',
+      error: error.message
+    });
+  }
+};
+
+// Complete the consultation and capture the payment reserved at booking
+exports.complete = async (req, res) => {
+  try {
+    const { followUp } = req.body;
+
+    const appointment = await Appointment.findOne(ownAppointmentQuery(req));
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    appointment.assertTransition(APPOINTMENT_STATUS.COMPLETED);
+
+    const consultationData = {};
+    for (const field of ['chiefComplaint', 'diagnosis', 'treatmentPlan', 'notes', 'privateNotes']) {
+      if (req.body[field] !== undefined) consultationData[field] = req.body[field];
+    }
+    if (followUp) appointment.followUp = followUp;
+
+    await appointmentPayment.completeAppointment(appointment, consultationData);
+
+    res.status(200).json({
+      success: true,
+      data: appointment,
+      message: 'Consultation completed'
+    });
+  } catch (error) {
+    console.error('Complete appointment error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: 'Failed to complete consultation',
+      error: error.message
+    });
+  }
+};
+
+// Mark a patient as not having attended; the payment is settled as a late patient cancellation
+exports.noShow = async (req, res) => {
+  try {
+    const appointment = await Appointment.findOne(ownAppointmentQuery(req));
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    appointment.assertTransition(APPOINTMENT_STATUS.NO_SHOW);
+
+    const provider = await User.findById(appointment.provider).select('cancellationPolicy preferences.timezone');
+
+    if (slots.startInstant(appointment, provider?.preferences?.timezone) > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'An appointment cannot be marked as a no-show before it starts'
+      });
+    }
+
+    const { quote, refunds, released, fees } = await ledger.runInSession(null, async (session) => {
+      const payments = await refundPolicy.findPayments(appointment, session);
+      const paidAmount = refundPolicy.paidAmount(payments);
+      const quote = refundPolicy.quote(appointment, provider, { userType: 'patient' }, paidAmount);
+
+      const settled = await refundPolicy.settleCancellation(appointment, payments, quote, {
+        session,
+        reason: 'Patient did not attend'
+      });
+
+      if (settled.refunds.length > 0 || settled.released.length > 0) {
+        appointment.payment.status = 'refunded';
+        appointment.payment.refundedAmount = quote.refundAmount;
+        appointment.payment.refundedAt = new Date();
+      }
+
+      await appointment.markNoShow({ session });
+
+      return { quote, ...settled };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        appointment,
+        refund: {
+          amount: quote.refundAmount,
+          fee: quote.fee,
+          feePercentage: quote.feePercentage,
+          transactions: refunds.map(refund => refund.transactionId),
+          released: released.map(payment => payment.transactionId),
+          fees: fees.map(fee => fee.transactionId)
+        }
+      },
+      message: 'Appointment marked as no-show'
+    });
+  } catch (error) {
+    console.error('No-show appointment error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: 'Failed to mark appointment as no-show',
+      error: error.message
+    });
+  }
+};
+
+// Preview the refund a cancellation would issue
+exports.getCancellationQuote = async (req, res) => {
+  try {
+    const appointment = await Appointment.findOne(ownAppointmentQuery(req));
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    const provider = await User.findById(appointment.provider).select('cancellationPolicy preferences.timezone');
+    const payments = await refundPolicy.findPayments(appointment);
+    const paidAmount = refundPolicy.paidAmount(payments);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        cancellable: appointment.canTransitionTo(APPOINTMENT_STATUS.CANCELLED),
+        paidAmount,
+        ...refundPolicy.quote(appointment, provider, req.user, paidAmount)
+      }
+    });
+  } catch (error) {
+    console.error('Get cancellation quote error:', error);
     res.status(400).json({
+      success: false,
+      message: 'Failed to get cancellation quote',
+      error: error.message
+    });
+  }
+};
+
+// Cancel appointment and refund its payments under the provider's cancellation policy
+exports.cancel = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const appointment = await Appointment.findOne(ownAppointmentQuery(req));
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    appointment.assertTransition(APPOINTMENT_STATUS.CANCELLED);
+
+    const provider = await User.findById(appointment.provider).select('cancellationPolicy preferences.timezone');
+
+    // Refunds, releases and the cancellation are committed together
+    const { quote, refunds, released, fees } = await ledger.runInSession(null, (session) =>
+      refundPolicy.cancelAppointment(appointment, provider, req.user, { session, reason })
+    );
+
+    await waitlist.slotsFreed([freedSlot(appointment)]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        appointment,
+        refund: {
+          amount: quote.refundAmount,
+          fee: quote.fee,
+          feePercentage: quote.feePercentage,
+          transactions: refunds.map(refund => refund.transactionId),
+          released: released.map(payment => payment.transactionId),
+          fees: fees.map(fee => fee.transactionId)
+        }
+      },
+      message: refunds.length > 0 || released.length > 0
+        ? 'Appointment cancelled and refund issued'
+        : 'Appointment cancelled successfully'
+    });
+  } catch (error) {
+    console.error('Cancel appointment error:', error);
+    res.status(error.statusCode || 400).json({
       success: false,
       message: 'Failed to cancel appointment',
       error: error.message
     });
   }
 };
+
+// ==================== Helper Functions ====================
+
+/**
+ * Restrict an appointment lookup (or, without an id, a listing) to the patient's or
+ * provider's own appointments. Admins can look up any appointment; other users none.
+ */
+function ownAppointmentQuery(req) {
+  const query = req.params.id ? { _id: req.params.id } : {};
+
+  if (req.user.userType === 'patient') {
+    query.patient = req.user._id;
+  } else if (req.user.userType === 'provider') {
+    query.provider = req.user._id;
+  } else if (![USER_TYPES.ADMIN, USER_TYPES.SUPER_ADMIN].includes(req.user.userType)) {
+    const error = new Error('Only the patient, the provider or an admin can manage an appointment');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  return query;
+}
+
+/**
+ * Error for a requested time that cannot be booked
+ */
+function slotError(message) {
+  const error = new Error(message);
+  error.statusCode = 409;
+  return error;
+}
+
+/**
+ * Error for a payment the patient's wallets can no longer cover
+ */
+function paymentError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Move an appointment to a new date and/or time after the same slot checks as booking
+ * @param {Object} [changes] - Other fields to save with the move ({ notes })
+ * @returns {Object} - The rescheduled appointment
+ */
+async function rescheduleAppointment(appointment, user, date, time, reason, changes = {}) {
+  appointment.assertTransition(APPOINTMENT_STATUS.RESCHEDULED);
+
+  const scheduledDate = date ? slots.parseDate(date) : appointment.scheduledDate;
+  const startTime = time || appointment.scheduledTime.startTime;
+
+  if (!scheduledDate || !slots.isValidTime(startTime)) {
+    const error = new Error('Invalid date or time (expected HH:mm)');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const provider = await User.findById(appointment.provider).select('availability preferences.timezone');
+  const duration = appointment.scheduledTime.duration || slots.durationFor(provider);
+
+  const { rescheduled, previous } = await ledger.runInSession(null, async (session) => {
+    await slots.lockProvider(provider._id, session);
+
+    // Read the appointment in the transaction so a retry moves it from where it is stored
+    const current = await Appointment.findById(appointment._id).session(session);
+    const previous = freedSlot(current);
+
+    const unavailable = await slots.unavailableReason(provider, scheduledDate, startTime, duration, {
+      session,
+      excludeId: current._id
+    });
+    if (unavailable) {
+      throw slotError(unavailable);
+    }
+
+    if (changes.notes) current.consultation.notes = changes.notes;
+
+    await current.reschedule(scheduledDate, {
+      startTime,
+      endTime: slots.endTime(startTime, duration),
+      duration
+    }, user._id, reason, { session });
+
+    return { rescheduled: current, previous };
+  });
+
+  await waitlist.slotsFreed([previous]);
+  await reminders.scheduleAll([rescheduled]);
+
+  return rescheduled;
+}
+
+/**
+ * The slot an appointment occupies, for offering to the waitlist once it is freed
+ */
+function freedSlot(appointment) {
+  return {
+    provider: appointment.provider,
+    date: appointment.scheduledDate,
+    startTime: appointment.scheduledTime.startTime
+  };
+}
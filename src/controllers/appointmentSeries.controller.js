@@ -0,0 +1,607 @@
+const Appointment = require('../models/appointment.model');
+const AppointmentSeries = require('../models/appointmentSeries.model');
+const User = require('../models/user.model');
+const Wallet = require('../models/wallet.model');
+const ledger = require('../services/ledger.service');
+const refundPolicy = require('../services/refundPolicy.service');
+const appointmentPayment = require('../services/appointmentPayment.service');
+const recurrence = require('../services/recurrence.service');
+const slots = require('../services/slot.service');
+const waitlist = require('../services/waitlist.service');
+const reminders = require('../services/reminder.service');
+const { HTTP_STATUS, APPOINTMENT_STATUS, USER_TYPES } = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Which occurrences a series-level change applies to
+const SCOPES = ['this', 'following', 'all'];
+
+// Occurrences still to take place
+const OPEN_STATUSES = ['scheduled', 'confirmed', 'rescheduled', 'in-progress'];
+
+// ==================== Series ====================
+
+/**
+ * Book a recurring series. Every occurrence is checked against the provider's
+ * schedule, booked as its own appointment and has its payment reserved; if any
+ * occurrence cannot be booked nothing is.
+ * POST /api/appointments/series
+ */
+exports.createSeries = async (req, res) => {
+  try {
+    const {
+      providerId,
+      serviceId,
+      date,
+      time,
+      reason,
+      recurrence: rule,
+      type = 'consultation',
+      mode,
+      payment = {}
+    } = req.body;
+    const patientId = req.user._id;
+    const method = payment.method || 'personal_wallet';
+
+    if (!providerId || !serviceId || !date || !time || !reason || !rule) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Provider, service, date, time, reason and recurrence are required'
+      });
+    }
+
+    if (!appointmentPayment.methods.includes(method)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: `Payment method must be one of ${appointmentPayment.methods.join(', ')}`
+      });
+    }
+
+    const startDate = slots.parseDate(date);
+    if (!startDate || !slots.isValidTime(time)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Invalid date or time (expected HH:mm)'
+      });
+    }
+
+    const parsedRule = recurrence.parse(rule);
+    const days = recurrence.expand(parsedRule, startDate);
+
+    const provider = await User.findOne({ _id: providerId, userType: 'provider' });
+    if (!provider) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Provider not found'
+      });
+    }
+
+    const pricing = appointmentPayment.priceService(provider, serviceId);
+    if (!pricing) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Service not found or not priced'
+      });
+    }
+
+    const { service, price, currency } = pricing;
+    const duration = slots.durationFor(provider, service);
+
+    // Every occurrence is paid the same way as the first
+    const split = await appointmentPayment.planSplit({
+      patient: req.user,
+      provider,
+      service,
+      price,
+      currency,
+      type,
+      method,
+      enrollmentId: payment.enrollmentId
+    });
+
+    if (split.error) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: split.error
+      });
+    }
+
+    const { series, appointments } = await ledger.runInSession(null, async (session) => {
+      await slots.lockProvider(providerId, session);
+
+      const conflicts = [];
+      for (const day of days) {
+        const unavailable = await slots.unavailableReason(provider, day, time, duration, { session });
+        if (unavailable) {
+          conflicts.push({ date: day.toISOString().slice(0, 10), startTime: time, reason: unavailable });
+        }
+      }
+      if (conflicts.length > 0) {
+        throw conflictError(`${conflicts.length} of ${days.length} occurrence(s) cannot be booked`, conflicts);
+      }
+
+      // Re-read the paying wallets in the transaction; every occurrence reserves from the same documents
+      const portions = [];
+      for (const portion of split.portions) {
+        const wallet = await Wallet.findById(portion.wallet._id).session(session);
+        if (wallet.balance.available < portion.conversion.amount * days.length) {
+          throw requestError(`Insufficient balance in ${portion.source} wallet for ${days.length} occurrences`);
+        }
+        portions.push({ ...portion, wallet });
+      }
+
+      const [series] = await AppointmentSeries.create([{
+        patient: patientId,
+        provider: providerId,
+        service: { serviceId: service.serviceId || service._id?.toString(), name: service.name },
+        type,
+        mode,
+        reason,
+        recurrence: {
+          rule: recurrence.format(parsedRule),
+          frequency: parsedRule.frequency,
+          interval: parsedRule.interval,
+          count: parsedRule.count || undefined,
+          until: parsedRule.until || undefined
+        },
+        startDate: days[0],
+        startTime: time,
+        duration,
+        payment: { method, enrollmentId: payment.enrollmentId },
+        createdBy: patientId
+      }], { session });
+
+      const appointments = [];
+      for (const [index, day] of days.entries()) {
+        const [appointment] = await Appointment.create([{
+          // Occurrences share the series number so they read as one booking
+          appointmentId: `${series.seriesId.replace(/^SER/, 'APT')}-${String(index + 1).padStart(2, '0')}`,
+          patient: patientId,
+          provider: providerId,
+          series: series._id,
+          seriesIndex: index,
+          type,
+          mode,
+          reason,
+          scheduledDate: day,
+          scheduledTime: {
+            startTime: time,
+            endTime: slots.endTime(time, duration),
+            duration
+          },
+          status: 'scheduled',
+          payment: {
+            method,
+            amount: {
+              consultation: price,
+              total: price,
+              currency
+            },
+            sponsorship: split.sponsorship || undefined,
+            insurance: split.insurance || undefined
+          },
+          createdBy: patientId
+        }], { session });
+
+        const payments = await appointmentPayment.reserve(appointment, provider, portions, session);
+
+        if (payments.length > 0) {
+          appointment.payment.transactions = payments.map(item => item._id);
+          appointment.payment.transactionId = payments[0].transactionId;
+          await appointment.save({ session });
+        }
+
+        appointments.push(appointment);
+      }
+
+      return { series, appointments };
+    });
+
+    await reminders.scheduleAll(appointments);
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      data: {
+        series,
+        appointments
+      },
+      message: `Series booked with ${appointments.length} appointments`
+    });
+  } catch (error) {
+    console.error('Create appointment series error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to create appointment series',
+      error: error.message,
+      conflicts: error.conflicts
+    });
+  }
+};
+
+/**
+ * Get the user's appointment series
+ * GET /api/appointments/series
+ */
+exports.getSeries = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = ownSeriesQuery(req);
+    if (status) {
+      query.status = status;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [series, total] = await Promise.all([
+      AppointmentSeries.find(query)
+        .populate('patient', 'profile.firstName profile.lastName')
+        .populate('provider', 'profile.firstName profile.lastName specialization')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      AppointmentSeries.countDocuments(query)
+    ]);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: series,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get appointment series error:', error);
+    res.status(error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to get appointment series',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a series with its occurrences
+ * GET /api/appointments/series/:seriesId
+ */
+exports.getSeriesById = async (req, res) => {
+  try {
+    const series = await AppointmentSeries.findOne(ownSeriesQuery(req))
+      .populate('patient', 'profile.firstName profile.lastName email phone')
+      .populate('provider', 'profile.firstName profile.lastName specialization')
+      .populate({ path: 'appointments', options: { sort: { seriesIndex: 1 } } });
+
+    if (!series) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Appointment series not found'
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: series
+    });
+  } catch (error) {
+    console.error('Get appointment series error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to get appointment series',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Cancel one occurrence, an occurrence and those after it, or the whole series.
+ * Each occurrence is refunded under the provider's cancellation policy.
+ * POST /api/appointments/series/:seriesId/cancel
+ */
+exports.cancelSeries = async (req, res) => {
+  try {
+    const { scope = 'all', appointmentId, reason } = req.body;
+
+    const series = await AppointmentSeries.findOne(ownSeriesQuery(req));
+    if (!series) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Appointment series not found'
+      });
+    }
+
+    const targets = await scopedOccurrences(series, scope, appointmentId, APPOINTMENT_STATUS.CANCELLED);
+    const provider = await User.findById(series.provider).select('cancellationPolicy preferences.timezone');
+
+    // Every occurrence's refund and cancellation is committed together
+    const cancelled = await ledger.runInSession(null, async (session) => {
+      const results = [];
+
+      for (const appointment of targets) {
+        const { quote, refunds, released, fees } = await refundPolicy.cancelAppointment(appointment, provider, req.user, {
+          session,
+          reason: reason || 'Series cancelled'
+        });
+
+        results.push({
+          _id: appointment._id,
+          appointmentId: appointment.appointmentId,
+          scheduledDate: appointment.scheduledDate,
+          refund: {
+            amount: quote.refundAmount,
+            fee: quote.fee,
+            feePercentage: quote.feePercentage,
+            transactions: refunds.map(refund => refund.transactionId),
+            released: released.map(payment => payment.transactionId),
+            fees: fees.map(fee => fee.transactionId)
+          }
+        });
+      }
+
+      await closeIfFinished(series, session);
+
+      return results;
+    });
+
+    await waitlist.slotsFreed(targets.map(freedSlot));
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        series,
+        cancelled
+      },
+      message: `${cancelled.length} appointment(s) cancelled`
+    });
+  } catch (error) {
+    console.error('Cancel appointment series error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to cancel appointment series',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Move one occurrence, an occurrence and those after it, or the whole series.
+ * A single occurrence can move to any date; several occurrences move together
+ * by shiftDays and/or to a new time. If any cannot move, none do.
+ * POST /api/appointments/series/:seriesId/reschedule
+ */
+exports.rescheduleSeries = async (req, res) => {
+  try {
+    const { scope = 'all', appointmentId, date, time, reason } = req.body;
+    const shiftDays = parseInt(req.body.shiftDays || 0, 10);
+
+    if (!date && !time && !shiftDays) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'A new date, time or shiftDays is required'
+      });
+    }
+
+    if (date && scope !== 'this') {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'date can only be set for a single occurrence; use shiftDays to move several'
+      });
+    }
+
+    if ((time && !slots.isValidTime(time)) || (date && !slots.parseDate(date)) || Number.isNaN(shiftDays)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Invalid date, time (expected HH:mm) or shiftDays'
+      });
+    }
+
+    const series = await AppointmentSeries.findOne(ownSeriesQuery(req));
+    if (!series) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Appointment series not found'
+      });
+    }
+
+    const provider = await User.findById(series.provider).select('availability preferences.timezone');
+
+    const { targets, previous } = await ledger.runInSession(null, async (session) => {
+      await slots.lockProvider(provider._id, session);
+
+      // Read the occurrences in the transaction so a retry moves them from where they are stored
+      const targets = await scopedOccurrences(series, scope, appointmentId, APPOINTMENT_STATUS.RESCHEDULED, session);
+      const previous = targets.map(freedSlot);
+      const moves = targets.map(appointment => {
+        const duration = appointment.scheduledTime.duration || slots.durationFor(provider);
+        const startTime = time || appointment.scheduledTime.startTime;
+        return {
+          appointment,
+          day: date ? slots.parseDate(date) : new Date(appointment.scheduledDate.getTime() + shiftDays * DAY_MS),
+          scheduledTime: {
+            startTime,
+            endTime: slots.endTime(startTime, duration),
+            duration
+          }
+        };
+      });
+
+      // Occurrences being moved do not block each other's new times
+      const excludeId = targets.map(appointment => appointment._id);
+      const conflicts = [];
+
+      for (const { appointment, day, scheduledTime } of moves) {
+        const unavailable = await slots.unavailableReason(provider, day, scheduledTime.startTime, scheduledTime.duration, {
+          session,
+          excludeId
+        });
+        if (unavailable) {
+          conflicts.push({
+            appointmentId: appointment.appointmentId,
+            date: day.toISOString().slice(0, 10),
+            startTime: scheduledTime.startTime,
+            reason: unavailable
+          });
+        }
+      }
+      if (conflicts.length > 0) {
+        throw conflictError(`${conflicts.length} of ${moves.length} occurrence(s) cannot be moved`, conflicts);
+      }
+
+      for (const { appointment, day, scheduledTime } of moves) {
+        await appointment.reschedule(day, scheduledTime, req.user._id, reason, { session });
+      }
+
+      if (scope !== 'this' && time) {
+        await AppointmentSeries.updateOne({ _id: series._id }, { $set: { startTime: time } }, { session });
+      }
+
+      return { targets, previous };
+    });
+
+    if (scope !== 'this' && time) {
+      series.startTime = time;
+    }
+
+    await waitlist.slotsFreed(previous);
+    await reminders.scheduleAll(targets);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        series,
+        appointments: targets
+      },
+      message: `${targets.length} appointment(s) rescheduled`
+    });
+  } catch (error) {
+    console.error('Reschedule appointment series error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to reschedule appointment series',
+      error: error.message,
+      conflicts: error.conflicts
+    });
+  }
+};
+
+// ==================== Helper Functions ====================
+
+/**
+ * Restrict a series lookup to the patient's or provider's own series.
+ * Admins can look up any series; other users none.
+ */
+function ownSeriesQuery(req) {
+  const query = req.params.seriesId ? { _id: req.params.seriesId } : {};
+
+  if (req.user.userType === 'patient') {
+    query.patient = req.user._id;
+  } else if (req.user.userType === 'provider') {
+    query.provider = req.user._id;
+  } else if (![USER_TYPES.ADMIN, USER_TYPES.SUPER_ADMIN].includes(req.user.userType)) {
+    const error = new Error('Only the patient, the provider or an admin can manage an appointment series');
+    error.statusCode = HTTP_STATUS.FORBIDDEN;
+    throw error;
+  }
+
+  return query;
+}
+
+/**
+ * The occurrences a series-level change applies to, in series order. For
+ * "following" and "all", occurrences already past the target status are skipped.
+ * @param {String} scope - this, following or all
+ * @param {String} appointmentId - Occurrence the change starts from (this / following)
+ * @param {String} status - Status the occurrences are moving to
+ * @param {ClientSession} [session] - Session to read in
+ */
+async function scopedOccurrences(series, scope, appointmentId, status, session = null) {
+  if (!SCOPES.includes(scope)) {
+    throw requestError(`scope must be one of ${SCOPES.join(', ')}`);
+  }
+
+  const query = { series: series._id };
+
+  if (scope !== 'all') {
+    if (!appointmentId) {
+      throw requestError(`appointmentId is required for scope "${scope}"`);
+    }
+
+    const pivot = await Appointment.findOne({ _id: appointmentId, series: series._id }).session(session);
+    if (!pivot) {
+      const error = new Error('Appointment is not part of this series');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    if (scope === 'this') {
+      pivot.assertTransition(status);
+      return [pivot];
+    }
+
+    query.seriesIndex = { $gte: pivot.seriesIndex };
+  }
+
+  const occurrences = await Appointment.find(query).sort({ seriesIndex: 1 }).session(session);
+  const targets = occurrences.filter(appointment => appointment.canTransitionTo(status));
+
+  if (targets.length === 0) {
+    throw conflictError('No occurrences in this scope can be changed');
+  }
+
+  return targets;
+}
+
+/**
+ * Close the series once none of its occurrences are still to take place
+ */
+async function closeIfFinished(series, session) {
+  const open = await Appointment.countDocuments({
+    series: series._id,
+    status: { $in: OPEN_STATUSES }
+  }).session(session);
+
+  if (open > 0) return;
+
+  const completed = await Appointment.exists({
+    series: series._id,
+    status: APPOINTMENT_STATUS.COMPLETED
+  }).session(session);
+
+  series.status = completed ? 'completed' : 'cancelled';
+  series.cancelledAt = completed ? undefined : new Date();
+  await series.save({ session });
+}
+
+/**
+ * The slot an occurrence occupies, for offering to the waitlist once it is freed
+ */
+function freedSlot(appointment) {
+  return {
+    provider: appointment.provider,
+    date: appointment.scheduledDate,
+    startTime: appointment.scheduledTime.startTime
+  };
+}
+
+/**
+ * Error for an invalid series request
+ */
+function requestError(message) {
+  const error = new Error(message);
+  error.statusCode = HTTP_STATUS.BAD_REQUEST;
+  return error;
+}
+
+/**
+ * Error for occurrences that clash with the provider's schedule or their current status
+ */
+function conflictError(message, conflicts) {
+  const error = new Error(message);
+  error.statusCode = HTTP_STATUS.CONFLICT;
+  error.conflicts = conflicts;
+  return error;
+}
+
+module.exports = exports;
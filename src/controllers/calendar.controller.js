@@ -0,0 +1,170 @@
+const Appointment = require('../models/appointment.model');
+const User = require('../models/user.model');
+const calendar = require('../services/calendar.service');
+const { HTTP_STATUS, USER_TYPES } = require('../utils/constants');
+
+// Feeds include appointments from this many days back
+const FEED_HISTORY_DAYS = 90;
+const FEED_LIMIT = 1000;
+
+const PARTY_FIELDS = 'profile.firstName profile.lastName preferences.timezone';
+
+// ==================== Calendar Feeds ====================
+
+/**
+ * Subscription feed of the user's appointments. Public: the token in the URL
+ * is the credential, so calendar apps can fetch it without signing in.
+ * GET /api/calendar/feeds/:token.ics
+ */
+exports.getFeed = async (req, res) => {
+  try {
+    const user = await User.findByCalendarFeedToken(req.params.token);
+
+    if (!user || !['patient', 'provider'].includes(user.userType)) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const since = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+    // Cancelled appointments stay in the feed so subscribed calendars remove them
+    const appointments = await Appointment.find({
+      [user.userType]: user._id,
+      scheduledDate: { $gte: since }
+    })
+      .populate('patient', PARTY_FIELDS)
+      .populate('provider', PARTY_FIELDS)
+      .sort({ scheduledDate: 1 })
+      .limit(FEED_LIMIT);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="anola-appointments.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.status(HTTP_STATUS.OK).send(calendar.calendar(appointments, user));
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to get calendar feed',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create the user's calendar feed URL, replacing (and so revoking) any earlier one
+ * POST /api/users/profile/calendar-feed
+ */
+exports.createFeed = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    const token = user.createCalendarFeedToken();
+    await user.save({ validateBeforeSave: false });
+
+    const url = `${req.protocol}://${req.get('host')}/api/calendar/feeds/${token}.ics`;
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      data: {
+        url,
+        webcalUrl: url.replace(/^https?:/, 'webcal:'),
+        createdAt: user.calendarFeed.createdAt
+      },
+      message: 'Calendar feed created. Keep the URL private; anyone with it can see your appointments.'
+    });
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to create calendar feed',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Revoke the user's calendar feed URL
+ * DELETE /api/users/profile/calendar-feed
+ */
+exports.revokeFeed = async (req, res) => {
+  try {
+    const result = await User.updateOne(
+      { _id: req.user._id, 'calendarFeed.createdAt': { $exists: true } },
+      { $unset: { calendarFeed: 1 } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'No calendar feed to revoke'
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Calendar feed revoked'
+    });
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to revoke calendar feed',
+      error: error.message
+    });
+  }
+};
+
+// ==================== Single Appointment ====================
+
+/**
+ * Download one appointment as an .ics file
+ * GET /api/appointments/:id/ics
+ */
+exports.downloadAppointment = async (req, res) => {
+  try {
+    const query = { _id: req.params.id };
+    if (req.user.userType === USER_TYPES.PATIENT) {
+      query.patient = req.user._id;
+    } else if (req.user.userType === USER_TYPES.PROVIDER) {
+      query.provider = req.user._id;
+    } else if (![USER_TYPES.ADMIN, USER_TYPES.SUPER_ADMIN].includes(req.user.userType)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: 'Only the patient, the provider or an admin can download an appointment'
+      });
+    }
+
+    const appointment = await Appointment.findOne(query)
+      .populate('patient', PARTY_FIELDS)
+      .populate('provider', PARTY_FIELDS);
+
+    if (!appointment) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${appointment.appointmentId}.ics"`
+    });
+    res.status(HTTP_STATUS.OK).send(calendar.calendar([appointment], req.user, {
+      name: `Appointment ${appointment.appointmentId}`
+    }));
+  } catch (error) {
+    console.error('Download appointment calendar error:', error);
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to download appointment',
+      error: error.message
+    });
+  }
+};
+
+module.exports = exports;
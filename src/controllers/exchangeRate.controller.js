@@ -0,0 +1,200 @@
+const ExchangeRate = require('../models/exchangeRate.model');
+const exchangeRates = require('../services/exchangeRate.service');
+const { HTTP_STATUS, SUPPORTED_CURRENCIES } = require('../utils/constants');
+
+// ==================== Exchange Rates ====================
+
+/**
+ * Get active exchange rates
+ * GET /api/exchange-rates
+ */
+exports.getRates = async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find({ isActive: true })
+      .select('baseCurrency quoteCurrency rate source effectiveFrom')
+      .sort({ baseCurrency: 1, quoteCurrency: 1 });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        currencies: SUPPORTED_CURRENCIES,
+        rates
+      }
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to fetch exchange rates',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Quote a conversion at the current rate
+ * GET /api/exchange-rates/convert
+ */
+exports.convert = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const amount = parseFloat(req.query.amount);
+
+    if (!amount || amount <= 0) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Invalid amount'
+      });
+    }
+
+    if (!exchangeRates.isSupported(from) || !exchangeRates.isSupported(to)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Unsupported currency'
+      });
+    }
+
+    const conversion = await exchangeRates.convert(amount, from, to);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: conversion
+    });
+  } catch (error) {
+    console.error('Convert currency error:', error);
+    res.status(HTTP_STATUS.NOT_FOUND).json({
+      success: false,
+      message: 'Failed to convert amount',
+      error: error.message
+    });
+  }
+};
+
+// ==================== Super Admin Rate Management ====================
+
+/**
+ * Get all exchange rates with their history
+ * GET /api/super-admin/exchange-rates
+ */
+exports.getAllRates = async (req, res) => {
+  try {
+    const { includeInactive } = req.query;
+
+    const query = includeInactive === 'true' ? {} : { isActive: true };
+
+    const rates = await ExchangeRate.find(query)
+      .populate('updatedBy', 'profile.firstName profile.lastName')
+      .sort({ baseCurrency: 1, quoteCurrency: 1 });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: rates
+    });
+  } catch (error) {
+    console.error('Get all exchange rates error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to fetch exchange rates',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create or update the rate for a currency pair
+ * PUT /api/super-admin/exchange-rates
+ */
+exports.setRate = async (req, res) => {
+  try {
+    const { baseCurrency, quoteCurrency, source } = req.body;
+    const rate = parseFloat(req.body.rate);
+
+    if (!exchangeRates.isSupported(baseCurrency) || !exchangeRates.isSupported(quoteCurrency)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: `Currencies must be one of ${SUPPORTED_CURRENCIES.join(', ')}`
+      });
+    }
+
+    if (!rate || rate <= 0) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Rate must be a positive number'
+      });
+    }
+
+    const base = baseCurrency.toUpperCase();
+    const quote = quoteCurrency.toUpperCase();
+
+    let exchangeRate = await ExchangeRate.findOne({ baseCurrency: base, quoteCurrency: quote });
+
+    if (exchangeRate) {
+      exchangeRate.setRate(rate, req.user._id, source);
+    } else {
+      exchangeRate = new ExchangeRate({
+        baseCurrency: base,
+        quoteCurrency: quote,
+        rate,
+        source,
+        updatedBy: req.user._id
+      });
+    }
+
+    await exchangeRate.save();
+
+    // Keep a single source of truth per pair
+    await ExchangeRate.updateOne(
+      { baseCurrency: quote, quoteCurrency: base, isActive: true },
+      { isActive: false }
+    );
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: exchangeRate,
+      message: 'Exchange rate updated successfully'
+    });
+  } catch (error) {
+    console.error('Set exchange rate error:', error);
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to update exchange rate',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Deactivate an exchange rate
+ * DELETE /api/super-admin/exchange-rates/:id
+ */
+exports.deactivateRate = async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false, updatedBy: req.user._id },
+      { new: true }
+    );
+
+    if (!exchangeRate) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: exchangeRate,
+      message: 'Exchange rate deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Deactivate exchange rate error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to deactivate exchange rate',
+      error: error.message
+    });
+  }
+};
+
+module.exports = exports;
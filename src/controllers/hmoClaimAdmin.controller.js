@@ -3,7 +3,26 @@ const HMOEnrollment = require('../models/hmoEnrollment.model');
 const HMOPlan = require('../models/hmoPlan.model');
 const Wallet = require('../models/wallet.model');
 const Transaction = require('../models/transaction.model');
-const { HTTP_STATUS } = require('../utils/constants');
+const crypto = require('crypto');
+const ledger = require('../services/ledger.service');
+const exchangeRates = require('../services/exchangeRate.service');
+const appointmentPayment = require('../services/appointmentPayment.service');
+const { HTTP_STATUS, WALLET_TYPES } = require('../utils/constants');
+
+// Wallet a claim is paid into, by who filed it
+const CLAIMANT_WALLET_TYPES = {
+  provider: WALLET_TYPES.PROVIDER,
+  vendor: WALLET_TYPES.VENDOR,
+  patient: WALLET_TYPES.PERSONAL
+};
+
+// Transaction category for each claim service type
+const CATEGORY_BY_SERVICE = {
+  prescription: 'medication',
+  diagnostic: 'lab_test',
+  surgery: 'procedure',
+  emergency: 'emergency'
+};
 
 // ==================== Super Admin Claims Management ====================
 
@@ -629,65 +648,80 @@ exports.getClaimsAnalytics = async (req, res) => {
  * Process payment for a claim
  */
 async function processClaimPayment(claim, amount, paymentMethod = 'bank_transfer') {
+  // Claims for appointments are paid to the provider through settlement
+  if (claim.appointmentId) {
+    return appointmentPayment.payClaim(claim, amount, paymentMethod);
+  }
+
   const claimant = claim.claimantId;
+  const walletType = CLAIMANT_WALLET_TYPES[claim.claimantType] || WALLET_TYPES.PERSONAL;
+
+  return ledger.runInSession(null, async (session) => {
+    // Mark the claim paid first so a concurrent request cannot pay it twice
+    const unpaid = await HMOClaim.updateOne(
+      { _id: claim._id, status: 'approved', 'billing.amountPaid': { $in: [0, null] } },
+      { $set: { 'billing.amountPaid': amount } },
+      { session }
+    );
+    if (unpaid.modifiedCount === 0) {
+      throw new Error('Claim has already been paid');
+    }
 
-  // Get or create wallet for claimant
-  let wallet = await Wallet.findOne({ userId: claimant._id });
+    // Get or create wallet for claimant
+    let wallet = await Wallet.findOne({ owner: claimant._id, type: walletType }).session(session);
+
+    if (!wallet) {
+      [wallet] = await Wallet.create([{
+        walletId: `WALLET-${crypto.randomBytes(8).toString('hex').toUpperCase()}`,
+        owner: claimant._id,
+        type: walletType,
+        balance: {
+          available: 0,
+          pending: 0,
+          reserved: 0,
+          currency: exchangeRates.walletCurrency(claimant.preferences?.currency)
+        }
+      }], { session });
+    }
 
-  if (!wallet) {
-    wallet = await Wallet.create({
-      userId: claimant._id,
-      balance: {
-        available: 0,
-        pending: 0,
-        reserved: 0
-      },
-      currency: 'USD'
+    const currency = claim.billing.currency || 'USD';
+    const conversion = await exchangeRates.convert(amount, currency, wallet.balance.currency, { session });
+    const converted = conversion.originalCurrency !== conversion.currency;
+
+    // Create transaction
+    const [transaction] = await Transaction.create([{
+      type: 'payment',
+      category: CATEGORY_BY_SERVICE[claim.serviceType] || 'consultation',
+      from: { type: 'insurance' },
+      to: { wallet: wallet._id, user: claimant._id, type: 'wallet' },
+      amount: converted ? {
+        value: conversion.amount,
+        currency: conversion.currency,
+        exchangeRate: conversion.exchangeRate,
+        originalAmount: conversion.originalAmount,
+        originalCurrency: conversion.originalCurrency
+      } : { value: conversion.amount, currency: conversion.currency },
+      paymentMethod: { type: 'insurance' },
+      status: 'completed',
+      completedAt: new Date(),
+      description: `HMO claim payment - ${claim.claimNumber}`
+    }], { session });
+
+    await wallet.credit(conversion.amount, transaction._id, { session });
+
+    // Mark claim as paid
+    claim.markAsPaid({
+      amount,
+      method: paymentMethod,
+      reference: transaction.transactionId
     });
-  }
+    await claim.save({ session });
 
-  // Create transaction
-  const transaction = await Transaction.create({
-    type: 'credit',
-    category: 'hmo_claim_payment',
-    amount: {
-      value: amount,
-      currency: claim.billing.currency || 'USD'
-    },
-    from: {
-      type: 'system',
-      name: 'HMO Insurance'
-    },
-    to: {
-      userId: claimant._id,
-      type: 'wallet'
-    },
-    status: 'completed',
-    metadata: {
-      claimId: claim._id,
-      claimNumber: claim.claimNumber,
-      planId: claim.planId,
-      enrollmentId: claim.enrollmentId
-    },
-    description: `HMO claim payment - ${claim.claimNumber}`
+    return {
+      transaction,
+      wallet
+    };
   });
-
-  // Update wallet balance
-  wallet.balance.available += amount;
-  await wallet.save();
-
-  // Mark claim as paid
-  claim.markAsPaid({
-    amount,
-    method: paymentMethod,
-    reference: transaction._id.toString()
-  });
-  await claim.save();
-
-  return {
-    transaction,
-    wallet
-  };
 }
 
 module.exports = exports;
@@ -0,0 +1,299 @@
+const LabOrder = require('../models/labOrder.model');
+const labOrders = require('../services/labOrder.service');
+const { HTTP_STATUS, USER_TYPES } = require('../utils/constants');
+
+const PARTY_FIELDS = 'profile.firstName profile.lastName';
+
+// ==================== Lab Orders ====================
+
+/**
+ * Order lab tests from a laboratory
+ * POST /api/lab-orders
+ */
+exports.createOrder = async (req, res) => {
+  try {
+    const { patientId, appointmentId, medicalRecordId, laboratoryId, tests, priority, reason, clinicalNotes } = req.body;
+
+    if (!laboratoryId) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Laboratory is required'
+      });
+    }
+
+    const order = await labOrders.create(req.user, {
+      patientId,
+      appointmentId,
+      medicalRecordId,
+      laboratoryId,
+      tests,
+      priority,
+      reason,
+      clinicalNotes
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      data: order,
+      message: 'Lab order sent to laboratory'
+    });
+  } catch (error) {
+    console.error('Create lab order error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to create lab order',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get lab orders: a patient's own, those a provider placed, or those sent to a laboratory
+ * GET /api/lab-orders
+ */
+exports.getOrders = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = visibleQuery(req.user);
+    if (!query) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: 'Only patients, providers and laboratories have lab orders'
+      });
+    }
+    if (status) query.status = status;
+
+    const skip = (page - 1) * limit;
+
+    // Laboratories work through their queue oldest first
+    const data = await LabOrder.find(query)
+      .populate('patient', PARTY_FIELDS)
+      .populate('provider', PARTY_FIELDS)
+      .populate('laboratory', 'businessInfo.name')
+      .sort({ createdAt: labOrders.isLaboratory(req.user) ? 1 : -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await LabOrder.countDocuments(query);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get lab orders error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to get lab orders',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a lab order
+ * GET /api/lab-orders/:id
+ */
+exports.getOrderById = async (req, res) => {
+  try {
+    const query = visibleQuery(req.user);
+    const order = query && await LabOrder.findOne({ ...query, _id: req.params.id })
+      .populate('patient', `${PARTY_FIELDS} profile.dateOfBirth profile.gender`)
+      .populate('provider', `${PARTY_FIELDS} professionalInfo.licenseNumber`)
+      .populate('laboratory', 'businessInfo.name');
+
+    if (!order) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Lab order not found'
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    console.error('Get lab order error:', error);
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to get lab order',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Accept a lab order
+ * POST /api/lab-orders/:id/accept
+ */
+exports.acceptOrder = async (req, res) => {
+  try {
+    if (!assertLaboratory(req, res)) return;
+
+    const order = await labOrders.accept(req.params.id, req.user);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: order,
+      message: 'Lab order accepted'
+    });
+  } catch (error) {
+    console.error('Accept lab order error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to accept lab order',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reject a lab order
+ * POST /api/lab-orders/:id/reject
+ */
+exports.rejectOrder = async (req, res) => {
+  try {
+    if (!assertLaboratory(req, res)) return;
+
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Rejection reason is required'
+      });
+    }
+
+    const order = await labOrders.reject(req.params.id, req.user, reason);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: order,
+      message: 'Lab order rejected'
+    });
+  } catch (error) {
+    console.error('Reject lab order error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to reject lab order',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Record sample collection
+ * POST /api/lab-orders/:id/collect
+ */
+exports.collectSample = async (req, res) => {
+  try {
+    if (!assertLaboratory(req, res)) return;
+
+    const order = await labOrders.collectSample(req.params.id, req.user, req.body);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: order,
+      message: 'Sample collected'
+    });
+  } catch (error) {
+    console.error('Collect lab sample error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to record sample collection',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Post results and file them in the patient's medical record
+ * POST /api/lab-orders/:id/results
+ */
+exports.postResults = async (req, res) => {
+  try {
+    if (!assertLaboratory(req, res)) return;
+
+    const { results, notes } = req.body;
+    const { order, record } = await labOrders.postResults(req.params.id, req.user, results, { notes });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        order,
+        medicalRecordId: record._id,
+        recordId: record.recordId
+      },
+      message: order.criticalAlert?.sentAt
+        ? 'Results posted; the ordering provider has been alerted to critical results'
+        : 'Results posted'
+    });
+  } catch (error) {
+    console.error('Post lab results error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to post results',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Cancel a lab order before its sample is collected
+ * POST /api/lab-orders/:id/cancel
+ */
+exports.cancelOrder = async (req, res) => {
+  try {
+    const order = await labOrders.cancel(req.params.id, req.user, req.body.reason);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: order,
+      message: 'Lab order cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel lab order error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to cancel lab order',
+      error: error.message
+    });
+  }
+};
+
+// ==================== Helper Functions ====================
+
+/**
+ * Lab orders a user can see: patients their own, providers those they placed,
+ * laboratories those sent to them
+ * @returns {Object|null} - Query, or null if the user has no lab orders
+ */
+function visibleQuery(user) {
+  if (user.userType === USER_TYPES.PATIENT) return { patient: user._id };
+  if (user.userType === USER_TYPES.PROVIDER) return { provider: user._id };
+  if (labOrders.isLaboratory(user)) return { laboratory: user._id };
+  return null;
+}
+
+/**
+ * Respond 403 unless the user is a laboratory
+ * @returns {Boolean} - Whether the request can continue
+ */
+function assertLaboratory(req, res) {
+  if (labOrders.isLaboratory(req.user)) return true;
+
+  res.status(HTTP_STATUS.FORBIDDEN).json({
+    success: false,
+    message: 'Only laboratories can process lab orders'
+  });
+  return false;
+}
+
+module.exports = exports;
@@ -0,0 +1,106 @@
+const Notification = require('../models/notification.model');
+const { HTTP_STATUS } = require('../utils/constants');
+
+// ==================== Notifications ====================
+
+/**
+ * Get the user's notifications, newest first
+ * GET /api/notifications
+ */
+exports.getNotifications = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+
+    const query = { user: req.user._id };
+    if (unread === 'true') {
+      query.read = false;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ user: req.user._id, read: false })
+    ]);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: notifications,
+      unreadCount,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to get notifications',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Mark a notification as read
+ * PATCH /api/notifications/:id/read
+ */
+exports.markRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { read: true, readAt: new Date() },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to update notification',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Mark all of the user's notifications as read
+ * PATCH /api/notifications/read-all
+ */
+exports.markAllRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, read: false },
+      { read: true, readAt: new Date() }
+    );
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: { updated: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to update notifications',
+      error: error.message
+    });
+  }
+};
+
+module.exports = exports;
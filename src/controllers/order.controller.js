@@ -0,0 +1,394 @@
+const Order = require('../models/order.model');
+const orders = require('../services/order.service');
+const { HTTP_STATUS, USER_TYPES, ORDER_STATUS } = require('../utils/constants');
+
+const PARTY_FIELDS = 'profile.firstName profile.lastName';
+
+// Orders a vendor still has to act on
+const OPEN_STATUSES = [ORDER_STATUS.PAID, ORDER_STATUS.FULFILLED, ORDER_STATUS.SHIPPED];
+
+// ==================== Cart ====================
+
+/**
+ * Get the current user's cart
+ * GET /api/orders/cart
+ */
+exports.getCart = async (req, res) => {
+  try {
+    const cart = await orders.getCart(req.user);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: cart
+    });
+  } catch (error) {
+    console.error('Get cart error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to get cart',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add a product to the cart
+ * POST /api/orders/cart/items
+ */
+exports.addToCart = async (req, res) => {
+  try {
+    const { productId, quantity, prescriptionId, prescriptionItemId } = req.body;
+
+    if (!productId) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Product is required'
+      });
+    }
+
+    const cart = await orders.addItem(req.user, { productId, quantity, prescriptionId, prescriptionItemId });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: cart,
+      message: 'Added to cart'
+    });
+  } catch (error) {
+    console.error('Add to cart error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to add to cart',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Change the quantity of a product in the cart
+ * PUT /api/orders/cart/items/:productId
+ */
+exports.updateCartItem = async (req, res) => {
+  try {
+    const cart = await orders.updateItem(req.user, req.params.productId, req.body.quantity);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: cart,
+      message: 'Cart updated'
+    });
+  } catch (error) {
+    console.error('Update cart error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to update cart',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a product from the cart
+ * DELETE /api/orders/cart/items/:productId
+ */
+exports.removeFromCart = async (req, res) => {
+  try {
+    const cart = await orders.removeItem(req.user, req.params.productId);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: cart,
+      message: 'Removed from cart'
+    });
+  } catch (error) {
+    console.error('Remove from cart error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to remove from cart',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Empty the cart
+ * DELETE /api/orders/cart
+ */
+exports.clearCart = async (req, res) => {
+  try {
+    const cart = await orders.clearCart(req.user);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: cart,
+      message: 'Cart emptied'
+    });
+  } catch (error) {
+    console.error('Clear cart error:', error);
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to empty cart',
+      error: error.message
+    });
+  }
+};
+
+// ==================== Orders ====================
+
+/**
+ * Place orders for the cart and pay from the personal wallet
+ * POST /api/orders/checkout
+ */
+exports.checkout = async (req, res) => {
+  try {
+    const { deliveryMethod, address, phone, notes } = req.body;
+
+    const placed = await orders.checkout(req.user, {
+      method: deliveryMethod,
+      address,
+      phone: phone || req.user.phone,
+      notes
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      data: placed,
+      message: placed.length === 1
+        ? `Order ${placed[0].orderNumber} placed`
+        : `${placed.length} orders placed, one per vendor`
+    });
+  } catch (error) {
+    console.error('Checkout error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Checkout failed',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get orders: a patient's own, or those placed with a vendor
+ * GET /api/orders
+ */
+exports.getOrders = async (req, res) => {
+  try {
+    const query = visibleQuery(req.user);
+    if (!query) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: 'Only patients and vendors have orders'
+      });
+    }
+    if (req.query.status) query.status = req.query.status;
+
+    await listOrders(req, res, query, { createdAt: -1 });
+  } catch (error) {
+    console.error('Get orders error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to get orders',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the vendor's order queue, oldest first. Defaults to orders still to be
+ * fulfilled, shipped or delivered.
+ * GET /api/vendors/orders
+ */
+exports.getVendorOrders = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = {
+      vendor: req.user._id,
+      status: status ? { $in: String(status).split(',') } : { $in: OPEN_STATUSES }
+    };
+
+    await listOrders(req, res, query, { createdAt: 1 });
+  } catch (error) {
+    console.error('Get vendor orders error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to get orders',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get an order
+ * GET /api/orders/:id
+ */
+exports.getOrderById = async (req, res) => {
+  try {
+    const query = visibleQuery(req.user);
+    const order = query && await Order.findOne({ ...query, _id: req.params.id })
+      .populate('patient', `${PARTY_FIELDS} phone`)
+      .populate('vendor', 'businessInfo.name businessInfo.type phone')
+      .populate('items.prescription', 'prescriptionNumber verificationCode');
+
+    if (!order) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    console.error('Get order error:', error);
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to get order',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Cancel an order and release its payment
+ * POST /api/orders/:id/cancel
+ */
+exports.cancelOrder = async (req, res) => {
+  try {
+    if (!visibleQuery(req.user)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: 'Only patients and vendors have orders'
+      });
+    }
+
+    const order = await orders.cancel(req.params.id, req.user, req.body.reason);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: order,
+      message: 'Order cancelled and payment released'
+    });
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to cancel order',
+      error: error.message
+    });
+  }
+};
+
+// ==================== Fulfilment ====================
+
+/**
+ * Mark an order packed
+ * POST /api/orders/:id/fulfil
+ */
+exports.fulfilOrder = async (req, res) => {
+  try {
+    const order = await orders.fulfil(req.params.id, req.user);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: order,
+      message: 'Order fulfilled'
+    });
+  } catch (error) {
+    console.error('Fulfil order error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to fulfil order',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Mark an order shipped
+ * POST /api/orders/:id/ship
+ */
+exports.shipOrder = async (req, res) => {
+  try {
+    const { carrier, trackingNumber } = req.body;
+    const order = await orders.ship(req.params.id, req.user, { carrier, trackingNumber });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: order,
+      message: 'Order shipped'
+    });
+  } catch (error) {
+    console.error('Ship order error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to ship order',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Mark an order delivered or collected and capture its payment
+ * POST /api/orders/:id/deliver
+ */
+exports.deliverOrder = async (req, res) => {
+  try {
+    const order = await orders.deliver(req.params.id, req.user);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: order,
+      message: 'Order delivered'
+    });
+  } catch (error) {
+    console.error('Deliver order error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to mark order delivered',
+      error: error.message
+    });
+  }
+};
+
+// ==================== Helper Functions ====================
+
+/**
+ * Orders a user can see: patients their own, vendors those placed with them
+ * @returns {Object|null} - Query, or null if the user has no orders
+ */
+function visibleQuery(user) {
+  if (user.userType === USER_TYPES.PATIENT) return { patient: user._id };
+  if (orders.isVendor(user)) return { vendor: user._id };
+  return null;
+}
+
+/**
+ * Respond with a page of orders
+ */
+async function listOrders(req, res, query, sort) {
+  const { page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * limit;
+
+  const data = await Order.find(query)
+    .populate('patient', PARTY_FIELDS)
+    .populate('vendor', 'businessInfo.name')
+    .sort(sort)
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await Order.countDocuments(query);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}
+
+module.exports = exports;
@@ -0,0 +1,324 @@
+const Prescription = require('../models/prescription.model');
+const prescriptions = require('../services/prescription.service');
+const { HTTP_STATUS, USER_TYPES } = require('../utils/constants');
+
+const PARTY_FIELDS = 'profile.firstName profile.lastName';
+
+// ==================== Prescriptions ====================
+
+/**
+ * Issue a signed prescription
+ * POST /api/prescriptions
+ */
+exports.issuePrescription = async (req, res) => {
+  try {
+    const { patientId, appointmentId, items, refills, validDays, diagnosis, notes } = req.body;
+
+    const prescription = await prescriptions.issue(req.user, {
+      patientId,
+      appointmentId,
+      items,
+      refills: refills === undefined ? 0 : Number(refills),
+      validDays: validDays === undefined ? undefined : Number(validDays),
+      diagnosis,
+      notes
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      data: prescription,
+      message: 'Prescription issued'
+    });
+  } catch (error) {
+    console.error('Issue prescription error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to issue prescription',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get prescriptions: a patient's own, those a provider issued, or those shared with a pharmacy
+ * GET /api/prescriptions
+ */
+exports.getPrescriptions = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = visibleQuery(req.user);
+    if (!query) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: 'Only patients, providers and pharmacies have prescriptions'
+      });
+    }
+    if (status) query.status = status;
+
+    const skip = (page - 1) * limit;
+
+    const data = await Prescription.find(query)
+      .select(req.user.userType === USER_TYPES.VENDOR ? '-sharedWith' : '')
+      .populate('patient', PARTY_FIELDS)
+      .populate('provider', PARTY_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Prescription.countDocuments(query);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get prescriptions error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to get prescriptions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a prescription with its signature check
+ * GET /api/prescriptions/:id
+ */
+exports.getPrescriptionById = async (req, res) => {
+  try {
+    const query = visibleQuery(req.user);
+    const prescription = query && await Prescription.findOne({ ...query, _id: req.params.id })
+      .select(req.user.userType === USER_TYPES.VENDOR ? '-sharedWith' : '')
+      .populate('patient', PARTY_FIELDS)
+      .populate('provider', `${PARTY_FIELDS} professionalInfo.licenseNumber`)
+      .populate('appointment', 'appointmentId scheduledDate')
+      .populate('sharedWith.pharmacy', 'businessInfo.name')
+      .populate('dispensings.pharmacy', 'businessInfo.name');
+
+    if (!prescription) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Prescription not found'
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        ...prescription.toObject(),
+        signatureValid: prescriptions.verifySignature(prescription)
+      }
+    });
+  } catch (error) {
+    console.error('Get prescription error:', error);
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to get prescription',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Check a prescription by the verification code printed on it
+ * GET /api/prescriptions/verify/:code
+ */
+exports.verifyPrescription = async (req, res) => {
+  try {
+    if (req.user.userType !== USER_TYPES.PROVIDER && !prescriptions.isPharmacy(req.user)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: 'Only pharmacies and providers can verify prescriptions'
+      });
+    }
+
+    const result = await prescriptions.verifyCode(req.params.code);
+
+    if (!result) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'No prescription matches this code'
+      });
+    }
+
+    const { prescription, signatureValid, dispensable } = result;
+
+    // Enough to check the paper copy; details need the patient to share it
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        prescriptionNumber: prescription.prescriptionNumber,
+        status: prescription.status,
+        issuedAt: prescription.issuedAt,
+        validUntil: prescription.validUntil,
+        patient: prescription.patient,
+        provider: prescription.provider,
+        medications: prescription.items.map(item => item.medication),
+        refillsRemaining: prescription.refills.remaining,
+        sharedWithYou: prescription.isSharedWith(req.user._id),
+        signatureValid,
+        dispensable
+      }
+    });
+  } catch (error) {
+    console.error('Verify prescription error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to verify prescription',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Share a prescription with a pharmacy
+ * POST /api/prescriptions/:id/share
+ */
+exports.sharePrescription = async (req, res) => {
+  try {
+    const { pharmacyId } = req.body;
+
+    if (!pharmacyId) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Pharmacy is required'
+      });
+    }
+
+    const prescription = await prescriptions.share(req.params.id, req.user, pharmacyId);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: prescription,
+      message: 'Prescription shared with pharmacy'
+    });
+  } catch (error) {
+    console.error('Share prescription error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to share prescription',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Stop sharing a prescription with a pharmacy
+ * DELETE /api/prescriptions/:id/share/:pharmacyId
+ */
+exports.unsharePrescription = async (req, res) => {
+  try {
+    const prescription = await prescriptions.unshare(req.params.id, req.user, req.params.pharmacyId);
+
+    if (!prescription) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Prescription not found'
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: prescription,
+      message: 'Prescription no longer shared with pharmacy'
+    });
+  } catch (error) {
+    console.error('Unshare prescription error:', error);
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to stop sharing prescription',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Dispense all or part of the current fill
+ * POST /api/prescriptions/:id/dispense
+ */
+exports.dispensePrescription = async (req, res) => {
+  try {
+    if (!prescriptions.isPharmacy(req.user)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: 'Only pharmacies can dispense prescriptions'
+      });
+    }
+
+    const { items, notes } = req.body;
+    const prescription = await prescriptions.dispense(req.params.id, req.user, {
+      items: Array.isArray(items)
+        ? items.map(item => ({ itemId: item.itemId, quantity: Number(item.quantity) }))
+        : undefined,
+      notes
+    });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        prescriptionNumber: prescription.prescriptionNumber,
+        status: prescription.status,
+        currentFill: prescription.currentFill,
+        fillComplete: prescription.isFillComplete(),
+        refillsRemaining: prescription.refills.remaining,
+        items: prescription.items,
+        dispensing: prescription.dispensings[prescription.dispensings.length - 1]
+      },
+      message: 'Prescription dispensed'
+    });
+  } catch (error) {
+    console.error('Dispense prescription error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to dispense prescription',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Cancel a prescription
+ * POST /api/prescriptions/:id/cancel
+ */
+exports.cancelPrescription = async (req, res) => {
+  try {
+    const prescription = await prescriptions.cancel(req.params.id, req.user, req.body.reason);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: prescription,
+      message: 'Prescription cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel prescription error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to cancel prescription',
+      error: error.message
+    });
+  }
+};
+
+// ==================== Helper Functions ====================
+
+/**
+ * Prescriptions a user can see: patients their own, providers those they
+ * issued, pharmacies those shared with them
+ * @returns {Object|null} - Query, or null if the user has no prescriptions
+ */
+function visibleQuery(user) {
+  if (user.userType === USER_TYPES.PATIENT) return { patient: user._id };
+  if (user.userType === USER_TYPES.PROVIDER) return { provider: user._id };
+  if (prescriptions.isPharmacy(user)) return { 'sharedWith.pharmacy': user._id };
+  return null;
+}
+
+module.exports = exports;
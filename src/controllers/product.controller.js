@@ -0,0 +1,240 @@
+const Product = require('../models/product.model');
+const User = require('../models/user.model');
+const exchangeRates = require('../services/exchangeRate.service');
+const prescriptions = require('../services/prescription.service');
+const { HTTP_STATUS, USER_TYPES } = require('../utils/constants');
+
+// Fields a vendor can set on a catalogue product
+const EDITABLE_FIELDS = ['sku', 'name', 'description', 'category', 'unit', 'price', 'stock', 'requiresPrescription', 'isActive'];
+
+// ==================== Vendor Catalogue ====================
+
+/**
+ * Get the vendor's own catalogue, including inactive products
+ * GET /api/vendors/products
+ */
+exports.getMyProducts = async (req, res) => {
+  try {
+    const { category, available, search, page = 1, limit = 50 } = req.query;
+
+    const query = { vendor: req.user._id };
+    if (category) query.category = category;
+    if (available !== undefined) query.isActive = available === 'true';
+    if (search) query.$text = { $search: search };
+
+    const skip = (page - 1) * limit;
+
+    const data = await Product.find(query)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Product.countDocuments(query);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get vendor products error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to get products',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add a product to the vendor's catalogue, priced in the vendor's currency
+ * POST /api/vendors/products
+ */
+exports.createProduct = async (req, res) => {
+  try {
+    const fields = pickFields(req.body);
+
+    if (fields.requiresPrescription && !prescriptions.isPharmacy(req.user)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Only pharmacies can sell prescription-only products'
+      });
+    }
+
+    const product = await Product.create({
+      ...fields,
+      vendor: req.user._id,
+      currency: exchangeRates.walletCurrency(req.user.preferences?.currency)
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      data: product,
+      message: 'Product added successfully'
+    });
+  } catch (error) {
+    console.error('Create product error:', error);
+    res.status(error.code === 11000 ? HTTP_STATUS.CONFLICT : HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: error.code === 11000 ? 'You already have a product with this SKU' : 'Failed to add product',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a product in the vendor's catalogue
+ * PUT /api/vendors/products/:productId
+ */
+exports.updateProduct = async (req, res) => {
+  try {
+    const fields = pickFields(req.body);
+
+    if (fields.requiresPrescription && !prescriptions.isPharmacy(req.user)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Only pharmacies can sell prescription-only products'
+      });
+    }
+
+    const product = await Product.findOneAndUpdate(
+      { _id: req.params.productId, vendor: req.user._id },
+      { $set: fields },
+      { new: true, runValidators: true }
+    );
+
+    if (!product) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: product,
+      message: 'Product updated successfully'
+    });
+  } catch (error) {
+    console.error('Update product error:', error);
+    res.status(error.code === 11000 ? HTTP_STATUS.CONFLICT : HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: error.code === 11000 ? 'You already have a product with this SKU' : 'Failed to update product',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Withdraw a product from sale. Products are kept, as past orders refer to them.
+ * DELETE /api/vendors/products/:productId
+ */
+exports.deleteProduct = async (req, res) => {
+  try {
+    const product = await Product.findOneAndUpdate(
+      { _id: req.params.productId, vendor: req.user._id },
+      { $set: { isActive: false } },
+      { new: true }
+    );
+
+    if (!product) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: product,
+      message: 'Product withdrawn from sale'
+    });
+  } catch (error) {
+    console.error('Delete product error:', error);
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to withdraw product',
+      error: error.message
+    });
+  }
+};
+
+// ==================== Public Catalogue ====================
+
+/**
+ * Get a vendor's products on sale
+ * GET /api/vendors/:vendorId/products
+ */
+exports.getVendorProducts = async (req, res) => {
+  try {
+    const { category, search, inStock, page = 1, limit = 50 } = req.query;
+
+    const vendor = await User.findOne({
+      _id: req.params.vendorId,
+      userType: USER_TYPES.VENDOR,
+      status: { $nin: ['suspended', 'deleted'] }
+    }).select('businessInfo.name businessInfo.type');
+
+    if (!vendor) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Vendor not found'
+      });
+    }
+
+    const query = { vendor: vendor._id, isActive: true };
+    if (category) query.category = category;
+    if (inStock === 'true') query.stock = { $gt: 0 };
+    if (search) query.$text = { $search: search };
+
+    const skip = (page - 1) * limit;
+
+    const data = await Product.find(query)
+      .select('-__v')
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Product.countDocuments(query);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        vendor,
+        products: data
+      },
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get vendor catalogue error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to get products',
+      error: error.message
+    });
+  }
+};
+
+// ==================== Helper Functions ====================
+
+/**
+ * The editable product fields present in a request body
+ */
+function pickFields(body) {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+}
+
+module.exports = exports;
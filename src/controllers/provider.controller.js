@@ -1,6 +1,10 @@
 const User = require('../models/user.model');
 const Appointment = require('../models/appointment.model');
+const ScheduleException = require('../models/scheduleException.model');
 const crypto = require('crypto');
+const refundPolicy = require('../services/refundPolicy.service');
+const settlement = require('../services/settlement.service');
+const slots = require('../services/slot.service');
 
 const HTTP_STATUS = {
   OK: 200,
@@ -36,9 +40,19 @@ exports.getProfile = async (req, res) => {
       });
     }
 
+    // Upcoming time off and extra hours, without the provider's private reasons
+    const scheduleExceptions = await ScheduleException.find({
+      provider: provider._id,
+      isActive: true,
+      endDate: { $gte: slots.parseDate(new Date()) }
+    })
+      .select('type startDate endDate startTime endTime')
+      .sort({ startDate: 1 });
+
     res.status(HTTP_STATUS.OK).json({
       success: true,
-      provider
+      provider,
+      scheduleExceptions
     });
 
   } catch (error) {
@@ -255,6 +269,232 @@ exports.getServices = async (req, res) => {
   }
 };
 
+/**
+ * Get free appointment slots for a day
+ */
+exports.getSlots = async (req, res) => {
+  try {
+    const { providerId } = req.params;
+    const { date, serviceId } = req.query;
+
+    const day = slots.parseDate(date);
+    if (!day) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'A valid date is required'
+      });
+    }
+
+    const provider = await User.findOne({ _id: providerId, userType: 'provider' })
+      .select('availability services preferences.timezone');
+
+    if (!provider) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Provider not found'
+      });
+    }
+
+    let service;
+    if (serviceId) {
+      service = provider.services.find(item =>
+        item.isActive !== false && (item.serviceId === serviceId || item._id.toString() === serviceId)
+      );
+
+      if (!service) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'Service not found'
+        });
+      }
+    }
+
+    const duration = slots.durationFor(provider, service);
+    const { window, exceptions } = await slots.daySchedule(provider, day);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        date: day.toISOString().slice(0, 10),
+        duration,
+        isWorking: Boolean(window),
+        exceptions: exceptions.map(exception => ({
+          type: exception.type,
+          startTime: exception.startTime,
+          endTime: exception.endTime
+        })),
+        slots: await slots.freeSlots(provider, day, duration)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get slots error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to get available slots',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get provider cancellation policy
+ */
+exports.getCancellationPolicy = async (req, res) => {
+  try {
+    const { providerId } = req.params;
+
+    const provider = await User.findOne({ _id: providerId, userType: 'provider' }).select('cancellationPolicy');
+
+    if (!provider) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Provider not found'
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      cancellationPolicy: refundPolicy.policyFor(provider)
+    });
+
+  } catch (error) {
+    console.error('Get cancellation policy error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to get cancellation policy',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update provider cancellation policy
+ */
+exports.updateCancellationPolicy = async (req, res) => {
+  try {
+    const { providerId } = req.params;
+    const { freeCancellationHours, feePercentage } = req.body;
+
+    if (req.user._id.toString() !== providerId) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: 'Not authorized to update this cancellation policy'
+      });
+    }
+
+    if (freeCancellationHours !== undefined && !(Number(freeCancellationHours) >= 0)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'freeCancellationHours must be zero or more'
+      });
+    }
+
+    if (feePercentage !== undefined && !(Number(feePercentage) >= 0 && Number(feePercentage) <= 100)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'feePercentage must be between 0 and 100'
+      });
+    }
+
+    const provider = await User.findById(providerId);
+
+    if (!provider) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Provider not found'
+      });
+    }
+
+    if (freeCancellationHours !== undefined) {
+      provider.cancellationPolicy.freeCancellationHours = Number(freeCancellationHours);
+    }
+    if (feePercentage !== undefined) {
+      provider.cancellationPolicy.feePercentage = Number(feePercentage);
+    }
+
+    await provider.save();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Cancellation policy updated successfully',
+      cancellationPolicy: refundPolicy.policyFor(provider)
+    });
+
+  } catch (error) {
+    console.error('Update cancellation policy error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to update cancellation policy',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get provider earnings and payout history
+ */
+exports.getEarnings = async (req, res) => {
+  try {
+    const { providerId } = req.params;
+    const { period = 'month' } = req.query;
+
+    if (req.user._id.toString() !== providerId && req.user.userType !== 'super_admin') {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: 'Not authorized to view these earnings'
+      });
+    }
+
+    if (!settlement.periods.includes(period)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: `period must be one of ${settlement.periods.join(', ')}`
+      });
+    }
+
+    // Defaults to the last twelve months
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(new Date(to).setFullYear(to.getFullYear() - 1));
+
+    if (isNaN(from) || isNaN(to) || from > to) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Invalid from or to date'
+      });
+    }
+
+    const provider = await User.findOne({ _id: providerId, userType: 'provider' }).select('earnings preferences');
+
+    if (!provider) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Provider not found'
+      });
+    }
+
+    const earnings = await settlement.earnings(provider, { period, from, to });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        period,
+        from,
+        to,
+        ...earnings
+      }
+    });
+
+  } catch (error) {
+    console.error('Get earnings error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to get earnings',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Add new service
  */
@@ -0,0 +1,187 @@
+const Review = require('../models/review.model');
+const User = require('../models/user.model');
+const reviews = require('../services/review.service');
+const { HTTP_STATUS } = require('../utils/constants');
+
+// ==================== Reviews ====================
+
+/**
+ * Review a completed appointment
+ * POST /api/reviews
+ */
+exports.createReview = async (req, res) => {
+  try {
+    const { appointmentId, rating, comment } = req.body;
+
+    if (!appointmentId || rating === undefined) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Appointment and rating are required'
+      });
+    }
+
+    const review = await reviews.create(appointmentId, req.user, { rating: Number(rating), comment });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      data: review,
+      message: 'Review submitted'
+    });
+  } catch (error) {
+    console.error('Create review error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to submit review',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Published reviews for a provider, with their rating summary
+ * GET /api/providers/:providerId/reviews
+ */
+exports.getProviderReviews = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const provider = await User.findOne({ _id: req.params.providerId, userType: 'provider' })
+      .select('statistics.rating statistics.totalReviews');
+
+    if (!provider) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Provider not found'
+      });
+    }
+
+    const { reviews: data, total, distribution } = await reviews.forProvider(provider._id, { page, limit });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data,
+      summary: {
+        rating: provider.statistics?.rating || 0,
+        totalReviews: provider.statistics?.totalReviews || 0,
+        distribution
+      },
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get provider reviews error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to get reviews',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reviews the patient has written, or the provider has received (including hidden ones)
+ * GET /api/reviews/me
+ */
+exports.getMyReviews = async (req, res) => {
+  try {
+    const query = req.user.userType === 'provider'
+      ? { provider: req.user._id }
+      : { patient: req.user._id };
+
+    const data = await Review.find(query)
+      .select('-flags')
+      .populate('appointment', 'appointmentId scheduledDate type')
+      .populate('patient', 'profile.firstName profile.lastName')
+      .populate('provider', 'profile.firstName profile.lastName')
+      .sort({ createdAt: -1 });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get my reviews error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to get reviews',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add or change the provider's reply to a review
+ * PUT /api/reviews/:id/reply
+ */
+exports.replyToReview = async (req, res) => {
+  try {
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+
+    if (!text) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Reply text is required'
+      });
+    }
+
+    const review = await reviews.reply(req.params.id, req.user, text);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: review,
+      message: 'Reply saved'
+    });
+  } catch (error) {
+    console.error('Reply to review error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to save reply',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Report a review for moderation
+ * POST /api/reviews/:id/flag
+ */
+exports.flagReview = async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'A reason is required'
+      });
+    }
+
+    const review = await reviews.flag(req.params.id, req.user, reason);
+
+    if (!review) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: 'You have already reported this review'
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Review reported for moderation'
+    });
+  } catch (error) {
+    console.error('Flag review error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to report review',
+      error: error.message
+    });
+  }
+};
+
+module.exports = exports;
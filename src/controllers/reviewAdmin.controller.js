@@ -0,0 +1,115 @@
+const Review = require('../models/review.model');
+const reviews = require('../services/review.service');
+const { HTTP_STATUS } = require('../utils/constants');
+
+// ==================== Super Admin Review Moderation ====================
+
+/**
+ * Get reviews for moderation, flagged ones first by default
+ * GET /api/super-admin/reviews
+ */
+exports.getReviews = async (req, res) => {
+  try {
+    const { status = 'all', flagged = 'true', provider, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (flagged !== 'all') query.flagged = flagged === 'true';
+    if (provider) query.provider = provider;
+
+    const skip = (page - 1) * limit;
+
+    const data = await Review.find(query)
+      .populate('patient', 'profile.firstName profile.lastName email')
+      .populate('provider', 'profile.firstName profile.lastName email')
+      .populate('appointment', 'appointmentId scheduledDate')
+      .populate('flags.user', 'profile.firstName profile.lastName userType')
+      .sort({ updatedAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Review.countDocuments(query);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get reviews for moderation error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to fetch reviews',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Hide a review, removing it from the provider's profile and rating
+ * POST /api/super-admin/reviews/:id/hide
+ */
+exports.hideReview = (req, res) => moderate(req, res, 'hide', 'Review hidden');
+
+/**
+ * Publish a hidden review again
+ * POST /api/super-admin/reviews/:id/restore
+ */
+exports.restoreReview = (req, res) => moderate(req, res, 'restore', 'Review restored');
+
+/**
+ * Clear the reports on a review and keep it published
+ * POST /api/super-admin/reviews/:id/dismiss
+ */
+exports.dismissFlags = (req, res) => moderate(req, res, 'dismiss', 'Reports dismissed');
+
+/**
+ * Rebuild a provider's rating and review count from their published reviews
+ * POST /api/super-admin/reviews/providers/:providerId/recompute
+ */
+exports.recomputeProviderRating = async (req, res) => {
+  try {
+    const data = await reviews.recompute(req.params.providerId);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data,
+      message: 'Provider rating recomputed'
+    });
+  } catch (error) {
+    console.error('Recompute provider rating error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to recompute rating',
+      error: error.message
+    });
+  }
+};
+
+// ==================== Helper Functions ====================
+
+async function moderate(req, res, action, message) {
+  try {
+    const review = await reviews.moderate(req.params.id, action, req.user, req.body.notes);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: review,
+      message
+    });
+  } catch (error) {
+    console.error(`Moderate review (${action}) error:`, error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to moderate review',
+      error: error.message
+    });
+  }
+}
+
+module.exports = exports;
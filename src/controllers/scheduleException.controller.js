@@ -0,0 +1,277 @@
+const ScheduleException = require('../models/scheduleException.model');
+const Appointment = require('../models/appointment.model');
+const User = require('../models/user.model');
+const ledger = require('../services/ledger.service');
+const slots = require('../services/slot.service');
+const notifications = require('../services/notification.service');
+const { HTTP_STATUS, NOTIFICATION_TYPES } = require('../utils/constants');
+
+// Appointments in these states are moved or cancelled when their time is closed
+const ACTIVE_STATUSES = ['scheduled', 'confirmed', 'rescheduled'];
+
+// ==================== Schedule Exceptions ====================
+
+/**
+ * Get a provider's schedule exceptions
+ * GET /api/providers/:providerId/schedule-exceptions
+ */
+exports.getExceptions = async (req, res) => {
+  try {
+    const { providerId } = req.params;
+    const { includePast, includeInactive } = req.query;
+
+    if (!isOwnSchedule(req)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: 'Not authorized to view this schedule'
+      });
+    }
+
+    const query = { provider: providerId };
+    if (includeInactive !== 'true') {
+      query.isActive = true;
+    }
+    if (includePast !== 'true') {
+      query.endDate = { $gte: slots.parseDate(new Date()) };
+    }
+
+    const exceptions = await ScheduleException.find(query).sort({ startDate: 1 });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: exceptions
+    });
+  } catch (error) {
+    console.error('Get schedule exceptions error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to get schedule exceptions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Close or open hours for a date range. Patients with appointments inside a
+ * newly closed range are notified and offered alternative slots.
+ * POST /api/providers/:providerId/schedule-exceptions
+ */
+exports.createException = async (req, res) => {
+  try {
+    const { providerId } = req.params;
+    const { type, startTime, endTime, reason } = req.body;
+
+    if (!isOwnSchedule(req)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: 'Not authorized to change this schedule'
+      });
+    }
+
+    const startDate = slots.parseDate(req.body.startDate);
+    const endDate = req.body.endDate ? slots.parseDate(req.body.endDate) : startDate;
+
+    if (!['closed', 'open'].includes(type) || !startDate || !endDate) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'type (closed or open) and a valid startDate are required'
+      });
+    }
+
+    if (startDate < slots.parseDate(new Date())) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Schedule exceptions cannot start in the past'
+      });
+    }
+
+    const provider = await User.findOne({ _id: providerId, userType: 'provider' })
+      .select('profile.firstName profile.lastName availability preferences.timezone');
+
+    if (!provider) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Provider not found'
+      });
+    }
+
+    // Closing hours takes the same lock as booking, so no appointment lands in them unseen
+    const { exception, affected } = await ledger.runInSession(null, async (session) => {
+      await slots.lockProvider(providerId, session);
+
+      const [exception] = await ScheduleException.create([{
+        provider: providerId,
+        type,
+        startDate,
+        endDate,
+        startTime,
+        endTime,
+        reason,
+        createdBy: req.user._id
+      }], { session });
+
+      const affected = type === 'closed' ? await flagAffectedAppointments(provider, exception, session) : [];
+
+      if (affected.length > 0) {
+        exception.affectedAppointments = affected.map(appointment => appointment._id);
+        await exception.save({ session });
+      }
+
+      return { exception, affected };
+    });
+
+    await notifyAffectedPatients(provider, exception, affected);
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      data: {
+        exception,
+        affectedAppointments: affected.map(appointment => ({
+          _id: appointment._id,
+          appointmentId: appointment.appointmentId,
+          scheduledDate: appointment.scheduledDate,
+          startTime: appointment.scheduledTime.startTime,
+          suggestedSlots: appointment.scheduleConflict.suggestedSlots
+        }))
+      },
+      message: affected.length > 0
+        ? `Schedule updated; ${affected.length} patient(s) asked to reschedule`
+        : 'Schedule updated successfully'
+    });
+  } catch (error) {
+    console.error('Create schedule exception error:', error);
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to create schedule exception',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a schedule exception. Patients asked to reschedule because of it are
+ * told their original time stands.
+ * DELETE /api/providers/:providerId/schedule-exceptions/:exceptionId
+ */
+exports.deleteException = async (req, res) => {
+  try {
+    const { providerId, exceptionId } = req.params;
+
+    if (!isOwnSchedule(req)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: 'Not authorized to change this schedule'
+      });
+    }
+
+    const exception = await ScheduleException.findOneAndUpdate(
+      { _id: exceptionId, provider: providerId, isActive: true },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!exception) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Schedule exception not found'
+      });
+    }
+
+    // Appointments still waiting to be moved keep their original time
+    const stillFlagged = await Appointment.find({
+      'scheduleConflict.exception': exception._id,
+      status: { $in: ACTIVE_STATUSES }
+    });
+
+    for (const appointment of stillFlagged) {
+      appointment.scheduleConflict = undefined;
+      await appointment.save();
+
+      await notifications.notify(appointment.patient, {
+        type: NOTIFICATION_TYPES.APPOINTMENT,
+        title: 'Your appointment is going ahead',
+        message: `Your appointment ${appointment.appointmentId} on ` +
+          `${appointment.scheduledDate.toISOString().slice(0, 10)} at ${appointment.scheduledTime.startTime} ` +
+          'no longer needs rescheduling.',
+        data: { appointmentId: appointment._id }
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: exception,
+      message: 'Schedule exception removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete schedule exception error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to remove schedule exception',
+      error: error.message
+    });
+  }
+};
+
+// ==================== Helper Functions ====================
+
+/**
+ * Providers manage their own schedule
+ */
+function isOwnSchedule(req) {
+  return req.user._id.toString() === req.params.providerId;
+}
+
+/**
+ * Flag upcoming appointments inside a closure and suggest free slots
+ * @returns {Array} - Flagged appointments
+ */
+async function flagAffectedAppointments(provider, exception, session) {
+  const appointments = await Appointment.find({
+    provider: provider._id,
+    status: { $in: ACTIVE_STATUSES },
+    scheduledDate: { $gte: exception.startDate, $lte: exception.endDate }
+  }).session(session);
+
+  const now = new Date();
+  const affected = appointments.filter(appointment =>
+    slots.startInstant(appointment, provider.preferences?.timezone) > now && slots.isClosedBy(exception, appointment)
+  );
+
+  for (const appointment of affected) {
+    const duration = appointment.scheduledTime.duration || slots.durationFor(provider);
+    const suggestedSlots = await slots.suggest(provider, appointment.scheduledDate, duration, { session });
+
+    appointment.scheduleConflict = {
+      exception: exception._id,
+      reason: 'Provider unavailable',
+      flaggedAt: new Date(),
+      suggestedSlots
+    };
+    await appointment.save({ session });
+  }
+
+  return affected;
+}
+
+/**
+ * Ask patients with flagged appointments to reschedule
+ */
+async function notifyAffectedPatients(provider, exception, affected) {
+  const providerName = `${provider.profile?.firstName || ''} ${provider.profile?.lastName || ''}`.trim() || 'Your provider';
+
+  for (const appointment of affected) {
+    await notifications.notify(appointment.patient, {
+      type: NOTIFICATION_TYPES.APPOINTMENT,
+      title: 'Your appointment needs rescheduling',
+      message: `${providerName} is unavailable on ${appointment.scheduledDate.toISOString().slice(0, 10)} ` +
+        `at ${appointment.scheduledTime.startTime}. Choose a new time or cancel for a full refund.`,
+      data: {
+        appointmentId: appointment._id,
+        exceptionId: exception._id,
+        suggestedSlots: appointment.scheduleConflict.suggestedSlots
+      }
+    });
+  }
+}
+
+module.exports = exports;
@@ -1,7 +1,10 @@
 const Sponsorship = require('../models/sponsorship.model');
 const Wallet = require('../models/wallet.model');
 const User = require('../models/user.model');
+const Transaction = require('../models/transaction.model');
 const crypto = require('crypto');
+const ledger = require('../services/ledger.service');
+const exchangeRates = require('../services/exchangeRate.service');
 
 // Create sponsorship
 exports.create = async (req, res) => {
@@ -33,60 +36,87 @@ exports.create = async (req, res) => {
       });
     }
 
-    const sponsorship = await Sponsorship.create({
-      sponsor: sponsorId,
-      beneficiary: beneficiaryId,
-      amount: {
-        total: parseFloat(amount),
-        used: 0,
-        remaining: parseFloat(amount),
-        currency: 'USD'
-      },
-      duration: duration || {
-        startDate: new Date(),
-        endDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000) // 1 year default
-      },
-      conditions: conditions || {},
-      description,
-      status: 'active'
-    });
-
-    // Create or update sponsored wallet for beneficiary
-    let sponsoredWallet = await Wallet.findOne({
-      owner: beneficiaryId,
-      type: 'sponsored'
-    });
-
-    if (!sponsoredWallet) {
-      sponsoredWallet = await Wallet.create({
-        walletId: `WALLET-${crypto.randomBytes(8).toString('hex').toUpperCase()}`,
-        owner: beneficiaryId,
-        type: 'sponsored',
-        balance: {
-          available: parseFloat(amount),
-          pending: 0,
-          reserved: 0,
+    const value = parseFloat(amount);
+
+    // Record the sponsorship and fund the beneficiary's sponsored wallet through the ledger together
+    const sponsorship = await ledger.runInSession(null, async (session) => {
+      const [sponsorship] = await Sponsorship.create([{
+        sponsor: sponsorId,
+        beneficiary: beneficiaryId,
+        amount: {
+          total: value,
+          used: 0,
+          remaining: value,
           currency: 'USD'
         },
-        sponsorship: {
-          sponsor: sponsorId,
-          allocatedAmount: parseFloat(amount),
-          usedAmount: 0
-        }
-      });
-    } else {
-      sponsoredWallet.balance.available += parseFloat(amount);
-      if (!sponsoredWallet.sponsorship) {
-        sponsoredWallet.sponsorship = {
-          sponsor: sponsorId,
-          allocatedAmount: parseFloat(amount),
-          usedAmount: 0
-        };
-      } else {
-        sponsoredWallet.sponsorship.allocatedAmount += parseFloat(amount);
+        duration: duration || {
+          startDate: new Date(),
+          endDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000) // 1 year default
+        },
+        conditions: conditions || {},
+        description,
+        status: 'active'
+      }], { session });
+
+      // Create or update sponsored wallet for beneficiary
+      let sponsoredWallet = await Wallet.findOne({
+        owner: beneficiaryId,
+        type: 'sponsored'
+      }).session(session);
+
+      if (!sponsoredWallet) {
+        [sponsoredWallet] = await Wallet.create([{
+          walletId: `WALLET-${crypto.randomBytes(8).toString('hex').toUpperCase()}`,
+          owner: beneficiaryId,
+          type: 'sponsored',
+          balance: {
+            available: 0,
+            pending: 0,
+            reserved: 0,
+            currency: 'USD'
+          },
+          sponsorship: {
+            sponsor: sponsorId,
+            allocatedAmount: 0,
+            usedAmount: 0
+          }
+        }], { session });
       }
-      await sponsoredWallet.save();
-    }
+
+      const conversion = await exchangeRates.convert(value, 'USD', sponsoredWallet.balance.currency, { session });
+      const converted = conversion.originalCurrency !== conversion.currency;
+
+      const [funding] = await Transaction.create([{
+        type: 'sponsorship',
+        category: 'wallet',
+        from: { user: sponsorId, type: 'sponsor' },
+        to: { wallet: sponsoredWallet._id, user: beneficiaryId, type: 'wallet' },
+        amount: converted ? {
+          value: conversion.amount,
+          currency: conversion.currency,
+          exchangeRate: conversion.exchangeRate,
+          originalAmount: conversion.originalAmount,
+          originalCurrency: conversion.originalCurrency
+        } : { value: conversion.amount, currency: conversion.currency },
+        paymentMethod: { type: 'sponsor' },
+        status: 'completed',
+        completedAt: new Date(),
+        description: 'Sponsorship funding'
+      }], { session });
+
+      await sponsoredWallet.credit(conversion.amount, funding._id, { session });
+
+      await Wallet.updateOne(
+        { _id: sponsoredWallet._id },
+        {
+          $inc: { 'sponsorship.allocatedAmount': conversion.amount },
+          $set: { 'sponsorship.sponsor': sponsoredWallet.sponsorship?.sponsor || sponsorId }
+        },
+        { session }
+      );
+
+      return sponsorship;
+    });
 
     res.status(201).json({
       success: true,
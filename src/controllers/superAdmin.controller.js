@@ -4,6 +4,7 @@ const Transaction = require('../models/transaction.model');
 const MedicalRecord = require('../models/medicalRecord.model');
 const Sponsorship = require('../models/sponsorship.model');
 const Wallet = require('../models/wallet.model');
+const ledger = require('../services/ledger.service');
 const { HTTP_STATUS, ACCOUNT_STATUS, USER_TYPES } = require('../utils/constants');
 
 // ==================== Dashboard & Analytics ====================
@@ -494,13 +495,28 @@ exports.getAllTransactions = async (req, res) => {
 };
 
 /**
- * @desc    Reverse a transaction
+ * @desc    Reverse all or part of a transaction with a compensating transaction
  * @route   POST /api/v1/super-admin/transactions/:id/reverse
  * @access  Super Admin
  */
 exports.reverseTransaction = async (req, res) => {
   try {
-    const { reason } = req.body;
+    const { reason, amount } = req.body;
+
+    if (!reason) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Reversal reason is required'
+      });
+    }
+
+    if (amount !== undefined && !(parseFloat(amount) > 0)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Reversal amount must be a positive number'
+      });
+    }
+
     const transaction = await Transaction.findById(req.params.id);
 
     if (!transaction) {
@@ -510,12 +526,29 @@ exports.reverseTransaction = async (req, res) => {
       });
     }
 
-    await transaction.reverse(reason);
+    let result;
+    try {
+      result = await transaction.reverse({
+        amount: amount === undefined ? undefined : parseFloat(amount),
+        reason,
+        reversedBy: req.user._id
+      });
+    } catch (error) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: error.message
+      });
+    }
 
     res.status(HTTP_STATUS.OK).json({
       success: true,
-      message: 'Transaction reversed successfully',
-      data: transaction
+      message: result.original.status === 'reversed'
+        ? 'Transaction reversed successfully'
+        : 'Transaction partially reversed successfully',
+      data: {
+        transaction: result.original,
+        compensations: result.compensations
+      }
     });
   } catch (error) {
     console.error('Reverse transaction error:', error);
@@ -527,6 +560,48 @@ exports.reverseTransaction = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Reconcile wallet balances against the ledger journal
+ * @route   GET /api/v1/super-admin/wallets/reconciliation
+ * @access  Super Admin
+ */
+exports.reconcileWallets = async (req, res) => {
+  try {
+    const { walletId, onlyDrifted } = req.query;
+
+    let walletIds;
+    if (walletId) {
+      const wallet = await Wallet.findOne({ walletId });
+
+      if (!wallet) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'Wallet not found'
+        });
+      }
+
+      walletIds = [wallet._id];
+    }
+
+    const report = await ledger.reconcile({
+      walletIds,
+      onlyDrifted: onlyDrifted === 'true'
+    });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Reconcile wallets error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to reconcile wallets',
+      error: error.message
+    });
+  }
+};
+
 // ==================== Sponsorship Management ====================
 
 /**
@@ -1336,7 +1411,7 @@ exports.getTopPerformers = async (req, res) => {
       const providers = await User.find({
         _id: { $in: providerIds },
         userType: 'provider'
-      }).select('profile email');
+      }).select('profile email statistics.rating');
 
       const appointmentCounts = await Appointment.aggregate([
         {
@@ -1364,7 +1439,7 @@ exports.getTopPerformers = async (req, res) => {
           email: provider?.email,
           revenue: pr.revenue,
           appointments: appointments?.appointments || 0,
-          rating: 4.5 // TODO: Calculate from reviews when review model exists
+          rating: provider?.statistics?.rating || 0
         };
       });
     }
@@ -0,0 +1,46 @@
+const Appointment = require('../models/appointment.model');
+const telemedicine = require('../services/telemedicine.service');
+const { HTTP_STATUS } = require('../utils/constants');
+
+// ==================== Room Tokens ====================
+
+/**
+ * Issue a room token for a video, audio or chat appointment. The token is
+ * passed as auth.roomToken when connecting to the /telemedicine namespace.
+ * POST /api/appointments/:id/telemedicine/token
+ */
+exports.createRoomToken = async (req, res) => {
+  try {
+    const appointment = await Appointment.findOne({
+      _id: req.params.id,
+      $or: [{ patient: req.user._id }, { provider: req.user._id }]
+    }).populate('provider', 'preferences.timezone');
+
+    if (!appointment) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    const issued = await telemedicine.issueToken(appointment, req.user);
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      data: {
+        ...issued,
+        namespace: '/telemedicine',
+        appointmentId: appointment._id
+      }
+    });
+  } catch (error) {
+    console.error('Create telemedicine token error:', error);
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to create room token',
+      error: error.message
+    });
+  }
+};
+
+module.exports = exports;
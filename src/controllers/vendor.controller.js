@@ -29,7 +29,7 @@ exports.getProfile = async (req, res) => {
 // Update vendor profile
 exports.updateProfile = async (req, res) => {
   try {
-    const { businessName, businessType, description, products, services } = req.body;
+    const { businessName, businessType, description } = req.body;
 
     const vendor = await User.findById(req.user._id);
 
@@ -44,8 +44,6 @@ exports.updateProfile = async (req, res) => {
     if (businessName) vendor.businessInfo.name = businessName;
     if (businessType) vendor.businessInfo.type = businessType;
     if (description) vendor.businessInfo.description = description;
-    if (products) vendor.products = products;
-    if (services) vendor.services = services;
 
     await vendor.save();
 
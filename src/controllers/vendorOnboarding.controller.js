@@ -0,0 +1,643 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const VendorOnboardingSession = require('../models/vendorOnboardingSession.model');
+const User = require('../models/user.model');
+const Approval = require('../models/approval.model');
+const ledger = require('../services/ledger.service');
+const exchangeRates = require('../services/exchangeRate.service');
+const config = require('../config/config');
+const { HTTP_STATUS, USER_TYPES, VENDOR_TYPES, ACCOUNT_STATUS } = require('../utils/constants');
+
+// Vendor types that must hold an operating licence (they dispense medication or handle samples)
+const LICENSED_VENDOR_TYPES = [VENDOR_TYPES.PHARMACY, VENDOR_TYPES.LABORATORY];
+
+const DOCUMENT_TYPES = ['business_registration', 'operating_license', 'tax_certificate', 'other'];
+
+/**
+ * Initialize vendor onboarding session
+ */
+exports.initializeOnboarding = async (req, res) => {
+  try {
+    const { referralCode } = req.body;
+
+    // Generate unique session token
+    const sessionToken = crypto.randomBytes(32).toString('hex');
+
+    // Longer than provider onboarding, as vendors gather registration and licence documents
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+
+    const session = await VendorOnboardingSession.create({
+      token: sessionToken,
+      expiresAt,
+      step: 0,
+      data: {},
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      referralCode: referralCode || null
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      sessionToken,
+      sessionId: session._id,
+      expiresAt
+    });
+
+  } catch (error) {
+    console.error('Initialize vendor onboarding error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to initialize onboarding',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Submit Business Information (Step 1)
+ */
+exports.submitStep1 = async (req, res) => {
+  try {
+    const session = await findSession(req, res);
+    if (!session) return;
+
+    const {
+      vendorType,
+      businessName,
+      description,
+      registrationNumber,
+      businessEmail,
+      businessPhone,
+      address,
+      contact
+    } = req.body;
+
+    // Validate required fields
+    if (!vendorType || !businessName || !registrationNumber || !businessEmail || !businessPhone ||
+      !address?.country || !contact?.firstName || !contact?.lastName || !contact?.dateOfBirth) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Missing required fields'
+      });
+    }
+
+    if (!Object.values(VENDOR_TYPES).includes(vendorType)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: `Invalid vendor type. Must be one of: ${Object.values(VENDOR_TYPES).join(', ')}`
+      });
+    }
+
+    // Validate phone number format (international format)
+    const phoneRegex = /^[+]?[0-9]{1,4}?[-\s\.]?[(]?[0-9]{1,4}[)]?[-\s\.]?[0-9]{1,4}[-\s\.]?[0-9]{1,9}$/;
+    if (!phoneRegex.test(businessPhone)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Please enter a valid phone number (e.g., +1234567890, +2348100853150, or 123-456-7890)'
+      });
+    }
+
+    // The business email and phone become the account's login details
+    const existingUser = await User.findOne({ email: businessEmail.toLowerCase() });
+    if (existingUser) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: 'Email already registered'
+      });
+    }
+
+    const existingPhone = await User.findOne({ phone: businessPhone });
+    if (existingPhone) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: 'Phone number already registered'
+      });
+    }
+
+    // The contact person must be an adult
+    const dob = new Date(contact.dateOfBirth);
+    const age = Math.floor((new Date() - dob) / (365.25 * 24 * 60 * 60 * 1000));
+    if (!(age >= 18)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'The contact person must be 18 years or older'
+      });
+    }
+
+    const temporaryVendorId = session.temporaryVendorId || `temp_vendor_${crypto.randomBytes(8).toString('hex')}`;
+
+    session.step = Math.max(session.step, 1);
+    session.temporaryVendorId = temporaryVendorId;
+    session.data.step1 = {
+      vendorType,
+      businessName,
+      description,
+      registrationNumber,
+      businessEmail,
+      businessPhone,
+      address,
+      contact: {
+        firstName: contact.firstName,
+        lastName: contact.lastName,
+        dateOfBirth: contact.dateOfBirth,
+        gender: contact.gender,
+        position: contact.position
+      }
+    };
+    markCompleted(session, 1);
+    await session.save();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Business information saved',
+      temporaryVendorId
+    });
+
+  } catch (error) {
+    console.error('Submit vendor step 1 error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to save business information',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Upload a registration or licence document
+ */
+exports.uploadDocument = async (req, res) => {
+  try {
+    const session = await findSession(req, res);
+    if (!session) return;
+
+    if (session.step < 1) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Complete step 1 first'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const type = DOCUMENT_TYPES.includes(req.body.type) ? req.body.type : 'other';
+
+    // In production, upload to cloud storage (Cloudinary/S3)
+    // For now, use placeholder URL
+    const documentId = crypto.randomBytes(6).toString('hex');
+    const document = {
+      name: req.body.name || req.file.originalname,
+      type,
+      url: `https://cdn.anola.com/vendors/${session.temporaryVendorId}/documents/${documentId}`,
+      uploadedAt: new Date()
+    };
+
+    session.data.documents.push(document);
+    await session.save();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Document uploaded successfully',
+      document
+    });
+
+  } catch (error) {
+    console.error('Upload vendor document error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to upload document',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Submit Licences and Documents (Step 2)
+ */
+exports.submitStep2 = async (req, res) => {
+  try {
+    const session = await findSession(req, res);
+    if (!session) return;
+
+    if (session.step < 1) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Complete step 1 first'
+      });
+    }
+
+    const { licenseNumber, licenseAuthority, licenseExpiry, taxId } = req.body;
+    const licensed = LICENSED_VENDOR_TYPES.includes(session.data.step1.vendorType);
+
+    if (licensed && (!licenseNumber || !licenseExpiry)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Pharmacies and laboratories must provide their operating licence number and expiry'
+      });
+    }
+
+    if (licenseExpiry && new Date(licenseExpiry) <= new Date()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Licence has expired'
+      });
+    }
+
+    const documentTypes = session.data.documents.map(document => document.type);
+    if (!documentTypes.includes('business_registration')) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Upload your business registration certificate first'
+      });
+    }
+    if (licensed && !documentTypes.includes('operating_license')) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Upload your operating licence first'
+      });
+    }
+
+    session.step = Math.max(session.step, 2);
+    session.data.step2 = {
+      licenseNumber,
+      licenseAuthority,
+      licenseExpiry,
+      taxId
+    };
+    markCompleted(session, 2);
+    await session.save();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Licence information saved'
+    });
+
+  } catch (error) {
+    console.error('Submit vendor step 2 error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to save licence information',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Submit Payout Details (Step 3)
+ */
+exports.submitStep3 = async (req, res) => {
+  try {
+    const session = await findSession(req, res);
+    if (!session) return;
+
+    if (session.step < 2) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Complete previous steps first'
+      });
+    }
+
+    const {
+      bankName,
+      accountHolderName,
+      accountNumber,
+      routingNumber,
+      accountType,
+      currency
+    } = req.body;
+
+    if (!bankName || !accountHolderName || !accountNumber) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Missing required payout details'
+      });
+    }
+
+    if (!/^[0-9]{6,20}$/.test(String(accountNumber))) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Account number must be 6 to 20 digits'
+      });
+    }
+
+    if (accountType && !['checking', 'savings'].includes(accountType)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Invalid account type. Must be one of: checking, savings'
+      });
+    }
+
+    if (currency && !exchangeRates.isSupported(currency)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Unsupported payout currency'
+      });
+    }
+
+    session.step = 3;
+    session.data.step3 = {
+      bankName,
+      accountHolderName,
+      accountNumber: String(accountNumber),
+      routingNumber,
+      accountType,
+      currency: exchangeRates.walletCurrency(currency)
+    };
+    markCompleted(session, 3);
+    await session.save();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Payout details saved'
+    });
+
+  } catch (error) {
+    console.error('Submit vendor step 3 error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to save payout details',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Complete vendor registration (Step 4). The account stays pending until a
+ * super admin approves the application.
+ */
+exports.completeOnboarding = async (req, res) => {
+  try {
+    const session = await findSession(req, res);
+    if (!session) return;
+
+    if (session.step < 3) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Complete all previous steps first'
+      });
+    }
+
+    const {
+      username,
+      password,
+      confirmPassword,
+      termsAccepted,
+      privacyPolicyAccepted,
+      hipaaComplianceAccepted
+    } = req.body;
+
+    // Validate passwords
+    if (!password || !confirmPassword) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Password required'
+      });
+    }
+
+    if (password !== confirmPassword) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Passwords do not match'
+      });
+    }
+
+    // Validate password strength
+    const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/;
+    if (!passwordRegex.test(password)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Password must be at least 8 characters with uppercase, lowercase, number, and special character'
+      });
+    }
+
+    if (!termsAccepted || !privacyPolicyAccepted || !hipaaComplianceAccepted) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Must accept terms, privacy policy, and HIPAA compliance'
+      });
+    }
+
+    const { step1, step2, step3, documents } = session.data;
+    const acceptedAt = new Date();
+
+    // The account and its approval request are created together, so no vendor is left outside the queue
+    const { vendor, approval } = await ledger.runInSession(null, async (dbSession) => {
+      const [vendor] = await User.create([{
+        email: step1.businessEmail,
+        phone: step1.businessPhone,
+        password: password,  // Will be hashed by pre-save hook
+        userType: USER_TYPES.VENDOR,
+        username: username || step1.businessEmail.split('@')[0],
+
+        profile: {
+          firstName: step1.contact.firstName,
+          lastName: step1.contact.lastName,
+          dateOfBirth: step1.contact.dateOfBirth,
+          gender: step1.contact.gender,
+          address: step1.address,
+          nationalId: `VEND-${crypto.randomBytes(6).toString('hex').toUpperCase()}`  // Placeholder
+        },
+
+        // Business Information
+        businessInfo: {
+          name: step1.businessName,
+          type: step1.vendorType,
+          description: step1.description,
+          registrationNumber: step1.registrationNumber,
+          licenseNumber: step2.licenseNumber
+        },
+
+        verificationStatus: {
+          identity: {
+            verified: false,
+            documents: documents.map(({ type, url, uploadedAt }) => ({ type, url, uploadedAt }))
+          }
+        },
+
+        // Payout Details
+        bankAccount: {
+          bankName: step3.bankName,
+          accountHolderName: step3.accountHolderName,
+          accountNumber: step3.accountNumber,
+          routingNumber: step3.routingNumber,
+          accountType: step3.accountType
+        },
+        preferences: {
+          currency: step3.currency
+        },
+
+        // Compliance
+        termsAcceptedAt: acceptedAt,
+        privacyPolicyAcceptedAt: acceptedAt,
+        hipaaComplianceAcceptedAt: acceptedAt,
+
+        status: ACCOUNT_STATUS.PENDING // Pending admin approval
+      }], { session: dbSession });
+
+      const [approval] = await Approval.create([{
+        userId: vendor._id,
+        type: 'vendor',
+        details: {
+          businessName: step1.businessName,
+          vendorType: step1.vendorType,
+          registrationNumber: step1.registrationNumber,
+          description: step1.description,
+          address: step1.address,
+          contact: {
+            name: `${step1.contact.firstName} ${step1.contact.lastName}`,
+            position: step1.contact.position
+          },
+          license: {
+            number: step2.licenseNumber,
+            authority: step2.licenseAuthority,
+            expiry: step2.licenseExpiry
+          },
+          taxId: step2.taxId,
+          payout: {
+            bankName: step3.bankName,
+            accountHolderName: step3.accountHolderName,
+            accountNumberLast4: step3.accountNumber.slice(-4),
+            currency: step3.currency
+          },
+          referralCode: session.referralCode
+        },
+        documents: documents.map(({ name, type, url, uploadedAt }) => ({ name, type, url, uploadedAt })),
+        history: [{
+          action: 'SUBMITTED',
+          performedBy: vendor._id,
+          timestamp: acceptedAt,
+          notes: 'Submitted through vendor onboarding'
+        }]
+      }], { session: dbSession });
+
+      await VendorOnboardingSession.deleteOne({ _id: session._id }, { session: dbSession });
+
+      return { vendor, approval };
+    });
+
+    // Generate auth tokens
+    const accessToken = jwt.sign(
+      { userId: vendor._id, role: vendor.userType },
+      config.jwtSecret,
+      { expiresIn: config.jwtExpire }
+    );
+
+    const refreshToken = jwt.sign(
+      { userId: vendor._id },
+      config.refreshSecret,
+      { expiresIn: config.refreshExpire }
+    );
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: 'Vendor registration submitted for approval',
+      vendor: {
+        vendorId: vendor._id,
+        businessName: vendor.businessInfo.name,
+        vendorType: vendor.businessInfo.type,
+        email: vendor.email,
+        status: vendor.status,
+        approvalId: approval._id,
+        createdAt: vendor.createdAt
+      },
+      accessToken,
+      refreshToken,
+      redirectUrl: '/dashboard/vendor'
+    });
+
+  } catch (error) {
+    console.error('Complete vendor onboarding error:', error);
+    res.status(error.code === 11000 ? HTTP_STATUS.CONFLICT : HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: error.code === 11000 ? 'Email, phone or username already registered' : 'Failed to complete registration',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get onboarding session status
+ */
+exports.getOnboardingStatus = async (req, res) => {
+  try {
+    const session = await findSession(req, res, HTTP_STATUS.NOT_FOUND);
+    if (!session) return;
+
+    const { step1, step2, step3, documents } = session.toObject().data;
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      session: {
+        currentStep: session.step,
+        completedSteps: session.completedSteps,
+        temporaryVendorId: session.temporaryVendorId,
+        expiresAt: session.expiresAt,
+        data: {
+          step1: step1 || null,
+          step2: step2 || null,
+          // Only the last digits of the account number are shown back
+          step3: step3?.accountNumber ? { ...step3, accountNumber: `****${step3.accountNumber.slice(-4)}` } : null,
+          documents: documents || []
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get vendor onboarding status error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to get session status',
+      error: error.message
+    });
+  }
+};
+
+// ==================== Helper Functions ====================
+
+/**
+ * The unexpired onboarding session named by the bearer token. Responds and
+ * returns null when there is none.
+ * @param {Number} [missingStatus] - Status to respond with for an unknown or expired session
+ */
+async function findSession(req, res, missingStatus = HTTP_STATUS.UNAUTHORIZED) {
+  const sessionToken = req.headers.authorization?.replace('Bearer ', '');
+
+  if (!sessionToken) {
+    res.status(HTTP_STATUS.UNAUTHORIZED).json({
+      success: false,
+      message: 'Session token required'
+    });
+    return null;
+  }
+
+  const session = await VendorOnboardingSession.findOne({
+    token: sessionToken,
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!session) {
+    res.status(missingStatus).json({
+      success: false,
+      message: 'Invalid or expired session'
+    });
+    return null;
+  }
+
+  return session;
+}
+
+/**
+ * Record a step as completed once, however often it is resubmitted
+ */
+function markCompleted(session, step) {
+  if (!session.completedSteps.includes(step)) {
+    session.completedSteps.push(step);
+  }
+}
+
+module.exports = exports;
@@ -0,0 +1,270 @@
+const WaitlistEntry = require('../models/waitlistEntry.model');
+const User = require('../models/user.model');
+const appointmentPayment = require('../services/appointmentPayment.service');
+const slots = require('../services/slot.service');
+const waitlist = require('../services/waitlist.service');
+const { HTTP_STATUS } = require('../utils/constants');
+
+// Entries still in the queue
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+
+// ==================== Waitlist ====================
+
+/**
+ * Join a provider's waitlist for a service
+ * POST /api/waitlist
+ */
+exports.joinWaitlist = async (req, res) => {
+  try {
+    const { providerId, serviceId, reason, preferredWindows = [] } = req.body;
+
+    if (!providerId || !serviceId) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Provider and service are required'
+      });
+    }
+
+    const windows = parseWindows(preferredWindows);
+    if (!windows) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Each preferred window needs valid from and to dates, not in the past, and optional HH:mm startTime/endTime'
+      });
+    }
+
+    const provider = await User.findOne({ _id: providerId, userType: 'provider' })
+      .select('availability services preferences');
+
+    if (!provider) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Provider not found'
+      });
+    }
+
+    if (provider.availability?.isAcceptingNewPatients === false) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Provider is not accepting new patients'
+      });
+    }
+
+    const pricing = appointmentPayment.priceService(provider, serviceId);
+    if (!pricing) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Service not found or not priced'
+      });
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      patient: req.user._id,
+      provider: providerId,
+      'service.serviceId': serviceId,
+      status: { $in: ACTIVE_STATUSES }
+    });
+
+    if (existing) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: 'You are already on this waitlist',
+        data: existing
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      provider: providerId,
+      patient: req.user._id,
+      service: { serviceId, name: pricing.service.name },
+      reason,
+      preferredWindows: windows
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      data: {
+        ...entry.toObject(),
+        position: await queuePosition(entry)
+      },
+      message: 'Added to waitlist'
+    });
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to join waitlist',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get waitlist entries: a patient's own entries, or the entries on a provider's waitlist
+ * GET /api/waitlist
+ */
+exports.getWaitlist = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const query = req.user.userType === 'provider'
+      ? { provider: req.user._id }
+      : { patient: req.user._id };
+    query.status = status ? status : { $in: ACTIVE_STATUSES };
+
+    const entries = await WaitlistEntry.find(query)
+      .populate('patient', 'profile.firstName profile.lastName')
+      .populate('provider', 'profile.firstName profile.lastName specialization')
+      .sort({ createdAt: 1 });
+
+    const data = [];
+    for (const entry of entries) {
+      data.push({
+        ...entry.toObject(),
+        position: entry.status === 'waiting' ? await queuePosition(entry) : null
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to get waitlist',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Turn down the slot held for the patient; they keep their place in the queue
+ * and the slot is offered to the next patient
+ * POST /api/waitlist/:id/decline
+ */
+exports.declineOffer = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({ _id: req.params.id, patient: req.user._id });
+
+    if (!entry) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    const updated = await waitlist.releaseOffer(entry._id, 'declined');
+
+    if (!updated) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: 'No slot is currently held for this entry'
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: updated,
+      message: 'Offer declined'
+    });
+  } catch (error) {
+    console.error('Decline waitlist offer error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to decline offer',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Leave the waitlist. A slot held for the patient is offered to the next patient.
+ * DELETE /api/waitlist/:id
+ */
+exports.leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({
+      _id: req.params.id,
+      patient: req.user._id,
+      status: { $in: ACTIVE_STATUSES }
+    });
+
+    if (!entry) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    let updated = entry.status === 'offered'
+      ? await waitlist.releaseOffer(entry._id, 'declined', { status: 'cancelled' })
+      : null;
+
+    if (!updated) {
+      updated = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: 'waiting' },
+        { status: 'cancelled' },
+        { new: true }
+      );
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: updated,
+      message: 'Removed from waitlist'
+    });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to leave waitlist',
+      error: error.message
+    });
+  }
+};
+
+// ==================== Helper Functions ====================
+
+/**
+ * Validate preferred windows from the request
+ * @returns {Array|null} - Windows with parsed dates, or null if any is invalid
+ */
+function parseWindows(windows) {
+  if (!Array.isArray(windows)) return null;
+
+  const today = slots.parseDate(new Date());
+  const parsed = [];
+
+  for (const window of windows) {
+    const from = slots.parseDate(window?.from);
+    const to = slots.parseDate(window?.to || window?.from);
+
+    if (!from || !to || to < from || to < today) return null;
+    if (Boolean(window.startTime) !== Boolean(window.endTime)) return null;
+    if (window.startTime && (!slots.isValidTime(window.startTime) || !slots.isValidTime(window.endTime) ||
+      window.endTime <= window.startTime)) {
+      return null;
+    }
+
+    parsed.push({ from, to, startTime: window.startTime, endTime: window.endTime });
+  }
+
+  return parsed;
+}
+
+/**
+ * 1-based place in the provider's queue among waiting entries
+ */
+async function queuePosition(entry) {
+  const ahead = await WaitlistEntry.countDocuments({
+    provider: entry.provider._id || entry.provider,
+    status: 'waiting',
+    createdAt: { $lt: entry.createdAt }
+  });
+
+  return ahead + 1;
+}
+
+module.exports = exports;
@@ -1,11 +1,30 @@
 const Wallet = require('../models/wallet.model');
 const Transaction = require('../models/transaction.model');
+const User = require('../models/user.model');
+const Sponsorship = require('../models/sponsorship.model');
 const crypto = require('crypto');
+const ledger = require('../services/ledger.service');
+const walletLimits = require('../services/walletLimits.service');
+const stripe = require('../services/stripe.service');
+const exchangeRates = require('../services/exchangeRate.service');
+const statements = require('../services/statement.service');
+const { USER_TYPES } = require('../utils/constants');
+
+const ADMIN_TYPES = [USER_TYPES.ADMIN, USER_TYPES.SUPER_ADMIN];
+
+// Display details kept for each funding source type; cards and sponsors fill theirs in server-side
+const FUNDING_SOURCE_DETAILS = {
+  card: [],
+  bank: ['last4', 'bankName', 'accountName'],
+  mobile_money: ['last4', 'network', 'accountName'],
+  sponsor: []
+};
 
 // Get wallet balance
 exports.getBalance = async (req, res) => {
   try {
     const userId = req.user._id;
+    const currency = exchangeRates.walletCurrency(req.user.preferences?.currency);
 
     let personalWallet = await Wallet.findOne({
       owner: userId,
@@ -27,7 +46,7 @@ exports.getBalance = async (req, res) => {
           available: 0,
           pending: 0,
           reserved: 0,
-          currency: 'USD'
+          currency
         }
       });
     }
@@ -41,7 +60,7 @@ exports.getBalance = async (req, res) => {
           available: 0,
           pending: 0,
           reserved: 0,
-          currency: 'USD'
+          currency
         }
       });
     }
@@ -75,73 +94,1076 @@ exports.getBalance = async (req, res) => {
   }
 };
 
-// Add funds to wallet
+// Start a card deposit; funds stay pending until the Stripe webhook confirms payment
 exports.addFunds = async (req, res) => {
   try {
-    const { amount, walletType = 'personal', paymentMethod } = req.body;
+    const { amount, walletType = 'personal', paymentMethodId, fundingSourceId } = req.body;
     const userId = req.user._id;
+    const value = parseFloat(amount);
 
-    if (!amount || amount <= 0) {
+    if (!value || value <= 0) {
       return res.status(400).json({
         success: false,
         message: 'Invalid amount'
       });
     }
 
-    let wallet = await Wallet.findOne({
+    const wallet = await findOrCreateWallet(userId, walletType);
+
+    if (wallet.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Wallet is not active'
+      });
+    }
+
+    // Charge a saved card when one is named, or the default card when no new method was collected
+    let source = null;
+    if (fundingSourceId) {
+      source = wallet.fundingSources.id(fundingSourceId);
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          message: 'Funding source not found'
+        });
+      }
+    } else if (!paymentMethodId) {
+      source = wallet.fundingSources.find(existing => existing.isDefault && existing.processor === 'stripe') || null;
+    }
+
+    if (source && (source.type !== 'card' || source.processor !== 'stripe')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only saved cards can be used for deposits'
+      });
+    }
+
+    const paymentMethod = source ? source.token : paymentMethodId;
+    let intent = await stripe.createDepositIntent({
+      amount: value,
+      currency: wallet.balance.currency,
+      walletId: wallet.walletId,
+      userId,
+      paymentMethodId: paymentMethod,
+      customerId: source ? req.user.stripeCustomerId : undefined
+    });
+
+    // Record the pending deposit and the pending balance in one ledger transaction
+    const transaction = await ledger.runInSession(null, async (session) => {
+      const [deposit] = await Transaction.create([{
+        type: 'deposit',
+        category: 'wallet',
+        from: {
+          user: userId,
+          type: 'card'
+        },
+        to: {
+          wallet: wallet._id,
+          user: userId,
+          type: 'wallet'
+        },
+        amount: {
+          value,
+          currency: wallet.balance.currency
+        },
+        paymentMethod: {
+          type: 'card',
+          details: source ? {
+            brand: source.details?.brand,
+            last4: source.details?.last4
+          } : undefined
+        },
+        processor: {
+          name: 'stripe',
+          transactionId: intent.id,
+          responseCode: intent.status
+        },
+        status: 'pending',
+        description: 'Card deposit',
+        metadata: {
+          ip: req.ip,
+          userAgent: req.get('User-Agent')
+        }
+      }], { session });
+
+      await wallet.creditPending(value, deposit._id, { session });
+
+      return deposit;
+    });
+
+    // Confirm only once the deposit is recorded, so the webhook always finds it
+    if (paymentMethod) {
+      try {
+        intent = await stripe.confirmIntent(intent.id);
+      } catch (error) {
+        // Cancelling makes Stripe send payment_intent.canceled, which fails the pending deposit
+        await stripe.cancelIntent(intent.id).catch(cancelError =>
+          console.error(`Cancel payment intent ${intent.id} error:`, cancelError.message)
+        );
+
+        return res.status(402).json({
+          success: false,
+          message: 'Payment was declined',
+          error: error.message,
+          data: {
+            transactionId: transaction.transactionId,
+            paymentIntentId: intent.id
+          }
+        });
+      }
+    }
+
+    res.status(202).json({
+      success: true,
+      data: {
+        walletId: wallet.walletId,
+        transactionId: transaction.transactionId,
+        status: transaction.status,
+        paymentIntentId: intent.id,
+        clientSecret: intent.client_secret,
+        fundingSourceId: source ? source._id : undefined,
+        pendingBalance: wallet.balance.pending,
+        walletType: wallet.type,
+        currency: wallet.balance.currency
+      },
+      message: 'Deposit initiated. Funds become available once payment is confirmed'
+    });
+  } catch (error) {
+    console.error('Add funds error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to add funds',
+      error: error.message
+    });
+  }
+};
+
+// Set wallet PIN
+exports.setPin = async (req, res) => {
+  try {
+    const { pin, walletType = 'personal' } = req.body;
+    const userId = req.user._id;
+
+    const wallet = await findOrCreateWallet(userId, walletType, '+pin');
+
+    if (wallet.pin) {
+      return res.status(409).json({
+        success: false,
+        message: 'Wallet PIN already set. Use change PIN instead'
+      });
+    }
+
+    await wallet.setPin(pin);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        walletId: wallet.walletId,
+        walletType: wallet.type
+      },
+      message: 'Wallet PIN set successfully'
+    });
+  } catch (error) {
+    console.error('Set PIN error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to set wallet PIN',
+      error: error.message
+    });
+  }
+};
+
+// Change wallet PIN
+exports.changePin = async (req, res) => {
+  try {
+    const { currentPin, newPin, walletType = 'personal' } = req.body;
+    const userId = req.user._id;
+
+    const wallet = await Wallet.findOne({
       owner: userId,
       type: walletType
+    }).select('+pin');
+
+    if (!wallet || !wallet.pin) {
+      return res.status(404).json({
+        success: false,
+        message: 'No wallet PIN set'
+      });
+    }
+
+    const check = await wallet.verifyPin(currentPin);
+    if (!check.valid) {
+      return rejectPin(res, check);
+    }
+
+    await wallet.setPin(newPin);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        walletId: wallet.walletId,
+        walletType: wallet.type
+      },
+      message: 'Wallet PIN changed successfully'
     });
+  } catch (error) {
+    console.error('Change PIN error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to change wallet PIN',
+      error: error.message
+    });
+  }
+};
 
-    if (!wallet) {
-      wallet = await Wallet.create({
-        walletId: `WALLET-${crypto.randomBytes(8).toString('hex').toUpperCase()}`,
-        owner: userId,
-        type: walletType,
-        balance: {
-          available: 0,
-          pending: 0,
-          reserved: 0,
-          currency: 'USD'
+// Transfer funds to another user's wallet
+exports.transfer = async (req, res) => {
+  try {
+    const { recipient, amount, pin, description, walletType = 'personal' } = req.body;
+    const userId = req.user._id;
+    const value = parseFloat(amount);
+
+    if (!recipient) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recipient health card ID, email or wallet ID is required'
+      });
+    }
+
+    if (!value || value <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid amount'
+      });
+    }
+
+    const source = await Wallet.findOne({
+      owner: userId,
+      type: walletType
+    }).select('+pin');
+
+    if (!source || source.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        message: 'Active source wallet not found'
+      });
+    }
+
+    if (!source.pin) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a wallet PIN before making transfers'
+      });
+    }
+
+    const check = await source.verifyPin(pin);
+    if (!check.valid) {
+      return rejectPin(res, check);
+    }
+
+    const destination = await resolveRecipientWallet(recipient);
+
+    if (!destination || destination.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipient wallet not found'
+      });
+    }
+
+    if (destination._id.equals(source._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot transfer to the same wallet'
+      });
+    }
+
+    if (source.balance.available < value) {
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient balance'
+      });
+    }
+
+    const limitCheck = await source.checkSpendingLimits(value);
+    if (!limitCheck.valid) {
+      return res.status(400).json({
+        success: false,
+        message: limitCheck.reason,
+        usage: limitCheck.usage
+      });
+    }
+
+    // The recipient is credited in their wallet's currency at the current rate
+    const conversion = await exchangeRates.convert(value, source.balance.currency, destination.balance.currency);
+    const converted = conversion.originalCurrency !== conversion.currency;
+
+    const parties = {
+      from: { wallet: source._id, user: source.owner, type: 'wallet' },
+      to: { wallet: destination._id, user: destination.owner, type: 'wallet' },
+      paymentMethod: { type: 'wallet' },
+      metadata: {
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    };
+
+    // Debit and credit legs are committed together or not at all
+    const [outgoing, incoming] = await ledger.runInSession(null, async (session) => {
+      const [debitLeg, creditLeg] = await Transaction.create([
+        {
+          ...parties,
+          type: 'transfer',
+          category: 'wallet',
+          direction: 'outgoing',
+          amount: {
+            value,
+            currency: source.balance.currency,
+            exchangeRate: converted ? conversion.exchangeRate : undefined
+          },
+          status: 'completed',
+          completedAt: new Date(),
+          description: description || `Transfer to ${destination.walletId}`
+        },
+        {
+          ...parties,
+          type: 'transfer',
+          category: 'wallet',
+          direction: 'incoming',
+          amount: converted ? {
+            value: conversion.amount,
+            currency: conversion.currency,
+            exchangeRate: conversion.exchangeRate,
+            originalAmount: conversion.originalAmount,
+            originalCurrency: conversion.originalCurrency
+          } : { value, currency: source.balance.currency },
+          status: 'completed',
+          completedAt: new Date(),
+          description: description || `Transfer from ${source.walletId}`
         }
+      ], { session, ordered: true });
+
+      debitLeg.linkedTransaction = creditLeg._id;
+      creditLeg.linkedTransaction = debitLeg._id;
+      await debitLeg.save({ session });
+      await creditLeg.save({ session });
+
+      await source.debit(value, debitLeg._id, { session });
+      await destination.credit(conversion.amount, creditLeg._id, { session });
+
+      return [debitLeg, creditLeg];
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        transactionId: outgoing.transactionId,
+        linkedTransactionId: incoming.transactionId,
+        from: source.walletId,
+        to: destination.walletId,
+        amount: value,
+        currency: source.balance.currency,
+        credited: {
+          amount: conversion.amount,
+          currency: conversion.currency,
+          exchangeRate: converted ? conversion.exchangeRate : undefined
+        },
+        newBalance: source.balance.available
+      },
+      message: 'Transfer completed successfully'
+    });
+  } catch (error) {
+    console.error('Transfer error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to transfer funds',
+      error: error.message
+    });
+  }
+};
+
+// Get wallet spending limits and current usage
+exports.getLimits = async (req, res) => {
+  try {
+    const { walletType = 'personal', walletId } = req.query;
+
+    const wallet = await findAccessibleWallet(req.user, walletType, walletId);
+
+    if (!wallet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Wallet not found'
+      });
+    }
+
+    const summary = await walletLimits.summary(wallet);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        walletId: wallet.walletId,
+        walletType: wallet.type,
+        currency: wallet.balance.currency,
+        ...summary
+      }
+    });
+  } catch (error) {
+    console.error('Get limits error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to get wallet limits',
+      error: error.message
+    });
+  }
+};
+
+// Configure wallet spending limits
+exports.updateLimits = async (req, res) => {
+  try {
+    const { walletType = 'personal', walletId, daily, monthly, perTransaction } = req.body;
+    const isAdmin = ADMIN_TYPES.includes(req.user.userType);
+
+    const wallet = await findAccessibleWallet(req.user, walletType, walletId);
+
+    if (!wallet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Wallet not found'
       });
     }
 
-    // Update wallet balance
-    wallet.balance.available += parseFloat(amount);
+    // Sponsored wallet limits are set by the sponsor's terms, not the beneficiary
+    if (wallet.type === 'sponsored' && !isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Sponsored wallet limits can only be changed by an administrator'
+      });
+    }
+
+    const invalid = (value) => value !== undefined && value !== null && (typeof value !== 'number' || value < 0);
+    const values = [daily?.amount, daily?.transactions, monthly?.amount, monthly?.transactions, perTransaction];
+    if (values.some(invalid)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Limits must be non-negative numbers, or null to remove a limit'
+      });
+    }
+
+    // null removes a limit, undefined leaves it unchanged
+    const apply = (path, value) => {
+      if (value === undefined) return;
+      wallet.set(path, value === null ? undefined : value);
+    };
+    apply('limits.daily.amount', daily?.amount);
+    apply('limits.daily.transactions', daily?.transactions);
+    apply('limits.monthly.amount', monthly?.amount);
+    apply('limits.monthly.transactions', monthly?.transactions);
+    apply('limits.perTransaction', perTransaction);
+
     await wallet.save();
 
-    // Create transaction record
-    await Transaction.create({
-      transactionId: `TXN-${crypto.randomBytes(8).toString('hex').toUpperCase()}`,
-      user: userId,
-      wallet: wallet._id,
-      type: 'deposit',
-      amount: parseFloat(amount),
-      currency: wallet.balance.currency,
-      description: `Funds added via ${paymentMethod || 'payment'}`,
-      status: 'completed',
-      paymentMethod: {
-        type: paymentMethod || 'card'
+    const summary = await walletLimits.summary(wallet);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        walletId: wallet.walletId,
+        walletType: wallet.type,
+        currency: wallet.balance.currency,
+        ...summary
+      },
+      message: 'Wallet limits updated successfully'
+    });
+  } catch (error) {
+    console.error('Update limits error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update wallet limits',
+      error: error.message
+    });
+  }
+};
+
+// List funding sources
+exports.getFundingSources = async (req, res) => {
+  try {
+    const { walletType = 'personal' } = req.query;
+
+    const wallet = await findOrCreateWallet(req.user._id, walletType);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        walletId: wallet.walletId,
+        fundingSources: wallet.fundingSources.map(formatFundingSource)
+      }
+    });
+  } catch (error) {
+    console.error('Get funding sources error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to get funding sources',
+      error: error.message
+    });
+  }
+};
+
+// Add a tokenized funding source
+exports.addFundingSource = async (req, res) => {
+  try {
+    const { type = 'card', isDefault, walletType = 'personal' } = req.body;
+
+    if (containsRawPaymentData(req.body)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Raw card or account numbers are not accepted. Tokenize them with the payment processor first'
+      });
+    }
+
+    if (!FUNDING_SOURCE_DETAILS[type]) {
+      return res.status(400).json({
+        success: false,
+        message: `Funding source type must be one of ${Object.keys(FUNDING_SOURCE_DETAILS).join(', ')}`
+      });
+    }
+
+    const wallet = await findOrCreateWallet(req.user._id, walletType);
+    const source = await tokenizeFundingSource(type, req.body, req.user);
+
+    if (wallet.fundingSources.some(existing => existing.type === source.type && existing.token === source.token)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Funding source already added'
+      });
+    }
+
+    source.isDefault = false;
+    source.addedAt = new Date();
+
+    // The first source becomes the default
+    const makeDefault = isDefault === true || wallet.fundingSources.length === 0;
+    if (makeDefault) {
+      wallet.fundingSources.forEach(existing => { existing.isDefault = false; });
+      source.isDefault = true;
+    }
+
+    wallet.fundingSources.push(source);
+    await wallet.save();
+
+    const added = wallet.fundingSources[wallet.fundingSources.length - 1];
+
+    res.status(201).json({
+      success: true,
+      data: formatFundingSource(added),
+      message: 'Funding source added successfully'
+    });
+  } catch (error) {
+    console.error('Add funding source error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: 'Failed to add funding source',
+      error: error.message
+    });
+  }
+};
+
+// Update a funding source: a new processor token or display details for bank and
+// mobile money sources, and the default flag for any source
+exports.updateFundingSource = async (req, res) => {
+  try {
+    const { sourceId } = req.params;
+    const { walletType = 'personal', token, processor, details, isDefault } = req.body;
+
+    if (containsRawPaymentData(req.body)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Raw card or account numbers are not accepted. Tokenize them with the payment processor first'
+      });
+    }
+
+    const wallet = await Wallet.findOne({ owner: req.user._id, type: walletType });
+    const source = wallet && wallet.fundingSources.id(sourceId);
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Funding source not found'
+      });
+    }
+
+    const editable = FUNDING_SOURCE_DETAILS[source.type].length > 0;
+    if (!editable && (token || processor || details)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Card and sponsor details come from the processor; remove the source and add it again to replace it'
+      });
+    }
+
+    if (isDefault === false && source.isDefault) {
+      return res.status(400).json({
+        success: false,
+        message: 'Make another funding source the default instead'
+      });
+    }
+
+    if (token) {
+      if (wallet.fundingSources.some(existing => !existing._id.equals(source._id) &&
+        existing.type === source.type && existing.token === token)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Funding source already added'
+        });
       }
+      source.token = token;
+    }
+    if (processor) source.processor = processor;
+    if (details) {
+      Object.entries(fundingSourceDetails(source.type, details)).forEach(([field, value]) => {
+        source.set(`details.${field}`, value);
+      });
+    }
+
+    if (isDefault === true) {
+      wallet.fundingSources.forEach(existing => {
+        existing.isDefault = existing._id.equals(source._id);
+      });
+    }
+
+    await wallet.save();
+
+    res.status(200).json({
+      success: true,
+      data: formatFundingSource(source),
+      message: 'Funding source updated successfully'
     });
+  } catch (error) {
+    console.error('Update funding source error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: 'Failed to update funding source',
+      error: error.message
+    });
+  }
+};
+
+// Make a funding source the default
+exports.setDefaultFundingSource = async (req, res) => {
+  try {
+    const { sourceId } = req.params;
+    const { walletType = 'personal' } = req.body;
+
+    const wallet = await Wallet.findOne({ owner: req.user._id, type: walletType });
+    const source = wallet && wallet.fundingSources.id(sourceId);
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Funding source not found'
+      });
+    }
+
+    wallet.fundingSources.forEach(existing => {
+      existing.isDefault = existing._id.equals(source._id);
+    });
+    await wallet.save();
+
+    res.status(200).json({
+      success: true,
+      data: formatFundingSource(source),
+      message: 'Default funding source updated'
+    });
+  } catch (error) {
+    console.error('Set default funding source error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update default funding source',
+      error: error.message
+    });
+  }
+};
+
+// Remove a funding source
+exports.removeFundingSource = async (req, res) => {
+  try {
+    const { sourceId } = req.params;
+    const { walletType = 'personal' } = req.query;
+
+    const wallet = await Wallet.findOne({ owner: req.user._id, type: walletType });
+    const source = wallet && wallet.fundingSources.id(sourceId);
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Funding source not found'
+      });
+    }
+
+    if (source.processor === 'stripe' && source.token) {
+      await stripe.detachPaymentMethod(source.token);
+    }
+
+    const wasDefault = source.isDefault;
+    source.deleteOne();
+
+    // Promote the most recent remaining source
+    if (wasDefault && wallet.fundingSources.length > 0) {
+      wallet.fundingSources[wallet.fundingSources.length - 1].isDefault = true;
+    }
+
+    await wallet.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Funding source removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove funding source error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to remove funding source',
+      error: error.message
+    });
+  }
+};
+
+// Change the currency of an empty wallet
+exports.changeCurrency = async (req, res) => {
+  try {
+    const { currency, walletType = 'personal' } = req.body;
+
+    if (!exchangeRates.isSupported(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported currency'
+      });
+    }
+
+    const wallet = await findOrCreateWallet(req.user._id, walletType);
+    const { available, pending, reserved } = wallet.balance;
+
+    if (available !== 0 || pending !== 0 || reserved !== 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Wallet currency can only be changed while the wallet is empty'
+      });
+    }
+
+    wallet.balance.currency = currency.toUpperCase();
+    await wallet.save();
 
     res.status(200).json({
       success: true,
       data: {
         walletId: wallet.walletId,
-        newBalance: wallet.balance.available,
         walletType: wallet.type,
         currency: wallet.balance.currency
       },
-      message: 'Funds added successfully'
+      message: 'Wallet currency updated successfully'
     });
   } catch (error) {
-    console.error('Add funds error:', error);
+    console.error('Change wallet currency error:', error);
     res.status(400).json({
       success: false,
-      message: 'Failed to add funds',
+      message: 'Failed to change wallet currency',
+      error: error.message
+    });
+  }
+};
+
+// Export a wallet statement for a period
+exports.getStatement = async (req, res) => {
+  try {
+    const { walletType = 'personal', walletId, from, to, format = 'json' } = req.query;
+
+    if (!['json', 'csv', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be json, csv or pdf'
+      });
+    }
+
+    const period = statements.parsePeriod(from, to);
+    if (period.error) {
+      return res.status(400).json({
+        success: false,
+        message: period.error
+      });
+    }
+
+    const wallet = await findAccessibleWallet(req.user, walletType, walletId);
+
+    if (!wallet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Wallet not found'
+      });
+    }
+
+    const statement = await statements.build(wallet, period);
+    const filename = `statement-${wallet.walletId}-${period.from.toISOString().slice(0, 10)}-${period.to.toISOString().slice(0, 10)}`;
+
+    if (format === 'csv') {
+      res.set({
+        'Content-Type': 'text/csv',
+        'Content-Disposition': `attachment; filename="${filename}.csv"`
+      });
+      return res.status(200).send(statements.toCsv(statement));
+    }
+
+    if (format === 'pdf') {
+      const pdf = await statements.toPdf(statement);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}.pdf"`,
+        'Content-Length': pdf.length
+      });
+      return res.status(200).send(pdf);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    console.error('Get statement error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to generate statement',
+      error: error.message
+    });
+  }
+};
+
+// Verify a statement by rebuilding it for the wallet and period printed on it
+exports.verifyStatement = async (req, res) => {
+  try {
+    const { walletId, from, to, hash, signature } = req.body;
+
+    if (!walletId || !from || !to || !hash || !signature) {
+      return res.status(400).json({
+        success: false,
+        message: 'walletId, from, to, hash and signature are required'
+      });
+    }
+
+    const period = statements.parsePeriod(from, to);
+    if (period.error) {
+      return res.status(400).json({
+        success: false,
+        message: period.error
+      });
+    }
+
+    // Anyone shown a statement may check it; only the outcome is returned
+    const wallet = await Wallet.findOne({ walletId });
+    const result = wallet
+      ? await statements.verify(wallet, period, hash, signature)
+      : { valid: false, reason: 'Wallet not found' };
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Verify statement error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to verify statement',
       error: error.message
     });
   }
 };
+
+// ==================== Helper Functions ====================
+
+/**
+ * Wallet targeted by a limits or statement request: admins may address any wallet
+ * by walletId, everyone else only their own wallets
+ */
+async function findAccessibleWallet(user, walletType, walletId) {
+  if (walletId) {
+    const query = { walletId };
+    if (!ADMIN_TYPES.includes(user.userType)) {
+      query.owner = user._id;
+    }
+    return Wallet.findOne(query);
+  }
+
+  return findOrCreateWallet(user._id, walletType);
+}
+
+
+/**
+ * Get a user's wallet of the given type, creating it if missing
+ */
+async function findOrCreateWallet(userId, type, select) {
+  const query = Wallet.findOne({ owner: userId, type });
+  let wallet = await (select ? query.select(select) : query);
+
+  if (!wallet) {
+    const owner = await User.findById(userId).select('preferences.currency');
+
+    wallet = await Wallet.create({
+      walletId: `WALLET-${crypto.randomBytes(8).toString('hex').toUpperCase()}`,
+      owner: userId,
+      type,
+      balance: {
+        available: 0,
+        pending: 0,
+        reserved: 0,
+        currency: exchangeRates.walletCurrency(owner?.preferences?.currency)
+      }
+    });
+  }
+
+  return wallet;
+}
+
+/**
+ * Resolve a transfer recipient by wallet ID, health card ID or email
+ */
+async function resolveRecipientWallet(recipient) {
+  const wallet = await Wallet.findOne({ walletId: recipient });
+  if (wallet) return wallet;
+
+  const user = await User.findOne({
+    $or: [
+      { healthCardId: recipient },
+      { email: String(recipient).toLowerCase() }
+    ]
+  });
+
+  if (!user) return null;
+
+  return findOrCreateWallet(user._id, 'personal');
+}
+
+/**
+ * Respond to a failed PIN check
+ */
+function rejectPin(res, check) {
+  if (check.locked) {
+    return res.status(423).json({
+      success: false,
+      message: 'Wallet locked after too many failed PIN attempts',
+      lockedUntil: check.lockedUntil
+    });
+  }
+
+  return res.status(401).json({
+    success: false,
+    message: 'Invalid wallet PIN',
+    attemptsRemaining: check.attemptsRemaining
+  });
+}
+
+/**
+ * Public view of a funding source (the processor token stays server-side)
+ */
+function formatFundingSource(source) {
+  return {
+    id: source._id,
+    type: source.type,
+    processor: source.processor,
+    details: source.details,
+    isDefault: !!source.isDefault,
+    addedAt: source.addedAt
+  };
+}
+
+/**
+ * Build a funding source from a processor reference: cards are attached to the
+ * user's Stripe customer, bank and mobile money sources keep the token their
+ * processor issued, and sponsor sources point at a sponsorship of the user
+ * @returns {Object} - { type, processor, token, details }
+ */
+async function tokenizeFundingSource(type, body, user) {
+  if (type === 'card') {
+    if (!body.paymentMethodId) {
+      throw fundingSourceError('Card funding sources require a Stripe paymentMethodId');
+    }
+
+    const customerId = await stripe.ensureCustomer(user);
+    const paymentMethod = await stripe.attachPaymentMethod(body.paymentMethodId, customerId);
+
+    return {
+      type,
+      processor: 'stripe',
+      token: paymentMethod.id,
+      details: {
+        brand: paymentMethod.card?.brand,
+        last4: paymentMethod.card?.last4,
+        expMonth: paymentMethod.card?.exp_month,
+        expYear: paymentMethod.card?.exp_year
+      }
+    };
+  }
+
+  if (type === 'sponsor') {
+    if (!body.sponsorshipId) {
+      throw fundingSourceError('Sponsor funding sources require a sponsorshipId');
+    }
+
+    const sponsorship = await Sponsorship.findOne({
+      sponsorshipId: body.sponsorshipId,
+      beneficiary: user._id,
+      status: { $in: ['pending', 'active'] }
+    });
+    if (!sponsorship) {
+      throw fundingSourceError('Sponsorship not found', 404);
+    }
+
+    const sponsor = await User.findById(sponsorship.sponsor).select('profile.firstName profile.lastName');
+
+    return {
+      type,
+      processor: 'sponsorship',
+      token: sponsorship.sponsorshipId,
+      details: {
+        accountName: `${sponsor?.profile?.firstName || ''} ${sponsor?.profile?.lastName || ''}`.trim() || undefined
+      }
+    };
+  }
+
+  if (!body.token || !body.processor) {
+    throw fundingSourceError('Bank and mobile money funding sources require a processor and the token it issued');
+  }
+
+  return {
+    type,
+    processor: body.processor,
+    token: body.token,
+    details: fundingSourceDetails(type, body.details || {})
+  };
+}
+
+/**
+ * Display details a client may set for a funding source type
+ */
+function fundingSourceDetails(type, details) {
+  if (details.last4 !== undefined && !/^\d{4}$/.test(String(details.last4))) {
+    throw fundingSourceError('last4 must be the last four digits only');
+  }
+
+  return FUNDING_SOURCE_DETAILS[type].reduce((picked, field) => {
+    if (details[field] !== undefined) picked[field] = String(details[field]);
+    return picked;
+  }, {});
+}
+
+/**
+ * Error for a funding source request that cannot be saved
+ */
+function fundingSourceError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Detect card or account numbers sent instead of processor tokens
+ */
+function containsRawPaymentData(body) {
+  const rawFields = ['cardNumber', 'number', 'cvc', 'cvv', 'accountNumber', 'routingNumber', 'iban'];
+  const details = body.details || {};
+  return rawFields.some(field => body[field] !== undefined || details[field] !== undefined);
+}
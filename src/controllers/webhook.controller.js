@@ -0,0 +1,116 @@
+const Transaction = require('../models/transaction.model');
+const Wallet = require('../models/wallet.model');
+const ledger = require('../services/ledger.service');
+const stripe = require('../services/stripe.service');
+const { HTTP_STATUS } = require('../utils/constants');
+
+// ==================== Payment Processor Webhooks ====================
+
+/**
+ * Handle Stripe webhook events
+ * POST /api/webhooks/stripe
+ *
+ * Expects the raw request body so the signature can be verified. Deliveries are
+ * idempotent: a payment intent settles its deposit at most once, however many
+ * times Stripe retries the event.
+ */
+exports.handleStripe = async (req, res) => {
+  let event;
+
+  try {
+    event = stripe.constructEvent(req.body, req.get('stripe-signature'));
+  } catch (error) {
+    console.error('Stripe webhook signature error:', error.message);
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Webhook signature verification failed',
+      error: error.message
+    });
+  }
+
+  try {
+    const intent = event.data.object;
+    let result = 'ignored';
+
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        result = await settleDeposit(intent, 'completed');
+        break;
+      case 'payment_intent.payment_failed':
+      case 'payment_intent.canceled':
+        result = await settleDeposit(intent, 'failed');
+        break;
+      default:
+        break;
+    }
+
+    // A deposit intent without its transaction was not recorded yet (or failed to be);
+    // a non-2xx makes Stripe deliver the event again rather than drop it
+    if (result === 'unknown' && intent.metadata?.purpose === 'wallet_deposit') {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: `No deposit recorded for payment intent ${intent.id}`,
+        eventId: event.id
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      received: true,
+      eventId: event.id,
+      result
+    });
+  } catch (error) {
+    // A 5xx makes Stripe retry the delivery later
+    console.error('Stripe webhook processing error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to process webhook',
+      error: error.message
+    });
+  }
+};
+
+// ==================== Helper Functions ====================
+
+/**
+ * Move a pending deposit to available funds, or drop it on failure
+ * @returns {String} - completed | failed | duplicate | unknown
+ */
+async function settleDeposit(intent, outcome) {
+  return ledger.runInSession(null, async (session) => {
+    const transaction = await Transaction.findOne({
+      'processor.name': 'stripe',
+      'processor.transactionId': intent.id
+    }).session(session);
+
+    if (!transaction) {
+      console.warn(`Stripe webhook for unknown payment intent ${intent.id}`);
+      return 'unknown';
+    }
+
+    if (transaction.status !== 'pending') {
+      return 'duplicate';
+    }
+
+    const wallet = await Wallet.findById(transaction.to.wallet).session(session);
+    const amount = transaction.amount.value;
+
+    transaction.processor.responseCode = intent.status;
+
+    if (outcome === 'completed') {
+      await wallet.settlePending(amount, transaction._id, { session });
+      await transaction.updateStatus('completed', 'Payment confirmed by Stripe', { session });
+    } else {
+      const reason = intent.last_payment_error?.message || `Payment ${intent.status}`;
+      await wallet.cancelPending(amount, transaction._id, { session });
+      transaction.processor.responseMessage = reason;
+      transaction.failureReason = reason;
+      await transaction.updateStatus('failed', reason, { session });
+    }
+
+    return outcome;
+  });
+}
+
+module.exports = exports;
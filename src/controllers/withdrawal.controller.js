@@ -0,0 +1,331 @@
+const crypto = require('crypto');
+const Wallet = require('../models/wallet.model');
+const Transaction = require('../models/transaction.model');
+const Withdrawal = require('../models/withdrawal.model');
+const ledger = require('../services/ledger.service');
+const exchangeRates = require('../services/exchangeRate.service');
+const config = require('../config/config');
+const { HTTP_STATUS, WALLET_TYPES } = require('../utils/constants');
+
+// Wallet types that can be withdrawn from, keyed by owner user type
+const WITHDRAWABLE_WALLETS = {
+  provider: WALLET_TYPES.PROVIDER,
+  vendor: WALLET_TYPES.VENDOR
+};
+
+// ==================== Provider/Vendor Withdrawals ====================
+
+/**
+ * Configure where withdrawals are paid out to
+ * PUT /api/wallets/withdrawal-settings
+ */
+exports.updateSettings = async (req, res) => {
+  try {
+    const { method, details = {} } = req.body;
+
+    const wallet = await findWithdrawableWallet(req.user);
+
+    if (!wallet) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Provider or vendor wallet not found'
+      });
+    }
+
+    if (!['bank', 'mobile_money', 'card'].includes(method)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Withdrawal method must be bank, mobile_money or card'
+      });
+    }
+
+    if (method === 'bank' && (!details.accountNumber || !details.accountName)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Bank withdrawals require accountNumber and accountName'
+      });
+    }
+
+    if (method === 'mobile_money' && !details.mobileNumber) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Mobile money withdrawals require mobileNumber'
+      });
+    }
+
+    wallet.withdrawal.method = method;
+    wallet.withdrawal.details = {
+      bankName: details.bankName,
+      accountNumber: details.accountNumber,
+      accountName: details.accountName,
+      swiftCode: details.swiftCode,
+      iban: details.iban,
+      mobileNumber: details.mobileNumber
+    };
+    await wallet.save();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        walletId: wallet.walletId,
+        withdrawal: wallet.withdrawal
+      },
+      message: 'Withdrawal settings updated successfully'
+    });
+  } catch (error) {
+    console.error('Update withdrawal settings error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to update withdrawal settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Request a withdrawal; the amount is reserved until an admin approves or rejects it
+ * POST /api/wallets/withdrawals
+ */
+exports.requestWithdrawal = async (req, res) => {
+  try {
+    const amount = parseFloat(req.body.amount);
+
+    if (!amount || amount <= 0) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Invalid amount'
+      });
+    }
+
+    const wallet = await findWithdrawableWallet(req.user);
+
+    if (!wallet || wallet.status !== 'active') {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Active provider or vendor wallet not found'
+      });
+    }
+
+    if (!wallet.withdrawal?.method) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Configure withdrawal settings before requesting a withdrawal'
+      });
+    }
+
+    const minimumAmount = wallet.withdrawal.minimumAmount || config.minimumWithdrawalAmount;
+    if (amount < minimumAmount) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: `Minimum withdrawal amount is ${minimumAmount} ${wallet.balance.currency}`
+      });
+    }
+
+    if (wallet.balance.available < amount) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Insufficient balance'
+      });
+    }
+
+    const withdrawal = await ledger.runInSession(null, async (session) => {
+      const [transaction] = await Transaction.create([{
+        type: 'withdrawal',
+        category: 'wallet',
+        from: {
+          wallet: wallet._id,
+          user: wallet.owner,
+          type: 'wallet'
+        },
+        to: {
+          user: wallet.owner,
+          type: wallet.withdrawal.method
+        },
+        amount: {
+          value: amount,
+          currency: wallet.balance.currency
+        },
+        paymentMethod: {
+          type: wallet.withdrawal.method,
+          details: {
+            bankName: wallet.withdrawal.details?.bankName,
+            last4: (wallet.withdrawal.details?.accountNumber || wallet.withdrawal.details?.mobileNumber || '').slice(-4)
+          }
+        },
+        status: 'pending',
+        description: `Withdrawal to ${wallet.withdrawal.method}`
+      }], { session });
+
+      await wallet.reserve(amount, transaction._id, { session });
+
+      const [request] = await Withdrawal.create([{
+        wallet: wallet._id,
+        owner: wallet.owner,
+        transaction: transaction._id,
+        amount,
+        currency: wallet.balance.currency,
+        method: wallet.withdrawal.method,
+        destination: wallet.withdrawal.details,
+        statusHistory: [{
+          status: 'pending',
+          changedAt: new Date(),
+          changedBy: req.user._id
+        }]
+      }], { session });
+
+      return request;
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      data: withdrawal,
+      message: 'Withdrawal requested successfully'
+    });
+  } catch (error) {
+    console.error('Request withdrawal error:', error);
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Failed to request withdrawal',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get withdrawals requested by current user
+ * GET /api/wallets/withdrawals
+ */
+exports.getMyWithdrawals = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = { owner: req.user._id };
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const withdrawals = await Withdrawal.find(query)
+      .populate('transaction', 'transactionId status')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Withdrawal.countDocuments(query);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: withdrawals,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get withdrawals error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to fetch withdrawals',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Cancel a pending withdrawal and release the reserved funds
+ * POST /api/wallets/withdrawals/:id/cancel
+ */
+exports.cancelWithdrawal = async (req, res) => {
+  try {
+    const withdrawal = await exports.releaseWithdrawal(
+      { _id: req.params.id, owner: req.user._id, status: 'pending' },
+      'cancelled',
+      req.user._id,
+      'Cancelled by requester'
+    );
+
+    if (!withdrawal) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Pending withdrawal not found'
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: withdrawal,
+      message: 'Withdrawal cancelled successfully'
+    });
+  } catch (error) {
+    console.error('Cancel withdrawal error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to cancel withdrawal',
+      error: error.message
+    });
+  }
+};
+
+// ==================== Helper Functions ====================
+
+/**
+ * Return reserved funds to the wallet and close the withdrawal as cancelled,
+ * rejected or failed. The withdrawal is claimed with the given filter inside
+ * the same transaction, so a concurrent approval cannot also settle it.
+ * Shared with the admin controller.
+ * @returns {Object|null} - Updated withdrawal, or null if none matched the filter
+ */
+exports.releaseWithdrawal = async (filter, status, changedBy, notes) => {
+  return ledger.runInSession(null, async (session) => {
+    const withdrawal = await Withdrawal.findOneAndUpdate(
+      filter,
+      { status },
+      { new: true, session }
+    );
+    if (!withdrawal) return null;
+
+    const wallet = await Wallet.findById(withdrawal.wallet).session(session);
+    const transaction = await Transaction.findById(withdrawal.transaction).session(session);
+
+    await wallet.releaseReserved(withdrawal.amount, transaction._id, { session });
+
+    if (status === 'failed') {
+      transaction.failureReason = notes;
+    }
+    await transaction.updateStatus(status === 'failed' ? 'failed' : 'cancelled', notes, { session });
+
+    withdrawal.updateStatus(status, changedBy, notes);
+    await withdrawal.save({ session });
+
+    return withdrawal;
+  });
+};
+
+/**
+ * The provider or vendor wallet belonging to a user, created on first use
+ */
+async function findWithdrawableWallet(user) {
+  const type = WITHDRAWABLE_WALLETS[user.userType];
+  if (!type) return null;
+
+  let wallet = await Wallet.findOne({ owner: user._id, type });
+
+  if (!wallet) {
+    wallet = await Wallet.create({
+      walletId: `WALLET-${crypto.randomBytes(8).toString('hex').toUpperCase()}`,
+      owner: user._id,
+      type,
+      balance: {
+        available: 0,
+        pending: 0,
+        reserved: 0,
+        currency: exchangeRates.walletCurrency(user.preferences?.currency)
+      }
+    });
+  }
+
+  return wallet;
+}
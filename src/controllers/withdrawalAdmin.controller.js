@@ -0,0 +1,395 @@
+const Wallet = require('../models/wallet.model');
+const Transaction = require('../models/transaction.model');
+const Withdrawal = require('../models/withdrawal.model');
+const User = require('../models/user.model');
+const ledger = require('../services/ledger.service');
+const payout = require('../services/payout.service');
+const { releaseWithdrawal } = require('./withdrawal.controller');
+const { HTTP_STATUS } = require('../utils/constants');
+
+// Attempts to close a withdrawal whose payout has been sent before it is flagged for review
+const SETTLE_ATTEMPTS = 3;
+
+// ==================== Super Admin Withdrawal Management ====================
+
+/**
+ * Get all withdrawals with filters
+ * GET /api/super-admin/withdrawals
+ */
+exports.getAllWithdrawals = async (req, res) => {
+  try {
+    const { status = 'pending', method, reviewRequired, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (method) query.method = method;
+    if (reviewRequired === 'true') query['payout.reviewRequired'] = true;
+
+    const skip = (page - 1) * limit;
+
+    const withdrawals = await Withdrawal.find(query)
+      .populate('owner', 'profile.firstName profile.lastName email userType')
+      .populate('wallet', 'walletId type balance')
+      .populate('reviewedBy', 'profile.firstName profile.lastName')
+      .sort({ requestedAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Withdrawal.countDocuments(query);
+
+    const summary = await Withdrawal.aggregate([
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          totalAmount: { $sum: '$amount' }
+        }
+      }
+    ]);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: withdrawals,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      summary
+    });
+  } catch (error) {
+    console.error('Get all withdrawals error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to fetch withdrawals',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Approve a withdrawal and pay it out through the payout adapter
+ * POST /api/super-admin/withdrawals/:id/approve
+ */
+exports.approveWithdrawal = async (req, res) => {
+  try {
+    const { notes } = req.body;
+
+    // Claim the request so it cannot be approved or cancelled twice
+    const withdrawal = await Withdrawal.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      {
+        status: 'processing',
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+        reviewNotes: notes,
+        $push: {
+          statusHistory: {
+            status: 'processing',
+            changedAt: new Date(),
+            changedBy: req.user._id,
+            notes
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!withdrawal) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Pending withdrawal not found'
+      });
+    }
+
+    const result = await payout.send(withdrawal);
+
+    // The money may or may not have gone out: keep the funds reserved until someone checks
+    if (result.unknown) {
+      const held = await flagForReview(withdrawal._id, result, `Payout outcome unknown: ${result.message}`);
+
+      return res.status(HTTP_STATUS.ACCEPTED).json({
+        success: false,
+        data: held,
+        message: 'Payout outcome unknown; withdrawal held for review'
+      });
+    }
+
+    if (!result.success) {
+      const failed = await releaseWithdrawal(
+        { _id: withdrawal._id, status: 'processing' },
+        'failed',
+        req.user._id,
+        result.message || 'Payout failed'
+      );
+      failed.payout = {
+        adapter: result.adapter,
+        responseCode: result.responseCode,
+        failureReason: result.message || 'Payout failed'
+      };
+      await failed.save();
+
+      return res.status(HTTP_STATUS.OK).json({
+        success: false,
+        data: failed,
+        message: 'Payout failed; reserved funds returned to the wallet'
+      });
+    }
+
+    // Record the payout before settling so it can be reconciled if settlement fails
+    await Withdrawal.updateOne(
+      { _id: withdrawal._id },
+      {
+        $set: {
+          'payout.adapter': result.adapter,
+          'payout.reference': result.reference,
+          'payout.responseCode': result.responseCode,
+          'payout.sentAt': new Date()
+        }
+      }
+    );
+
+    let processed;
+    try {
+      processed = await settleWithRetries(withdrawal._id, result, req.user._id);
+    } catch (error) {
+      console.error('Settle withdrawal error:', error);
+      const held = await flagForReview(withdrawal._id, result, `Payout sent but settlement failed: ${error.message}`);
+
+      return res.status(HTTP_STATUS.ACCEPTED).json({
+        success: false,
+        data: held,
+        message: 'Payout sent but the withdrawal could not be settled; flagged for reconciliation'
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: processed,
+      message: 'Withdrawal processed successfully'
+    });
+  } catch (error) {
+    console.error('Approve withdrawal error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to approve withdrawal',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Resolve a withdrawal held for review once the payout outcome is known
+ * POST /api/super-admin/withdrawals/:id/resolve
+ */
+exports.resolveWithdrawal = async (req, res) => {
+  try {
+    const { outcome, reference, notes } = req.body;
+
+    if (!['sent', 'failed'].includes(outcome)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Outcome must be sent or failed'
+      });
+    }
+
+    const withdrawal = await Withdrawal.findOne({
+      _id: req.params.id,
+      status: 'processing',
+      'payout.reviewRequired': true
+    });
+
+    if (!withdrawal) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Withdrawal awaiting review not found'
+      });
+    }
+
+    if (outcome === 'failed') {
+      const failed = await releaseWithdrawal(
+        { _id: withdrawal._id, status: 'processing' },
+        'failed',
+        req.user._id,
+        notes || 'Payout did not go out'
+      );
+      failed.payout.reviewRequired = false;
+      failed.payout.failureReason = notes || 'Payout did not go out';
+      await failed.save();
+
+      return res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: failed,
+        message: 'Withdrawal failed; reserved funds returned to the wallet'
+      });
+    }
+
+    const payoutReference = reference || withdrawal.payout.reference;
+    if (!payoutReference) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Payout reference is required'
+      });
+    }
+
+    const processed = await settleWithdrawal(withdrawal._id, {
+      adapter: withdrawal.payout.adapter,
+      reference: payoutReference,
+      responseCode: withdrawal.payout.responseCode,
+      message: notes
+    }, req.user._id);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: processed,
+      message: 'Withdrawal processed successfully'
+    });
+  } catch (error) {
+    console.error('Resolve withdrawal error:', error);
+    res.status(error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to resolve withdrawal',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reject a withdrawal and release the reserved funds
+ * POST /api/super-admin/withdrawals/:id/reject
+ */
+exports.rejectWithdrawal = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Rejection reason is required'
+      });
+    }
+
+    const withdrawal = await releaseWithdrawal(
+      { _id: req.params.id, status: 'pending' },
+      'rejected',
+      req.user._id,
+      reason
+    );
+
+    if (!withdrawal) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Pending withdrawal not found'
+      });
+    }
+
+    withdrawal.reviewedBy = req.user._id;
+    withdrawal.reviewedAt = new Date();
+    withdrawal.reviewNotes = reason;
+    await withdrawal.save();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: withdrawal,
+      message: 'Withdrawal rejected successfully'
+    });
+  } catch (error) {
+    console.error('Reject withdrawal error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to reject withdrawal',
+      error: error.message
+    });
+  }
+};
+
+// ==================== Helper Functions ====================
+
+/**
+ * Move the reserved funds out of the wallet after a successful payout.
+ * Reads everything inside the transaction, so it is safe to run again.
+ */
+async function settleWithdrawal(withdrawalId, result, adminId) {
+  return ledger.runInSession(null, async (session) => {
+    const withdrawal = await Withdrawal.findOne({ _id: withdrawalId, status: 'processing' }).session(session);
+    if (!withdrawal) {
+      const error = new Error('Withdrawal is no longer processing');
+      error.statusCode = HTTP_STATUS.CONFLICT;
+      throw error;
+    }
+
+    const wallet = await Wallet.findById(withdrawal.wallet).session(session);
+    const transaction = await Transaction.findById(withdrawal.transaction).session(session);
+
+    await wallet.confirmReserved(withdrawal.amount, transaction._id, {
+      session,
+      statistic: 'totalWithdrawn'
+    });
+    wallet.withdrawal.lastWithdrawal = new Date();
+    await wallet.save({ session });
+
+    transaction.processor = {
+      name: result.adapter,
+      transactionId: result.reference,
+      responseCode: result.responseCode,
+      responseMessage: result.message
+    };
+    await transaction.updateStatus('completed', 'Payout sent', { session });
+
+    await User.updateOne(
+      { _id: withdrawal.owner },
+      { $inc: { 'earnings.paidOut': withdrawal.amount } },
+      { session }
+    );
+
+    withdrawal.payout = {
+      adapter: result.adapter,
+      reference: result.reference,
+      responseCode: result.responseCode,
+      sentAt: withdrawal.payout?.sentAt,
+      processedAt: new Date(),
+      reviewRequired: false
+    };
+    withdrawal.updateStatus('processed', adminId, `Payout reference ${result.reference}`);
+    await withdrawal.save({ session });
+
+    return withdrawal;
+  });
+}
+
+/**
+ * Settle a sent payout, retrying failures that are not a changed withdrawal status
+ */
+async function settleWithRetries(withdrawalId, result, adminId) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await settleWithdrawal(withdrawalId, result, adminId);
+    } catch (error) {
+      if (attempt >= SETTLE_ATTEMPTS || error.statusCode) throw error;
+    }
+  }
+}
+
+/**
+ * Leave a withdrawal processing with its funds reserved and flag it for an admin
+ */
+async function flagForReview(withdrawalId, result, reason) {
+  return Withdrawal.findOneAndUpdate(
+    { _id: withdrawalId, status: 'processing' },
+    {
+      $set: {
+        'payout.adapter': result.adapter,
+        'payout.responseCode': result.responseCode,
+        'payout.reviewRequired': true,
+        'payout.reviewReason': reason
+      },
+      $push: {
+        statusHistory: { status: 'processing', changedAt: new Date(), notes: reason }
+      }
+    },
+    { new: true }
+  );
+}
+
+module.exports = exports;
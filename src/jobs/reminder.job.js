@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const connectDB = require('../config/database');
+const reminders = require('../services/reminder.service');
+const messaging = require('../services/messaging.service');
+
+let timer = null;
+let running = false;
+
+/**
+ * Send appointment reminders that are due.
+ * Overlapping runs are skipped; each reminder is also claimed atomically.
+ * @returns {Object|null} - Result of reminders.runDue(), or null if a run was in progress or failed
+ */
+async function run() {
+  if (running) return null;
+  running = true;
+
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      await connectDB();
+    }
+    const result = await reminders.runDue();
+
+    if (result.sent > 0 || result.failed > 0 || result.skipped > 0) {
+      console.log(`Reminder job: ${result.sent} sent, ${result.failed} failed, ${result.skipped} skipped`);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('Reminder job error:', error.message);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Run the reminder job on an interval (long-running servers only; serverless
+ * deployments run scripts/sendReminders.js from a scheduler instead)
+ */
+function start(intervalMinutes = config.reminderIntervalMinutes) {
+  if (timer) return;
+
+  // Refuse to start rather than mark every reminder sent without delivering it
+  messaging.assertConfigured();
+
+  timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { run, start, stop };
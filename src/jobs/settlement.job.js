@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const connectDB = require('../config/database');
+const settlement = require('../services/settlement.service');
+
+let timer = null;
+let running = false;
+
+/**
+ * Settle provider earnings whose hold period has passed.
+ * Overlapping runs are skipped; each payment is also claimed atomically.
+ * @returns {Object|null} - Result of settlement.runDue(), or null if a run was in progress or failed
+ */
+async function run() {
+  if (running) return null;
+  running = true;
+
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      await connectDB();
+    }
+    const result = await settlement.runDue();
+
+    if (result.settled.length > 0 || result.failed.length > 0) {
+      console.log(`Settlement job: ${result.settled.length} settled, ${result.failed.length} failed`);
+    }
+    result.failed.forEach(({ transactionId, error }) => {
+      console.error(`Settlement of ${transactionId} failed:`, error);
+    });
+
+    return result;
+  } catch (error) {
+    console.error('Settlement job error:', error.message);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Run the settlement job on an interval (long-running servers only; serverless
+ * deployments run scripts/settleEarnings.js from a scheduler instead)
+ */
+function start(intervalMinutes = config.settlementIntervalMinutes) {
+  if (timer) return;
+
+  timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { run, start, stop };
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const connectDB = require('../config/database');
+const waitlist = require('../services/waitlist.service');
+
+let timer = null;
+let running = false;
+
+/**
+ * Offer slots whose waitlist hold has expired to the next patient, and close
+ * waitlist entries whose preferred dates have passed.
+ * Overlapping runs are skipped; each hold is also released atomically.
+ * @returns {Object|null} - Result of waitlist.runDue(), or null if a run was in progress or failed
+ */
+async function run() {
+  if (running) return null;
+  running = true;
+
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      await connectDB();
+    }
+    const result = await waitlist.runDue();
+
+    if (result.released.length > 0 || result.expired > 0) {
+      console.log(`Waitlist job: ${result.released.length} hold(s) passed on, ${result.expired} entr(ies) expired`);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('Waitlist job error:', error.message);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Run the waitlist job on an interval (long-running servers only; serverless
+ * deployments run scripts/expireWaitlistHolds.js from a scheduler instead)
+ */
+function start(intervalMinutes = config.waitlistIntervalMinutes) {
+  if (timer) return;
+
+  timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { run, start, stop };
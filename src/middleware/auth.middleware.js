@@ -1,9 +1,46 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/user.model');
 const config = require('../config/config');
-const { HTTP_STATUS, ERROR_MESSAGES, USER_TYPES } = require('../utils/constants');
+const { HTTP_STATUS, ERROR_MESSAGES, USER_TYPES, ACCOUNT_STATUS } = require('../utils/constants');
 const asyncHandler = require('../utils/asyncHandler');
 
+/**
+ * Resolve the user an access token belongs to. Shared by the HTTP middleware
+ * and socket connections.
+ * @param {String} token - JWT access token
+ * @returns {Object} - User document
+ * @throws {Error} - With isAuthError set and the message to return to the client
+ */
+const verifyAccessToken = async (token) => {
+  const authError = (message) => Object.assign(new Error(message), { isAuthError: true });
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.jwtSecret);
+  } catch (error) {
+    throw authError('Invalid token');
+  }
+
+  // Get user from token
+  const user = await User.findById(decoded.userId);
+
+  if (!user) {
+    throw authError('User not found');
+  }
+
+  // Check if user account is active or pending (allow pending users to access basic features)
+  if (user.status === 'suspended' || user.status === 'deleted') {
+    throw authError('Account is suspended or deleted');
+  }
+
+  // Check if password was changed after token was issued
+  if (user.passwordChangedAt && decoded.iat < parseInt(user.passwordChangedAt / 1000, 10)) {
+    throw authError('Password recently changed. Please log in again');
+  }
+
+  return user;
+};
+
 /**
  * Authentication middleware - verify JWT token
  */
@@ -23,42 +60,13 @@ const authenticate = asyncHandler(async (req, res, next) => {
   }
   
   try {
-    // Verify token
-    const decoded = jwt.verify(token, config.jwtSecret);
-    
-    // Get user from token
-    const user = await User.findById(decoded.userId);
-    
-    if (!user) {
-      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
-    
-    // Check if user account is active or pending (allow pending users to access basic features)
-    if (user.status === 'suspended' || user.status === 'deleted') {
-      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
-        success: false,
-        error: 'Account is suspended or deleted'
-      });
-    }
-    
-    // Check if password was changed after token was issued
-    if (user.passwordChangedAt && decoded.iat < parseInt(user.passwordChangedAt / 1000, 10)) {
-      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
-        success: false,
-        error: 'Password recently changed. Please log in again'
-      });
-    }
-    
     // Add user to request object
-    req.user = user;
+    req.user = await verifyAccessToken(token);
     next();
   } catch (error) {
     return res.status(HTTP_STATUS.UNAUTHORIZED).json({
       success: false,
-      error: 'Invalid token'
+      error: error.isAuthError ? error.message : 'Invalid token'
     });
   }
 });
@@ -165,6 +173,27 @@ const requireProviderVerification = asyncHandler(async (req, res, next) => {
   next();
 });
 
+/**
+ * Require a vendor whose account has been approved (active and identity verified)
+ */
+const requireApprovedVendor = (req, res, next) => {
+  if (req.user.userType !== USER_TYPES.VENDOR) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      success: false,
+      error: 'Vendor access required'
+    });
+  }
+
+  if (req.user.status !== ACCOUNT_STATUS.ACTIVE || !req.user.verificationStatus?.identity?.verified) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      success: false,
+      error: 'Vendor approval required'
+    });
+  }
+
+  next();
+};
+
 /**
  * Optional authentication - doesn't fail if no token provided
  */
@@ -249,11 +278,13 @@ const logActivity = asyncHandler(async (req, res, next) => {
 
 module.exports = {
   authenticate,
+  verifyAccessToken,
   authorize,
   authorizeOwnership,
   requireEmailVerification,
   requireIdentityVerification,
   requireProviderVerification,
+  requireApprovedVendor,
   optionalAuth,
   authRateLimit,
   hasPermission,
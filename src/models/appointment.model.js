@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const { APPOINTMENT_STATUS } = require('../utils/constants');
+const { APPOINTMENT_STATUS, APPOINTMENT_TRANSITIONS } = require('../utils/constants');
 
 const appointmentSchema = new mongoose.Schema({
   // Reference Information
@@ -10,14 +10,20 @@ const appointmentSchema = new mongoose.Schema({
   },
   patient: {
     type: mongoose.Schema.ObjectId,
-    ref: 'Patient',
+    ref: 'User',
     required: true
   },
   provider: {
     type: mongoose.Schema.ObjectId,
-    ref: 'Provider',
+    ref: 'User',
     required: true
   },
+  // Recurring series this appointment is an occurrence of
+  series: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'AppointmentSeries'
+  },
+  seriesIndex: Number,
   
   // Appointment Details
   type: {
@@ -119,9 +125,18 @@ const appointmentSchema = new mongoose.Schema({
       amountCovered: Number
     },
     insurance: {
+      enrollment: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'HMOEnrollment'
+      },
       provider: String,
       policyNumber: String,
       amountCovered: Number,
+      // Claim filed for the covered amount when the appointment is completed
+      claim: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'HMOClaim'
+      },
       claimStatus: String
     },
     status: {
@@ -129,7 +144,14 @@ const appointmentSchema = new mongoose.Schema({
       enum: ['pending', 'partial', 'completed', 'failed', 'refunded'],
       default: 'pending'
     },
-    transactionId: String
+    transactionId: String,
+    // Wallet payments reserved at booking, one per paying wallet
+    transactions: [{
+      type: mongoose.Schema.ObjectId,
+      ref: 'Transaction'
+    }],
+    refundedAmount: Number,
+    refundedAt: Date
   },
   
   // Pre-Appointment
@@ -196,6 +218,17 @@ const appointmentSchema = new mongoose.Schema({
       enum: ['sms', 'email', 'push', 'call']
     },
     scheduledFor: Date,
+    // Hours before the appointment the reminder was scheduled for
+    offsetHours: Number,
+    status: {
+      type: String,
+      enum: ['pending', 'sending', 'sent', 'failed', 'skipped'],
+      default: 'pending'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
     sent: Boolean,
     sentAt: Date,
     response: String
@@ -211,6 +244,21 @@ const appointmentSchema = new mongoose.Schema({
     reason: String,
     fee: Number
   },
+  // Set when the provider closes the appointment's time; cleared once it is moved
+  scheduleConflict: {
+    exception: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'ScheduleException'
+    },
+    reason: String,
+    flaggedAt: Date,
+    suggestedSlots: [{
+      _id: false,
+      date: String,
+      startTime: String,
+      endTime: String
+    }]
+  },
   rescheduling: {
     rescheduledFrom: Date,
     rescheduledBy: {
@@ -260,6 +308,8 @@ appointmentSchema.index({ patient: 1, scheduledDate: -1 });
 appointmentSchema.index({ provider: 1, scheduledDate: -1 });
 appointmentSchema.index({ status: 1 });
 appointmentSchema.index({ scheduledDate: 1, 'scheduledTime.startTime': 1 });
+appointmentSchema.index({ series: 1, seriesIndex: 1 });
+appointmentSchema.index({ 'reminders.status': 1, 'reminders.scheduledFor': 1 });
 
 // Virtual for appointment duration
 appointmentSchema.virtual('totalDuration').get(function() {
@@ -269,13 +319,39 @@ appointmentSchema.virtual('totalDuration').get(function() {
   return this.scheduledTime.duration || 30; // default 30 minutes
 });
 
+// Virtual for the scheduled start as a single date (scheduledDate is the calendar day at midnight UTC)
+appointmentSchema.virtual('startsAt').get(function() {
+  if (!this.scheduledDate) return null;
+  
+  const startsAt = new Date(this.scheduledDate);
+  const [hours, minutes] = (this.scheduledTime?.startTime || '00:00').split(':').map(Number);
+  startsAt.setUTCHours(hours || 0, minutes || 0, 0, 0);
+  return startsAt;
+});
+
 // Virtual for confirmation status
 appointmentSchema.virtual('isFullyConfirmed').get(function() {
   return this.confirmationStatus.patient.confirmed && this.confirmationStatus.provider.confirmed;
 });
 
 // Methods
-appointmentSchema.methods.confirm = function(userType) {
+// Status changes go through the APPOINTMENT_TRANSITIONS state machine; an illegal
+// change throws an error with statusCode 409.
+appointmentSchema.methods.canTransitionTo = function(status) {
+  return (APPOINTMENT_TRANSITIONS[this.status] || []).includes(status);
+};
+
+appointmentSchema.methods.assertTransition = function(status) {
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(`Cannot change appointment from ${this.status} to ${status}`);
+    error.statusCode = 409;
+    throw error;
+  }
+};
+
+appointmentSchema.methods.confirm = function(userType, options = {}) {
+  this.assertTransition(APPOINTMENT_STATUS.CONFIRMED);
+  
   if (userType === 'patient') {
     this.confirmationStatus.patient.confirmed = true;
     this.confirmationStatus.patient.confirmedAt = new Date();
@@ -288,10 +364,12 @@ appointmentSchema.methods.confirm = function(userType) {
     this.status = APPOINTMENT_STATUS.CONFIRMED;
   }
   
-  return this.save();
+  return this.save({ session: options.session });
 };
 
-appointmentSchema.methods.cancel = function(cancelledBy, reason, fee = 0) {
+appointmentSchema.methods.cancel = function(cancelledBy, reason, fee = 0, options = {}) {
+  this.assertTransition(APPOINTMENT_STATUS.CANCELLED);
+  
   this.status = APPOINTMENT_STATUS.CANCELLED;
   this.cancellation = {
     cancelledBy,
@@ -300,10 +378,12 @@ appointmentSchema.methods.cancel = function(cancelledBy, reason, fee = 0) {
     fee
   };
   
-  return this.save();
+  return this.save({ session: options.session });
 };
 
-appointmentSchema.methods.reschedule = function(newDate, newTime, rescheduledBy, reason) {
+appointmentSchema.methods.reschedule = function(newDate, newTime, rescheduledBy, reason, options = {}) {
+  this.assertTransition(APPOINTMENT_STATUS.RESCHEDULED);
+  
   this.rescheduling = {
     rescheduledFrom: this.scheduledDate,
     rescheduledBy,
@@ -314,17 +394,28 @@ appointmentSchema.methods.reschedule = function(newDate, newTime, rescheduledBy,
   this.scheduledDate = newDate;
   this.scheduledTime = newTime;
   this.status = APPOINTMENT_STATUS.RESCHEDULED;
+  this.scheduleConflict = undefined;
   
-  return this.save();
+  // Both parties confirm the new time again
+  this.confirmationStatus = {
+    patient: { confirmed: false },
+    provider: { confirmed: false }
+  };
+  
+  return this.save({ session: options.session });
 };
 
-appointmentSchema.methods.startConsultation = function() {
+appointmentSchema.methods.startConsultation = function(options = {}) {
+  this.assertTransition(APPOINTMENT_STATUS.IN_PROGRESS);
+  
   this.status = APPOINTMENT_STATUS.IN_PROGRESS;
   this.consultation.startTime = new Date();
-  return this.save();
+  return this.save({ session: options.session });
 };
 
-appointmentSchema.methods.completeConsultation = function(consultationData) {
+appointmentSchema.methods.completeConsultation = function(consultationData, options = {}) {
+  this.assertTransition(APPOINTMENT_STATUS.COMPLETED);
+  
   this.status = APPOINTMENT_STATUS.COMPLETED;
   this.consultation.endTime = new Date();
   
@@ -332,7 +423,14 @@ appointmentSchema.methods.completeConsultation = function(consultationData) {
     Object.assign(this.consultation, consultationData);
   }
   
-  return this.save();
+  return this.save({ session: options.session });
+};
+
+appointmentSchema.methods.markNoShow = function(options = {}) {
+  this.assertTransition(APPOINTMENT_STATUS.NO_SHOW);
+  
+  this.status = APPOINTMENT_STATUS.NO_SHOW;
+  return this.save({ session: options.session });
 };
 
 appointmentSchema.methods.addPrescription = function(prescriptionData) {
@@ -362,8 +460,8 @@ appointmentSchema.methods.provideFeedback = function(userType, feedbackData) {
   return this.save();
 };
 
-// Generate appointment ID
-appointmentSchema.pre('save', async function(next) {
+// Generate appointment ID (before validation, as the field is required)
+appointmentSchema.pre('validate', async function(next) {
   if (!this.appointmentId) {
     const date = new Date();
     const year = date.getFullYear();
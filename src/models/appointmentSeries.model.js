@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// A repeating booking. Each occurrence is an ordinary Appointment linked back
+// through appointment.series; the rule is kept for display and auditing.
+const appointmentSeriesSchema = new mongoose.Schema({
+  seriesId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  service: {
+    serviceId: String,
+    name: String
+  },
+  type: String,
+  mode: String,
+  reason: {
+    type: String,
+    required: true
+  },
+
+  // Canonical RRULE, e.g. FREQ=WEEKLY;BYDAY=MO,TH;COUNT=12
+  recurrence: {
+    rule: {
+      type: String,
+      required: true
+    },
+    frequency: {
+      type: String,
+      enum: ['DAILY', 'WEEKLY', 'MONTHLY']
+    },
+    interval: Number,
+    count: Number,
+    until: Date
+  },
+
+  // First occurrence day (midnight UTC) and the series' usual time
+  startDate: {
+    type: Date,
+    required: true
+  },
+  startTime: {
+    type: String,
+    required: true
+  },
+  duration: Number,
+
+  payment: {
+    method: String,
+    enrollmentId: mongoose.Schema.ObjectId
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'cancelled', 'completed'],
+    default: 'active'
+  },
+  cancelledAt: Date,
+
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+appointmentSeriesSchema.index({ patient: 1, createdAt: -1 });
+appointmentSeriesSchema.index({ provider: 1, createdAt: -1 });
+
+appointmentSeriesSchema.virtual('appointments', {
+  ref: 'Appointment',
+  localField: '_id',
+  foreignField: 'series'
+});
+
+// Generate series ID
+appointmentSeriesSchema.pre('validate', function(next) {
+  if (!this.seriesId) {
+    const date = new Date();
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+    this.seriesId = `SER-${year}${month}${day}-${random}`;
+  }
+  next();
+});
+
+module.exports = mongoose.model('AppointmentSeries', appointmentSeriesSchema);
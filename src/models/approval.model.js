@@ -44,7 +44,7 @@ const approvalSchema = new mongoose.Schema({
   documents: [{
     name: String,
     url: String,
-    type: String,
+    type: { type: String },
     uploadedAt: {
       type: Date,
       default: Date.now
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A patient's shopping cart. Items can come from several vendors; checkout
+// places one order per vendor. Prices are read from the catalogue at checkout.
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    vendor: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    // Prescription the item is ordered against, for prescription-only products
+    prescription: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Prescription'
+    },
+    // Medication on the prescription the product is dispensed against
+    prescriptionItem: mongoose.Schema.ObjectId,
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES } = require('../utils/constants');
+
+const exchangeRateSchema = new mongoose.Schema({
+  // 1 baseCurrency = rate quoteCurrency
+  baseCurrency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    uppercase: true,
+    required: true
+  },
+  quoteCurrency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    uppercase: true,
+    required: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  source: {
+    type: String,
+    default: 'manual'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  effectiveFrom: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Rate History
+  history: [{
+    rate: Number,
+    source: String,
+    changedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    changedAt: Date
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+exchangeRateSchema.index({ baseCurrency: 1, quoteCurrency: 1 }, { unique: true });
+
+exchangeRateSchema.pre('validate', function(next) {
+  if (this.baseCurrency && this.baseCurrency === this.quoteCurrency) {
+    this.invalidate('quoteCurrency', 'Base and quote currency must differ');
+  }
+  next();
+});
+
+// Methods
+exchangeRateSchema.methods.setRate = function(rate, changedBy, source = 'manual') {
+  this.history.push({
+    rate: this.rate,
+    source: this.source,
+    changedBy: this.updatedBy,
+    changedAt: this.effectiveFrom
+  });
+
+  this.rate = rate;
+  this.source = source;
+  this.updatedBy = changedBy;
+  this.effectiveFrom = new Date();
+  this.isActive = true;
+};
+
+// Static methods
+exchangeRateSchema.statics.findPair = function(baseCurrency, quoteCurrency) {
+  return this.findOne({ baseCurrency, quoteCurrency, isActive: true });
+};
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
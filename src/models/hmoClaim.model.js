@@ -28,6 +28,11 @@ const hmoClaimSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Appointment the claim covers, for claims filed when an insured appointment is completed
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
 
   // Provider/Vendor Information
   claimantType: {
@@ -271,14 +276,15 @@ hmoClaimSchema.index({ claimNumber: 1 });
 hmoClaimSchema.index({ enrollmentId: 1, status: 1 });
 hmoClaimSchema.index({ patientId: 1, status: 1 });
 hmoClaimSchema.index({ claimantId: 1, status: 1 });
+hmoClaimSchema.index({ appointmentId: 1 }, { sparse: true });
 hmoClaimSchema.index({ planId: 1, status: 1 });
 hmoClaimSchema.index({ serviceDate: -1 });
 hmoClaimSchema.index({ 'billing.totalBilled': -1 });
 hmoClaimSchema.index({ createdAt: -1 });
 hmoClaimSchema.index({ status: 1, createdAt: -1 });
 
-// Generate unique claim number
-hmoClaimSchema.pre('save', async function(next) {
+// Generate unique claim number (before validation, since claimNumber is required)
+hmoClaimSchema.pre('validate', async function(next) {
   if (this.isNew && !this.claimNumber) {
     const timestamp = Date.now().toString(36).toUpperCase();
     const random = Math.random().toString(36).substring(2, 6).toUpperCase();
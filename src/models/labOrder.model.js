@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const { LAB_ORDER_STATUS, LAB_ORDER_TRANSITIONS } = require('../utils/constants');
+
+// A provider's order for lab tests, routed to a laboratory vendor. The lab
+// accepts it, collects the sample and posts results, which are filed in the
+// patient's medical record.
+const labOrderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  laboratory: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  appointment: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Appointment'
+  },
+  // Record the order was placed from, if any
+  medicalRecord: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'MedicalRecord'
+  },
+
+  tests: {
+    type: [{
+      code: String, // e.g. LOINC
+      name: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      specimen: String, // blood, urine...
+      instructions: String
+    }],
+    validate: {
+      validator: tests => tests.length > 0,
+      message: 'A lab order needs at least one test'
+    }
+  },
+  priority: {
+    type: String,
+    enum: ['routine', 'urgent', 'stat'],
+    default: 'routine'
+  },
+  reason: String,
+  clinicalNotes: String,
+
+  status: {
+    type: String,
+    enum: Object.values(LAB_ORDER_STATUS),
+    default: LAB_ORDER_STATUS.PENDING
+  },
+  acceptedAt: Date,
+  rejectedAt: Date,
+  rejectionReason: String,
+  cancelledAt: Date,
+  cancellationReason: String,
+
+  sample: {
+    specimen: String,
+    barcode: String,
+    collectedAt: Date,
+    collectedBy: String,
+    notes: String
+  },
+
+  results: [{
+    test: {
+      type: String,
+      required: true
+    },
+    code: String,
+    result: {
+      type: String,
+      required: true
+    },
+    unit: String,
+    referenceRange: String,
+    flag: {
+      type: String,
+      enum: ['normal', 'high', 'low', 'critical'],
+      default: 'normal'
+    },
+    performedAt: Date,
+    verifiedBy: String,
+    notes: String
+  }],
+  resultedAt: Date,
+  // Lab result record the results were filed in
+  resultRecord: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'MedicalRecord'
+  },
+
+  // Alert sent to the ordering provider for critical results
+  criticalAlert: {
+    sentAt: Date,
+    channels: [String]
+  }
+}, {
+  timestamps: true
+});
+
+labOrderSchema.index({ patient: 1, createdAt: -1 });
+labOrderSchema.index({ provider: 1, createdAt: -1 });
+labOrderSchema.index({ laboratory: 1, status: 1, createdAt: 1 });
+
+// Generate order number (before validation, as the field is required)
+labOrderSchema.pre('validate', function(next) {
+  if (!this.orderNumber) {
+    const date = new Date();
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+    this.orderNumber = `LAB-${year}${month}${day}-${random}`;
+  }
+  next();
+});
+
+/**
+ * Statuses an order can move to the given status from
+ */
+labOrderSchema.statics.sourcesFor = function(status) {
+  return Object.keys(LAB_ORDER_TRANSITIONS).filter(from => LAB_ORDER_TRANSITIONS[from].includes(status));
+};
+
+module.exports = mongoose.model('LabOrder', labOrderSchema);
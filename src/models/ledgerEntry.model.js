@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const { LEDGER_ACCOUNTS } = require('../utils/constants');
+
+const postingSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: Object.values(LEDGER_ACCOUNTS),
+    required: true
+  },
+  // Only set for wallet accounts
+  wallet: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Wallet'
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const ledgerEntrySchema = new mongoose.Schema({
+  entryId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+
+  // Journal Lines
+  postings: {
+    type: [postingSchema],
+    validate: {
+      validator: (postings) => postings.length >= 2,
+      message: 'A journal entry needs at least two postings'
+    }
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+
+  // Reference
+  transaction: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Transaction'
+  },
+  operation: {
+    type: String,
+    enum: ['credit', 'debit', 'reserve', 'release', 'confirm_reserved', 'credit_pending', 'settle_pending', 'cancel_pending', 'opening_balance'],
+    required: true
+  },
+  description: String,
+
+  postedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+// Note: entryId already has a unique index from field definition
+ledgerEntrySchema.index({ 'postings.wallet': 1, postedAt: -1 });
+ledgerEntrySchema.index({ transaction: 1 });
+
+// Virtual for entry total
+ledgerEntrySchema.virtual('total').get(function() {
+  return this.postings.reduce((sum, posting) => sum + posting.debit, 0);
+});
+
+// Generate entry ID and enforce debits == credits
+ledgerEntrySchema.pre('validate', function(next) {
+  if (!this.entryId) {
+    const timestamp = Date.now().toString(36).toUpperCase();
+    const random = Math.random().toString(36).substring(2, 7).toUpperCase();
+    this.entryId = `JRN-${timestamp}-${random}`;
+  }
+
+  const debits = this.postings.reduce((sum, posting) => sum + posting.debit, 0);
+  const credits = this.postings.reduce((sum, posting) => sum + posting.credit, 0);
+
+  if (Math.round(debits * 100) !== Math.round(credits * 100)) {
+    this.invalidate('postings', `Unbalanced journal entry: debits ${debits} != credits ${credits}`);
+  }
+
+  next();
+});
+
+// Static methods
+ledgerEntrySchema.statics.findByWallet = function(walletId) {
+  return this.find({ 'postings.wallet': walletId }).sort({ postedAt: -1 });
+};
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
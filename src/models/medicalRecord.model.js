@@ -76,7 +76,11 @@ const medicalRecordSchema = new mongoose.Schema({
         test: String,
         reason: String,
         urgent: Boolean,
-        orderedAt: Date
+        orderedAt: Date,
+        labOrder: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'LabOrder'
+        }
       }],
       imaging: [{
         type: String,
@@ -317,8 +321,8 @@ medicalRecordSchema.methods.hasAccess = function(userId, requiredPermission = 'v
   return !!sharedAccess;
 };
 
-// Generate record ID
-medicalRecordSchema.pre('save', function(next) {
+// Generate record ID (before validation, as the field is required)
+medicalRecordSchema.pre('validate', function(next) {
   if (!this.recordId) {
     const date = new Date();
     const year = date.getFullYear();
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES } = require('../utils/constants');
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(NOTIFICATION_TYPES),
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // Context for the client, e.g. { appointmentId, suggestedSlots }
+  data: mongoose.Schema.Types.Mixed,
+
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, read: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const { ORDER_STATUS, ORDER_TRANSITIONS } = require('../utils/constants');
+
+// A patient's order from one vendor, paid from their wallet. The payment is
+// reserved when the order is placed, captured when it is delivered and
+// released if it is cancelled.
+const orderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  vendor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Catalogue details are copied so the order keeps what was bought
+  items: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    sku: String,
+    name: String,
+    unitPrice: Number,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    lineTotal: Number,
+    prescription: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Prescription'
+    },
+    // Medication on the prescription the product is dispensed against
+    prescriptionItem: mongoose.Schema.ObjectId
+  }],
+  currency: {
+    type: String,
+    required: true
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+
+  payment: {
+    method: {
+      type: String,
+      enum: ['wallet'],
+      default: 'wallet'
+    },
+    wallet: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Wallet'
+    },
+    transaction: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Transaction'
+    },
+    // Charged in the wallet's currency
+    amount: Number,
+    currency: String,
+    status: {
+      type: String,
+      enum: ['reserved', 'captured', 'released'],
+      default: 'reserved'
+    }
+  },
+
+  delivery: {
+    method: {
+      type: String,
+      enum: ['pickup', 'delivery'],
+      default: 'delivery'
+    },
+    address: {
+      street: String,
+      city: String,
+      state: String,
+      country: String,
+      zipCode: String
+    },
+    phone: String,
+    carrier: String,
+    trackingNumber: String,
+    notes: String
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(ORDER_STATUS),
+    default: ORDER_STATUS.PAID
+  },
+  paidAt: Date,
+  fulfilledAt: Date,
+  shippedAt: Date,
+  deliveredAt: Date,
+  cancelledAt: Date,
+  cancelledBy: {
+    type: String,
+    enum: ['patient', 'vendor']
+  },
+  cancellationReason: String
+}, {
+  timestamps: true
+});
+
+orderSchema.index({ patient: 1, createdAt: -1 });
+orderSchema.index({ vendor: 1, status: 1, createdAt: 1 });
+
+// Generate order number (before validation, as the field is required)
+orderSchema.pre('validate', function(next) {
+  if (!this.orderNumber) {
+    const date = new Date();
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    const random = Math.floor(Math.random() * 100000).toString().padStart(5, '0');
+    this.orderNumber = `ORD-${year}${month}${day}-${random}`;
+  }
+  next();
+});
+
+/**
+ * Statuses an order can move to the given status from
+ */
+orderSchema.statics.sourcesFor = function(status) {
+  return Object.keys(ORDER_TRANSITIONS).filter(from => ORDER_TRANSITIONS[from].includes(status));
+};
+
+module.exports = mongoose.model('Order', orderSchema);
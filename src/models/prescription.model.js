@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Verification codes avoid characters that are easy to misread on paper (0/O, 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// A prescription issued and signed by a provider. The patient shares it with
+// pharmacies, which dispense it in fills: the original fill and then one per
+// refill. A fill can be dispensed over several visits (partial dispensing).
+const prescriptionSchema = new mongoose.Schema({
+  prescriptionNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  // Printed on the prescription so a pharmacy can look it up and check it
+  verificationCode: {
+    type: String,
+    unique: true,
+    required: true
+  },
+
+  patient: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  appointment: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Appointment'
+  },
+
+  items: {
+    type: [{
+      medication: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      strength: String,
+      form: String, // tablet, capsule, syrup...
+      dosage: {
+        type: String,
+        required: true
+      },
+      route: String,
+      frequency: {
+        type: String,
+        required: true
+      },
+      duration: String,
+      // Units to dispense per fill
+      quantity: {
+        type: Number,
+        required: true,
+        min: 1
+      },
+      instructions: String,
+      substitutionAllowed: {
+        type: Boolean,
+        default: true
+      },
+      // Units dispensed in the current fill
+      dispensedQuantity: {
+        type: Number,
+        default: 0,
+        min: 0
+      }
+    }],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'A prescription needs at least one medication'
+    }
+  },
+  diagnosis: String,
+  notes: String,
+
+  refills: {
+    authorized: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    remaining: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+
+  // Fill being dispensed: 0 is the original fill, 1 the first refill, and so on
+  currentFill: {
+    type: Number,
+    default: 0
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'cancelled', 'expired'],
+    default: 'active'
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  cancelledAt: Date,
+  cancellationReason: String,
+
+  // Prescriber signature (HMAC over the prescription content, see prescription.service)
+  signature: {
+    value: String,
+    signedAt: Date,
+    signedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    }
+  },
+
+  // Pharmacies the patient has shared the prescription with
+  sharedWith: [{
+    _id: false,
+    pharmacy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    sharedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  dispensings: [{
+    pharmacy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    dispensedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    // Vendor order the items were ordered with, if any; undone if the order is cancelled
+    order: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Order'
+    },
+    revertedAt: Date,
+    fill: Number,
+    items: [{
+      _id: false,
+      item: mongoose.Schema.ObjectId,
+      medication: String,
+      quantity: Number
+    }],
+    // Whether this dispensing completed its fill
+    completesFill: Boolean,
+    notes: String,
+    dispensedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+prescriptionSchema.index({ patient: 1, createdAt: -1 });
+prescriptionSchema.index({ provider: 1, createdAt: -1 });
+prescriptionSchema.index({ 'sharedWith.pharmacy': 1, status: 1 });
+prescriptionSchema.index({ 'dispensings.order': 1 });
+
+// Generate prescription number and verification code (before validation, as they are required)
+prescriptionSchema.pre('validate', function(next) {
+  if (!this.prescriptionNumber) {
+    const date = new Date();
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+    this.prescriptionNumber = `RX-${year}${month}${day}-${random}`;
+  }
+  if (!this.verificationCode) {
+    const bytes = crypto.randomBytes(10);
+    const code = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    this.verificationCode = `${code.slice(0, 5)}-${code.slice(5)}`;
+  }
+  next();
+});
+
+/**
+ * Whether every item has been dispensed in full for the current fill
+ */
+prescriptionSchema.methods.isFillComplete = function() {
+  return this.items.every(item => item.dispensedQuantity >= item.quantity);
+};
+
+/**
+ * Whether the prescription is shared with a pharmacy
+ */
+prescriptionSchema.methods.isSharedWith = function(pharmacyId) {
+  return this.sharedWith.some(share => share.pharmacy.equals(pharmacyId));
+};
+
+module.exports = mongoose.model('Prescription', prescriptionSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// An item in a vendor's catalogue. Stock is decremented when an order is
+// placed and restored if the order is cancelled.
+const productSchema = new mongoose.Schema({
+  vendor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sku: {
+    type: String,
+    required: [true, 'SKU is required'],
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  description: String,
+  category: {
+    type: String,
+    trim: true
+  },
+  unit: String, // e.g. pack of 30 tablets
+
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0.01, 'Price must be positive']
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock cannot be negative'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Stock must be a whole number'
+    }
+  },
+  // Prescription-only items can only be ordered against a prescription shared with the vendor
+  requiresPrescription: {
+    type: Boolean,
+    default: false
+  },
+  images: [{
+    _id: false,
+    url: String,
+    publicId: String
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// SKUs are unique within a vendor's catalogue
+productSchema.index({ vendor: 1, sku: 1 }, { unique: true });
+productSchema.index({ vendor: 1, isActive: 1, category: 1 });
+productSchema.index({ name: 'text', description: 'text', category: 'text' });
+
+module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// A patient's rating of a completed appointment. Only published reviews count
+// towards the provider's rating; moderators hide reviews that break the rules.
+const reviewSchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Appointment',
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number from 1 to 5'
+    }
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+
+  status: {
+    type: String,
+    enum: ['published', 'hidden'],
+    default: 'published'
+  },
+
+  // The provider's public response
+  reply: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Reply cannot exceed 2000 characters']
+    },
+    repliedAt: Date,
+    updatedAt: Date
+  },
+
+  // Reports from users; a flagged review waits for a moderator
+  flagged: {
+    type: Boolean,
+    default: false
+  },
+  flags: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      required: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    flaggedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Moderation decisions, newest last
+  moderation: [{
+    _id: false,
+    action: {
+      type: String,
+      enum: ['hide', 'restore', 'dismiss']
+    },
+    by: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// One review per appointment
+reviewSchema.index({ appointment: 1 }, { unique: true });
+reviewSchema.index({ provider: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ patient: 1, createdAt: -1 });
+reviewSchema.index({ flagged: 1, status: 1, updatedAt: 1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
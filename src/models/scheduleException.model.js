@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const scheduleExceptionSchema = new mongoose.Schema({
+  provider: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // closed: time off (whole days, or startTime-endTime on each day)
+  // open: extra hours on days that are otherwise off or have different hours
+  type: {
+    type: String,
+    enum: ['closed', 'open'],
+    required: true
+  },
+
+  // Calendar days (midnight UTC), inclusive
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  startTime: {
+    type: String,
+    match: [TIME_PATTERN, 'startTime must be HH:mm']
+  },
+  endTime: {
+    type: String,
+    match: [TIME_PATTERN, 'endTime must be HH:mm']
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Appointments that were booked inside the range when it was closed
+  affectedAppointments: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Appointment'
+  }],
+
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+scheduleExceptionSchema.index({ provider: 1, isActive: 1, startDate: 1, endDate: 1 });
+
+scheduleExceptionSchema.pre('validate', function(next) {
+  if (this.endDate < this.startDate) {
+    this.invalidate('endDate', 'endDate must not be before startDate');
+  }
+
+  if (Boolean(this.startTime) !== Boolean(this.endTime)) {
+    this.invalidate('endTime', 'startTime and endTime must be given together');
+  } else if (this.startTime && this.endTime <= this.startTime) {
+    this.invalidate('endTime', 'endTime must be after startTime');
+  }
+
+  if (this.type === 'open' && !this.startTime) {
+    this.invalidate('startTime', 'Opening hours need a startTime and endTime');
+  }
+
+  next();
+});
+
+// Whether the exception covers the whole day rather than a time range
+scheduleExceptionSchema.virtual('isAllDay').get(function() {
+  return !this.startTime;
+});
+
+// Active exceptions covering a calendar day
+scheduleExceptionSchema.statics.findForDay = function(providerId, day, session) {
+  return this.find({
+    provider: providerId,
+    isActive: true,
+    startDate: { $lte: day },
+    endDate: { $gte: day }
+  }).session(session || null);
+};
+
+module.exports = mongoose.model('ScheduleException', scheduleExceptionSchema);
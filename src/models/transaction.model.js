@@ -16,7 +16,7 @@ const transactionSchema = new mongoose.Schema({
   },
   category: {
     type: String,
-    enum: ['consultation', 'medication', 'lab_test', 'procedure', 'emergency', 'subscription', 'donation'],
+    enum: ['consultation', 'medication', 'lab_test', 'procedure', 'emergency', 'subscription', 'donation', 'wallet'],
     required: true
   },
   
@@ -44,6 +44,30 @@ const transactionSchema = new mongoose.Schema({
     type: String
   },
   
+  // Paired Transactions (e.g. the two legs of a transfer)
+  linkedTransaction: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Transaction'
+  },
+  direction: {
+    type: String,
+    enum: ['outgoing', 'incoming']
+  },
+  
+  // Reversals
+  reversalOf: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Transaction'
+  },
+  reversals: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Transaction'
+  }],
+  reversedAmount: {
+    type: Number,
+    default: 0
+  },
+  
   // Amount Details
   amount: {
     value: {
@@ -89,6 +113,25 @@ const transactionSchema = new mongoose.Schema({
     details: String
   },
   
+  // Provider Settlement (appointment payments awaiting payout to the provider's wallet)
+  settlement: {
+    status: {
+      type: String,
+      enum: ['pending', 'settled', 'void']
+    },
+    dueAt: Date,
+    currency: String,
+    grossAmount: Number,
+    platformFeePercentage: Number,
+    platformFee: Number,
+    netAmount: Number,
+    transaction: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Transaction'
+    },
+    settledAt: Date
+  },
+  
   // Payment Method
   paymentMethod: {
     type: {
@@ -154,6 +197,12 @@ transactionSchema.index({ 'to.wallet': 1, createdAt: -1 });
 transactionSchema.index({ status: 1 });
 transactionSchema.index({ type: 1, category: 1 });
 transactionSchema.index({ initiatedAt: -1 });
+transactionSchema.index({ reversalOf: 1 });
+transactionSchema.index({ 'settlement.status': 1, 'settlement.dueAt': 1 });
+transactionSchema.index(
+  { 'processor.name': 1, 'processor.transactionId': 1 },
+  { unique: true, partialFilterExpression: { 'processor.transactionId': { $exists: true } } }
+);
 
 // Virtual for net amount (amount - fees)
 transactionSchema.virtual('netAmount').get(function() {
@@ -161,7 +210,7 @@ transactionSchema.virtual('netAmount').get(function() {
 });
 
 // Methods
-transactionSchema.methods.updateStatus = function(newStatus, reason) {
+transactionSchema.methods.updateStatus = function(newStatus, reason, options = {}) {
   this.statusHistory.push({
     status: this.status,
     timestamp: new Date(),
@@ -182,7 +231,7 @@ transactionSchema.methods.updateStatus = function(newStatus, reason) {
       break;
   }
   
-  return this.save();
+  return this.save({ session: options.session });
 };
 
 transactionSchema.methods.calculateFees = function() {
@@ -207,25 +256,30 @@ transactionSchema.methods.calculateFees = function() {
   return this.fees.total;
 };
 
-transactionSchema.methods.reverse = function(reason) {
-  if (this.status !== 'completed') {
-    throw new Error('Can only reverse completed transactions');
-  }
-  
-  return this.updateStatus('reversed', reason);
+// Reverse all or part of a completed transaction, compensating the wallets it moved
+transactionSchema.methods.reverse = function(options = {}) {
+  const reversal = require('../services/reversal.service');
+  return reversal.reverse(this, options);
 };
 
-// Generate transaction ID
-transactionSchema.pre('save', function(next) {
+transactionSchema.methods.reversibleAmount = function() {
+  return Math.round((this.amount.value - (this.reversedAmount || 0)) * 100) / 100;
+};
+
+// Generate transaction ID (before validation, since transactionId is required)
+transactionSchema.pre('validate', function(next) {
   if (!this.transactionId) {
     const date = new Date();
     const timestamp = date.getTime().toString(36).toUpperCase();
     const random = Math.random().toString(36).substring(2, 7).toUpperCase();
     this.transactionId = `TXN-${timestamp}-${random}`;
   }
-  
-  // Calculate fees if not set
-  if (this.fees.total === 0) {
+  next();
+});
+
+transactionSchema.pre('save', function(next) {
+  // Calculate fees if not set (wallet movements, reversals, refunds and settlements carry no service fees)
+  if (this.fees.total === 0 && this.category !== 'wallet' && !['reversal', 'refund', 'settlement'].includes(this.type)) {
     this.calculateFees();
   }
   
@@ -1,7 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
-const { USER_TYPES, ACCOUNT_STATUS, GENDER_OPTIONS } = require('../utils/constants');
+const { USER_TYPES, ACCOUNT_STATUS, GENDER_OPTIONS, VENDOR_TYPES } = require('../utils/constants');
 
 const userSchema = new mongoose.Schema({
   // Basic Information
@@ -101,7 +101,7 @@ const userSchema = new mongoose.Schema({
       verified: { type: Boolean, default: false },
       verifiedAt: Date,
       documents: [{
-        type: String,
+        type: { type: String },
         url: String,
         uploadedAt: Date
       }]
@@ -131,6 +131,14 @@ const userSchema = new mongoose.Schema({
   },
   passwordResetToken: String,
   passwordResetExpires: Date,
+  // Calendar (.ics) subscription feed; only a hash of the token is stored
+  calendarFeed: {
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    createdAt: Date
+  },
   passwordChangedAt: Date,
   loginAttempts: {
     type: Number,
@@ -287,9 +295,14 @@ const userSchema = new mongoose.Schema({
       end: String
     }
   },
+  cancellationPolicy: {
+    freeCancellationHours: { type: Number, default: 24, min: 0 },
+    feePercentage: { type: Number, default: 0, min: 0, max: 100 }
+  },
   statistics: {
     rating: { type: Number, default: 0, min: 0, max: 5 },
     totalReviews: { type: Number, default: 0 },
+    ratingSum: { type: Number, default: 0 }, // Sum of published review ratings, so rating updates incrementally
     totalPatients: { type: Number, default: 0 },
     totalAppointments: { type: Number, default: 0 },
     completedAppointments: { type: Number, default: 0 },
@@ -301,6 +314,7 @@ const userSchema = new mongoose.Schema({
     paidOut: { type: Number, default: 0 },
     platformFeePercentage: { type: Number, default: 10 }
   },
+  stripeCustomerId: String,
   bankAccount: {
     accountNumber: { type: String, select: false },
     routingNumber: { type: String, select: false },
@@ -347,6 +361,18 @@ const userSchema = new mongoose.Schema({
     email: String
   },
 
+  // Vendor-Specific Fields
+  businessInfo: {
+    name: String,
+    type: {
+      type: String,
+      enum: Object.values(VENDOR_TYPES)
+    },
+    description: String,
+    registrationNumber: String,
+    licenseNumber: String
+  },
+
   // Relationships
   patients: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
   providers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
@@ -389,6 +415,7 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ userType: 1, status: 1 });
 userSchema.index({ 'profile.address.coordinates': '2dsphere' });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ 'calendarFeed.tokenHash': 1 }, { sparse: true });
 
 // Virtual for account lock status
 userSchema.virtual('isLocked').get(function() {
@@ -436,6 +463,22 @@ userSchema.methods.createPasswordResetToken = function() {
   return resetToken;
 };
 
+userSchema.methods.createCalendarFeedToken = function() {
+  const feedToken = crypto.randomBytes(32).toString('hex');
+  this.calendarFeed = {
+    tokenHash: crypto.createHash('sha256').update(feedToken).digest('hex'),
+    createdAt: new Date()
+  };
+  return feedToken;
+};
+
+userSchema.statics.findByCalendarFeedToken = function(feedToken) {
+  return this.findOne({
+    'calendarFeed.tokenHash': crypto.createHash('sha256').update(String(feedToken)).digest('hex'),
+    status: { $nin: ['suspended', 'deleted'] }
+  });
+};
+
 userSchema.methods.incrementLoginAttempts = function() {
   // Reset attempts if lock has expired
   if (this.lockUntil && this.lockUntil < Date.now()) {
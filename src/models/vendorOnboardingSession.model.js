@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const vendorOnboardingSessionSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  step: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 4
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  data: {
+    // Step 1: Business Information
+    step1: {
+      vendorType: String,  // pharmacy, laboratory, medical_equipment, medical_supplies, ambulance, other
+      businessName: String,
+      description: String,
+      registrationNumber: String,
+      businessEmail: String,
+      businessPhone: String,
+      address: {
+        street: String,
+        city: String,
+        state: String,
+        zipCode: String,
+        country: String
+      },
+      // Contact person the account is registered to
+      contact: {
+        firstName: String,
+        lastName: String,
+        dateOfBirth: Date,
+        gender: String,
+        position: String
+      }
+    },
+
+    // Step 2: Licences and Documents
+    step2: {
+      licenseNumber: String,
+      licenseAuthority: String,
+      licenseExpiry: Date,
+      taxId: String
+    },
+
+    // Uploaded documents, kept across steps so they can be added before step 2 is submitted
+    documents: [{
+      _id: false,
+      name: String,
+      type: { type: String },  // business_registration, operating_license, tax_certificate, other
+      url: String,
+      uploadedAt: Date
+    }],
+
+    // Step 3: Payout Details
+    step3: {
+      bankName: String,
+      accountHolderName: String,
+      accountNumber: String,
+      routingNumber: String,
+      accountType: String,  // checking, savings
+      currency: String
+    }
+  },
+
+  temporaryVendorId: String,
+
+  completedSteps: {
+    type: [Number],
+    default: []
+  },
+
+  // Tracking
+  ipAddress: String,
+  userAgent: String,
+  referralCode: String
+
+}, {
+  timestamps: true
+});
+
+// TTL index - automatically delete expired sessions
+vendorOnboardingSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Indexes for performance
+vendorOnboardingSessionSchema.index({ temporaryVendorId: 1 });
+vendorOnboardingSessionSchema.index({ 'data.step1.businessEmail': 1 });
+
+module.exports = mongoose.model('VendorOnboardingSession', vendorOnboardingSessionSchema);
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A patient waiting for a slot with a provider. When a matching slot frees up it
+// is held for the patient (status offered) until the offer expires.
+const waitlistEntrySchema = new mongoose.Schema({
+  provider: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  service: {
+    serviceId: {
+      type: String,
+      required: true
+    },
+    name: String
+  },
+  reason: String,
+
+  // Days (midnight UTC, inclusive) and optional hours the patient can attend;
+  // no windows means any time
+  preferredWindows: [{
+    _id: false,
+    from: {
+      type: Date,
+      required: true
+    },
+    to: {
+      type: Date,
+      required: true
+    },
+    startTime: {
+      type: String,
+      match: [TIME_PATTERN, 'startTime must be HH:mm']
+    },
+    endTime: {
+      type: String,
+      match: [TIME_PATTERN, 'endTime must be HH:mm']
+    }
+  }],
+
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'cancelled', 'expired'],
+    default: 'waiting'
+  },
+
+  // Slot currently held for the patient
+  offer: {
+    date: Date,
+    startTime: String,
+    endTime: String,
+    duration: Number,
+    offeredAt: Date,
+    expiresAt: Date
+  },
+
+  // Every slot offered, so a slot is not offered to the same patient twice
+  offerHistory: [{
+    _id: false,
+    date: Date,
+    startTime: String,
+    offeredAt: Date,
+    outcome: {
+      type: String,
+      enum: ['claimed', 'declined', 'expired']
+    }
+  }],
+
+  appointment: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Appointment'
+  }
+}, {
+  timestamps: true
+});
+
+// Queue order is join order
+waitlistEntrySchema.index({ provider: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ patient: 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+waitlistEntrySchema.pre('validate', function(next) {
+  for (const window of this.preferredWindows || []) {
+    if (window.from && window.to && window.to < window.from) {
+      return next(new Error('Preferred window must end on or after its start'));
+    }
+    if (Boolean(window.startTime) !== Boolean(window.endTime)) {
+      return next(new Error('Preferred window startTime and endTime must be given together'));
+    }
+    if (window.startTime && window.endTime <= window.startTime) {
+      return next(new Error('Preferred window endTime must be after startTime'));
+    }
+  }
+  next();
+});
+
+/**
+ * Whether a slot falls inside one of the patient's preferred windows
+ * @param {Date} day - Calendar day (midnight UTC)
+ * @param {String} startTime - HH:mm
+ * @param {String} endTime - HH:mm
+ */
+waitlistEntrySchema.methods.wants = function(day, startTime, endTime) {
+  if (!this.preferredWindows || this.preferredWindows.length === 0) {
+    return true;
+  }
+
+  return this.preferredWindows.some(window =>
+    day >= window.from && day <= window.to &&
+    (!window.startTime || (startTime >= window.startTime && endTime <= window.endTime))
+  );
+};
+
+/**
+ * Slots currently held for waitlisted patients on a day
+ * @param {ObjectId} providerId
+ * @param {Date} day - Calendar day (midnight UTC)
+ * @param {Object} [options] - { session, holder } (holder: patient whose own hold is ignored)
+ */
+waitlistEntrySchema.statics.activeHolds = function(providerId, day, { session, holder } = {}) {
+  const query = {
+    provider: providerId,
+    status: 'offered',
+    'offer.date': day,
+    'offer.expiresAt': { $gt: new Date() }
+  };
+  if (holder) {
+    query.patient = { $ne: holder };
+  }
+
+  return this.find(query).select('offer').session(session || null);
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
-const { WALLET_TYPES } = require('../utils/constants');
+const bcrypt = require('bcryptjs');
+const { WALLET_TYPES, SUPPORTED_CURRENCIES } = require('../utils/constants');
+const ledger = require('../services/ledger.service');
+const walletLimits = require('../services/walletLimits.service');
+
+// PIN security
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCK_DURATION = 30 * 60 * 1000; // 30 minutes
 
 const walletSchema = new mongoose.Schema({
   walletId: {
@@ -10,7 +17,10 @@ const walletSchema = new mongoose.Schema({
   owner: {
     type: mongoose.Schema.ObjectId,
     ref: 'User',
-    required: true
+    // Platform revenue wallets belong to no user
+    required: function() {
+      return this.type !== WALLET_TYPES.PLATFORM;
+    }
   },
   type: {
     type: String,
@@ -35,6 +45,8 @@ const walletSchema = new mongoose.Schema({
     },
     currency: {
       type: String,
+      enum: SUPPORTED_CURRENCIES,
+      uppercase: true,
       default: 'USD'
     }
   },
@@ -67,16 +79,22 @@ const walletSchema = new mongoose.Schema({
   }],
   
   // Funding Sources
+  // Only tokenized processor references are stored, never card numbers or account numbers
   fundingSources: [{
     type: {
       type: String,
       enum: ['card', 'bank', 'mobile_money', 'sponsor']
     },
+    processor: String,
+    token: String,
     details: {
       last4: String,
       brand: String,
+      expMonth: Number,
+      expYear: Number,
       bankName: String,
-      accountName: String
+      accountName: String,
+      network: String
     },
     isDefault: Boolean,
     addedAt: Date
@@ -161,86 +179,216 @@ walletSchema.virtual('totalBalance').get(function() {
 });
 
 // Methods
-walletSchema.methods.credit = function(amount, transactionId) {
-  this.balance.available += amount;
-  this.statistics.totalReceived += amount;
-  this.statistics.transactionCount += 1;
-  this.statistics.lastTransactionDate = new Date();
-  
+// Every balance movement is saved together with its journal entry in one MongoDB
+// transaction. Pass options.session to join a transaction started by the caller.
+// confirmReserved accepts options.statistic to count the amount as e.g. totalWithdrawn.
+//
+// Balances are changed with an atomic $inc guarded by the balance it draws on, never by
+// saving absolute values, so a copy of the wallet loaded earlier (or outside the
+// transaction) cannot overwrite a concurrent movement, and a retried transaction
+// applies its movements to the balances as they are when it runs.
+walletSchema.methods.applyMovement = async function(guard, update, transactionId, session, failure) {
   if (transactionId) {
-    this.transactions.push(transactionId);
+    update.$push = { transactions: transactionId };
   }
-  
-  return this.save();
-};
 
-walletSchema.methods.debit = function(amount, transactionId) {
-  if (this.balance.available < amount) {
-    throw new Error('Insufficient balance');
-  }
-  
-  this.balance.available -= amount;
-  this.statistics.totalSpent += amount;
-  this.statistics.transactionCount += 1;
-  this.statistics.lastTransactionDate = new Date();
-  
-  if (transactionId) {
-    this.transactions.push(transactionId);
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, ...guard },
+    update,
+    { new: true, session, lean: true }
+  );
+
+  if (!updated) {
+    throw new Error(failure);
   }
-  
-  return this.save();
+
+  // Refresh this copy without marking the paths modified, so a later save() does not write them back
+  ['balance', 'statistics', 'transactions'].forEach(path => {
+    this.set(path, updated[path]);
+    this.unmarkModified(path);
+  });
+
+  return this;
 };
 
-walletSchema.methods.reserve = function(amount) {
-  if (this.balance.available < amount) {
-    throw new Error('Insufficient balance to reserve');
+const movementStatistics = (amount, statistic) => ({
+  $inc: { [`statistics.${statistic}`]: amount, 'statistics.transactionCount': 1 },
+  $set: { 'statistics.lastTransactionDate': new Date() }
+});
+
+walletSchema.methods.credit = function(amount, transactionId, options = {}) {
+  return ledger.runInSession(options.session, async (session) => {
+    const update = movementStatistics(amount, 'totalReceived');
+    update.$inc['balance.available'] = amount;
+
+    await this.applyMovement({}, update, transactionId, session, 'Wallet not found');
+    await ledger.postWalletOperation('credit', this, amount, transactionId, session);
+
+    return this;
+  });
+};
+
+walletSchema.methods.debit = function(amount, transactionId, options = {}) {
+  return ledger.runInSession(options.session, async (session) => {
+    await this.enforceSpendingLimits(amount, transactionId, session, options);
+
+    const update = movementStatistics(amount, 'totalSpent');
+    update.$inc['balance.available'] = -amount;
+
+    await this.applyMovement({ 'balance.available': { $gte: amount } }, update, transactionId, session, 'Insufficient balance');
+    await ledger.postWalletOperation('debit', this, amount, transactionId, session);
+
+    return this;
+  });
+};
+
+walletSchema.methods.reserve = function(amount, transactionId, options = {}) {
+  return ledger.runInSession(options.session, async (session) => {
+    await this.enforceSpendingLimits(amount, transactionId, session, options);
+
+    await this.applyMovement(
+      { 'balance.available': { $gte: amount } },
+      { $inc: { 'balance.available': -amount, 'balance.reserved': amount } },
+      null,
+      session,
+      'Insufficient balance to reserve'
+    );
+    await ledger.postWalletOperation('reserve', this, amount, transactionId, session);
+
+    return this;
+  });
+};
+
+walletSchema.methods.releaseReserved = function(amount, transactionId, options = {}) {
+  return ledger.runInSession(options.session, async (session) => {
+    await this.applyMovement(
+      { 'balance.reserved': { $gte: amount } },
+      { $inc: { 'balance.reserved': -amount, 'balance.available': amount } },
+      null,
+      session,
+      'Insufficient reserved balance'
+    );
+    await ledger.postWalletOperation('release', this, amount, transactionId, session);
+
+    return this;
+  });
+};
+
+walletSchema.methods.confirmReserved = function(amount, transactionId, options = {}) {
+  return ledger.runInSession(options.session, async (session) => {
+    const update = movementStatistics(amount, options.statistic || 'totalSpent');
+    update.$inc['balance.reserved'] = -amount;
+
+    await this.applyMovement({ 'balance.reserved': { $gte: amount } }, update, transactionId, session, 'Insufficient reserved balance');
+    await ledger.postWalletOperation('confirm_reserved', this, amount, transactionId, session);
+
+    return this;
+  });
+};
+
+// Incoming funds awaiting confirmation from the payment processor
+walletSchema.methods.creditPending = function(amount, transactionId, options = {}) {
+  return ledger.runInSession(options.session, async (session) => {
+    await this.applyMovement({}, { $inc: { 'balance.pending': amount } }, transactionId, session, 'Wallet not found');
+    await ledger.postWalletOperation('credit_pending', this, amount, transactionId, session);
+
+    return this;
+  });
+};
+
+walletSchema.methods.settlePending = function(amount, transactionId, options = {}) {
+  return ledger.runInSession(options.session, async (session) => {
+    const update = movementStatistics(amount, 'totalReceived');
+    update.$inc['balance.pending'] = -amount;
+    update.$inc['balance.available'] = amount;
+
+    await this.applyMovement({ 'balance.pending': { $gte: amount } }, update, null, session, 'Insufficient pending balance');
+    await ledger.postWalletOperation('settle_pending', this, amount, transactionId, session);
+
+    return this;
+  });
+};
+
+walletSchema.methods.cancelPending = function(amount, transactionId, options = {}) {
+  return ledger.runInSession(options.session, async (session) => {
+    await this.applyMovement(
+      { 'balance.pending': { $gte: amount } },
+      { $inc: { 'balance.pending': -amount } },
+      null,
+      session,
+      'Insufficient pending balance'
+    );
+    await ledger.postWalletOperation('cancel_pending', this, amount, transactionId, session);
+
+    return this;
+  });
+};
+
+// Debit paths call this; compensating movements (e.g. reversals) pass options.skipLimits
+walletSchema.methods.enforceSpendingLimits = async function(amount, transactionId, session, options = {}) {
+  if (options.skipLimits) return;
+
+  const result = await this.checkSpendingLimits(amount, {
+    session,
+    excludeTransaction: transactionId
+  });
+
+  if (!result.valid) {
+    throw new Error(result.reason);
   }
-  
-  this.balance.available -= amount;
-  this.balance.reserved += amount;
-  
-  return this.save();
 };
 
-walletSchema.methods.releaseReserved = function(amount) {
-  if (this.balance.reserved < amount) {
-    throw new Error('Insufficient reserved balance');
+walletSchema.methods.setPin = async function(pin) {
+  if (!/^\d{4,6}$/.test(String(pin))) {
+    throw new Error('PIN must be 4 to 6 digits');
   }
-  
-  this.balance.reserved -= amount;
-  this.balance.available += amount;
-  
+
+  this.pin = await bcrypt.hash(String(pin), 12);
+  this.pinAttempts = 0;
+  this.isLocked = false;
+  this.lockedUntil = undefined;
+
   return this.save();
 };
 
-walletSchema.methods.confirmReserved = function(amount, transactionId) {
-  if (this.balance.reserved < amount) {
-    throw new Error('Insufficient reserved balance');
+// Requires the wallet to be loaded with +pin
+walletSchema.methods.verifyPin = async function(pin) {
+  if (this.isLocked && this.lockedUntil && this.lockedUntil <= Date.now()) {
+    this.isLocked = false;
+    this.lockedUntil = undefined;
+    this.pinAttempts = 0;
   }
-  
-  this.balance.reserved -= amount;
-  this.statistics.totalSpent += amount;
-  this.statistics.transactionCount += 1;
-  this.statistics.lastTransactionDate = new Date();
-  
-  if (transactionId) {
-    this.transactions.push(transactionId);
+
+  if (this.isLocked) {
+    return { valid: false, locked: true, lockedUntil: this.lockedUntil };
   }
-  
-  return this.save();
-};
 
-walletSchema.methods.checkSpendingLimits = function(amount) {
-  const today = new Date();
-  const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-  const startOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
-  
-  // This would require aggregating transactions - simplified implementation
-  if (this.limits.perTransaction && amount > this.limits.perTransaction) {
-    return { valid: false, reason: 'Exceeds per-transaction limit' };
+  const matches = !!pin && await bcrypt.compare(String(pin), this.pin);
+
+  if (matches) {
+    this.pinAttempts = 0;
+    await this.save();
+    return { valid: true };
   }
-  
-  return { valid: true };
+
+  this.pinAttempts += 1;
+  if (this.pinAttempts >= MAX_PIN_ATTEMPTS) {
+    this.isLocked = true;
+    this.lockedUntil = new Date(Date.now() + PIN_LOCK_DURATION);
+  }
+  await this.save();
+
+  return {
+    valid: false,
+    locked: this.isLocked,
+    lockedUntil: this.lockedUntil,
+    attemptsRemaining: Math.max(0, MAX_PIN_ATTEMPTS - this.pinAttempts)
+  };
+};
+
+// Checks daily, monthly and per-transaction limits against committed (pending or completed) outgoing transactions
+walletSchema.methods.checkSpendingLimits = function(amount, options = {}) {
+  return walletLimits.check(this, amount, options);
 };
 
 // Generate wallet ID
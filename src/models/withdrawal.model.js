@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+const withdrawalSchema = new mongoose.Schema({
+  withdrawalId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  wallet: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Wallet',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  transaction: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Transaction'
+  },
+
+  // Amount
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+
+  // Destination (snapshot of wallet withdrawal settings at request time)
+  method: {
+    type: String,
+    enum: ['bank', 'mobile_money', 'card'],
+    required: true
+  },
+  destination: {
+    bankName: String,
+    accountNumber: String,
+    accountName: String,
+    swiftCode: String,
+    iban: String,
+    mobileNumber: String
+  },
+
+  // Status
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'processed', 'failed', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  statusHistory: [{
+    status: String,
+    changedAt: Date,
+    changedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    notes: String
+  }],
+
+  // Review
+  reviewedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNotes: String,
+
+  // Payout
+  payout: {
+    adapter: String,
+    reference: String,
+    responseCode: String,
+    failureReason: String,
+    sentAt: Date,
+    processedAt: Date,
+    // Set when the payout may have gone out but the withdrawal could not be closed:
+    // an unknown payout outcome, or a settlement that failed after the payout was sent
+    reviewRequired: Boolean,
+    reviewReason: String
+  },
+
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+// Note: withdrawalId already has a unique index from field definition
+withdrawalSchema.index({ owner: 1, createdAt: -1 });
+withdrawalSchema.index({ status: 1, requestedAt: 1 });
+withdrawalSchema.index({ 'payout.reviewRequired': 1, status: 1 }, { sparse: true });
+
+// Methods
+withdrawalSchema.methods.updateStatus = function(status, changedBy, notes) {
+  this.status = status;
+  this.statusHistory.push({
+    status,
+    changedAt: new Date(),
+    changedBy,
+    notes
+  });
+};
+
+// Generate withdrawal ID
+withdrawalSchema.pre('validate', function(next) {
+  if (!this.withdrawalId) {
+    const timestamp = Date.now().toString(36).toUpperCase();
+    const random = Math.random().toString(36).substring(2, 7).toUpperCase();
+    this.withdrawalId = `WDR-${timestamp}-${random}`;
+  }
+  next();
+});
+
+module.exports = mongoose.model('Withdrawal', withdrawalSchema);
@@ -1,7 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const appointmentController = require('../controllers/appointment.controller');
-const { authenticate } = require('../middleware/auth.middleware');
+const appointmentSeriesController = require('../controllers/appointmentSeries.controller');
+const calendarController = require('../controllers/calendar.controller');
+const telemedicineController = require('../controllers/telemedicine.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { USER_TYPES } = require('../utils/constants');
 
 /**
  * @swagger
@@ -9,7 +13,7 @@ const { authenticate } = require('../middleware/auth.middleware');
  *   get:
  *     tags: [Appointments]
  *     summary: Get all appointments
- *     description: Retrieve all appointments for the authenticated user
+ *     description: Patients see their own appointments, providers the appointments booked with them and admins all appointments
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -72,6 +76,8 @@ const { authenticate } = require('../middleware/auth.middleware');
  *                       example: 25
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Only patients, providers and admins can view appointments
  *         content:
  *           application/json:
  *             schema:
@@ -79,7 +85,14 @@ const { authenticate } = require('../middleware/auth.middleware');
  *   post:
  *     tags: [Appointments]
  *     summary: Create appointment
- *     description: Book a new appointment with a healthcare provider
+ *     description: |
+ *       Book an appointment for one of the provider's services in a free slot (see
+ *       GET /api/providers/{providerId}/slots). Times outside working hours, during the provider's break or
+ *       overlapping another appointment are rejected with 409. The price comes from the provider's
+ *       service list and is reserved in the patient's wallet(s) at booking, captured when the appointment
+ *       is completed and released when it is cancelled. `mixed` payments draw from the sponsored wallet
+ *       first, then HMO coverage, then the personal wallet. A slot held for a waitlisted patient can only be
+ *       booked by that patient, which claims the hold.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -89,30 +102,46 @@ const { authenticate } = require('../middleware/auth.middleware');
  *           schema:
  *             type: object
  *             required:
- *               - provider
- *               - dateTime
- *               - type
+ *               - providerId
+ *               - serviceId
+ *               - date
+ *               - time
+ *               - reason
  *             properties:
- *               provider:
+ *               providerId:
  *                 type: string
  *                 example: 507f1f77bcf86cd799439012
- *               dateTime:
+ *               serviceId:
  *                 type: string
- *                 format: date-time
- *                 example: 2024-12-20T10:00:00Z
- *               duration:
- *                 type: number
- *                 example: 30
+ *                 description: The provider's serviceId (or service _id)
+ *                 example: SRV-GP-001
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: 2024-12-20
+ *               time:
+ *                 type: string
+ *                 example: '10:00'
  *               type:
  *                 type: string
- *                 enum: [consultation, follow-up, emergency, checkup]
+ *                 enum: [consultation, follow-up, emergency, routine-checkup, vaccination, lab-test, surgery, therapy]
  *                 example: consultation
+ *               mode:
+ *                 type: string
+ *                 enum: [in-person, video, audio, chat]
  *               reason:
  *                 type: string
  *                 example: Regular checkup
- *               notes:
- *                 type: string
- *                 example: Patient reports mild symptoms
+ *               payment:
+ *                 type: object
+ *                 properties:
+ *                   method:
+ *                     type: string
+ *                     enum: [personal_wallet, sponsored_wallet, insurance, mixed, cash]
+ *                     default: personal_wallet
+ *                   enrollmentId:
+ *                     type: string
+ *                     description: HMO enrollment to claim against (defaults to the active one)
  *     responses:
  *       201:
  *         description: Appointment created successfully
@@ -127,11 +156,15 @@ const { authenticate } = require('../middleware/auth.middleware');
  *                 data:
  *                   $ref: '#/components/schemas/Appointment'
  *       400:
- *         description: Bad request
+ *         description: Invalid request, no coverage, or insufficient wallet balance
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Provider or service not found
+ *       409:
+ *         description: Requested time is unavailable
  *       401:
  *         description: Unauthorized
  *         content:
@@ -169,6 +202,8 @@ const { authenticate } = require('../middleware/auth.middleware');
  *                   example: true
  *                 data:
  *                   $ref: '#/components/schemas/Appointment'
+ *       403:
+ *         description: Only the patient, the provider or an admin can view an appointment
  *       404:
  *         description: Appointment not found
  *         content:
@@ -178,7 +213,9 @@ const { authenticate } = require('../middleware/auth.middleware');
  *   put:
  *     tags: [Appointments]
  *     summary: Update appointment
- *     description: Update appointment details (reschedule, change status, etc.)
+ *     description: |
+ *       Update appointment notes. Sending a date or time reschedules the appointment like
+ *       POST /api/appointments/{id}/reschedule. Status cannot be set here; use the transition endpoints.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -195,12 +232,15 @@ const { authenticate } = require('../middleware/auth.middleware');
  *           schema:
  *             type: object
  *             properties:
- *               dateTime:
+ *               date:
  *                 type: string
- *                 format: date-time
- *               status:
+ *                 format: date
+ *               time:
  *                 type: string
- *                 enum: [scheduled, confirmed, completed, cancelled, no-show]
+ *                 example: '10:00'
+ *               reason:
+ *                 type: string
+ *                 description: Reason for rescheduling
  *               notes:
  *                 type: string
  *     responses:
@@ -222,10 +262,191 @@ const { authenticate } = require('../middleware/auth.middleware');
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: New date or time is unavailable, or the appointment can no longer be rescheduled
+ */
+
+/**
+ * @swagger
+ * /api/appointments/{id}/confirm:
+ *   post:
+ *     tags: [Appointments]
+ *     summary: Confirm appointment
+ *     description: |
+ *       Record the patient's or provider's confirmation. The appointment becomes confirmed once both
+ *       have confirmed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Confirmation recorded
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: Appointment cannot be confirmed in its current status
+ */
+
+/**
+ * @swagger
+ * /api/appointments/{id}/reschedule:
+ *   post:
+ *     tags: [Appointments]
+ *     summary: Reschedule appointment
+ *     description: |
+ *       Move the appointment to a free slot. Both parties need to confirm the new time again.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               time:
+ *                 type: string
+ *                 example: '10:00'
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Appointment rescheduled
+ *       400:
+ *         description: Missing or invalid date or time
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: Slot unavailable, or the appointment can no longer be rescheduled
+ */
+
+/**
+ * @swagger
+ * /api/appointments/{id}/start:
+ *   post:
+ *     tags: [Appointments]
+ *     summary: Start consultation
+ *     description: Provider only
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Consultation started
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: Appointment cannot be started in its current status
+ */
+
+/**
+ * @swagger
+ * /api/appointments/{id}/complete:
+ *   post:
+ *     tags: [Appointments]
+ *     summary: Complete consultation
+ *     description: |
+ *       Provider only. Completes an in-progress consultation and captures the payment reserved at booking.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               chiefComplaint:
+ *                 type: string
+ *               diagnosis:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     code:
+ *                       type: string
+ *                     description:
+ *                       type: string
+ *               treatmentPlan:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               privateNotes:
+ *                 type: string
+ *               followUp:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Consultation completed
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: Consultation has not been started or the appointment is already closed
+ */
+
+/**
+ * @swagger
+ * /api/appointments/{id}/no-show:
+ *   post:
+ *     tags: [Appointments]
+ *     summary: Mark patient as no-show
+ *     description: |
+ *       Provider only, once the appointment time has passed. The payment is settled as a late patient
+ *       cancellation under the provider's cancellation policy.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Appointment marked as no-show, with the refund issued and fee retained
+ *       400:
+ *         description: Appointment has not started yet
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: Appointment cannot be marked as no-show in its current status
+ */
+
+/**
+ * @swagger
+ * /api/appointments/{id}/cancel:
  *   delete:
  *     tags: [Appointments]
  *     summary: Cancel appointment
- *     description: Cancel an existing appointment
+ *     description: |
+ *       Cancel an appointment. Wallet reservations made at booking are released and captured payments are
+ *       refunded to the wallets they came from (personal or sponsored).
+ *       Patients cancelling inside the provider's free-cancellation window pay the provider's cancellation fee
+ *       percentage; cancellations by the provider are refunded in full.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -235,20 +456,19 @@ const { authenticate } = require('../middleware/auth.middleware');
  *         schema:
  *           type: string
  *         description: Appointment ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Appointment cancelled successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: Appointment cancelled successfully
+ *         description: Appointment cancelled, with the refund issued and fee retained
+ *       409:
+ *         description: Appointment can no longer be cancelled
  *       404:
  *         description: Appointment not found
  *         content:
@@ -257,10 +477,313 @@ const { authenticate } = require('../middleware/auth.middleware');
  *               $ref: '#/components/schemas/Error'
  */
 
+/**
+ * @swagger
+ * /api/appointments/{id}/ics:
+ *   get:
+ *     tags: [Calendar]
+ *     summary: Download appointment as .ics
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: iCalendar file with the appointment
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Only the patient, the provider or an admin can download an appointment
+ *       404:
+ *         description: Appointment not found
+ */
+
+/**
+ * @swagger
+ * /api/appointments/{id}/telemedicine/token:
+ *   post:
+ *     tags: [Telemedicine]
+ *     summary: Get a telemedicine room token
+ *     description: |
+ *       Issues a room token to the patient or provider of a video, audio or chat appointment,
+ *       from shortly before the scheduled start until shortly after the scheduled end.
+ *       Connect to the /telemedicine socket.io namespace with auth { token: <access token>, roomToken }.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Room token with its expiry, room, namespace and meeting link
+ *       400:
+ *         description: Appointment is not virtual
+ *       403:
+ *         description: Not a participant of the appointment
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: Room not open yet, closed, or appointment no longer going ahead
+ */
+
+/**
+ * @swagger
+ * /api/appointments/{id}/cancellation-quote:
+ *   get:
+ *     tags: [Appointments]
+ *     summary: Preview cancellation refund
+ *     description: Shows the cancellation fee and refund that cancelling now would produce
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cancellation quote
+ *       404:
+ *         description: Appointment not found
+ */
+
+/**
+ * @swagger
+ * /api/appointments/series:
+ *   post:
+ *     tags: [Appointments]
+ *     summary: Book a recurring appointment series
+ *     description: |
+ *       Books every occurrence of a recurrence rule as its own appointment, each priced and paid like a single
+ *       booking (payment for all occurrences is reserved now). Supported rules are a subset of iCalendar RRULE:
+ *       FREQ=DAILY, WEEKLY or MONTHLY with INTERVAL, COUNT or UNTIL, BYDAY (MO,TH or 2TU / -1FR for monthly)
+ *       and BYMONTHDAY, up to 52 occurrences. If any occurrence cannot be booked, none are.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - providerId
+ *               - serviceId
+ *               - date
+ *               - time
+ *               - reason
+ *               - recurrence
+ *             properties:
+ *               providerId:
+ *                 type: string
+ *               serviceId:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: First day of the series
+ *               time:
+ *                 type: string
+ *                 example: '09:00'
+ *               reason:
+ *                 type: string
+ *               recurrence:
+ *                 type: string
+ *                 example: FREQ=WEEKLY;BYDAY=MO,TH;COUNT=12
+ *               type:
+ *                 type: string
+ *                 default: consultation
+ *               mode:
+ *                 type: string
+ *                 enum: [in-person, video, audio, chat]
+ *               payment:
+ *                 type: object
+ *                 properties:
+ *                   method:
+ *                     type: string
+ *                     enum: [personal_wallet, sponsored_wallet, insurance, mixed, cash]
+ *                   enrollmentId:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: Series and its appointments
+ *       400:
+ *         description: Invalid request or recurrence rule, or insufficient wallet balance
+ *       404:
+ *         description: Provider or service not found
+ *       409:
+ *         description: Some occurrences are unavailable (listed in conflicts)
+ *   get:
+ *     tags: [Appointments]
+ *     summary: Get appointment series
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, cancelled, completed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: The user's series
+ */
+
+/**
+ * @swagger
+ * /api/appointments/series/{seriesId}:
+ *   get:
+ *     tags: [Appointments]
+ *     summary: Get an appointment series with its occurrences
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Series with appointments in order
+ *       404:
+ *         description: Series not found
+ */
+
+/**
+ * @swagger
+ * /api/appointments/series/{seriesId}/cancel:
+ *   post:
+ *     tags: [Appointments]
+ *     summary: Cancel occurrences of a series
+ *     description: |
+ *       Cancel one occurrence (this), an occurrence and every later one (following) or the whole series (all).
+ *       Each occurrence is refunded under the provider's cancellation policy.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               scope:
+ *                 type: string
+ *                 enum: [this, following, all]
+ *                 default: all
+ *               appointmentId:
+ *                 type: string
+ *                 description: Occurrence to start from (required for this and following)
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Cancelled occurrences with their refunds
+ *       404:
+ *         description: Series or occurrence not found
+ *       409:
+ *         description: No occurrences in scope can be cancelled
+ */
+
+/**
+ * @swagger
+ * /api/appointments/series/{seriesId}/reschedule:
+ *   post:
+ *     tags: [Appointments]
+ *     summary: Reschedule occurrences of a series
+ *     description: |
+ *       Move one occurrence (this), an occurrence and every later one (following) or the whole series (all).
+ *       A single occurrence can move to any date; several move together by shiftDays and/or to a new time.
+ *       If any occurrence cannot move, none do.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               scope:
+ *                 type: string
+ *                 enum: [this, following, all]
+ *                 default: all
+ *               appointmentId:
+ *                 type: string
+ *                 description: Occurrence to start from (required for this and following)
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: New date (scope this only)
+ *               time:
+ *                 type: string
+ *                 example: '10:00'
+ *               shiftDays:
+ *                 type: integer
+ *                 description: Days to move each occurrence by
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rescheduled occurrences
+ *       400:
+ *         description: Invalid request
+ *       404:
+ *         description: Series or occurrence not found
+ *       409:
+ *         description: Some occurrences cannot move (listed in conflicts)
+ */
+
+router.post('/series', authenticate, appointmentSeriesController.createSeries);
+router.get('/series', authenticate, appointmentSeriesController.getSeries);
+router.get('/series/:seriesId', authenticate, appointmentSeriesController.getSeriesById);
+router.post('/series/:seriesId/cancel', authenticate, appointmentSeriesController.cancelSeries);
+router.post('/series/:seriesId/reschedule', authenticate, appointmentSeriesController.rescheduleSeries);
+
 router.post('/', authenticate, appointmentController.create);
 router.get('/', authenticate, appointmentController.getAll);
 router.get('/:id', authenticate, appointmentController.getById);
 router.put('/:id', authenticate, appointmentController.update);
+router.get('/:id/cancellation-quote', authenticate, appointmentController.getCancellationQuote);
+router.get('/:id/ics', authenticate, calendarController.downloadAppointment);
+router.post('/:id/telemedicine/token', authenticate, telemedicineController.createRoomToken);
 router.delete('/:id/cancel', authenticate, appointmentController.cancel);
+router.post('/:id/confirm', authenticate, appointmentController.confirm);
+router.post('/:id/reschedule', authenticate, appointmentController.reschedule);
+router.post('/:id/start', authenticate, authorize(USER_TYPES.PROVIDER), appointmentController.start);
+router.post('/:id/complete', authenticate, authorize(USER_TYPES.PROVIDER), appointmentController.complete);
+router.post('/:id/no-show', authenticate, authorize(USER_TYPES.PROVIDER), appointmentController.noShow);
 
 module.exports = router;
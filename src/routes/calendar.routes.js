@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const calendarController = require('../controllers/calendar.controller');
+
+/**
+ * @swagger
+ * /api/calendar/feeds/{token}.ics:
+ *   get:
+ *     tags: [Calendar]
+ *     summary: Appointment calendar feed
+ *     description: |
+ *       iCalendar subscription feed of a patient's or provider's appointments from the last 90 days onwards,
+ *       for Google Calendar, Outlook or Apple Calendar. No sign-in: the token is created with
+ *       POST /api/users/profile/calendar-feed and stops working when revoked or replaced.
+ *       Cancelled appointments are included with STATUS:CANCELLED so subscribed calendars remove them.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Calendar
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown or revoked feed
+ */
+router.get('/feeds/:token.ics', calendarController.getFeed);
+
+module.exports = router;
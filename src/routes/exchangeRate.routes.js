@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const exchangeRateController = require('../controllers/exchangeRate.controller');
+const { authenticate } = require('../middleware/auth.middleware');
+
+/**
+ * @swagger
+ * /api/exchange-rates:
+ *   get:
+ *     tags: [Exchange Rates]
+ *     summary: Get active exchange rates
+ *     description: Supported wallet currencies and the admin-managed rate table. A rate means 1 baseCurrency = rate quoteCurrency.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Currencies and active rates
+ */
+router.get('/', authenticate, exchangeRateController.getRates);
+
+/**
+ * @swagger
+ * /api/exchange-rates/convert:
+ *   get:
+ *     tags: [Exchange Rates]
+ *     summary: Quote a currency conversion
+ *     description: Uses the direct pair, its inverse, or a cross rate through USD
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: amount
+ *         required: true
+ *         schema:
+ *           type: number
+ *           example: 100
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: USD
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: NGN
+ *     responses:
+ *       200:
+ *         description: Converted amount with the rate applied
+ *       400:
+ *         description: Invalid amount or unsupported currency
+ *       404:
+ *         description: No rate configured for the pair
+ */
+router.get('/convert', authenticate, exchangeRateController.convert);
+
+module.exports = router;
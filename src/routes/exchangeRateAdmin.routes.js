@@ -0,0 +1,97 @@
+const express = require('express');
+const router = express.Router();
+const exchangeRateController = require('../controllers/exchangeRate.controller');
+const { authenticate } = require('../middleware/auth.middleware');
+const { isSuperAdmin, hasPermission, logAction } = require('../middleware/superAdmin.middleware');
+
+// All routes require authentication and super admin access
+router.use(authenticate);
+router.use(isSuperAdmin);
+
+/**
+ * @swagger
+ * /api/super-admin/exchange-rates:
+ *   get:
+ *     summary: Get exchange rates with change history
+ *     tags: [SuperAdmin - Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Exchange rates
+ *   put:
+ *     summary: Set the rate for a currency pair
+ *     description: Creates the pair or updates it, keeping the previous rate in its history. An active inverse pair is deactivated.
+ *     tags: [SuperAdmin - Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - baseCurrency
+ *               - quoteCurrency
+ *               - rate
+ *             properties:
+ *               baseCurrency:
+ *                 type: string
+ *                 example: USD
+ *               quoteCurrency:
+ *                 type: string
+ *                 example: NGN
+ *               rate:
+ *                 type: number
+ *                 example: 1550
+ *               source:
+ *                 type: string
+ *                 example: manual
+ *     responses:
+ *       200:
+ *         description: Exchange rate updated
+ *       400:
+ *         description: Unsupported currency or invalid rate
+ */
+router.get('/', hasPermission('manageTransactions'), exchangeRateController.getAllRates);
+router.put(
+  '/',
+  hasPermission('manageTransactions'),
+  logAction('SET_EXCHANGE_RATE', 'ExchangeRate'),
+  exchangeRateController.setRate
+);
+
+/**
+ * @swagger
+ * /api/super-admin/exchange-rates/{id}:
+ *   delete:
+ *     summary: Deactivate an exchange rate
+ *     tags: [SuperAdmin - Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Exchange rate deactivated
+ *       404:
+ *         description: Exchange rate not found
+ */
+router.delete(
+  '/:id',
+  hasPermission('manageTransactions'),
+  logAction('DEACTIVATE_EXCHANGE_RATE', 'ExchangeRate'),
+  exchangeRateController.deactivateRate
+);
+
+module.exports = router;
@@ -0,0 +1,326 @@
+const express = require('express');
+const router = express.Router();
+const labOrderController = require('../controllers/labOrder.controller');
+const { authenticate, authorize, requireApprovedVendor } = require('../middleware/auth.middleware');
+const { USER_TYPES } = require('../utils/constants');
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/lab-orders:
+ *   post:
+ *     tags: [Lab Orders]
+ *     summary: Order lab tests
+ *     description: |
+ *       Provider only. Sends the order to a laboratory vendor. Give an appointmentId to link it to one of
+ *       the provider's appointments (the patient is taken from the appointment), or a patientId. With a
+ *       medicalRecordId the tests are also noted under the record's clinical.orders.labs.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - laboratoryId
+ *               - tests
+ *             properties:
+ *               patientId:
+ *                 type: string
+ *               appointmentId:
+ *                 type: string
+ *               medicalRecordId:
+ *                 type: string
+ *               laboratoryId:
+ *                 type: string
+ *               tests:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - name
+ *                   properties:
+ *                     code:
+ *                       type: string
+ *                       example: 2345-7
+ *                     name:
+ *                       type: string
+ *                       example: Fasting blood glucose
+ *                     specimen:
+ *                       type: string
+ *                       example: blood
+ *                     instructions:
+ *                       type: string
+ *               priority:
+ *                 type: string
+ *                 enum: [routine, urgent, stat]
+ *                 default: routine
+ *               reason:
+ *                 type: string
+ *               clinicalNotes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Lab order created
+ *       400:
+ *         description: Missing laboratory or tests
+ *       404:
+ *         description: Patient, appointment, record or approved laboratory not found
+ *   get:
+ *     tags: [Lab Orders]
+ *     summary: Get lab orders
+ *     description: A patient's own orders, those a provider placed, or those sent to a laboratory (oldest first)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, rejected, sample_collected, completed, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Lab orders
+ *       403:
+ *         description: Not a patient, provider or laboratory
+ */
+router.post('/', authorize(USER_TYPES.PROVIDER), labOrderController.createOrder);
+router.get('/', labOrderController.getOrders);
+
+/**
+ * @swagger
+ * /api/lab-orders/{id}:
+ *   get:
+ *     tags: [Lab Orders]
+ *     summary: Get a lab order
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lab order with results once posted
+ *       404:
+ *         description: Lab order not found
+ */
+router.get('/:id', labOrderController.getOrderById);
+
+/**
+ * @swagger
+ * /api/lab-orders/{id}/accept:
+ *   post:
+ *     tags: [Lab Orders]
+ *     summary: Accept a lab order
+ *     description: Laboratory only. The patient is told to visit the laboratory.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lab order accepted
+ *       404:
+ *         description: Lab order not found
+ *       409:
+ *         description: Lab order is not pending
+ */
+router.post('/:id/accept', authorize(USER_TYPES.VENDOR), requireApprovedVendor, labOrderController.acceptOrder);
+
+/**
+ * @swagger
+ * /api/lab-orders/{id}/reject:
+ *   post:
+ *     tags: [Lab Orders]
+ *     summary: Reject a lab order
+ *     description: Laboratory only. The ordering provider is notified with the reason.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Lab order rejected
+ *       400:
+ *         description: Rejection reason is required
+ *       409:
+ *         description: Lab order is not pending
+ */
+router.post('/:id/reject', authorize(USER_TYPES.VENDOR), requireApprovedVendor, labOrderController.rejectOrder);
+
+/**
+ * @swagger
+ * /api/lab-orders/{id}/collect:
+ *   post:
+ *     tags: [Lab Orders]
+ *     summary: Record sample collection
+ *     description: Laboratory only, for accepted orders
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               specimen:
+ *                 type: string
+ *               barcode:
+ *                 type: string
+ *               collectedAt:
+ *                 type: string
+ *                 format: date-time
+ *               collectedBy:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Sample collected
+ *       409:
+ *         description: Lab order is not accepted
+ */
+router.post('/:id/collect', authorize(USER_TYPES.VENDOR), requireApprovedVendor, labOrderController.collectSample);
+
+/**
+ * @swagger
+ * /api/lab-orders/{id}/results:
+ *   post:
+ *     tags: [Lab Orders]
+ *     summary: Post lab results
+ *     description: |
+ *       Laboratory only, once the sample is collected. Each result must be for an ordered test (matched by
+ *       code or name). Results are filed in a new lab_result medical record for the patient and the order
+ *       is completed. Results flagged critical are alerted to the ordering provider straight away in the
+ *       app, by SMS and by email.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - results
+ *             properties:
+ *               results:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - result
+ *                   properties:
+ *                     test:
+ *                       type: string
+ *                     code:
+ *                       type: string
+ *                     result:
+ *                       type: string
+ *                       example: '2.1'
+ *                     unit:
+ *                       type: string
+ *                       example: mmol/L
+ *                     referenceRange:
+ *                       type: string
+ *                       example: 3.9-5.6
+ *                     flag:
+ *                       type: string
+ *                       enum: [normal, high, low, critical]
+ *                       default: normal
+ *                     performedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     verifiedBy:
+ *                       type: string
+ *                     notes:
+ *                       type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Results posted; returns the order and the medical record they were filed in
+ *       400:
+ *         description: Missing results, a test that was not ordered or an invalid flag
+ *       409:
+ *         description: Sample not collected yet or results already posted
+ */
+router.post('/:id/results', authorize(USER_TYPES.VENDOR), requireApprovedVendor, labOrderController.postResults);
+
+/**
+ * @swagger
+ * /api/lab-orders/{id}/cancel:
+ *   post:
+ *     tags: [Lab Orders]
+ *     summary: Cancel a lab order
+ *     description: Provider only, before the sample is collected
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Lab order cancelled
+ *       409:
+ *         description: Sample already collected, or order closed
+ */
+router.post('/:id/cancel', authorize(USER_TYPES.PROVIDER), labOrderController.cancelOrder);
+
+module.exports = router;
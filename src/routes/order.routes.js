@@ -0,0 +1,355 @@
+const express = require('express');
+const router = express.Router();
+const orderController = require('../controllers/order.controller');
+const { authenticate, authorize, requireApprovedVendor, hasPermission } = require('../middleware/auth.middleware');
+const { USER_TYPES } = require('../utils/constants');
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/orders/cart:
+ *   get:
+ *     tags: [Orders]
+ *     summary: Get cart
+ *     description: Patient only. The cart is created empty on first use.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cart retrieved successfully
+ *   delete:
+ *     tags: [Orders]
+ *     summary: Empty cart
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cart emptied
+ */
+router.get('/cart', authorize(USER_TYPES.PATIENT), orderController.getCart);
+router.delete('/cart', authorize(USER_TYPES.PATIENT), orderController.clearCart);
+
+/**
+ * @swagger
+ * /api/orders/cart/items:
+ *   post:
+ *     tags: [Orders]
+ *     summary: Add product to cart
+ *     description: |
+ *       Adds to the quantity if the product is already in the cart. Prescription-only products need a
+ *       prescriptionId for an active prescription of the patient's that is shared with the pharmacy, and
+ *       the prescriptionItemId of the medication they are ordered as when the prescription has several.
+ *       The quantity cannot exceed what is left to dispense; checkout records it as dispensed.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 1
+ *               prescriptionId:
+ *                 type: string
+ *               prescriptionItemId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Added to cart
+ *       400:
+ *         description: Missing or invalid prescription
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Not enough stock
+ */
+router.post('/cart/items', authorize(USER_TYPES.PATIENT), orderController.addToCart);
+
+/**
+ * @swagger
+ * /api/orders/cart/items/{productId}:
+ *   put:
+ *     tags: [Orders]
+ *     summary: Change quantity in cart
+ *     description: A quantity of 0 removes the product.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 0
+ *     responses:
+ *       200:
+ *         description: Cart updated
+ *       404:
+ *         description: Product not found or not in cart
+ *       409:
+ *         description: Not enough stock
+ *   delete:
+ *     tags: [Orders]
+ *     summary: Remove product from cart
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Removed from cart
+ */
+router.put('/cart/items/:productId', authorize(USER_TYPES.PATIENT), orderController.updateCartItem);
+router.delete('/cart/items/:productId', authorize(USER_TYPES.PATIENT), orderController.removeFromCart);
+
+/**
+ * @swagger
+ * /api/orders/checkout:
+ *   post:
+ *     tags: [Orders]
+ *     summary: Check out the cart
+ *     description: |
+ *       Places one order per vendor in the cart. Items are taken out of stock and each order's total is
+ *       reserved in the patient's personal wallet (converted to the wallet's currency). The payment is
+ *       captured when the order is delivered and released if it is cancelled. Either every order is
+ *       placed or none is.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               deliveryMethod:
+ *                 type: string
+ *                 enum: [pickup, delivery]
+ *                 default: delivery
+ *               address:
+ *                 type: object
+ *                 description: Required for delivery
+ *                 properties:
+ *                   street:
+ *                     type: string
+ *                   city:
+ *                     type: string
+ *                   state:
+ *                     type: string
+ *                   country:
+ *                     type: string
+ *                   zipCode:
+ *                     type: string
+ *               phone:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Orders placed
+ *       400:
+ *         description: Empty cart, missing address, prescription problem or insufficient balance
+ *       409:
+ *         description: A product is out of stock or no longer available
+ */
+router.post('/checkout', authorize(USER_TYPES.PATIENT), orderController.checkout);
+
+/**
+ * @swagger
+ * /api/orders:
+ *   get:
+ *     tags: [Orders]
+ *     summary: Get orders
+ *     description: A patient's own orders, or those placed with a vendor (newest first)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [paid, fulfilled, shipped, delivered, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Orders retrieved successfully
+ */
+router.get('/', orderController.getOrders);
+
+/**
+ * @swagger
+ * /api/orders/{id}:
+ *   get:
+ *     tags: [Orders]
+ *     summary: Get order
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Order retrieved successfully
+ *       404:
+ *         description: Order not found
+ */
+router.get('/:id', orderController.getOrderById);
+
+/**
+ * @swagger
+ * /api/orders/{id}/cancel:
+ *   post:
+ *     tags: [Orders]
+ *     summary: Cancel order
+ *     description: |
+ *       Patients can cancel until the vendor has fulfilled the order; vendors until it has shipped. The
+ *       reserved payment is released and the items go back in stock.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order cancelled
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order can no longer be cancelled
+ */
+router.post('/:id/cancel', orderController.cancelOrder);
+
+/**
+ * @swagger
+ * /api/orders/{id}/fulfil:
+ *   post:
+ *     tags: [Orders]
+ *     summary: Fulfil order
+ *     description: Vendor only. The order is packed and ready for pickup or shipping.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Order fulfilled
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order is not paid
+ */
+router.post('/:id/fulfil', authorize(USER_TYPES.VENDOR), requireApprovedVendor, hasPermission('write:orders'), orderController.fulfilOrder);
+
+/**
+ * @swagger
+ * /api/orders/{id}/ship:
+ *   post:
+ *     tags: [Orders]
+ *     summary: Ship order
+ *     description: Vendor only, for fulfilled delivery orders.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               carrier:
+ *                 type: string
+ *               trackingNumber:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order shipped
+ *       400:
+ *         description: Pickup orders are not shipped
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order is not fulfilled
+ */
+router.post('/:id/ship', authorize(USER_TYPES.VENDOR), requireApprovedVendor, hasPermission('write:orders'), orderController.shipOrder);
+
+/**
+ * @swagger
+ * /api/orders/{id}/deliver:
+ *   post:
+ *     tags: [Orders]
+ *     summary: Deliver order
+ *     description: |
+ *       Vendor only. Marks a shipped order delivered, or a fulfilled pickup order collected, and captures
+ *       the payment for settlement to the vendor.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Order delivered
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order is not shipped, or not fulfilled for pickup
+ */
+router.post('/:id/deliver', authorize(USER_TYPES.VENDOR), requireApprovedVendor, hasPermission('write:orders'), orderController.deliverOrder);
+
+module.exports = router;
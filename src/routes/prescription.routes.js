@@ -0,0 +1,320 @@
+const express = require('express');
+const router = express.Router();
+const prescriptionController = require('../controllers/prescription.controller');
+const { authenticate, authorize, requireApprovedVendor } = require('../middleware/auth.middleware');
+const { USER_TYPES } = require('../utils/constants');
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/prescriptions:
+ *   post:
+ *     tags: [Prescriptions]
+ *     summary: Issue a prescription
+ *     description: |
+ *       Provider only. The prescription is signed by the platform on the provider's behalf and gets a
+ *       prescription number and a verification code to print on it. Give an appointmentId to link it to
+ *       one of the provider's appointments (the patient is taken from the appointment), or a patientId.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               patientId:
+ *                 type: string
+ *               appointmentId:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - medication
+ *                     - dosage
+ *                     - frequency
+ *                     - quantity
+ *                   properties:
+ *                     medication:
+ *                       type: string
+ *                       example: Amoxicillin
+ *                     strength:
+ *                       type: string
+ *                       example: 500 mg
+ *                     form:
+ *                       type: string
+ *                       example: capsule
+ *                     dosage:
+ *                       type: string
+ *                       example: 1 capsule
+ *                     route:
+ *                       type: string
+ *                       example: oral
+ *                     frequency:
+ *                       type: string
+ *                       example: three times daily
+ *                     duration:
+ *                       type: string
+ *                       example: 7 days
+ *                     quantity:
+ *                       type: integer
+ *                       description: Units to dispense per fill
+ *                       example: 21
+ *                     instructions:
+ *                       type: string
+ *                     substitutionAllowed:
+ *                       type: boolean
+ *                       default: true
+ *               refills:
+ *                 type: integer
+ *                 minimum: 0
+ *                 default: 0
+ *               validDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 default: 180
+ *               diagnosis:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Prescription issued
+ *       400:
+ *         description: Invalid items, refills or validity
+ *       404:
+ *         description: Patient or appointment not found
+ *   get:
+ *     tags: [Prescriptions]
+ *     summary: Get prescriptions
+ *     description: A patient's own prescriptions, those a provider issued, or those shared with a pharmacy
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, completed, cancelled, expired]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Prescriptions, newest first
+ *       403:
+ *         description: Not a patient, provider or pharmacy
+ */
+router.post('/', authorize(USER_TYPES.PROVIDER), prescriptionController.issuePrescription);
+router.get('/', prescriptionController.getPrescriptions);
+
+/**
+ * @swagger
+ * /api/prescriptions/verify/{code}:
+ *   get:
+ *     tags: [Prescriptions]
+ *     summary: Verify a prescription by its code
+ *     description: |
+ *       Pharmacies and providers. Checks the verification code printed on a prescription and whether its
+ *       signature is valid and it can still be dispensed. Returns a summary; the full prescription is
+ *       available once the patient shares it with the pharmacy.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: K7M2P-Q9XR4
+ *     responses:
+ *       200:
+ *         description: Prescription summary with signatureValid and dispensable
+ *       403:
+ *         description: Not a pharmacy or provider
+ *       404:
+ *         description: No prescription matches the code
+ */
+router.get('/verify/:code', prescriptionController.verifyPrescription);
+
+/**
+ * @swagger
+ * /api/prescriptions/{id}:
+ *   get:
+ *     tags: [Prescriptions]
+ *     summary: Get a prescription
+ *     description: Includes dispensing history and whether the signature is valid
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Prescription
+ *       404:
+ *         description: Prescription not found
+ */
+router.get('/:id', prescriptionController.getPrescriptionById);
+
+/**
+ * @swagger
+ * /api/prescriptions/{id}/share:
+ *   post:
+ *     tags: [Prescriptions]
+ *     summary: Share a prescription with a pharmacy
+ *     description: Patient only. The pharmacy can then see and dispense the prescription.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - pharmacyId
+ *             properties:
+ *               pharmacyId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Prescription shared
+ *       404:
+ *         description: Prescription or approved pharmacy not found
+ *       409:
+ *         description: Prescription is no longer active
+ */
+router.post('/:id/share', authorize(USER_TYPES.PATIENT), prescriptionController.sharePrescription);
+
+/**
+ * @swagger
+ * /api/prescriptions/{id}/share/{pharmacyId}:
+ *   delete:
+ *     tags: [Prescriptions]
+ *     summary: Stop sharing a prescription with a pharmacy
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: pharmacyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Prescription no longer shared with the pharmacy
+ *       404:
+ *         description: Prescription not found
+ */
+router.delete('/:id/share/:pharmacyId', authorize(USER_TYPES.PATIENT), prescriptionController.unsharePrescription);
+
+/**
+ * @swagger
+ * /api/prescriptions/{id}/dispense:
+ *   post:
+ *     tags: [Prescriptions]
+ *     summary: Dispense a prescription
+ *     description: |
+ *       Pharmacy vendors the prescription is shared with. Dispenses the given quantities from the current
+ *       fill, or the rest of the fill if no items are given. Dispensing after a fill is complete starts the
+ *       next fill and uses up a refill. The prescription is completed when its last fill is dispensed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Dispensed; returns the fill progress and refills remaining
+ *       400:
+ *         description: Unknown item or quantity more than is outstanding
+ *       403:
+ *         description: Not an approved pharmacy
+ *       404:
+ *         description: Prescription not found or not shared with the pharmacy
+ *       409:
+ *         description: Prescription not active, expired, invalid signature or no refills remaining
+ */
+router.post('/:id/dispense', authorize(USER_TYPES.VENDOR), requireApprovedVendor, prescriptionController.dispensePrescription);
+
+/**
+ * @swagger
+ * /api/prescriptions/{id}/cancel:
+ *   post:
+ *     tags: [Prescriptions]
+ *     summary: Cancel a prescription
+ *     description: Provider only. A cancelled prescription can no longer be dispensed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Prescription cancelled
+ *       404:
+ *         description: Prescription not found
+ *       409:
+ *         description: Prescription is not active
+ */
+router.post('/:id/cancel', authorize(USER_TYPES.PROVIDER), prescriptionController.cancelPrescription);
+
+module.exports = router;
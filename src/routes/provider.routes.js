@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const providerController = require('../controllers/provider.controller');
+const scheduleExceptionController = require('../controllers/scheduleException.controller');
+const reviewController = require('../controllers/review.controller');
 const { authenticate, authorize } = require('../middleware/auth.middleware');
 const { USER_TYPES } = require('../utils/constants');
 
@@ -619,12 +621,322 @@ const upload = multer({
  */
 
 // Provider routes
+/**
+ * @swagger
+ * /api/providers/{providerId}/slots:
+ *   get:
+ *     tags: [Providers]
+ *     summary: Get available appointment slots
+ *     description: |
+ *       Free slots for a day, generated from the provider's working hours in steps of their slot duration,
+ *       minus their break and existing appointments. Slot length is the service's duration when a service
+ *       is given. Times are HH:mm in the provider's local time.
+ *     parameters:
+ *       - in: path
+ *         name: providerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: 2024-12-20
+ *       - in: query
+ *         name: serviceId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Available slots
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     date:
+ *                       type: string
+ *                       example: 2024-12-20
+ *                     duration:
+ *                       type: integer
+ *                       example: 30
+ *                     isWorking:
+ *                       type: boolean
+ *                     slots:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           startTime:
+ *                             type: string
+ *                             example: '09:00'
+ *                           endTime:
+ *                             type: string
+ *                             example: '09:30'
+ *       400:
+ *         description: Missing or invalid date
+ *       404:
+ *         description: Provider or service not found
+ */
+
+/**
+ * @swagger
+ * /api/providers/{providerId}/schedule-exceptions:
+ *   get:
+ *     tags: [Providers]
+ *     summary: Get schedule exceptions
+ *     description: The provider's own time off and extra opening hours
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: providerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includePast
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Schedule exceptions
+ *       403:
+ *         description: Not authorized
+ *   post:
+ *     tags: [Providers]
+ *     summary: Add a schedule exception
+ *     description: |
+ *       Close (time off, conference) or open (extra clinic) hours for a date range. Without startTime/endTime
+ *       a closure covers whole days; with them it covers those hours on each day. Opening hours replace the
+ *       weekly working hours on the days covered. Patients with appointments inside a newly closed range are
+ *       notified with suggested alternative slots and may cancel without a fee.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: providerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - startDate
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [closed, open]
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 2024-12-23
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Inclusive; defaults to startDate
+ *                 example: 2024-12-27
+ *               startTime:
+ *                 type: string
+ *                 example: '09:00'
+ *               endTime:
+ *                 type: string
+ *                 example: '13:00'
+ *               reason:
+ *                 type: string
+ *                 example: Annual leave
+ *     responses:
+ *       201:
+ *         description: Exception created, with the appointments whose patients were asked to reschedule
+ *       400:
+ *         description: Invalid dates or times
+ *       403:
+ *         description: Not authorized
+ */
+
+/**
+ * @swagger
+ * /api/providers/{providerId}/schedule-exceptions/{exceptionId}:
+ *   delete:
+ *     tags: [Providers]
+ *     summary: Remove a schedule exception
+ *     description: Patients still asked to reschedule because of it are told their original time stands
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: providerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: exceptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Exception removed
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Schedule exception not found
+ */
+
+/**
+ * @swagger
+ * /api/providers/{providerId}/cancellation-policy:
+ *   get:
+ *     tags: [Providers]
+ *     summary: Get provider cancellation policy
+ *     description: Free-cancellation window and the fee charged to patients who cancel inside it
+ *     parameters:
+ *       - in: path
+ *         name: providerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cancellation policy
+ *       404:
+ *         description: Provider not found
+ *   put:
+ *     tags: [Providers]
+ *     summary: Update provider cancellation policy
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: providerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               freeCancellationHours:
+ *                 type: number
+ *                 example: 24
+ *                 description: Patients cancelling at least this many hours before the start get a full refund
+ *               feePercentage:
+ *                 type: number
+ *                 example: 20
+ *                 description: Share of the payment kept when cancelling inside the window
+ *     responses:
+ *       200:
+ *         description: Cancellation policy updated
+ *       400:
+ *         description: Invalid policy values
+ *       403:
+ *         description: Not authorized
+ */
+
+/**
+ * @swagger
+ * /api/providers/{providerId}/earnings:
+ *   get:
+ *     tags: [Providers]
+ *     summary: Get provider earnings
+ *     description: |
+ *       Earnings totals and payout history. Completed appointment payments are held for a settlement
+ *       period, then credited to the provider wallet net of the platform fee. History rows group
+ *       settlements and processed withdrawals by period.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: providerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month, year]
+ *           default: month
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to twelve months before `to`
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to now
+ *     responses:
+ *       200:
+ *         description: Earnings summary (totalEarnings, pendingPayments, paidOut, platformFeePercentage, walletBalance) and history
+ *       400:
+ *         description: Invalid period or dates
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Provider not found
+ */
+
+/**
+ * @swagger
+ * /api/providers/{providerId}/reviews:
+ *   get:
+ *     tags: [Reviews]
+ *     summary: Get a provider's reviews
+ *     description: Published reviews, newest first, with the provider's rating and the number of reviews at each star rating
+ *     parameters:
+ *       - in: path
+ *         name: providerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Reviews with a rating summary
+ *       404:
+ *         description: Provider not found
+ */
+
 // Public routes (no authentication required)
 router.get('/', providerController.getAllProviders);
 router.get('/services', providerController.searchServices);
 router.get('/:providerId/profile', providerController.getProfile);
 router.get('/:providerId/services', providerController.getServices);
 router.get('/:providerId/appointments', providerController.getAppointments);
+router.get('/:providerId/slots', providerController.getSlots);
+router.get('/:providerId/cancellation-policy', providerController.getCancellationPolicy);
+router.get('/:providerId/reviews', reviewController.getProviderReviews);
 
 // Protected routes (authentication required)
 router.get('/:providerId/analytics', authenticate, providerController.getAnalytics);
@@ -633,6 +945,11 @@ router.post('/:providerId/avatar', authenticate, upload.single('file'), provider
 router.post('/:providerId/services', authenticate, providerController.addService);
 router.put('/:providerId/services/:serviceId', authenticate, providerController.updateService);
 router.delete('/:providerId/services/:serviceId', authenticate, providerController.deleteService);
+router.put('/:providerId/cancellation-policy', authenticate, authorize(USER_TYPES.PROVIDER), providerController.updateCancellationPolicy);
+router.get('/:providerId/earnings', authenticate, providerController.getEarnings);
+router.get('/:providerId/schedule-exceptions', authenticate, authorize(USER_TYPES.PROVIDER), scheduleExceptionController.getExceptions);
+router.post('/:providerId/schedule-exceptions', authenticate, authorize(USER_TYPES.PROVIDER), scheduleExceptionController.createException);
+router.delete('/:providerId/schedule-exceptions/:exceptionId', authenticate, authorize(USER_TYPES.PROVIDER), scheduleExceptionController.deleteException);
 router.get('/:providerId/patients', authenticate, authorize(USER_TYPES.PROVIDER), providerController.getPatients);
 
 module.exports = router;
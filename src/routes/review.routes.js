@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const reviewController = require('../controllers/review.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { USER_TYPES } = require('../utils/constants');
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/reviews:
+ *   post:
+ *     tags: [Reviews]
+ *     summary: Review a completed appointment
+ *     description: |
+ *       Patient only. Each completed appointment can be reviewed once. The review counts towards the
+ *       provider's rating (statistics.rating and statistics.totalReviews) straight away.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - appointmentId
+ *               - rating
+ *             properties:
+ *               appointmentId:
+ *                 type: string
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               comment:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       201:
+ *         description: Review submitted
+ *       400:
+ *         description: Missing or invalid rating
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: Appointment not completed or already reviewed
+ */
+router.post('/', authorize(USER_TYPES.PATIENT), reviewController.createReview);
+
+/**
+ * @swagger
+ * /api/reviews/me:
+ *   get:
+ *     tags: [Reviews]
+ *     summary: Get my reviews
+ *     description: Reviews the patient has written, or the reviews the provider has received (including hidden ones)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reviews, newest first
+ */
+router.get('/me', reviewController.getMyReviews);
+
+/**
+ * @swagger
+ * /api/reviews/{id}/reply:
+ *   put:
+ *     tags: [Reviews]
+ *     summary: Reply to a review
+ *     description: Provider only. Adds the provider's public reply, or replaces it if there is one.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: Reply saved
+ *       400:
+ *         description: Reply text is required
+ *       404:
+ *         description: Review not found
+ */
+router.put('/:id/reply', authorize(USER_TYPES.PROVIDER), reviewController.replyToReview);
+
+/**
+ * @swagger
+ * /api/reviews/{id}/flag:
+ *   post:
+ *     tags: [Reviews]
+ *     summary: Report a review
+ *     description: Sends a published review to the moderation queue. Each user can report a review once.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Review reported
+ *       404:
+ *         description: Review not found
+ *       409:
+ *         description: Already reported by this user
+ */
+router.post('/:id/flag', reviewController.flagReview);
+
+module.exports = router;
@@ -0,0 +1,185 @@
+const express = require('express');
+const router = express.Router();
+const reviewAdminController = require('../controllers/reviewAdmin.controller');
+const { authenticate } = require('../middleware/auth.middleware');
+const { isSuperAdmin, hasPermission, logAction } = require('../middleware/superAdmin.middleware');
+
+// All routes require authentication and super admin access
+router.use(authenticate);
+router.use(isSuperAdmin);
+
+/**
+ * @swagger
+ * /api/super-admin/reviews:
+ *   get:
+ *     summary: Get reviews for moderation
+ *     description: Defaults to flagged reviews, oldest report activity first
+ *     tags: [SuperAdmin - Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: flagged
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false', all]
+ *           default: 'true'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [all, published, hidden]
+ *           default: all
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reviews with their reports
+ */
+router.get('/', hasPermission('manageProviders'), reviewAdminController.getReviews);
+
+/**
+ * @swagger
+ * /api/super-admin/reviews/{id}/hide:
+ *   post:
+ *     summary: Hide a review
+ *     description: Removes a published review from the provider's profile and takes it out of their rating
+ *     tags: [SuperAdmin - Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review hidden
+ *       409:
+ *         description: No published review to hide
+ */
+router.post(
+  '/:id/hide',
+  hasPermission('manageProviders'),
+  logAction('HIDE_REVIEW', 'Review'),
+  reviewAdminController.hideReview
+);
+
+/**
+ * @swagger
+ * /api/super-admin/reviews/{id}/restore:
+ *   post:
+ *     summary: Restore a hidden review
+ *     description: Publishes the review again and adds it back to the provider's rating
+ *     tags: [SuperAdmin - Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review restored
+ *       409:
+ *         description: No hidden review to restore
+ */
+router.post(
+  '/:id/restore',
+  hasPermission('manageProviders'),
+  logAction('RESTORE_REVIEW', 'Review'),
+  reviewAdminController.restoreReview
+);
+
+/**
+ * @swagger
+ * /api/super-admin/reviews/{id}/dismiss:
+ *   post:
+ *     summary: Dismiss reports on a review
+ *     description: Clears the flag and keeps the review published
+ *     tags: [SuperAdmin - Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reports dismissed
+ *       409:
+ *         description: No published review to dismiss reports on
+ */
+router.post(
+  '/:id/dismiss',
+  hasPermission('manageProviders'),
+  logAction('DISMISS_REVIEW_FLAGS', 'Review'),
+  reviewAdminController.dismissFlags
+);
+
+/**
+ * @swagger
+ * /api/super-admin/reviews/providers/{providerId}/recompute:
+ *   post:
+ *     summary: Recompute a provider's rating
+ *     description: Rebuilds statistics.rating and statistics.totalReviews from the provider's published reviews
+ *     tags: [SuperAdmin - Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: providerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recomputed rating and review count
+ */
+router.post(
+  '/providers/:providerId/recompute',
+  hasPermission('manageProviders'),
+  logAction('RECOMPUTE_PROVIDER_RATING', 'User'),
+  reviewAdminController.recomputeProviderRating
+);
+
+module.exports = router;
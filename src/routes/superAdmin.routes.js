@@ -917,15 +917,44 @@ router.get('/transactions', hasPermission('manageTransactions'), superAdminContr
 
 /**
  * @swagger
- * /api/super-admin/transactions/:id/reverse:
+ * /api/super-admin/transactions/{id}/reverse:
  *   post:
  *     summary: Reverse a transaction
+ *     description: |
+ *       Posts a compensating transaction linked to the original and moves the funds back between the
+ *       affected wallets atomically. Transfers are reversed on both legs. Omit amount to reverse everything
+ *       not yet reversed; pass a smaller amount for a partial reversal. A transaction can never be reversed
+ *       for more than its original amount.
  *     tags: [SuperAdmin]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *                 description: Amount to reverse, in the transaction's currency
  *     responses:
  *       200:
- *         description: Operation successful
+ *         description: Transaction reversed, with the compensating transactions
+ *       400:
+ *         description: Missing reason or invalid amount
+ *       409:
+ *         description: Transaction cannot be reversed (not completed, already reversed, amount too large, or insufficient wallet balance)
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *       403:
@@ -937,6 +966,56 @@ router.post(
   superAdminController.reverseTransaction
 );
 
+/**
+ * @swagger
+ * /api/super-admin/wallets/reconciliation:
+ *   get:
+ *     summary: Reconcile wallet balances against the ledger
+ *     description: Recomputes each wallet balance from the double-entry journal and reports drift per balance bucket
+ *     tags: [SuperAdmin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: walletId
+ *         schema:
+ *           type: string
+ *         description: Reconcile a single wallet
+ *       - in: query
+ *         name: onlyDrifted
+ *         schema:
+ *           type: boolean
+ *         description: Only return wallets whose stored balance differs from the ledger
+ *     responses:
+ *       200:
+ *         description: Reconciliation report
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *       404:
+ *         description: Wallet not found
+ */
+router.get('/wallets/reconciliation', hasPermission('manageTransactions'), superAdminController.reconcileWallets);
+
+// ==================== Withdrawal Management ====================
+
+// Import and mount withdrawal admin routes
+const withdrawalAdminRoutes = require('./withdrawalAdmin.routes');
+router.use('/withdrawals', withdrawalAdminRoutes);
+
+// ==================== Review Moderation ====================
+
+// Import and mount review moderation routes
+const reviewAdminRoutes = require('./reviewAdmin.routes');
+router.use('/reviews', reviewAdminRoutes);
+
+// ==================== Exchange Rate Management ====================
+
+// Import and mount exchange rate admin routes
+const exchangeRateAdminRoutes = require('./exchangeRateAdmin.routes');
+router.use('/exchange-rates', exchangeRateAdminRoutes);
+
 // ==================== Sponsorship Management ====================
 
 /**
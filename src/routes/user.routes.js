@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/user.controller');
+const calendarController = require('../controllers/calendar.controller');
 const { authenticate } = require('../middleware/auth.middleware');
 
 /**
@@ -142,6 +143,34 @@ const { authenticate } = require('../middleware/auth.middleware');
 router.get('/profile', authenticate, userController.getProfile);
 router.put('/profile', authenticate, userController.updateProfile);
 
+/**
+ * @swagger
+ * /api/users/profile/calendar-feed:
+ *   post:
+ *     tags: [Calendar]
+ *     summary: Create calendar feed URL
+ *     description: |
+ *       Create a private .ics subscription URL for the user's appointments. Creating a new URL revokes the
+ *       previous one. The URL is only shown once; the profile shows calendarFeed.createdAt while one is active.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Feed URL (https and webcal)
+ *   delete:
+ *     tags: [Calendar]
+ *     summary: Revoke calendar feed URL
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Feed revoked
+ *       404:
+ *         description: No active feed
+ */
+router.post('/profile/calendar-feed', authenticate, calendarController.createFeed);
+router.delete('/profile/calendar-feed', authenticate, calendarController.revokeFeed);
+
 // Email verification routes
 router.post('/verify-email', userController.verifyEmail);
 router.post('/send-verification', authenticate, userController.sendEmailVerification);
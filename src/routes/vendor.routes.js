@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const vendorController = require('../controllers/vendor.controller');
-const { authenticate, authorize } = require('../middleware/auth.middleware');
+const productController = require('../controllers/product.controller');
+const orderController = require('../controllers/order.controller');
+const { authenticate, authorize, requireApprovedVendor, hasPermission } = require('../middleware/auth.middleware');
 const { USER_TYPES } = require('../utils/constants');
 
 /**
@@ -10,7 +12,7 @@ const { USER_TYPES } = require('../utils/constants');
  *   get:
  *     tags: [Vendors]
  *     summary: Get vendor products
- *     description: Retrieve all products/services offered by vendor
+ *     description: The vendor's own catalogue, including products withdrawn from sale
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -22,13 +24,19 @@ const { USER_TYPES } = require('../utils/constants');
  *         name: available
  *         schema:
  *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Products retrieved successfully
  *   post:
  *     tags: [Vendors]
  *     summary: Add new product
- *     description: Add a new product or service to catalog
+ *     description: |
+ *       Adds a product to the vendor's catalogue, priced in the vendor's currency. Only pharmacies can
+ *       sell prescription-only products.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -38,20 +46,97 @@ const { USER_TYPES } = require('../utils/constants');
  *           schema:
  *             type: object
  *             required:
+ *               - sku
  *               - name
  *               - price
  *             properties:
+ *               sku:
+ *                 type: string
+ *                 description: Unique within the vendor's catalogue
  *               name:
  *                 type: string
- *               price:
- *                 type: number
+ *               description:
+ *                 type: string
  *               category:
  *                 type: string
+ *               unit:
+ *                 type: string
+ *                 example: Pack of 30 tablets
+ *               price:
+ *                 type: number
  *               stock:
  *                 type: integer
+ *               requiresPrescription:
+ *                 type: boolean
  *     responses:
  *       201:
  *         description: Product added successfully
+ *       409:
+ *         description: SKU already in the catalogue
+ */
+
+/**
+ * @swagger
+ * /api/vendors/products/{productId}:
+ *   put:
+ *     tags: [Vendors]
+ *     summary: Update product
+ *     description: Setting isActive to false withdraws the product from sale
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sku:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               unit:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *               stock:
+ *                 type: integer
+ *               requiresPrescription:
+ *                 type: boolean
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Product updated successfully
+ *       404:
+ *         description: Product not found
+ *   delete:
+ *     tags: [Vendors]
+ *     summary: Withdraw product
+ *     description: Withdraws the product from sale; it is kept for past orders
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product withdrawn from sale
+ *       404:
+ *         description: Product not found
  */
 
 /**
@@ -60,22 +145,65 @@ const { USER_TYPES } = require('../utils/constants');
  *   get:
  *     tags: [Vendors]
  *     summary: Get vendor orders
- *     description: Retrieve all orders for vendor's products
+ *     description: |
+ *       The vendor's order queue, oldest first. Without a status, returns orders still to be fulfilled,
+ *       shipped or delivered. See /api/orders/{id}/fulfil, /ship and /deliver to work through it.
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
  *         name: status
+ *         description: Comma-separated statuses
  *         schema:
  *           type: string
- *           enum: [pending, processing, completed, cancelled]
+ *           example: paid,fulfilled
  *     responses:
  *       200:
  *         description: Orders retrieved successfully
  */
 
+/**
+ * @swagger
+ * /api/vendors/{vendorId}/products:
+ *   get:
+ *     tags: [Vendors]
+ *     summary: Get a vendor's catalogue
+ *     description: Products the vendor has on sale
+ *     parameters:
+ *       - in: path
+ *         name: vendorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Products retrieved successfully
+ *       404:
+ *         description: Vendor not found
+ */
+
 // Routes
 router.get('/profile', authenticate, authorize(USER_TYPES.VENDOR), vendorController.getProfile);
 router.put('/profile', authenticate, authorize(USER_TYPES.VENDOR), vendorController.updateProfile);
+router.get('/products', authenticate, authorize(USER_TYPES.VENDOR), requireApprovedVendor, productController.getMyProducts);
+router.post('/products', authenticate, authorize(USER_TYPES.VENDOR), requireApprovedVendor, productController.createProduct);
+router.put('/products/:productId', authenticate, authorize(USER_TYPES.VENDOR), requireApprovedVendor, productController.updateProduct);
+router.delete('/products/:productId', authenticate, authorize(USER_TYPES.VENDOR), requireApprovedVendor, productController.deleteProduct);
+router.get('/orders', authenticate, authorize(USER_TYPES.VENDOR), requireApprovedVendor, hasPermission('read:orders'), orderController.getVendorOrders);
+
+// Public catalogue
+router.get('/:vendorId/products', productController.getVendorProducts);
 
 module.exports = router;
\ No newline at end of file
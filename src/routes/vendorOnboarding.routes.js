@@ -0,0 +1,300 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const vendorOnboardingController = require('../controllers/vendorOnboarding.controller');
+
+// Configure multer for document uploads (scans and photos of certificates)
+const storage = multer.memoryStorage();
+const upload = multer({
+  storage,
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image and PDF files are allowed'), false);
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/vendors/onboarding/init:
+ *   post:
+ *     summary: Initialize vendor onboarding session
+ *     tags: [Vendor Onboarding]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               referralCode:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Session initialized successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 sessionToken:
+ *                   type: string
+ *                 sessionId:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ */
+router.post('/init', vendorOnboardingController.initializeOnboarding);
+
+/**
+ * @swagger
+ * /api/vendors/onboarding/step1:
+ *   post:
+ *     summary: Submit business information (Step 1)
+ *     description: The business email and phone become the account's login details.
+ *     tags: [Vendor Onboarding]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - vendorType
+ *               - businessName
+ *               - registrationNumber
+ *               - businessEmail
+ *               - businessPhone
+ *               - address
+ *               - contact
+ *             properties:
+ *               vendorType:
+ *                 type: string
+ *                 enum: [pharmacy, laboratory, medical_equipment, medical_supplies, ambulance, other]
+ *               businessName:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               registrationNumber:
+ *                 type: string
+ *               businessEmail:
+ *                 type: string
+ *                 format: email
+ *               businessPhone:
+ *                 type: string
+ *               address:
+ *                 type: object
+ *                 required:
+ *                   - country
+ *                 properties:
+ *                   street:
+ *                     type: string
+ *                   city:
+ *                     type: string
+ *                   state:
+ *                     type: string
+ *                   zipCode:
+ *                     type: string
+ *                   country:
+ *                     type: string
+ *               contact:
+ *                 type: object
+ *                 description: Person the account is registered to
+ *                 required:
+ *                   - firstName
+ *                   - lastName
+ *                   - dateOfBirth
+ *                 properties:
+ *                   firstName:
+ *                     type: string
+ *                   lastName:
+ *                     type: string
+ *                   dateOfBirth:
+ *                     type: string
+ *                     format: date
+ *                   gender:
+ *                     type: string
+ *                     enum: [male, female, other, prefer_not_to_say]
+ *                   position:
+ *                     type: string
+ *                     example: Superintendent pharmacist
+ *     responses:
+ *       200:
+ *         description: Business information saved
+ *       409:
+ *         description: Email or phone already registered
+ */
+router.post('/step1', vendorOnboardingController.submitStep1);
+
+/**
+ * @swagger
+ * /api/vendors/onboarding/documents:
+ *   post:
+ *     summary: Upload a registration or licence document
+ *     description: |
+ *       Every vendor needs a business_registration document; pharmacies and laboratories also need an
+ *       operating_license. Upload them before submitting step 2.
+ *     tags: [Vendor Onboarding]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               type:
+ *                 type: string
+ *                 enum: [business_registration, operating_license, tax_certificate, other]
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Document uploaded successfully
+ */
+router.post('/documents', upload.single('file'), vendorOnboardingController.uploadDocument);
+
+/**
+ * @swagger
+ * /api/vendors/onboarding/step2:
+ *   post:
+ *     summary: Submit licences and documents (Step 2)
+ *     description: Licence number and expiry are required for pharmacies and laboratories.
+ *     tags: [Vendor Onboarding]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               licenseNumber:
+ *                 type: string
+ *               licenseAuthority:
+ *                 type: string
+ *                 example: Pharmacy Council of Nigeria
+ *               licenseExpiry:
+ *                 type: string
+ *                 format: date
+ *               taxId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Licence information saved
+ *       400:
+ *         description: Missing licence or required documents
+ */
+router.post('/step2', vendorOnboardingController.submitStep2);
+
+/**
+ * @swagger
+ * /api/vendors/onboarding/step3:
+ *   post:
+ *     summary: Submit payout details (Step 3)
+ *     description: Bank account settlements are paid out to, and the vendor's wallet currency.
+ *     tags: [Vendor Onboarding]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - bankName
+ *               - accountHolderName
+ *               - accountNumber
+ *             properties:
+ *               bankName:
+ *                 type: string
+ *               accountHolderName:
+ *                 type: string
+ *               accountNumber:
+ *                 type: string
+ *               routingNumber:
+ *                 type: string
+ *               accountType:
+ *                 type: string
+ *                 enum: [checking, savings]
+ *               currency:
+ *                 type: string
+ *                 example: NGN
+ *     responses:
+ *       200:
+ *         description: Payout details saved
+ */
+router.post('/step3', vendorOnboardingController.submitStep3);
+
+/**
+ * @swagger
+ * /api/vendors/onboarding/complete:
+ *   post:
+ *     summary: Complete vendor registration (Step 4)
+ *     description: |
+ *       Creates the vendor account in pending status and a vendor approval request for the super admin
+ *       approvals queue. The account is activated when the application is approved.
+ *     tags: [Vendor Onboarding]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - confirmPassword
+ *               - termsAccepted
+ *               - privacyPolicyAccepted
+ *               - hipaaComplianceAccepted
+ *             properties:
+ *               username:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               confirmPassword:
+ *                 type: string
+ *                 format: password
+ *               termsAccepted:
+ *                 type: boolean
+ *               privacyPolicyAccepted:
+ *                 type: boolean
+ *               hipaaComplianceAccepted:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Vendor registration submitted for approval
+ */
+router.post('/complete', vendorOnboardingController.completeOnboarding);
+
+/**
+ * @swagger
+ * /api/vendors/onboarding/status:
+ *   get:
+ *     summary: Get onboarding session status
+ *     tags: [Vendor Onboarding]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Session status retrieved
+ */
+router.get('/status', vendorOnboardingController.getOnboardingStatus);
+
+module.exports = router;
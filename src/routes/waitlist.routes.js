@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const waitlistController = require('../controllers/waitlist.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { USER_TYPES } = require('../utils/constants');
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/waitlist:
+ *   post:
+ *     tags: [Waitlist]
+ *     summary: Join a provider's waitlist
+ *     description: |
+ *       Patient only. When an appointment with the provider is cancelled or moved, the freed slot is offered to
+ *       waiting patients in the order they joined, if it falls inside one of their preferred windows and their
+ *       service fits. The slot is then held for the patient for a limited time (offer.expiresAt); they claim it by
+ *       booking it through POST /api/appointments. Unclaimed holds pass to the next patient.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - providerId
+ *               - serviceId
+ *             properties:
+ *               providerId:
+ *                 type: string
+ *               serviceId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *               preferredWindows:
+ *                 type: array
+ *                 description: Days and optional hours the patient can attend; omit for any time
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                       format: date
+ *                     to:
+ *                       type: string
+ *                       format: date
+ *                     startTime:
+ *                       type: string
+ *                       example: '09:00'
+ *                     endTime:
+ *                       type: string
+ *                       example: '12:00'
+ *     responses:
+ *       201:
+ *         description: Waitlist entry with the patient's position
+ *       400:
+ *         description: Invalid windows or provider not accepting new patients
+ *       404:
+ *         description: Provider or service not found
+ *       409:
+ *         description: Already on this waitlist
+ *   get:
+ *     tags: [Waitlist]
+ *     summary: Get waitlist entries
+ *     description: A patient's own entries, or the entries on the authenticated provider's waitlist
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [waiting, offered, booked, cancelled, expired]
+ *         description: Defaults to waiting and offered entries
+ *     responses:
+ *       200:
+ *         description: Waitlist entries in queue order
+ */
+router.post('/', authorize(USER_TYPES.PATIENT), waitlistController.joinWaitlist);
+router.get('/', waitlistController.getWaitlist);
+
+/**
+ * @swagger
+ * /api/waitlist/{id}/decline:
+ *   post:
+ *     tags: [Waitlist]
+ *     summary: Decline a held slot
+ *     description: The patient keeps their place and the slot is offered to the next patient
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Offer declined
+ *       404:
+ *         description: Waitlist entry not found
+ *       409:
+ *         description: No slot is held for this entry
+ */
+router.post('/:id/decline', authorize(USER_TYPES.PATIENT), waitlistController.declineOffer);
+
+/**
+ * @swagger
+ * /api/waitlist/{id}:
+ *   delete:
+ *     tags: [Waitlist]
+ *     summary: Leave a waitlist
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Removed from waitlist
+ *       404:
+ *         description: Waitlist entry not found
+ */
+router.delete('/:id', authorize(USER_TYPES.PATIENT), waitlistController.leaveWaitlist);
+
+module.exports = router;
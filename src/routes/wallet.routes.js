@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const walletController = require('../controllers/wallet.controller');
-const { authenticate } = require('../middleware/auth.middleware');
+const withdrawalController = require('../controllers/withdrawal.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { USER_TYPES } = require('../utils/constants');
 
 /**
  * @swagger
@@ -41,7 +43,11 @@ const { authenticate } = require('../middleware/auth.middleware');
  *   post:
  *     tags: [Wallets]
  *     summary: Deposit funds
- *     description: Add funds to personal wallet
+ *     description: |
+ *       Start a card deposit through Stripe. Creates a payment intent and a pending transaction;
+ *       the amount is held in the wallet's pending balance until the Stripe webhook confirms payment.
+ *       Use the returned clientSecret to confirm the payment on the client, or pass paymentMethodId to confirm immediately.
+ *       Pass fundingSourceId to charge a saved card; without either, the wallet's default saved card is charged if it has one.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -52,7 +58,6 @@ const { authenticate } = require('../middleware/auth.middleware');
  *             type: object
  *             required:
  *               - amount
- *               - paymentMethodId
  *             properties:
  *               amount:
  *                 type: number
@@ -60,13 +65,15 @@ const { authenticate } = require('../middleware/auth.middleware');
  *               paymentMethodId:
  *                 type: string
  *                 example: pm_1234567890
- *               currency:
+ *               fundingSourceId:
+ *                 type: string
+ *                 description: Saved card funding source to charge
+ *               walletType:
  *                 type: string
- *                 default: USD
- *                 example: USD
+ *                 default: personal
  *     responses:
- *       200:
- *         description: Deposit successful
+ *       202:
+ *         description: Deposit initiated and awaiting payment confirmation
  *         content:
  *           application/json:
  *             schema:
@@ -76,7 +83,21 @@ const { authenticate } = require('../middleware/auth.middleware');
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   $ref: '#/components/schemas/Transaction'
+ *                   type: object
+ *                   properties:
+ *                     walletId:
+ *                       type: string
+ *                     transactionId:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       example: pending
+ *                     paymentIntentId:
+ *                       type: string
+ *                     clientSecret:
+ *                       type: string
+ *                     pendingBalance:
+ *                       type: number
  *       400:
  *         description: Bad request
  *         content:
@@ -85,7 +106,659 @@ const { authenticate } = require('../middleware/auth.middleware');
  *               $ref: '#/components/schemas/Error'
  */
 
+/**
+ * @swagger
+ * /api/wallets/pin:
+ *   post:
+ *     tags: [Wallets]
+ *     summary: Set wallet PIN
+ *     description: Set the PIN used to authorise transfers from a wallet. Fails if a PIN is already set.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - pin
+ *             properties:
+ *               pin:
+ *                 type: string
+ *                 description: 4 to 6 digits
+ *                 example: "1234"
+ *               walletType:
+ *                 type: string
+ *                 enum: [personal, sponsored, provider, vendor]
+ *                 default: personal
+ *     responses:
+ *       200:
+ *         description: PIN set
+ *       400:
+ *         description: Invalid PIN format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: PIN already set
+ *   put:
+ *     tags: [Wallets]
+ *     summary: Change wallet PIN
+ *     description: Replace the wallet PIN after verifying the current one. Failed attempts count towards the lockout.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPin
+ *               - newPin
+ *             properties:
+ *               currentPin:
+ *                 type: string
+ *                 example: "1234"
+ *               newPin:
+ *                 type: string
+ *                 example: "5678"
+ *               walletType:
+ *                 type: string
+ *                 default: personal
+ *     responses:
+ *       200:
+ *         description: PIN changed
+ *       401:
+ *         description: Invalid current PIN
+ *       404:
+ *         description: No PIN set
+ *       423:
+ *         description: Wallet locked after too many failed attempts
+ */
+
+/**
+ * @swagger
+ * /api/wallets/transfer:
+ *   post:
+ *     tags: [Wallets]
+ *     summary: Transfer funds to another user
+ *     description: |
+ *       Move funds from one of your wallets to another user's wallet, identified by health card ID, email or wallet ID.
+ *       Requires the wallet PIN; the wallet is locked for 30 minutes after 5 failed attempts.
+ *       The debit and credit are recorded as two linked transactions.
+ *       If the recipient's wallet uses another currency, they are credited at the current exchange rate and the rate is recorded on both transactions.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - recipient
+ *               - amount
+ *               - pin
+ *             properties:
+ *               recipient:
+ *                 type: string
+ *                 description: Health card ID, email or wallet ID
+ *                 example: AH-LXYZ123-ABC123
+ *               amount:
+ *                 type: number
+ *                 example: 25.00
+ *               pin:
+ *                 type: string
+ *                 example: "1234"
+ *               description:
+ *                 type: string
+ *                 example: Pharmacy contribution
+ *               walletType:
+ *                 type: string
+ *                 default: personal
+ *     responses:
+ *       200:
+ *         description: Transfer completed
+ *       400:
+ *         description: Invalid amount, insufficient balance or no PIN set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Invalid PIN
+ *       404:
+ *         description: Source or recipient wallet not found
+ *       423:
+ *         description: Wallet locked after too many failed attempts
+ */
+
+/**
+ * @swagger
+ * /api/wallets/limits:
+ *   get:
+ *     tags: [Wallets]
+ *     summary: Get wallet spending limits
+ *     description: Daily, monthly and per-transaction limits with usage so far this day/month and remaining allowance. Admins may pass any walletId.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: walletType
+ *         schema:
+ *           type: string
+ *           default: personal
+ *       - in: query
+ *         name: walletId
+ *         schema:
+ *           type: string
+ *         description: Specific wallet (own wallet, or any wallet for admins)
+ *     responses:
+ *       200:
+ *         description: Limits, usage and remaining allowance
+ *       404:
+ *         description: Wallet not found
+ *   put:
+ *     tags: [Wallets]
+ *     summary: Configure wallet spending limits
+ *     description: Set or remove (null) limits. Omitted fields are left unchanged. Sponsored wallet limits can only be changed by admins.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               walletType:
+ *                 type: string
+ *                 default: personal
+ *               walletId:
+ *                 type: string
+ *               daily:
+ *                 type: object
+ *                 properties:
+ *                   amount:
+ *                     type: number
+ *                     example: 500
+ *                   transactions:
+ *                     type: integer
+ *                     example: 10
+ *               monthly:
+ *                 type: object
+ *                 properties:
+ *                   amount:
+ *                     type: number
+ *                     example: 5000
+ *                   transactions:
+ *                     type: integer
+ *                     example: 100
+ *               perTransaction:
+ *                 type: number
+ *                 example: 250
+ *     responses:
+ *       200:
+ *         description: Limits updated
+ *       400:
+ *         description: Invalid limit values
+ *       403:
+ *         description: Not allowed to change this wallet's limits
+ *       404:
+ *         description: Wallet not found
+ */
+
+/**
+ * @swagger
+ * /api/wallets/withdrawal-settings:
+ *   put:
+ *     tags: [Wallets]
+ *     summary: Configure withdrawal destination
+ *     description: Set the bank, mobile money or card destination for withdrawals from a provider or vendor wallet
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - method
+ *             properties:
+ *               method:
+ *                 type: string
+ *                 enum: [bank, mobile_money, card]
+ *               details:
+ *                 type: object
+ *                 properties:
+ *                   bankName:
+ *                     type: string
+ *                   accountNumber:
+ *                     type: string
+ *                   accountName:
+ *                     type: string
+ *                   swiftCode:
+ *                     type: string
+ *                   iban:
+ *                     type: string
+ *                   mobileNumber:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *       400:
+ *         description: Invalid method or missing details
+ *       403:
+ *         description: Only providers and vendors can withdraw
+ */
+
+/**
+ * @swagger
+ * /api/wallets/withdrawals:
+ *   post:
+ *     tags: [Wallets]
+ *     summary: Request a withdrawal
+ *     description: Reserves the amount in the provider/vendor wallet and queues the request for super-admin approval. The amount must meet the wallet's minimum withdrawal amount.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 150.00
+ *     responses:
+ *       201:
+ *         description: Withdrawal requested
+ *       400:
+ *         description: Below minimum, insufficient balance or no withdrawal settings
+ *       403:
+ *         description: Only providers and vendors can withdraw
+ *   get:
+ *     tags: [Wallets]
+ *     summary: Get my withdrawals
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Withdrawals retrieved
+ */
+
+/**
+ * @swagger
+ * /api/wallets/withdrawals/{id}/cancel:
+ *   post:
+ *     tags: [Wallets]
+ *     summary: Cancel a pending withdrawal
+ *     description: Releases the reserved funds back to the wallet
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Withdrawal cancelled
+ *       404:
+ *         description: Pending withdrawal not found
+ */
+
+/**
+ * @swagger
+ * /api/wallets/funding-sources:
+ *   get:
+ *     tags: [Wallets]
+ *     summary: List saved funding sources
+ *     description: Only display details (brand, last4, bank name) are returned; processor tokens never leave the server.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: walletType
+ *         schema:
+ *           type: string
+ *           default: personal
+ *     responses:
+ *       200:
+ *         description: Funding sources retrieved
+ *   post:
+ *     tags: [Wallets]
+ *     summary: Save a funding source
+ *     description: |
+ *       Cards are saved from a Stripe payment method collected on the client and attached to the user's Stripe customer.
+ *       Bank and mobile money sources take the token their processor issued plus display details.
+ *       Sponsor sources name a sponsorship of the user. Only saved cards can be used for deposits.
+ *       Raw card or account numbers are rejected. The first source saved becomes the default.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [card, bank, mobile_money, sponsor]
+ *                 default: card
+ *               paymentMethodId:
+ *                 type: string
+ *                 example: pm_1234567890
+ *                 description: Required for cards
+ *               processor:
+ *                 type: string
+ *                 description: Issuer of the token, required for bank and mobile money sources
+ *               token:
+ *                 type: string
+ *                 description: Processor token, required for bank and mobile money sources
+ *               sponsorshipId:
+ *                 type: string
+ *                 description: Required for sponsor sources
+ *               details:
+ *                 type: object
+ *                 properties:
+ *                   last4:
+ *                     type: string
+ *                   bankName:
+ *                     type: string
+ *                   accountName:
+ *                     type: string
+ *                   network:
+ *                     type: string
+ *               isDefault:
+ *                 type: boolean
+ *               walletType:
+ *                 type: string
+ *                 default: personal
+ *     responses:
+ *       201:
+ *         description: Funding source saved
+ *       400:
+ *         description: Invalid source or raw payment data sent
+ *       404:
+ *         description: Sponsorship not found
+ *       409:
+ *         description: Funding source already saved
+ */
+
+/**
+ * @swagger
+ * /api/wallets/funding-sources/{sourceId}/default:
+ *   patch:
+ *     tags: [Wallets]
+ *     summary: Make a funding source the default
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sourceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               walletType:
+ *                 type: string
+ *                 default: personal
+ *     responses:
+ *       200:
+ *         description: Default funding source updated
+ *       404:
+ *         description: Funding source not found
+ */
+
+/**
+ * @swagger
+ * /api/wallets/funding-sources/{sourceId}:
+ *   patch:
+ *     tags: [Wallets]
+ *     summary: Update a funding source
+ *     description: |
+ *       Bank and mobile money sources can take a new processor token or display details.
+ *       Card and sponsor details come from the processor, so only isDefault can change for them.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sourceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               processor:
+ *                 type: string
+ *               token:
+ *                 type: string
+ *               details:
+ *                 type: object
+ *                 properties:
+ *                   last4:
+ *                     type: string
+ *                   bankName:
+ *                     type: string
+ *                   accountName:
+ *                     type: string
+ *                   network:
+ *                     type: string
+ *               isDefault:
+ *                 type: boolean
+ *               walletType:
+ *                 type: string
+ *                 default: personal
+ *     responses:
+ *       200:
+ *         description: Funding source updated
+ *       400:
+ *         description: Change not allowed for this source or raw payment data sent
+ *       404:
+ *         description: Funding source not found
+ *       409:
+ *         description: Token already saved on another source
+ *   delete:
+ *     tags: [Wallets]
+ *     summary: Remove a funding source
+ *     description: Saved cards are also detached from the Stripe customer. If the default is removed, the most recently added remaining source becomes the default.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sourceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: walletType
+ *         schema:
+ *           type: string
+ *           default: personal
+ *     responses:
+ *       200:
+ *         description: Funding source removed
+ *       404:
+ *         description: Funding source not found
+ */
+
+/**
+ * @swagger
+ * /api/wallets/currency:
+ *   put:
+ *     tags: [Wallets]
+ *     summary: Change wallet currency
+ *     description: Only allowed while the wallet has no available, pending or reserved balance
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currency
+ *             properties:
+ *               currency:
+ *                 type: string
+ *                 enum: [USD, NGN, KES, GHS, ZAR, UGX, EUR, GBP]
+ *               walletType:
+ *                 type: string
+ *                 default: personal
+ *     responses:
+ *       200:
+ *         description: Wallet currency updated
+ *       400:
+ *         description: Unsupported currency
+ *       409:
+ *         description: Wallet is not empty
+ */
+
+/**
+ * @swagger
+ * /api/wallets/statements:
+ *   get:
+ *     tags: [Wallets]
+ *     summary: Export a wallet statement
+ *     description: |
+ *       Statement of the wallet's available balance for a period: opening balance, itemised entries,
+ *       fees breakdown and closing balance. The footer carries a SHA-256 hash of the figures and an
+ *       HMAC signature that can be checked later with POST /api/wallets/statements/verify.
+ *       Admins may pass any walletId. Defaults to the current calendar month.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: 2025-01-01
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: 2025-01-31
+ *         description: Date-only values include the whole day
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, pdf]
+ *           default: json
+ *       - in: query
+ *         name: walletType
+ *         schema:
+ *           type: string
+ *           default: personal
+ *       - in: query
+ *         name: walletId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Statement as JSON, or a CSV/PDF attachment
+ *       400:
+ *         description: Invalid period or format
+ *       404:
+ *         description: Wallet not found
+ */
+
+/**
+ * @swagger
+ * /api/wallets/statements/verify:
+ *   post:
+ *     tags: [Wallets]
+ *     summary: Verify a statement
+ *     description: Rebuilds the statement for the wallet and period printed on it and checks that it produces the printed hash, and that the signature was issued by Anola Health for that hash. Statements whose period has since received new ledger postings no longer verify.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - walletId
+ *               - from
+ *               - to
+ *               - hash
+ *               - signature
+ *             properties:
+ *               walletId:
+ *                 type: string
+ *               from:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Period start as printed on the statement
+ *               to:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Period end as printed on the statement
+ *               hash:
+ *                 type: string
+ *               signature:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Verification result ({ valid, reason })
+ *       400:
+ *         description: Missing fields or invalid period
+ */
+
 router.get('/balance', authenticate, walletController.getBalance);
 router.post('/deposit', authenticate, walletController.addFunds);
+router.post('/pin', authenticate, walletController.setPin);
+router.put('/pin', authenticate, walletController.changePin);
+router.post('/transfer', authenticate, walletController.transfer);
+router.get('/limits', authenticate, walletController.getLimits);
+router.put('/limits', authenticate, walletController.updateLimits);
+router.put('/currency', authenticate, walletController.changeCurrency);
+router.get('/statements', authenticate, walletController.getStatement);
+router.post('/statements/verify', authenticate, walletController.verifyStatement);
+router.get('/funding-sources', authenticate, walletController.getFundingSources);
+router.post('/funding-sources', authenticate, walletController.addFundingSource);
+router.patch('/funding-sources/:sourceId/default', authenticate, walletController.setDefaultFundingSource);
+router.patch('/funding-sources/:sourceId', authenticate, walletController.updateFundingSource);
+router.delete('/funding-sources/:sourceId', authenticate, walletController.removeFundingSource);
+router.put('/withdrawal-settings', authenticate, authorize(USER_TYPES.PROVIDER, USER_TYPES.VENDOR), withdrawalController.updateSettings);
+router.post('/withdrawals', authenticate, authorize(USER_TYPES.PROVIDER, USER_TYPES.VENDOR), withdrawalController.requestWithdrawal);
+router.get('/withdrawals', authenticate, authorize(USER_TYPES.PROVIDER, USER_TYPES.VENDOR), withdrawalController.getMyWithdrawals);
+router.post('/withdrawals/:id/cancel', authenticate, authorize(USER_TYPES.PROVIDER, USER_TYPES.VENDOR), withdrawalController.cancelWithdrawal);
 
 module.exports = router;
\ No newline at end of file
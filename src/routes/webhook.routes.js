@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhook.controller');
+const { ensureDbConnection } = require('../middleware/db.middleware');
+
+/**
+ * @swagger
+ * /api/webhooks/stripe:
+ *   post:
+ *     tags: [Wallets]
+ *     summary: Stripe webhook
+ *     description: |
+ *       Receives Stripe events signed with the Stripe-Signature header.
+ *       payment_intent.succeeded moves a pending deposit to the available balance;
+ *       payment_intent.payment_failed and payment_intent.canceled mark it failed.
+ *       Repeated deliveries of the same payment intent are ignored.
+ *     parameters:
+ *       - in: header
+ *         name: Stripe-Signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Event received
+ *       400:
+ *         description: Invalid signature
+ *       500:
+ *         description: Processing failed; Stripe will retry
+ */
+// Signature verification needs the unparsed body, so this router is mounted before express.json()
+router.post('/stripe', express.raw({ type: 'application/json' }), ensureDbConnection, webhookController.handleStripe);
+
+module.exports = router;
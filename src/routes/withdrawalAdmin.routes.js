@@ -0,0 +1,176 @@
+const express = require('express');
+const router = express.Router();
+const withdrawalAdminController = require('../controllers/withdrawalAdmin.controller');
+const { authenticate } = require('../middleware/auth.middleware');
+const { isSuperAdmin, hasPermission, logAction } = require('../middleware/superAdmin.middleware');
+
+// All routes require authentication and super admin access
+router.use(authenticate);
+router.use(isSuperAdmin);
+
+/**
+ * @swagger
+ * /api/super-admin/withdrawals:
+ *   get:
+ *     summary: Get withdrawal requests
+ *     tags: [SuperAdmin - Withdrawals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [all, pending, processing, processed, failed, rejected, cancelled]
+ *           default: pending
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *           enum: [bank, mobile_money, card]
+ *       - in: query
+ *         name: reviewRequired
+ *         description: Only withdrawals flagged for review after an unknown payout outcome or a failed settlement
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Withdrawals with status summary
+ */
+router.get('/', hasPermission('manageTransactions'), withdrawalAdminController.getAllWithdrawals);
+
+/**
+ * @swagger
+ * /api/super-admin/withdrawals/{id}/approve:
+ *   post:
+ *     summary: Approve a withdrawal and send the payout
+ *     description: Pays out through the configured payout adapter. On success the reserved funds leave the wallet; on a decline they are returned and the withdrawal is marked failed. When the outcome is unknown, or the payout went out but the withdrawal could not be settled, the funds stay reserved and the withdrawal stays processing, flagged for review.
+ *     tags: [SuperAdmin - Withdrawals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Withdrawal processed, or payout declined and funds released
+ *       202:
+ *         description: Withdrawal held for review
+ *       404:
+ *         description: Pending withdrawal not found
+ */
+router.post(
+  '/:id/approve',
+  hasPermission('manageTransactions'),
+  logAction('APPROVE_WITHDRAWAL', 'Withdrawal'),
+  withdrawalAdminController.approveWithdrawal
+);
+
+/**
+ * @swagger
+ * /api/super-admin/withdrawals/{id}/reject:
+ *   post:
+ *     summary: Reject a withdrawal
+ *     description: Releases the reserved funds back to the wallet
+ *     tags: [SuperAdmin - Withdrawals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Withdrawal rejected
+ *       400:
+ *         description: Rejection reason is required
+ *       404:
+ *         description: Pending withdrawal not found
+ */
+router.post(
+  '/:id/reject',
+  hasPermission('manageTransactions'),
+  logAction('REJECT_WITHDRAWAL', 'Withdrawal'),
+  withdrawalAdminController.rejectWithdrawal
+);
+
+/**
+ * @swagger
+ * /api/super-admin/withdrawals/{id}/resolve:
+ *   post:
+ *     summary: Resolve a withdrawal held for review
+ *     description: Once the payout outcome has been checked with the provider, settles the withdrawal if the money went out or releases the reserved funds if it did not.
+ *     tags: [SuperAdmin - Withdrawals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - outcome
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [sent, failed]
+ *               reference:
+ *                 type: string
+ *                 description: Payout reference, required for sent when none was recorded
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Withdrawal processed, or failed and funds released
+ *       400:
+ *         description: Invalid outcome or missing payout reference
+ *       404:
+ *         description: Withdrawal awaiting review not found
+ */
+router.post(
+  '/:id/resolve',
+  hasPermission('manageTransactions'),
+  logAction('RESOLVE_WITHDRAWAL', 'Withdrawal'),
+  withdrawalAdminController.resolveWithdrawal
+);
+
+module.exports = router;
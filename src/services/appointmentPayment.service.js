@@ -0,0 +1,529 @@
+const crypto = require('crypto');
+const Wallet = require('../models/wallet.model');
+const Appointment = require('../models/appointment.model');
+const Transaction = require('../models/transaction.model');
+const HMOEnrollment = require('../models/hmoEnrollment.model');
+const HMOClaim = require('../models/hmoClaim.model');
+const User = require('../models/user.model');
+const exchangeRates = require('./exchangeRate.service');
+const ledger = require('./ledger.service');
+const settlement = require('./settlement.service');
+const { WALLET_TYPES } = require('../utils/constants');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Payment methods accepted at booking
+const BOOKABLE_METHODS = ['personal_wallet', 'sponsored_wallet', 'insurance', 'mixed', 'cash'];
+
+// HMO plan coverage section that applies to each appointment type
+const COVERAGE_BY_TYPE = {
+  consultation: 'outpatientCare',
+  'follow-up': 'outpatientCare',
+  'routine-checkup': 'preventiveCare',
+  vaccination: 'preventiveCare',
+  emergency: 'emergencyCare',
+  'lab-test': 'diagnosticTests',
+  surgery: 'surgery',
+  therapy: 'mentalHealth'
+};
+
+// Coverage limit periods that apply to a single appointment
+const PER_VISIT_PERIODS = ['visit', 'procedure', 'test'];
+
+// Transaction category recorded for each appointment type
+const CATEGORY_BY_TYPE = {
+  'lab-test': 'lab_test',
+  surgery: 'procedure',
+  emergency: 'emergency'
+};
+
+// HMO claim service type for each appointment type
+const CLAIM_SERVICE_BY_TYPE = {
+  consultation: 'outpatient',
+  'follow-up': 'outpatient',
+  'routine-checkup': 'preventive',
+  vaccination: 'preventive',
+  emergency: 'emergency',
+  'lab-test': 'diagnostic',
+  surgery: 'surgery',
+  therapy: 'mental_health'
+};
+
+/**
+ * Prices appointments from the provider's service list and moves the money:
+ * funds are reserved in the patient's wallets at booking, captured on
+ * completion (and later settled to the provider) and released on cancellation
+ */
+class AppointmentPaymentService {
+  get methods() {
+    return BOOKABLE_METHODS;
+  }
+
+  /**
+   * Price an appointment from one of the provider's active services
+   * @returns {Object} - { service, price, currency } or null when the service is unknown
+   */
+  priceService(provider, serviceId) {
+    const service = (provider.services || []).find(item =>
+      item.isActive !== false && (item.serviceId === serviceId || item._id?.toString() === serviceId)
+    );
+
+    if (!service || !(service.price > 0)) {
+      return null;
+    }
+
+    return {
+      service,
+      price: round(service.price),
+      currency: exchangeRates.walletCurrency(provider.preferences?.currency)
+    };
+  }
+
+  /**
+   * Split the price across sponsored wallet, HMO coverage and personal wallet.
+   * Wallets are read outside any transaction; re-read them in the booking session before reserve().
+   * @param {Object} params - { patient, provider, service, price, currency, type, method, enrollmentId }
+   * @returns {Object} - { portions: [{ source, wallet, amount }], insurance, sponsorship } or { error }
+   */
+  async planSplit({ patient, provider, service, price, currency, type, method, enrollmentId }) {
+    const portions = [];
+    let remaining = price;
+    let insurance = null;
+    let sponsorship = null;
+
+    if (method === 'cash') {
+      return { portions, insurance, sponsorship };
+    }
+
+    if (method === 'sponsored_wallet' || method === 'mixed') {
+      const wallet = await Wallet.findOne({ owner: patient._id, type: WALLET_TYPES.SPONSORED });
+      const allowance = wallet ? await this.sponsoredAllowance(wallet, provider, service, remaining, currency) : 0;
+
+      if (method === 'sponsored_wallet' && allowance < remaining) {
+        return { error: 'Sponsored wallet cannot cover this appointment' };
+      }
+
+      if (allowance > 0) {
+        portions.push({ source: 'sponsored', wallet, amount: allowance });
+        sponsorship = {
+          isSponsored: true,
+          sponsor: wallet.sponsorship?.sponsor,
+          amountCovered: allowance
+        };
+        remaining = round(remaining - allowance);
+      }
+    }
+
+    if (remaining > 0 && (method === 'insurance' || method === 'mixed')) {
+      const coverage = service.insuranceCovered === false
+        ? null
+        : await this.hmoCoverage(patient, type, remaining, currency, enrollmentId);
+
+      if (method === 'insurance' && !coverage) {
+        return { error: 'No active HMO coverage for this appointment' };
+      }
+
+      if (coverage) {
+        insurance = coverage;
+        remaining = round(remaining - coverage.amountCovered);
+      }
+    }
+
+    if (remaining > 0) {
+      const wallet = await Wallet.findOne({ owner: patient._id, type: WALLET_TYPES.PERSONAL });
+
+      if (!wallet) {
+        return { error: 'Personal wallet not found' };
+      }
+
+      portions.push({ source: 'personal', wallet, amount: remaining });
+    }
+
+    // Make sure every wallet can hold its share before anything is reserved
+    for (const portion of portions) {
+      const conversion = await exchangeRates.convert(portion.amount, currency, portion.wallet.balance.currency);
+      portion.conversion = conversion;
+
+      if (portion.wallet.status !== 'active') {
+        return { error: `${portion.source === 'sponsored' ? 'Sponsored' : 'Personal'} wallet is not active` };
+      }
+
+      if (portion.wallet.balance.available < conversion.amount) {
+        return { error: `Insufficient balance in ${portion.source} wallet` };
+      }
+    }
+
+    return { portions, insurance, sponsorship };
+  }
+
+  /**
+   * How much of an amount a sponsored wallet may pay under its sponsorship conditions
+   * (in the appointment currency)
+   */
+  async sponsoredAllowance(wallet, provider, service, amount, currency) {
+    const sponsorship = wallet.sponsorship || {};
+    const conditions = sponsorship.conditions || {};
+    const now = new Date();
+
+    if (wallet.status !== 'active') return 0;
+    if (sponsorship.validFrom && sponsorship.validFrom > now) return 0;
+    if (sponsorship.validUntil && sponsorship.validUntil < now) return 0;
+
+    if (conditions.allowedProviders?.length &&
+      !conditions.allowedProviders.some(id => id.equals(provider._id))) {
+      return 0;
+    }
+
+    if (conditions.allowedServices?.length &&
+      !conditions.allowedServices.some(allowed => [service.serviceId, service.name, service.category].includes(allowed))) {
+      return 0;
+    }
+
+    const walletCurrency = wallet.balance.currency;
+    let limit = wallet.balance.available;
+    if (conditions.maxPerTransaction) {
+      limit = Math.min(limit, conditions.maxPerTransaction);
+    }
+
+    const { amount: allowance } = await exchangeRates.convert(limit, walletCurrency, currency);
+    return round(Math.min(amount, allowance));
+  }
+
+  /**
+   * HMO coverage for an amount from the patient's active enrollment
+   * @returns {Object|null} - { enrollment, provider, policyNumber, amountCovered, claimStatus }
+   */
+  async hmoCoverage(patient, type, amount, currency, enrollmentId) {
+    const query = { userId: patient._id, status: 'active' };
+    if (enrollmentId) {
+      query._id = enrollmentId;
+    }
+
+    const enrollment = await HMOEnrollment.findOne(query).populate('planId');
+    if (!enrollment || !enrollment.isActive || !enrollment.planId) return null;
+
+    const plan = enrollment.planId;
+    const coverage = plan.coverage?.[COVERAGE_BY_TYPE[type] || 'outpatientCare'];
+    if (!coverage?.covered) return null;
+
+    let covered = round(amount * (coverage.coveragePercentage ?? 100) / 100);
+    if (coverage.copayment) {
+      covered = Math.min(covered, round(amount - coverage.copayment));
+    }
+
+    // Plan limits are in the plan's currency
+    const planCurrency = plan.pricing?.currency || currency;
+    if (coverage.limit?.amount && PER_VISIT_PERIODS.includes(coverage.limit.period)) {
+      const { amount: visitLimit } = await exchangeRates.convert(coverage.limit.amount, planCurrency, currency);
+      covered = Math.min(covered, visitLimit);
+    }
+    if (enrollment.limits?.remainingAnnual > 0) {
+      const { amount: remainingAnnual } = await exchangeRates.convert(enrollment.limits.remainingAnnual, planCurrency, currency);
+      covered = Math.min(covered, remainingAnnual);
+    }
+
+    covered = round(Math.max(covered, 0));
+    if (covered === 0) return null;
+
+    return {
+      enrollment: enrollment._id,
+      provider: plan.name,
+      policyNumber: enrollment.membershipCardNumber || enrollment.enrollmentNumber,
+      amountCovered: covered,
+      claimStatus: 'pending'
+    };
+  }
+
+  /**
+   * Create a pending payment per wallet portion and reserve the funds
+   * @param {Array} portions - Split portions whose wallets were read in this session
+   * @returns {Array} - Payment transactions
+   */
+  async reserve(appointment, provider, portions, session) {
+    const providerWallet = await this.findProviderWallet(provider, session);
+    const payments = [];
+
+    for (const portion of portions) {
+      const { wallet, conversion } = portion;
+      const converted = conversion.originalCurrency !== conversion.currency;
+
+      const [payment] = await Transaction.create([{
+        type: 'payment',
+        category: CATEGORY_BY_TYPE[appointment.type] || 'consultation',
+        from: { wallet: wallet._id, user: wallet.owner, type: 'wallet' },
+        to: { wallet: providerWallet._id, user: provider._id, type: 'wallet' },
+        amount: converted ? {
+          value: conversion.amount,
+          currency: conversion.currency,
+          exchangeRate: conversion.exchangeRate,
+          originalAmount: conversion.originalAmount,
+          originalCurrency: conversion.originalCurrency
+        } : { value: conversion.amount, currency: conversion.currency },
+        paymentMethod: { type: portion.source === 'sponsored' ? 'sponsor' : 'wallet' },
+        reference: {
+          type: 'appointment',
+          id: appointment._id,
+          details: appointment.appointmentId
+        },
+        status: 'pending',
+        description: `Appointment ${appointment.appointmentId} (${portion.source} wallet)`
+      }], { session });
+
+      await wallet.reserve(conversion.amount, payment._id, { session });
+      payments.push(payment);
+    }
+
+    return payments;
+  }
+
+  /**
+   * Complete an appointment and capture its reserved payment in one transaction
+   * @param {Object} appointment - In-progress appointment document
+   * @param {Object} [consultationData] - Consultation fields to record
+   * @returns {Object} - The completed appointment
+   */
+  async completeAppointment(appointment, consultationData) {
+    await ledger.runInSession(null, async (session) => {
+      const captured = await this.capture(appointment, session);
+      if (captured.length > 0) {
+        appointment.payment.status = 'completed';
+      }
+      await appointment.completeConsultation(consultationData, { session });
+    });
+
+    return appointment;
+  }
+
+  /**
+   * Capture reserved payments on completion: the patient's reservation is
+   * confirmed and the payment accrues to the provider for settlement
+   * @returns {Array} - Captured payment transactions
+   */
+  async capture(appointment, session) {
+    const payments = await Transaction.find({
+      type: 'payment',
+      status: 'pending',
+      'reference.type': 'appointment',
+      'reference.id': appointment._id
+    }).session(session);
+
+    for (const payment of payments) {
+      await this.collect(payment, payment.amount.value, session);
+      await payment.updateStatus('completed', 'Appointment completed', { session });
+      await settlement.accrue(payment, session);
+    }
+
+    await this.fileClaim(appointment, session);
+
+    return payments;
+  }
+
+  /**
+   * File the HMO claim for the portion of a completed appointment its plan
+   * covers. The provider is paid when the claim is paid (see payClaim()).
+   * @returns {Object|null} - The claim, or null if nothing is covered
+   */
+  async fileClaim(appointment, session) {
+    const insurance = appointment.payment?.insurance;
+    if (!(insurance?.amountCovered > 0) || insurance.claim) return null;
+
+    const enrollment = await HMOEnrollment.findById(insurance.enrollment).session(session);
+    if (!enrollment) return null;
+
+    const provider = await User.findById(appointment.provider)
+      .select('profile.firstName profile.lastName practice.name professionalInfo email phone')
+      .session(session);
+
+    const now = new Date();
+    const total = appointment.payment.amount?.total || insurance.amountCovered;
+    const serviceType = CLAIM_SERVICE_BY_TYPE[appointment.type] || 'outpatient';
+
+    const [claim] = await HMOClaim.create([{
+      enrollmentId: enrollment._id,
+      planId: enrollment.planId,
+      patientId: appointment.patient,
+      appointmentId: appointment._id,
+      claimantType: 'provider',
+      claimantId: appointment.provider,
+      claimantDetails: {
+        name: `${provider?.profile?.firstName || ''} ${provider?.profile?.lastName || ''}`.trim(),
+        facilityName: provider?.practice?.name,
+        licenseNumber: provider?.professionalInfo?.licenseNumber,
+        specialty: provider?.professionalInfo?.specialization,
+        contactPhone: provider?.phone,
+        contactEmail: provider?.email
+      },
+      serviceType,
+      serviceDate: appointment.scheduledDate,
+      billing: {
+        totalBilled: total,
+        coveredAmount: insurance.amountCovered,
+        patientResponsibility: { total: round(total - insurance.amountCovered) },
+        currency: appointment.payment.amount?.currency
+      },
+      processing: {
+        submittedAt: now,
+        receivedAt: now
+      },
+      notes: `Appointment ${appointment.appointmentId}`,
+      submittedVia: 'api'
+    }], { session });
+
+    enrollment.utilization.claimsSubmitted += 1;
+    enrollment.utilization.claimsAmount += insurance.amountCovered;
+    if (serviceType === 'outpatient') {
+      enrollment.utilization.appointmentsUsed += 1;
+    }
+    await enrollment.save({ session });
+
+    insurance.claim = claim._id;
+    insurance.claimStatus = 'submitted';
+
+    return claim;
+  }
+
+  /**
+   * Pay an approved HMO claim for an appointment. The amount is booked as a
+   * payment from the HMO to the provider and settled with the provider's other
+   * earnings, net of the platform fee.
+   * @param {Object} claim - Approved HMOClaim document with an appointmentId
+   * @param {Number} amount - Amount paid, in the claim's currency
+   * @param {String} paymentMethod - How the HMO paid
+   * @returns {Object} - { transaction, claim }
+   */
+  async payClaim(claim, amount, paymentMethod) {
+    const transaction = await ledger.runInSession(null, async (session) => {
+      // Mark the claim paid first so a concurrent request cannot pay it twice
+      const unpaid = await HMOClaim.updateOne(
+        { _id: claim._id, status: 'approved', 'billing.amountPaid': { $in: [0, null] } },
+        { $set: { 'billing.amountPaid': amount } },
+        { session }
+      );
+      if (unpaid.modifiedCount === 0) {
+        throw new Error('Claim has already been paid');
+      }
+
+      const appointment = await Appointment.findById(claim.appointmentId).session(session);
+      if (!appointment) {
+        throw new Error('Appointment for this claim was not found');
+      }
+
+      const provider = await User.findById(appointment.provider).select('preferences').session(session);
+      const providerWallet = await this.findProviderWallet(provider, session);
+
+      const [payment] = await Transaction.create([{
+        type: 'payment',
+        category: CATEGORY_BY_TYPE[appointment.type] || 'consultation',
+        from: { type: 'insurance' },
+        to: { wallet: providerWallet._id, user: provider._id, type: 'wallet' },
+        amount: {
+          value: amount,
+          currency: claim.billing.currency || appointment.payment.amount?.currency
+        },
+        paymentMethod: { type: 'insurance' },
+        reference: {
+          type: 'appointment',
+          id: appointment._id,
+          details: appointment.appointmentId
+        },
+        status: 'completed',
+        completedAt: new Date(),
+        description: `HMO claim ${claim.claimNumber} for appointment ${appointment.appointmentId}`
+      }], { session });
+
+      await settlement.accrue(payment, session);
+
+      claim.markAsPaid({ amount, method: paymentMethod, reference: payment.transactionId });
+      await claim.save({ session });
+
+      await Appointment.updateOne(
+        { _id: appointment._id },
+        { $set: { 'payment.insurance.claimStatus': 'paid' } },
+        { session }
+      );
+
+      return payment;
+    });
+
+    return { transaction, claim };
+  }
+
+  /**
+   * Release a reserved payment on cancellation. A cancellation fee, if any, is
+   * charged from the released funds as its own payment to the provider.
+   * @param {Object} payment - Pending payment transaction
+   * @param {Number} feePercentage - Share of the payment kept by the provider
+   * @returns {Object|null} - Fee transaction, if a fee was charged
+   */
+  async release(payment, feePercentage, reason, session) {
+    const wallet = await Wallet.findById(payment.from.wallet).session(session);
+    await wallet.releaseReserved(payment.amount.value, payment._id, { session });
+    await payment.updateStatus('cancelled', reason || 'Appointment cancelled', { session });
+
+    const fee = round(payment.amount.value * feePercentage / 100);
+    if (fee <= 0) return null;
+
+    const original = payment.toObject();
+    const [feePayment] = await Transaction.create([{
+      type: 'payment',
+      category: original.category,
+      from: original.from,
+      to: original.to,
+      linkedTransaction: payment._id,
+      amount: {
+        value: fee,
+        currency: original.amount.currency,
+        exchangeRate: original.amount.exchangeRate
+      },
+      paymentMethod: original.paymentMethod,
+      reference: original.reference,
+      status: 'pending',
+      description: `Cancellation fee for appointment ${original.reference?.details || ''}`.trim()
+    }], { session });
+
+    await wallet.reserve(fee, feePayment._id, { session, skipLimits: true });
+    await this.collect(feePayment, fee, session);
+    await feePayment.updateStatus('completed', `Cancellation fee ${feePercentage}%`, { session });
+    await settlement.accrue(feePayment, session);
+
+    return feePayment;
+  }
+
+  /**
+   * Take reserved funds out of the payer's wallet
+   */
+  async collect(payment, amount, session) {
+    const payer = await Wallet.findById(payment.from.wallet).session(session);
+
+    await payer.confirmReserved(amount, payment._id, { session });
+    if (payer.type === WALLET_TYPES.SPONSORED) {
+      payer.sponsorship.usedAmount = round((payer.sponsorship.usedAmount || 0) + amount);
+      await payer.save({ session });
+    }
+  }
+
+  /**
+   * The provider's wallet, created on first booking so payments can name it
+   */
+  async findProviderWallet(provider, session) {
+    let wallet = await Wallet.findOne({ owner: provider._id, type: WALLET_TYPES.PROVIDER }).session(session);
+
+    if (!wallet) {
+      [wallet] = await Wallet.create([{
+        walletId: `WALLET-${crypto.randomBytes(8).toString('hex').toUpperCase()}`,
+        owner: provider._id,
+        type: WALLET_TYPES.PROVIDER,
+        balance: {
+          available: 0,
+          pending: 0,
+          reserved: 0,
+          currency: exchangeRates.walletCurrency(provider.preferences?.currency)
+        }
+      }], { session });
+    }
+
+    return wallet;
+  }
+}
+
+module.exports = new AppointmentPaymentService();
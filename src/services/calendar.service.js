@@ -0,0 +1,163 @@
+const slots = require('./slot.service');
+
+// Events are identified across feed refreshes by appointment number
+const UID_DOMAIN = 'anolahealth.com';
+
+const STATUS_BY_APPOINTMENT = {
+  scheduled: 'TENTATIVE',
+  rescheduled: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  'in-progress': 'CONFIRMED',
+  completed: 'CONFIRMED',
+  cancelled: 'CANCELLED',
+  'no-show': 'CANCELLED'
+};
+
+const MODE_LABELS = {
+  'in-person': 'In person',
+  video: 'Video call',
+  audio: 'Phone call',
+  chat: 'Chat'
+};
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ */
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 octets, continuing with a leading space
+ */
+const fold = (line) => {
+  const folded = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = folded.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      folded.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  folded.push(current);
+
+  return folded.join('\r\n ');
+};
+
+const formatDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const fullName = (user) => [user?.profile?.firstName, user?.profile?.lastName].filter(Boolean).join(' ');
+
+/**
+ * Builds iCalendar (RFC 5545) documents from appointments for calendar
+ * subscriptions and single-appointment downloads. Events carry the time,
+ * status, mode and where to attend, but not the reason for the visit.
+ */
+class CalendarService {
+  /**
+   * A calendar of appointments
+   * @param {Array} appointments - Appointments with patient and provider populated
+   * @param {Object} viewer - User the calendar is for (decides whose name is shown)
+   * @param {Object} [options] - { name } Calendar name
+   * @returns {String} - text/calendar body
+   */
+  calendar(appointments, viewer, { name = 'Anola Health appointments' } = {}) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Anola Health//Appointments//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeText(name)}`,
+      'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+      'X-PUBLISHED-TTL:PT1H'
+    ];
+
+    for (const appointment of appointments) {
+      lines.push(...this.event(appointment, viewer));
+    }
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(fold).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * VEVENT lines for one appointment
+   */
+  event(appointment, viewer) {
+    const provider = appointment.provider;
+    const patient = appointment.patient;
+    const isProvider = viewer && provider?._id?.equals(viewer._id);
+
+    const start = slots.startInstant(appointment, provider?.preferences?.timezone);
+    const end = new Date(start.getTime() + (appointment.scheduledTime?.duration || 30) * 60 * 1000);
+
+    const otherParty = isProvider ? fullName(patient) : fullName(provider);
+    const summary = otherParty ? `Appointment with ${otherParty}` : 'Appointment';
+
+    const location = this.location(appointment);
+    const description = [
+      `Appointment ${appointment.appointmentId}`,
+      `Type: ${appointment.type}`,
+      `Mode: ${MODE_LABELS[appointment.mode] || appointment.mode}`,
+      `Status: ${appointment.status}`,
+      appointment.location?.virtualMeetingLink ? `Join: ${appointment.location.virtualMeetingLink}` : null
+    ].filter(Boolean).join('\n');
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${appointment.appointmentId}@${UID_DOMAIN}`,
+      `DTSTAMP:${formatDate(new Date())}`,
+      `DTSTART:${formatDate(start)}`,
+      `DTEND:${formatDate(end)}`,
+      `SUMMARY:${escapeText(summary)}`,
+      `DESCRIPTION:${escapeText(description)}`,
+      `STATUS:${STATUS_BY_APPOINTMENT[appointment.status] || 'TENTATIVE'}`
+    ];
+
+    if (location) {
+      lines.push(`LOCATION:${escapeText(location)}`);
+    }
+    if (appointment.location?.virtualMeetingLink) {
+      lines.push(`URL:${appointment.location.virtualMeetingLink}`);
+    }
+    if (appointment.updatedAt) {
+      lines.push(`LAST-MODIFIED:${formatDate(appointment.updatedAt)}`);
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  /**
+   * Where to attend: the meeting link for virtual appointments, otherwise the facility
+   */
+  location(appointment) {
+    const location = appointment.location || {};
+
+    if (location.type === 'virtual' || ['video', 'audio', 'chat'].includes(appointment.mode)) {
+      return location.virtualMeetingLink || MODE_LABELS[appointment.mode] || 'Online';
+    }
+
+    const address = location.facility?.address || {};
+    return [
+      location.facility?.name,
+      location.facility?.floor ? `Floor ${location.facility.floor}` : null,
+      location.facility?.room ? `Room ${location.facility.room}` : null,
+      address.street,
+      address.city,
+      address.state,
+      address.zipCode,
+      address.country
+    ].filter(Boolean).join(', ');
+  }
+}
+
+module.exports = new CalendarService();
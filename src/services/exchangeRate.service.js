@@ -0,0 +1,85 @@
+const ExchangeRate = require('../models/exchangeRate.model');
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require('../utils/constants');
+
+// Currency used to derive cross rates when no direct pair is configured
+const PIVOT_CURRENCY = 'USD';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Converts between wallet currencies using the admin-managed rate table
+ */
+class ExchangeRateService {
+  isSupported(currency) {
+    return SUPPORTED_CURRENCIES.includes(String(currency || '').toUpperCase());
+  }
+
+  /**
+   * Currency for a new wallet: the owner's preference when supported
+   * @param {String} [preferred] - e.g. user.preferences.currency
+   */
+  walletCurrency(preferred) {
+    return this.isSupported(preferred) ? preferred.toUpperCase() : DEFAULT_CURRENCY;
+  }
+
+  /**
+   * Look up the rate to convert one unit of `from` into `to`.
+   * Tries the direct pair, then the inverse pair, then a cross rate through USD.
+   * @returns {Object} - { rate, from, to, via }
+   */
+  async getRate(from, to, options = {}) {
+    from = from.toUpperCase();
+    to = to.toUpperCase();
+
+    if (from === to) {
+      return { rate: 1, from, to, via: 'same' };
+    }
+
+    const rate = await this.pairRate(from, to, options.session);
+    if (rate) {
+      return { rate, from, to, via: 'direct' };
+    }
+
+    if (from !== PIVOT_CURRENCY && to !== PIVOT_CURRENCY) {
+      const toPivot = await this.pairRate(from, PIVOT_CURRENCY, options.session);
+      const fromPivot = await this.pairRate(PIVOT_CURRENCY, to, options.session);
+
+      if (toPivot && fromPivot) {
+        return { rate: toPivot * fromPivot, from, to, via: PIVOT_CURRENCY };
+      }
+    }
+
+    throw new Error(`No exchange rate configured for ${from} to ${to}`);
+  }
+
+  /**
+   * Convert an amount between currencies
+   * @returns {Object} - { amount, currency, exchangeRate, originalAmount, originalCurrency }
+   */
+  async convert(amount, from, to, options = {}) {
+    const { rate } = await this.getRate(from, to, options);
+
+    return {
+      amount: round(amount * rate),
+      currency: to.toUpperCase(),
+      exchangeRate: rate,
+      originalAmount: amount,
+      originalCurrency: from.toUpperCase()
+    };
+  }
+
+  /**
+   * Direct or inverse rate for a configured pair, or null
+   */
+  async pairRate(from, to, session) {
+    const direct = await ExchangeRate.findPair(from, to).session(session || null);
+    if (direct) return direct.rate;
+
+    const inverse = await ExchangeRate.findPair(to, from).session(session || null);
+    if (inverse && inverse.rate > 0) return 1 / inverse.rate;
+
+    return null;
+  }
+}
+
+module.exports = new ExchangeRateService();
@@ -0,0 +1,378 @@
+const LabOrder = require('../models/labOrder.model');
+const MedicalRecord = require('../models/medicalRecord.model');
+const Appointment = require('../models/appointment.model');
+const User = require('../models/user.model');
+const ledger = require('./ledger.service');
+const messaging = require('./messaging.service');
+const notifications = require('./notification.service');
+const {
+  USER_TYPES,
+  VENDOR_TYPES,
+  ACCOUNT_STATUS,
+  LAB_ORDER_STATUS,
+  MEDICAL_RECORD_TYPES,
+  NOTIFICATION_TYPES
+} = require('../utils/constants');
+
+const RESULT_FLAGS = ['normal', 'high', 'low', 'critical'];
+
+const requestError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * Lab orders from providers to laboratory vendors: ordering, the lab's
+ * accept/collect/result steps, filing results in the patient's medical record,
+ * and alerting the ordering provider straight away to critical results.
+ */
+class LabOrderService {
+  /**
+   * Whether a user is a laboratory that can receive lab orders
+   */
+  isLaboratory(user) {
+    return user?.userType === USER_TYPES.VENDOR && user.businessInfo?.type === VENDOR_TYPES.LABORATORY;
+  }
+
+  /**
+   * Create a lab order and send it to the laboratory
+   * @param {Object} provider - Ordering provider
+   * @param {Object} data - { patientId, appointmentId, medicalRecordId, laboratoryId, tests, priority, reason, clinicalNotes }
+   * @returns {Object} - Saved lab order
+   */
+  async create(provider, { patientId, appointmentId, medicalRecordId, laboratoryId, tests, priority, reason, clinicalNotes }) {
+    if (!Array.isArray(tests) || tests.length === 0) {
+      throw requestError('At least one test is required', 400);
+    }
+
+    let appointment = null;
+    if (appointmentId) {
+      appointment = await Appointment.findOne({ _id: appointmentId, provider: provider._id }).select('patient');
+      if (!appointment) {
+        throw requestError('Appointment not found', 404);
+      }
+      if (patientId && String(appointment.patient) !== String(patientId)) {
+        throw requestError('Appointment belongs to another patient', 400);
+      }
+      patientId = appointment.patient;
+    }
+
+    const patient = patientId && await User.findOne({ _id: patientId, userType: USER_TYPES.PATIENT }).select('_id');
+    if (!patient) {
+      throw requestError('Patient not found', 404);
+    }
+
+    const laboratory = await User.findOne({
+      _id: laboratoryId,
+      userType: USER_TYPES.VENDOR,
+      'businessInfo.type': VENDOR_TYPES.LABORATORY,
+      status: ACCOUNT_STATUS.ACTIVE,
+      'verificationStatus.identity.verified': true
+    }).select('businessInfo.name');
+    if (!laboratory) {
+      throw requestError('Laboratory not found', 404);
+    }
+
+    let record = null;
+    if (medicalRecordId) {
+      record = await MedicalRecord.findOne({ _id: medicalRecordId, provider: provider._id, patient: patient._id }).select('_id');
+      if (!record) {
+        throw requestError('Medical record not found', 404);
+      }
+    }
+
+    const order = await ledger.runInSession(null, async (session) => {
+      const [created] = await LabOrder.create([{
+        patient: patient._id,
+        provider: provider._id,
+        laboratory: laboratory._id,
+        appointment: appointment?._id,
+        medicalRecord: record?._id,
+        tests: tests.map(({ code, name, specimen, instructions }) => ({ code, name, specimen, instructions })),
+        priority,
+        reason,
+        clinicalNotes
+      }], { session });
+
+      // Note the order on the record it was placed from
+      if (record) {
+        await MedicalRecord.updateOne({ _id: record._id }, {
+          $push: {
+            'clinical.orders.labs': {
+              $each: created.tests.map(test => ({
+                test: test.name,
+                reason,
+                urgent: created.priority !== 'routine',
+                orderedAt: created.createdAt,
+                labOrder: created._id
+              }))
+            }
+          }
+        }, { session });
+      }
+
+      return created;
+    });
+
+    await this.notifySafely(laboratory._id, {
+      type: NOTIFICATION_TYPES.MEDICAL_RECORD,
+      title: order.priority === 'routine' ? 'New lab order' : `New ${order.priority.toUpperCase()} lab order`,
+      message: `Lab order ${order.orderNumber} for ${order.tests.map(test => test.name).join(', ')}.`,
+      data: { labOrderId: order._id }
+    });
+
+    return order;
+  }
+
+  /**
+   * Accept an order sent to the laboratory
+   */
+  async accept(orderId, laboratory) {
+    const order = await this.transition(orderId, { laboratory: laboratory._id }, LAB_ORDER_STATUS.ACCEPTED, {
+      acceptedAt: new Date()
+    });
+
+    await this.notifySafely(order.patient, {
+      type: NOTIFICATION_TYPES.MEDICAL_RECORD,
+      title: 'Lab order accepted',
+      message: `${laboratory.businessInfo?.name || 'The laboratory'} accepted lab order ${order.orderNumber}. Visit them to give your sample.`,
+      data: { labOrderId: order._id }
+    });
+
+    return order;
+  }
+
+  /**
+   * Turn down an order; the provider can send it to another laboratory
+   */
+  async reject(orderId, laboratory, reason) {
+    const order = await this.transition(orderId, { laboratory: laboratory._id }, LAB_ORDER_STATUS.REJECTED, {
+      rejectedAt: new Date(),
+      rejectionReason: reason
+    });
+
+    await this.notifySafely(order.provider, {
+      type: NOTIFICATION_TYPES.MEDICAL_RECORD,
+      title: 'Lab order rejected',
+      message: `${laboratory.businessInfo?.name || 'The laboratory'} rejected lab order ${order.orderNumber}: ${reason}`,
+      data: { labOrderId: order._id }
+    });
+
+    return order;
+  }
+
+  /**
+   * Record that the sample was collected
+   * @param {Object} sample - { specimen, barcode, collectedAt, collectedBy, notes }
+   */
+  async collectSample(orderId, laboratory, { specimen, barcode, collectedAt, collectedBy, notes } = {}) {
+    return this.transition(orderId, { laboratory: laboratory._id }, LAB_ORDER_STATUS.SAMPLE_COLLECTED, {
+      sample: {
+        specimen,
+        barcode,
+        collectedAt: collectedAt ? new Date(collectedAt) : new Date(),
+        collectedBy,
+        notes
+      }
+    });
+  }
+
+  /**
+   * Cancel an order that has not had its sample collected
+   */
+  async cancel(orderId, provider, reason) {
+    const order = await this.transition(orderId, { provider: provider._id }, LAB_ORDER_STATUS.CANCELLED, {
+      cancelledAt: new Date(),
+      cancellationReason: reason
+    });
+
+    await this.notifySafely(order.laboratory, {
+      type: NOTIFICATION_TYPES.MEDICAL_RECORD,
+      title: 'Lab order cancelled',
+      message: `Lab order ${order.orderNumber} was cancelled by the ordering provider.`,
+      data: { labOrderId: order._id }
+    });
+
+    return order;
+  }
+
+  /**
+   * Post results, file them in a lab result record for the patient and complete
+   * the order. Critical results are alerted to the ordering provider at once.
+   * @param {Array} results - [{ test, code, result, unit, referenceRange, flag, performedAt, verifiedBy, notes }]
+   * @returns {Object} - { order, record }
+   */
+  async postResults(orderId, laboratory, results, { notes } = {}) {
+    const existing = await LabOrder.findOne({ _id: orderId, laboratory: laboratory._id });
+    if (!existing) {
+      throw requestError('Lab order not found', 404);
+    }
+
+    const parsed = this.parseResults(existing, results);
+    const resultedAt = new Date();
+    const critical = parsed.filter(result => result.flag === 'critical');
+
+    const { order, record } = await ledger.runInSession(null, async (session) => {
+      const order = await this.transition(orderId, { laboratory: laboratory._id }, LAB_ORDER_STATUS.COMPLETED, {
+        results: parsed,
+        resultedAt
+      }, session);
+
+      const [record] = await MedicalRecord.create([{
+        patient: order.patient,
+        provider: order.provider,
+        appointment: order.appointment,
+        type: MEDICAL_RECORD_TYPES.LAB_RESULT,
+        labResults: parsed.map(({ test, result, unit, referenceRange, flag, performedAt, verifiedBy }) => ({
+          test, result, unit, referenceRange, flag, performedAt, verifiedBy
+        })),
+        notes: notes || `Results for lab order ${order.orderNumber} from ${laboratory.businessInfo?.name || 'laboratory'}`,
+        tags: ['lab', order.orderNumber],
+        isEmergency: critical.length > 0,
+        audit: [{
+          action: 'created',
+          performedBy: laboratory._id,
+          timestamp: resultedAt,
+          details: `Results for lab order ${order.orderNumber}`
+        }]
+      }], { session });
+
+      order.resultRecord = record._id;
+      await LabOrder.updateOne({ _id: order._id }, { $set: { resultRecord: record._id } }, { session });
+      await User.updateOne({ _id: order.patient }, { $addToSet: { medicalRecords: record._id } }, { session });
+
+      return { order, record };
+    });
+
+    if (critical.length > 0) {
+      await this.alertCritical(order, critical);
+    }
+
+    await this.notifySafely(order.provider, {
+      type: NOTIFICATION_TYPES.MEDICAL_RECORD,
+      title: 'Lab results available',
+      message: `Results for lab order ${order.orderNumber} are in the patient's record.`,
+      data: { labOrderId: order._id, medicalRecordId: record._id }
+    });
+    await this.notifySafely(order.patient, {
+      type: NOTIFICATION_TYPES.MEDICAL_RECORD,
+      title: 'Lab results available',
+      message: `Your results for lab order ${order.orderNumber} are ready. Your provider will review them with you.`,
+      data: { labOrderId: order._id, medicalRecordId: record._id }
+    });
+
+    return { order, record };
+  }
+
+  /**
+   * Validate posted results against the order's tests
+   * @returns {Array} - Results to store
+   */
+  parseResults(order, results) {
+    if (!Array.isArray(results) || results.length === 0) {
+      throw requestError('At least one result is required', 400);
+    }
+
+    return results.map(entry => {
+      const test = order.tests.find(ordered =>
+        (entry.code && ordered.code === entry.code) || ordered.name === entry.test
+      );
+      if (!test) {
+        throw requestError(`${entry.test || entry.code} was not ordered`, 400);
+      }
+      if (entry.result === undefined || entry.result === null || entry.result === '') {
+        throw requestError(`A result is required for ${test.name}`, 400);
+      }
+
+      const flag = entry.flag || 'normal';
+      if (!RESULT_FLAGS.includes(flag)) {
+        throw requestError(`Flag for ${test.name} must be one of ${RESULT_FLAGS.join(', ')}`, 400);
+      }
+
+      return {
+        test: test.name,
+        code: test.code,
+        result: String(entry.result),
+        unit: entry.unit,
+        referenceRange: entry.referenceRange,
+        flag,
+        performedAt: entry.performedAt ? new Date(entry.performedAt) : new Date(),
+        verifiedBy: entry.verifiedBy,
+        notes: entry.notes
+      };
+    });
+  }
+
+  /**
+   * Alert the ordering provider to critical results in the app, by SMS and by
+   * email, without waiting for them to open the results
+   */
+  async alertCritical(order, critical) {
+    const provider = await User.findById(order.provider).select('email phone');
+    const summary = critical.map(result => `${result.test}: ${result.result}${result.unit ? ` ${result.unit}` : ''}`).join('; ');
+    const text = `CRITICAL lab result for order ${order.orderNumber}: ${summary}. Please review the patient's results now.`;
+
+    const channels = [];
+    try {
+      await notifications.notify(order.provider, {
+        type: NOTIFICATION_TYPES.MEDICAL_RECORD,
+        title: 'Critical lab result',
+        message: text,
+        data: { labOrderId: order._id, medicalRecordId: order.resultRecord, critical: true }
+      });
+      channels.push('push');
+    } catch (error) {
+      console.error(`Critical result notification for ${order.orderNumber} failed:`, error.message);
+    }
+
+    if (provider?.phone) {
+      const sms = await messaging.sendSms(provider.phone, text);
+      if (sms.success) channels.push('sms');
+      else console.error(`Critical result SMS for ${order.orderNumber} failed:`, sms.message);
+    }
+    if (provider?.email) {
+      const email = await messaging.sendEmail(provider.email, `Critical lab result: ${order.orderNumber}`, text);
+      if (email.success) channels.push('email');
+      else console.error(`Critical result email for ${order.orderNumber} failed:`, email.message);
+    }
+
+    const criticalAlert = { sentAt: new Date(), channels };
+    await LabOrder.updateOne({ _id: order._id }, { $set: { criticalAlert } });
+    order.criticalAlert = criticalAlert;
+  }
+
+  /**
+   * Move an order to a status if its current status allows it. The status is
+   * part of the update's filter, so concurrent changes cannot both apply.
+   * @param {ObjectId} orderId
+   * @param {Object} owner - { laboratory } or { provider } the order must belong to
+   * @param {String} status - Status to move to
+   * @param {Object} fields - Fields to set with the status
+   * @param {ClientSession} [session]
+   * @returns {Object} - Updated lab order
+   */
+  async transition(orderId, owner, status, fields, session) {
+    const order = await LabOrder.findOneAndUpdate(
+      { _id: orderId, ...owner, status: { $in: LabOrder.sourcesFor(status) } },
+      { $set: { status, ...fields } },
+      { new: true, runValidators: true, session }
+    );
+
+    if (!order) {
+      const existing = await LabOrder.findOne({ _id: orderId, ...owner }).select('status').session(session || null);
+      if (!existing) {
+        throw requestError('Lab order not found', 404);
+      }
+      throw requestError(`Cannot change lab order from ${existing.status} to ${status}`, 409);
+    }
+
+    return order;
+  }
+
+  async notifySafely(userId, notification) {
+    try {
+      await notifications.notify(userId, notification);
+    } catch (error) {
+      console.error('Lab order notification failed:', error.message);
+    }
+  }
+}
+
+module.exports = new LabOrderService();
@@ -0,0 +1,305 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/ledgerEntry.model');
+const { LEDGER_ACCOUNTS } = require('../utils/constants');
+
+// Wallet balance bucket backed by each wallet ledger account
+const BALANCE_BUCKETS = {
+  [LEDGER_ACCOUNTS.WALLET_AVAILABLE]: 'available',
+  [LEDGER_ACCOUNTS.WALLET_PENDING]: 'pending',
+  [LEDGER_ACCOUNTS.WALLET_RESERVED]: 'reserved'
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Double-entry ledger behind wallet balances.
+ * Wallet accounts are liabilities: a credit increases the balance, a debit decreases it.
+ */
+class LedgerService {
+  /**
+   * Run a unit of work inside a MongoDB transaction.
+   * Reuses the caller's session when one is given so nested operations commit together.
+   * @param {ClientSession} [session] - Existing session
+   * @param {Function} fn - Async work receiving the session
+   */
+  async runInSession(session, fn) {
+    if (session) {
+      return fn(session);
+    }
+
+    return mongoose.connection.transaction(fn);
+  }
+
+  /**
+   * Post a balanced journal entry
+   * @param {Object} entry - Entry data ({ operation, postings, transaction, currency, description })
+   * @param {ClientSession} [session] - Session to write in
+   * @returns {Object} - Saved ledger entry
+   */
+  async post(entry, session) {
+    const [ledgerEntry] = await LedgerEntry.create([{
+      ...entry,
+      postings: entry.postings.map(posting => ({
+        ...posting,
+        debit: round(posting.debit || 0),
+        credit: round(posting.credit || 0)
+      }))
+    }], { session });
+
+    return ledgerEntry;
+  }
+
+  /**
+   * Build the postings for a wallet operation
+   * @param {String} operation - credit | debit | reserve | release | confirm_reserved |
+   *   credit_pending | settle_pending | cancel_pending
+   * @param {ObjectId} walletId - Wallet affected
+   * @param {Number} amount - Amount moved
+   * @returns {Array} - Balanced postings
+   */
+  walletPostings(operation, walletId, amount) {
+    const wallet = (account) => ({ account, wallet: walletId });
+
+    switch (operation) {
+      case 'credit':
+        return [
+          { account: LEDGER_ACCOUNTS.EXTERNAL_FUNDING, debit: amount },
+          { ...wallet(LEDGER_ACCOUNTS.WALLET_AVAILABLE), credit: amount }
+        ];
+      case 'debit':
+        return [
+          { ...wallet(LEDGER_ACCOUNTS.WALLET_AVAILABLE), debit: amount },
+          { account: LEDGER_ACCOUNTS.EXTERNAL_SETTLEMENT, credit: amount }
+        ];
+      case 'reserve':
+        return [
+          { ...wallet(LEDGER_ACCOUNTS.WALLET_AVAILABLE), debit: amount },
+          { ...wallet(LEDGER_ACCOUNTS.WALLET_RESERVED), credit: amount }
+        ];
+      case 'release':
+        return [
+          { ...wallet(LEDGER_ACCOUNTS.WALLET_RESERVED), debit: amount },
+          { ...wallet(LEDGER_ACCOUNTS.WALLET_AVAILABLE), credit: amount }
+        ];
+      case 'confirm_reserved':
+        return [
+          { ...wallet(LEDGER_ACCOUNTS.WALLET_RESERVED), debit: amount },
+          { account: LEDGER_ACCOUNTS.EXTERNAL_SETTLEMENT, credit: amount }
+        ];
+      case 'credit_pending':
+        return [
+          { account: LEDGER_ACCOUNTS.EXTERNAL_FUNDING, debit: amount },
+          { ...wallet(LEDGER_ACCOUNTS.WALLET_PENDING), credit: amount }
+        ];
+      case 'settle_pending':
+        return [
+          { ...wallet(LEDGER_ACCOUNTS.WALLET_PENDING), debit: amount },
+          { ...wallet(LEDGER_ACCOUNTS.WALLET_AVAILABLE), credit: amount }
+        ];
+      case 'cancel_pending':
+        return [
+          { ...wallet(LEDGER_ACCOUNTS.WALLET_PENDING), debit: amount },
+          { account: LEDGER_ACCOUNTS.EXTERNAL_FUNDING, credit: amount }
+        ];
+      default:
+        throw new Error(`Unknown ledger operation: ${operation}`);
+    }
+  }
+
+  /**
+   * Post the journal entry for a wallet operation
+   */
+  async postWalletOperation(operation, wallet, amount, transactionId, session) {
+    return this.post({
+      operation,
+      postings: this.walletPostings(operation, wallet._id, amount),
+      transaction: transactionId,
+      currency: wallet.balance.currency,
+      description: `${operation} ${amount} ${wallet.balance.currency} on ${wallet.walletId}`
+    }, session);
+  }
+
+  /**
+   * Net movement a transaction made on each wallet across all balance buckets
+   * @param {ObjectId} transactionId - Transaction the journal entries belong to
+   * @param {ClientSession} [session] - Session to read in
+   * @returns {Map} - walletId => net amount (positive when the wallet gained funds)
+   */
+  async transactionMovements(transactionId, session) {
+    const totals = await LedgerEntry.aggregate([
+      { $match: { transaction: new mongoose.Types.ObjectId(transactionId) } },
+      { $unwind: '$postings' },
+      { $match: { 'postings.wallet': { $exists: true } } },
+      {
+        $group: {
+          _id: '$postings.wallet',
+          net: { $sum: { $subtract: ['$postings.credit', '$postings.debit'] } }
+        }
+      }
+    ]).session(session || null);
+
+    const movements = new Map();
+    totals.forEach(({ _id, net }) => {
+      if (round(net) !== 0) {
+        movements.set(_id.toString(), round(net));
+      }
+    });
+
+    return movements;
+  }
+
+  /**
+   * Recompute wallet balances from the journal
+   * @param {Array} [walletIds] - Restrict to these wallets
+   * @param {ClientSession} [session] - Session to read in
+   * @returns {Map} - walletId => { available, pending, reserved }
+   */
+  async computeWalletBalances(walletIds, session) {
+    const match = { 'postings.wallet': { $exists: true } };
+    if (walletIds) {
+      match['postings.wallet'] = { $in: walletIds };
+    }
+
+    const totals = await LedgerEntry.aggregate([
+      { $unwind: '$postings' },
+      { $match: match },
+      {
+        $group: {
+          _id: { wallet: '$postings.wallet', account: '$postings.account' },
+          balance: { $sum: { $subtract: ['$postings.credit', '$postings.debit'] } }
+        }
+      }
+    ]).session(session || null);
+
+    const balances = new Map();
+    totals.forEach(({ _id, balance }) => {
+      const key = _id.wallet.toString();
+      if (!balances.has(key)) {
+        balances.set(key, { available: 0, pending: 0, reserved: 0 });
+      }
+      balances.get(key)[BALANCE_BUCKETS[_id.account]] = round(balance);
+    });
+
+    return balances;
+  }
+
+  /**
+   * Post opening balances for wallets that held funds before the ledger went live,
+   * so their journal (and the statements and reconciliation built on it) matches the
+   * stored balances. Each wallet gets at most one opening entry, dated just before
+   * the ledger went live.
+   * @param {Object} [options] - { walletIds, liveSince }
+   *   liveSince defaults to the first journal entry; only wallets created before it are migrated
+   * @returns {Object} - { liveSince, posted: [{ wallet, walletId, amounts }] }
+   */
+  async postOpeningBalances({ walletIds, liveSince } = {}) {
+    const Wallet = require('../models/wallet.model');
+
+    if (!liveSince) {
+      const first = await LedgerEntry.findOne().sort({ postedAt: 1 }).select('postedAt');
+      liveSince = first ? first.postedAt : new Date();
+    }
+
+    const query = { createdAt: { $lt: liveSince } };
+    if (walletIds) {
+      query._id = { $in: walletIds };
+    }
+    const candidates = await Wallet.find(query).select('_id');
+
+    const posted = [];
+
+    for (const { _id } of candidates) {
+      const result = await this.runInSession(null, async (session) => {
+        const opened = await LedgerEntry.exists({ operation: 'opening_balance', 'postings.wallet': _id }).session(session);
+        if (opened) return null;
+
+        const wallet = await Wallet.findById(_id).select('walletId balance').session(session);
+        const ledger = (await this.computeWalletBalances([_id], session)).get(_id.toString()) ||
+          { available: 0, pending: 0, reserved: 0 };
+
+        // Whatever the journal does not account for was there before it
+        const postings = [];
+        let net = 0;
+        Object.entries(BALANCE_BUCKETS).forEach(([account, bucket]) => {
+          const opening = round((wallet.balance[bucket] || 0) - ledger[bucket]);
+          if (opening > 0) postings.push({ account, wallet: _id, credit: opening });
+          if (opening < 0) postings.push({ account, wallet: _id, debit: -opening });
+          net += opening;
+        });
+
+        if (postings.length === 0) return null;
+
+        net = round(net);
+        if (net > 0) postings.push({ account: LEDGER_ACCOUNTS.EXTERNAL_FUNDING, debit: net });
+        if (net < 0) postings.push({ account: LEDGER_ACCOUNTS.EXTERNAL_FUNDING, credit: -net });
+
+        await this.post({
+          operation: 'opening_balance',
+          postings,
+          currency: wallet.balance.currency,
+          description: `Opening balance on ${wallet.walletId}`,
+          postedAt: new Date(liveSince.getTime() - 1)
+        }, session);
+
+        return {
+          wallet: _id,
+          walletId: wallet.walletId,
+          amounts: postings.filter(posting => posting.wallet)
+            .map(({ account, debit = 0, credit = 0 }) => ({ account, amount: round(credit - debit) }))
+        };
+      });
+
+      if (result) posted.push(result);
+    }
+
+    return { liveSince, posted };
+  }
+
+  /**
+   * Compare stored wallet balances with the journal
+   * @param {Object} [options] - { walletIds, onlyDrifted }
+   * @returns {Object} - Reconciliation report
+   */
+  async reconcile({ walletIds, onlyDrifted = false } = {}) {
+    const Wallet = require('../models/wallet.model');
+
+    const query = walletIds ? { _id: { $in: walletIds } } : {};
+    const wallets = await Wallet.find(query).select('walletId owner type balance');
+    const ledgerBalances = await this.computeWalletBalances(walletIds);
+
+    const results = wallets.map(wallet => {
+      const ledger = ledgerBalances.get(wallet._id.toString()) || { available: 0, pending: 0, reserved: 0 };
+      const drift = {};
+      Object.values(BALANCE_BUCKETS).forEach(bucket => {
+        drift[bucket] = round((wallet.balance[bucket] || 0) - ledger[bucket]);
+      });
+
+      return {
+        wallet: wallet._id,
+        walletId: wallet.walletId,
+        owner: wallet.owner,
+        type: wallet.type,
+        currency: wallet.balance.currency,
+        stored: {
+          available: wallet.balance.available,
+          pending: wallet.balance.pending,
+          reserved: wallet.balance.reserved
+        },
+        ledger,
+        drift,
+        inBalance: Object.values(drift).every(value => value === 0)
+      };
+    });
+
+    const drifted = results.filter(result => !result.inBalance);
+
+    return {
+      checkedAt: new Date(),
+      walletsChecked: results.length,
+      walletsDrifted: drifted.length,
+      wallets: onlyDrifted ? drifted : results
+    };
+  }
+}
+
+module.exports = new LedgerService();
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+
+/**
+ * SMS through Twilio
+ */
+class TwilioSmsAdapter {
+  constructor() {
+    this.name = 'twilio';
+    this.client = require('twilio')(config.twilioAccountSid, config.twilioAuthToken);
+  }
+
+  async send({ to, body }) {
+    const message = await this.client.messages.create({
+      to,
+      from: config.twilioPhoneNumber,
+      body
+    });
+
+    return { success: true, reference: message.sid };
+  }
+}
+
+/**
+ * Email through SendGrid
+ */
+class SendGridEmailAdapter {
+  constructor() {
+    this.name = 'sendgrid';
+    this.client = require('@sendgrid/mail');
+    this.client.setApiKey(config.sendgridApiKey);
+  }
+
+  async send({ to, subject, text }) {
+    const [response] = await this.client.send({
+      to,
+      from: config.emailFrom,
+      subject,
+      text
+    });
+
+    return { success: true, reference: response?.headers?.['x-message-id'] || null };
+  }
+}
+
+/**
+ * Local fake for development and tests. Keeps sent messages in memory and
+ * fails any message whose recipient is in failFor.
+ */
+class LocalMessageAdapter {
+  constructor({ failFor = [] } = {}) {
+    this.name = 'local';
+    this.failFor = failFor;
+    this.sent = [];
+  }
+
+  async send(message) {
+    if (this.failFor.includes(message.to)) {
+      return { success: false, message: 'Message rejected by local adapter' };
+    }
+
+    const reference = `LOCAL-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+    this.sent.push({ ...message, reference });
+
+    return { success: true, reference };
+  }
+}
+
+const SMS_ADAPTERS = {
+  twilio: TwilioSmsAdapter,
+  local: LocalMessageAdapter
+};
+
+const EMAIL_ADAPTERS = {
+  sendgrid: SendGridEmailAdapter,
+  local: LocalMessageAdapter
+};
+
+/**
+ * Sends SMS and email through pluggable adapters, chosen by config.smsAdapter
+ * and config.emailAdapter. An SMS adapter implements send({ to, body }), an
+ * email adapter send({ to, subject, text }); both resolve to
+ * { success, reference, message }.
+ */
+class MessagingService {
+  constructor() {
+    this.adapters = { sms: null, email: null };
+  }
+
+  /**
+   * Replace the active SMS adapter (e.g. with a LocalMessageAdapter in tests)
+   */
+  useSmsAdapter(adapter) {
+    this.adapters.sms = adapter;
+    return this;
+  }
+
+  /**
+   * Replace the active email adapter (e.g. with a LocalMessageAdapter in tests)
+   */
+  useEmailAdapter(adapter) {
+    this.adapters.email = adapter;
+    return this;
+  }
+
+  getAdapter(channel) {
+    if (!this.adapters[channel]) {
+      const Adapter = this.configuredAdapter(channel);
+      this.adapters[channel] = new Adapter();
+    }
+    return this.adapters[channel];
+  }
+
+  /**
+   * The adapter class configured for a channel. The local adapter only keeps
+   * messages in memory, so it is refused in production.
+   */
+  configuredAdapter(channel) {
+    const name = channel === 'sms' ? config.smsAdapter : config.emailAdapter;
+    const Adapter = (channel === 'sms' ? SMS_ADAPTERS : EMAIL_ADAPTERS)[name];
+
+    if (!Adapter) {
+      throw new Error(`Unknown ${channel} adapter: ${name}`);
+    }
+    if (Adapter === LocalMessageAdapter && config.nodeEnv === 'production') {
+      throw new Error(`The local ${channel} adapter does not deliver messages; configure a real one for production`);
+    }
+
+    return Adapter;
+  }
+
+  /**
+   * Check that both channels have a usable adapter configured (call at startup)
+   * @throws {Error} - If an adapter is unknown, or local in production
+   */
+  assertConfigured() {
+    ['sms', 'email'].forEach(channel => {
+      if (!this.adapters[channel]) this.configuredAdapter(channel);
+    });
+  }
+
+  /**
+   * Send a text message
+   * @returns {Object} - Adapter result with the adapter name
+   */
+  async sendSms(to, body) {
+    return this.dispatch('sms', { to, body });
+  }
+
+  /**
+   * Send a plain-text email
+   * @returns {Object} - Adapter result with the adapter name
+   */
+  async sendEmail(to, subject, text) {
+    return this.dispatch('email', { to, subject, text });
+  }
+
+  async dispatch(channel, message) {
+    let adapter;
+
+    try {
+      adapter = this.getAdapter(channel);
+      const result = await adapter.send(message);
+      return { ...result, adapter: adapter.name };
+    } catch (error) {
+      return {
+        success: false,
+        adapter: adapter?.name,
+        message: error.message
+      };
+    }
+  }
+}
+
+const messagingService = new MessagingService();
+messagingService.TwilioSmsAdapter = TwilioSmsAdapter;
+messagingService.SendGridEmailAdapter = SendGridEmailAdapter;
+messagingService.LocalMessageAdapter = LocalMessageAdapter;
+
+module.exports = messagingService;
@@ -0,0 +1,27 @@
+const Notification = require('../models/notification.model');
+
+/**
+ * In-app notifications shown to users in their notification feed
+ */
+class NotificationService {
+  /**
+   * Notify a user
+   * @param {ObjectId} userId - Recipient
+   * @param {Object} notification - { type, title, message, data }
+   * @param {Object} [options] - { session }
+   * @returns {Object} - Saved notification
+   */
+  async notify(userId, { type, title, message, data }, options = {}) {
+    const [notification] = await Notification.create([{
+      user: userId,
+      type,
+      title,
+      message,
+      data
+    }], { session: options.session });
+
+    return notification;
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,645 @@
+const crypto = require('crypto');
+const Cart = require('../models/cart.model');
+const Order = require('../models/order.model');
+const Product = require('../models/product.model');
+const Prescription = require('../models/prescription.model');
+const Wallet = require('../models/wallet.model');
+const Transaction = require('../models/transaction.model');
+const User = require('../models/user.model');
+const exchangeRates = require('./exchangeRate.service');
+const ledger = require('./ledger.service');
+const settlement = require('./settlement.service');
+const prescriptions = require('./prescription.service');
+const notifications = require('./notification.service');
+const {
+  USER_TYPES,
+  WALLET_TYPES,
+  ORDER_STATUS,
+  NOTIFICATION_TYPES
+} = require('../utils/constants');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const DELIVERY_METHODS = ['pickup', 'delivery'];
+
+const requestError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * Patients' carts and orders from vendor catalogues. Checkout places one order
+ * per vendor, takes the items out of stock and reserves the total in the
+ * patient's personal wallet. The payment is captured (and later settled to the
+ * vendor) on delivery, or released and the stock restored on cancellation.
+ */
+class OrderService {
+  /**
+   * Whether a user can sell from a catalogue
+   */
+  isVendor(user) {
+    return user?.userType === USER_TYPES.VENDOR;
+  }
+
+  // ==================== Cart ====================
+
+  /**
+   * The user's cart with its products, created empty on first use
+   */
+  async getCart(user) {
+    const cart = await Cart.findOneAndUpdate(
+      { user: user._id },
+      { $setOnInsert: { user: user._id, items: [] } },
+      { new: true, upsert: true }
+    );
+
+    return cart.populate([
+      { path: 'items.product', select: 'sku name price currency stock requiresPrescription isActive unit' },
+      { path: 'items.vendor', select: 'businessInfo.name' }
+    ]);
+  }
+
+  /**
+   * Add a product to the cart, or add to its quantity if it is already there
+   * @param {Object} item - { productId, quantity, prescriptionId, prescriptionItemId }
+   */
+  async addItem(user, { productId, quantity = 1, prescriptionId, prescriptionItemId }) {
+    quantity = parseInt(quantity);
+    if (!(quantity > 0)) {
+      throw requestError('Quantity must be at least 1', 400);
+    }
+
+    const product = await Product.findOne({ _id: productId, isActive: true });
+    if (!product) {
+      throw requestError('Product not found', 404);
+    }
+
+    const cart = await Cart.findOne({ user: user._id }) || new Cart({ user: user._id, items: [] });
+    const existing = cart.items.find(item => item.product.equals(product._id));
+    const total = quantity + (existing?.quantity || 0);
+
+    if (product.stock < total) {
+      throw requestError(`Only ${product.stock} of ${product.name} in stock`, 409);
+    }
+
+    let prescription = null;
+    let prescribed = null;
+    if (product.requiresPrescription) {
+      prescription = await this.findPrescription(user, product, prescriptionId || existing?.prescription);
+      prescribed = this.prescribedItem(prescription, product, prescriptionItemId || existing?.prescriptionItem);
+      this.checkPrescribedQuantity(prescription, prescribed, total);
+    }
+
+    if (existing) {
+      existing.quantity = total;
+      if (prescription) {
+        existing.prescription = prescription._id;
+        existing.prescriptionItem = prescribed._id;
+      }
+    } else {
+      cart.items.push({
+        product: product._id,
+        vendor: product.vendor,
+        quantity,
+        prescription: prescription?._id,
+        prescriptionItem: prescribed?._id
+      });
+    }
+
+    await cart.save();
+    return this.getCart(user);
+  }
+
+  /**
+   * Change the quantity of a product in the cart; zero removes it
+   */
+  async updateItem(user, productId, quantity) {
+    quantity = parseInt(quantity);
+    if (!(quantity >= 0)) {
+      throw requestError('Quantity must be zero or more', 400);
+    }
+    if (quantity === 0) {
+      return this.removeItem(user, productId);
+    }
+
+    const product = await Product.findOne({ _id: productId, isActive: true }).select('name stock');
+    if (!product) {
+      throw requestError('Product not found', 404);
+    }
+    if (product.stock < quantity) {
+      throw requestError(`Only ${product.stock} of ${product.name} in stock`, 409);
+    }
+
+    const result = await Cart.updateOne(
+      { user: user._id, 'items.product': product._id },
+      { $set: { 'items.$.quantity': quantity } }
+    );
+    if (result.matchedCount === 0) {
+      throw requestError('Product is not in your cart', 404);
+    }
+
+    return this.getCart(user);
+  }
+
+  /**
+   * Remove a product from the cart
+   */
+  async removeItem(user, productId) {
+    await Cart.updateOne({ user: user._id }, { $pull: { items: { product: productId } } });
+    return this.getCart(user);
+  }
+
+  /**
+   * Empty the cart
+   */
+  async clearCart(user) {
+    await Cart.updateOne({ user: user._id }, { $set: { items: [] } });
+    return this.getCart(user);
+  }
+
+  /**
+   * The active, validly signed prescription a prescription-only product is
+   * ordered against. It must be the patient's own and shared with the vendor.
+   */
+  async findPrescription(user, product, prescriptionId, session) {
+    if (!prescriptionId) {
+      throw requestError(`${product.name} requires a prescription`, 400);
+    }
+
+    const prescription = await Prescription.findOne({
+      _id: prescriptionId,
+      patient: user._id,
+      status: 'active',
+      validUntil: { $gt: new Date() }
+    }).session(session || null);
+
+    if (!prescription || !prescriptions.verifySignature(prescription)) {
+      throw requestError(`No valid prescription for ${product.name}`, 400);
+    }
+    if (!prescription.isSharedWith(product.vendor)) {
+      throw requestError('Share the prescription with the pharmacy before ordering', 400);
+    }
+
+    return prescription;
+  }
+
+  /**
+   * The medication on a prescription a product is ordered as: the one chosen, or
+   * the only one on the prescription
+   */
+  prescribedItem(prescription, product, itemId) {
+    const item = itemId
+      ? prescription.items.id(itemId)
+      : prescription.items.length === 1 ? prescription.items[0] : null;
+
+    if (!item) {
+      throw requestError(itemId
+        ? `Item ${itemId} is not on prescription ${prescription.prescriptionNumber}`
+        : `Choose which medication on prescription ${prescription.prescriptionNumber} ${product.name} is for`, 400);
+    }
+
+    return item;
+  }
+
+  /**
+   * A prescription-only line cannot be for more than is left to dispense
+   */
+  checkPrescribedQuantity(prescription, item, quantity) {
+    const outstanding = prescriptions.outstandingQuantity(prescription, item);
+    if (quantity > outstanding) {
+      throw requestError(outstanding > 0
+        ? `Prescription ${prescription.prescriptionNumber} allows up to ${outstanding} of ${item.medication}`
+        : `Prescription ${prescription.prescriptionNumber} has no ${item.medication} left to dispense`, 400);
+    }
+  }
+
+  // ==================== Checkout ====================
+
+  /**
+   * Place an order with each vendor in the cart and pay from the personal wallet.
+   * Either every order is placed or none is.
+   * @param {Object} patient - Ordering patient
+   * @param {Object} delivery - { method, address, phone, notes }
+   * @returns {Array} - Placed orders
+   */
+  async checkout(patient, { method = 'delivery', address, phone, notes } = {}) {
+    if (!DELIVERY_METHODS.includes(method)) {
+      throw requestError(`Delivery method must be one of ${DELIVERY_METHODS.join(', ')}`, 400);
+    }
+    if (method === 'delivery' && !address?.street) {
+      throw requestError('A delivery address is required', 400);
+    }
+
+    const cart = await Cart.findOne({ user: patient._id });
+    if (!cart || cart.items.length === 0) {
+      throw requestError('Your cart is empty', 400);
+    }
+
+    const wallet = await Wallet.findOne({ owner: patient._id, type: WALLET_TYPES.PERSONAL });
+    if (!wallet) {
+      throw requestError('Personal wallet not found', 404);
+    }
+    if (wallet.status !== 'active') {
+      throw requestError('Personal wallet is not active', 400);
+    }
+
+    const byVendor = new Map();
+    for (const item of cart.items) {
+      const key = item.vendor.toString();
+      if (!byVendor.has(key)) byVendor.set(key, []);
+      byVendor.get(key).push(item);
+    }
+
+    const orders = await ledger.runInSession(null, async (session) => {
+      const placed = [];
+
+      for (const [vendorId, items] of byVendor) {
+        const vendor = await User.findOne({
+          _id: vendorId,
+          userType: USER_TYPES.VENDOR,
+          status: { $nin: ['suspended', 'deleted'] }
+        }).select('businessInfo preferences').session(session);
+        if (!vendor) {
+          throw requestError('A vendor in your cart is no longer available', 409);
+        }
+
+        placed.push(await this.placeOrder(patient, vendor, wallet, items, {
+          method,
+          address: method === 'delivery' ? address : undefined,
+          phone,
+          notes
+        }, session));
+      }
+
+      await Cart.updateOne({ _id: cart._id }, { $set: { items: [] } }, { session });
+
+      return placed;
+    });
+
+    for (const order of orders) {
+      await this.notifySafely(order.vendor, {
+        type: NOTIFICATION_TYPES.SYSTEM,
+        title: 'New order',
+        message: `Order ${order.orderNumber}: ${order.items.length} item(s), ${order.total} ${order.currency}.`,
+        data: { orderId: order._id }
+      });
+    }
+
+    return orders;
+  }
+
+  /**
+   * Take one vendor's items out of stock, create the order and reserve its total
+   */
+  async placeOrder(patient, vendor, wallet, items, delivery, session) {
+    const currency = exchangeRates.walletCurrency(vendor.preferences?.currency);
+    const lines = [];
+
+    for (const item of items) {
+      // The stock condition is in the filter, so concurrent orders cannot oversell
+      const product = await Product.findOneAndUpdate(
+        { _id: item.product, vendor: vendor._id, isActive: true, stock: { $gte: item.quantity } },
+        { $inc: { stock: -item.quantity } },
+        { new: true, session }
+      );
+
+      if (!product) {
+        const existing = await Product.findOne({ _id: item.product, vendor: vendor._id, isActive: true })
+          .select('name stock').session(session);
+        throw existing
+          ? requestError(`Only ${existing.stock} of ${existing.name} in stock`, 409)
+          : requestError('A product in your cart is no longer available', 409);
+      }
+
+      let prescription = null;
+      let prescribed = null;
+      if (product.requiresPrescription) {
+        prescription = await this.findPrescription(patient, product, item.prescription, session);
+        prescribed = this.prescribedItem(prescription, product, item.prescriptionItem);
+      }
+
+      const { amount: unitPrice } = await exchangeRates.convert(product.price, product.currency, currency, { session });
+
+      lines.push({
+        product: product._id,
+        sku: product.sku,
+        name: product.name,
+        unitPrice,
+        quantity: item.quantity,
+        lineTotal: round(unitPrice * item.quantity),
+        prescription: prescription?._id,
+        prescriptionItem: prescribed?._id
+      });
+    }
+
+    const total = round(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+    const conversion = await exchangeRates.convert(total, currency, wallet.balance.currency, { session });
+
+    const [order] = await Order.create([{
+      patient: patient._id,
+      vendor: vendor._id,
+      items: lines,
+      currency,
+      total,
+      payment: {
+        wallet: wallet._id,
+        amount: conversion.amount,
+        currency: conversion.currency
+      },
+      delivery,
+      status: ORDER_STATUS.PAID,
+      paidAt: new Date()
+    }], { session });
+
+    await this.dispensePrescriptions(order, vendor, session);
+
+    const vendorWallet = await this.findVendorWallet(vendor, session);
+    const converted = conversion.originalCurrency !== conversion.currency;
+
+    const [payment] = await Transaction.create([{
+      type: 'payment',
+      category: 'medication',
+      from: { wallet: wallet._id, user: patient._id, type: 'wallet' },
+      to: { wallet: vendorWallet._id, user: vendor._id, type: 'wallet' },
+      amount: converted ? {
+        value: conversion.amount,
+        currency: conversion.currency,
+        exchangeRate: conversion.exchangeRate,
+        originalAmount: conversion.originalAmount,
+        originalCurrency: conversion.originalCurrency
+      } : { value: conversion.amount, currency: conversion.currency },
+      paymentMethod: { type: 'wallet' },
+      reference: {
+        type: 'order',
+        id: order._id,
+        details: order.orderNumber
+      },
+      status: 'pending',
+      description: `Order ${order.orderNumber} from ${vendor.businessInfo?.name || 'vendor'}`
+    }], { session });
+
+    // Reload so every order in the checkout reserves against the current balance
+    const payer = await Wallet.findById(wallet._id).session(session);
+    if (payer.balance.available < conversion.amount) {
+      throw requestError('Insufficient balance in personal wallet', 400);
+    }
+    await payer.reserve(conversion.amount, payment._id, { session });
+
+    order.payment.transaction = payment._id;
+    await Order.updateOne({ _id: order._id }, { $set: { 'payment.transaction': payment._id } }, { session });
+
+    return order;
+  }
+
+  /**
+   * Record the prescription-only lines of an order as dispensed, one dispensing
+   * per prescription. Lines over what is left to dispense fail the checkout.
+   */
+  async dispensePrescriptions(order, vendor, session) {
+    const byPrescription = new Map();
+    for (const line of order.items.filter(item => item.prescription)) {
+      const key = line.prescription.toString();
+      if (!byPrescription.has(key)) byPrescription.set(key, new Map());
+
+      const quantities = byPrescription.get(key);
+      const itemKey = line.prescriptionItem.toString();
+      quantities.set(itemKey, (quantities.get(itemKey) || 0) + line.quantity);
+    }
+
+    for (const [prescriptionId, quantities] of byPrescription) {
+      await prescriptions.recordDispensing(prescriptionId, vendor, {
+        items: [...quantities].map(([itemId, quantity]) => ({ itemId, quantity })),
+        notes: `Order ${order.orderNumber}`,
+        order: order._id
+      }, session);
+    }
+  }
+
+  // ==================== Fulfilment ====================
+
+  /**
+   * Mark an order packed: ready for pickup, or to be shipped
+   */
+  async fulfil(orderId, vendor) {
+    const order = await this.transition(orderId, { vendor: vendor._id }, ORDER_STATUS.FULFILLED, {
+      fulfilledAt: new Date()
+    });
+
+    await this.notifySafely(order.patient, {
+      type: NOTIFICATION_TYPES.SYSTEM,
+      title: order.delivery?.method === 'pickup' ? 'Order ready for pickup' : 'Order packed',
+      message: order.delivery?.method === 'pickup'
+        ? `Order ${order.orderNumber} is ready for pickup at ${vendor.businessInfo?.name || 'the vendor'}.`
+        : `Order ${order.orderNumber} has been packed and will be shipped soon.`,
+      data: { orderId: order._id }
+    });
+
+    return order;
+  }
+
+  /**
+   * Hand a delivery order to the carrier
+   * @param {Object} shipment - { carrier, trackingNumber }
+   */
+  async ship(orderId, vendor, { carrier, trackingNumber } = {}) {
+    const existing = await Order.findOne({ _id: orderId, vendor: vendor._id }).select('delivery.method');
+    if (!existing) {
+      throw requestError('Order not found', 404);
+    }
+    if (existing.delivery?.method === 'pickup') {
+      throw requestError('Pickup orders are not shipped', 400);
+    }
+
+    const order = await this.transition(orderId, { vendor: vendor._id }, ORDER_STATUS.SHIPPED, {
+      shippedAt: new Date(),
+      'delivery.carrier': carrier,
+      'delivery.trackingNumber': trackingNumber
+    });
+
+    await this.notifySafely(order.patient, {
+      type: NOTIFICATION_TYPES.SYSTEM,
+      title: 'Order shipped',
+      message: `Order ${order.orderNumber} is on its way` +
+        (trackingNumber ? ` (${carrier ? `${carrier} ` : ''}tracking ${trackingNumber}).` : '.'),
+      data: { orderId: order._id }
+    });
+
+    return order;
+  }
+
+  /**
+   * Mark an order delivered or collected and capture its payment
+   */
+  async deliver(orderId, vendor) {
+    const existing = await Order.findOne({ _id: orderId, vendor: vendor._id }).select('delivery.method');
+    if (!existing) {
+      throw requestError('Order not found', 404);
+    }
+
+    // Only pickup orders are handed over straight from fulfilled; delivery orders must ship first
+    const sources = existing.delivery?.method === 'pickup'
+      ? Order.sourcesFor(ORDER_STATUS.DELIVERED)
+      : [ORDER_STATUS.SHIPPED];
+
+    const order = await ledger.runInSession(null, async (session) => {
+      const order = await this.transition(orderId, { vendor: vendor._id }, ORDER_STATUS.DELIVERED, {
+        deliveredAt: new Date(),
+        'payment.status': 'captured'
+      }, session, sources);
+
+      await this.capture(order, session);
+      return order;
+    });
+
+    await this.notifySafely(order.patient, {
+      type: NOTIFICATION_TYPES.PAYMENT,
+      title: 'Order delivered',
+      message: `Order ${order.orderNumber} has been delivered. ${order.payment.amount} ${order.payment.currency} was charged to your wallet.`,
+      data: { orderId: order._id }
+    });
+
+    return order;
+  }
+
+  /**
+   * Cancel an order, release its payment and put the items back in stock.
+   * Patients can cancel until the vendor starts on the order; vendors until it ships.
+   */
+  async cancel(orderId, user, reason) {
+    const byVendor = this.isVendor(user);
+    const owner = byVendor ? { vendor: user._id } : { patient: user._id };
+    const sources = byVendor ? undefined : [ORDER_STATUS.PAID];
+
+    const order = await ledger.runInSession(null, async (session) => {
+      const order = await this.transition(orderId, owner, ORDER_STATUS.CANCELLED, {
+        cancelledAt: new Date(),
+        cancelledBy: byVendor ? 'vendor' : 'patient',
+        cancellationReason: reason,
+        'payment.status': 'released'
+      }, session, sources);
+
+      await this.release(order, reason, session);
+      await prescriptions.revertDispensings(order._id, session);
+
+      for (const item of order.items) {
+        await Product.updateOne({ _id: item.product }, { $inc: { stock: item.quantity } }, { session });
+      }
+
+      return order;
+    });
+
+    await this.notifySafely(byVendor ? order.patient : order.vendor, {
+      type: NOTIFICATION_TYPES.PAYMENT,
+      title: 'Order cancelled',
+      message: byVendor
+        ? `Order ${order.orderNumber} was cancelled by the vendor${reason ? `: ${reason}` : ''}. The reserved ${order.payment.amount} ${order.payment.currency} is back in your wallet.`
+        : `Order ${order.orderNumber} was cancelled by the patient${reason ? `: ${reason}` : ''}.`,
+      data: { orderId: order._id }
+    });
+
+    return order;
+  }
+
+  // ==================== Payment ====================
+
+  /**
+   * Confirm the patient's reservation and accrue the payment to the vendor for settlement
+   */
+  async capture(order, session) {
+    const payment = await this.findPayment(order, session);
+    const payer = await Wallet.findById(payment.from.wallet).session(session);
+
+    await payer.confirmReserved(payment.amount.value, payment._id, { session });
+    await payment.updateStatus('completed', 'Order delivered', { session });
+    await settlement.accrue(payment, session);
+
+    return payment;
+  }
+
+  /**
+   * Return the reserved funds to the patient's wallet
+   */
+  async release(order, reason, session) {
+    const payment = await this.findPayment(order, session);
+    const payer = await Wallet.findById(payment.from.wallet).session(session);
+
+    await payer.releaseReserved(payment.amount.value, payment._id, { session });
+    await payment.updateStatus('cancelled', reason || 'Order cancelled', { session });
+
+    return payment;
+  }
+
+  async findPayment(order, session) {
+    const payment = await Transaction.findOne({
+      type: 'payment',
+      status: 'pending',
+      'reference.type': 'order',
+      'reference.id': order._id
+    }).session(session);
+
+    if (!payment) {
+      throw requestError(`No reserved payment for order ${order.orderNumber}`, 409);
+    }
+
+    return payment;
+  }
+
+  /**
+   * The vendor's wallet, created on their first order so payments can name it
+   */
+  async findVendorWallet(vendor, session) {
+    let wallet = await Wallet.findOne({ owner: vendor._id, type: WALLET_TYPES.VENDOR }).session(session);
+
+    if (!wallet) {
+      [wallet] = await Wallet.create([{
+        walletId: `WALLET-${crypto.randomBytes(8).toString('hex').toUpperCase()}`,
+        owner: vendor._id,
+        type: WALLET_TYPES.VENDOR,
+        balance: {
+          available: 0,
+          pending: 0,
+          reserved: 0,
+          currency: exchangeRates.walletCurrency(vendor.preferences?.currency)
+        }
+      }], { session });
+    }
+
+    return wallet;
+  }
+
+  /**
+   * Move an order to a status if its current status allows it. The status is
+   * part of the update's filter, so concurrent changes cannot both apply.
+   * @param {ObjectId} orderId
+   * @param {Object} owner - { vendor } or { patient } the order must belong to
+   * @param {String} status - Status to move to
+   * @param {Object} fields - Fields to set with the status
+   * @param {ClientSession} [session]
+   * @param {Array} [sources] - Statuses to allow the change from, if narrower than the transition map
+   * @returns {Object} - Updated order
+   */
+  async transition(orderId, owner, status, fields, session, sources = Order.sourcesFor(status)) {
+    const order = await Order.findOneAndUpdate(
+      { _id: orderId, ...owner, status: { $in: sources } },
+      { $set: { status, ...fields } },
+      { new: true, runValidators: true, session }
+    );
+
+    if (!order) {
+      const existing = await Order.findOne({ _id: orderId, ...owner }).select('status').session(session || null);
+      if (!existing) {
+        throw requestError('Order not found', 404);
+      }
+      throw requestError(`Cannot change order from ${existing.status} to ${status}`, 409);
+    }
+
+    return order;
+  }
+
+  async notifySafely(userId, notification) {
+    try {
+      await notifications.notify(userId, notification);
+    } catch (error) {
+      console.error('Order notification failed:', error.message);
+    }
+  }
+}
+
+module.exports = new OrderService();
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+
+/**
+ * Manual payouts: operations staff send the money out-of-band (bank portal,
+ * mobile money dashboard) and the withdrawal is recorded as paid.
+ */
+class ManualPayoutAdapter {
+  constructor() {
+    this.name = 'manual';
+  }
+
+  async send(payout) {
+    return {
+      success: true,
+      reference: `MANUAL-${payout.withdrawalId}`,
+      responseCode: 'MANUAL'
+    };
+  }
+}
+
+/**
+ * Local fake for development and tests. Keeps sent payouts in memory and
+ * fails any payout whose destination account or mobile number is in failFor.
+ */
+class LocalPayoutAdapter {
+  constructor({ failFor = [] } = {}) {
+    this.name = 'local';
+    this.failFor = failFor;
+    this.sent = [];
+  }
+
+  async send(payout) {
+    const account = payout.destination?.accountNumber || payout.destination?.mobileNumber;
+
+    if (this.failFor.includes(account)) {
+      return {
+        success: false,
+        responseCode: 'DECLINED',
+        message: 'Payout declined by local adapter'
+      };
+    }
+
+    const reference = `LOCAL-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+    this.sent.push({ ...payout, reference });
+
+    return { success: true, reference, responseCode: 'OK' };
+  }
+}
+
+const ADAPTERS = {
+  manual: ManualPayoutAdapter,
+  local: LocalPayoutAdapter
+};
+
+/**
+ * Sends withdrawal payouts through a pluggable adapter.
+ * An adapter implements send({ withdrawalId, amount, currency, method, destination })
+ * and resolves to { success, reference, responseCode, message }. A result with
+ * success false is a definite decline; an adapter that cannot tell whether the money
+ * went out resolves { success: false, unknown: true }, as does any adapter error.
+ */
+class PayoutService {
+  constructor() {
+    this.adapter = null;
+  }
+
+  /**
+   * Replace the active adapter (e.g. with a LocalPayoutAdapter in tests)
+   */
+  useAdapter(adapter) {
+    this.adapter = adapter;
+    return this;
+  }
+
+  getAdapter() {
+    if (!this.adapter) {
+      const Adapter = ADAPTERS[config.payoutAdapter];
+      if (!Adapter) {
+        throw new Error(`Unknown payout adapter: ${config.payoutAdapter}`);
+      }
+      this.adapter = new Adapter();
+    }
+    return this.adapter;
+  }
+
+  /**
+   * Pay out a withdrawal
+   * @param {Object} withdrawal - Withdrawal document
+   * @returns {Object} - Adapter result with the adapter name
+   */
+  async send(withdrawal) {
+    const adapter = this.getAdapter();
+
+    try {
+      const result = await adapter.send({
+        withdrawalId: withdrawal.withdrawalId,
+        amount: withdrawal.amount,
+        currency: withdrawal.currency,
+        method: withdrawal.method,
+        destination: withdrawal.destination
+      });
+      return { ...result, adapter: adapter.name };
+    } catch (error) {
+      // A timeout or dropped connection may come after the payout was made
+      return {
+        success: false,
+        unknown: true,
+        adapter: adapter.name,
+        responseCode: 'ERROR',
+        message: error.message
+      };
+    }
+  }
+}
+
+const payoutService = new PayoutService();
+payoutService.ManualPayoutAdapter = ManualPayoutAdapter;
+payoutService.LocalPayoutAdapter = LocalPayoutAdapter;
+
+module.exports = payoutService;
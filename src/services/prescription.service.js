@@ -0,0 +1,398 @@
+const crypto = require('crypto');
+const Prescription = require('../models/prescription.model');
+const Appointment = require('../models/appointment.model');
+const User = require('../models/user.model');
+const config = require('../config/config');
+const ledger = require('./ledger.service');
+const notifications = require('./notification.service');
+const { USER_TYPES, VENDOR_TYPES, ACCOUNT_STATUS, NOTIFICATION_TYPES } = require('../utils/constants');
+
+// How long a prescription can be dispensed for, unless the provider says otherwise
+const DEFAULT_VALID_DAYS = 180;
+const MAX_VALID_DAYS = 365;
+
+const ITEM_FIELDS = ['medication', 'strength', 'form', 'dosage', 'route', 'frequency', 'duration', 'quantity', 'instructions', 'substitutionAllowed'];
+
+const requestError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * Issues signed prescriptions and dispenses them at pharmacies. The signature
+ * is an HMAC over the prescription's content, so a pharmacy can check with the
+ * verification code that what it is dispensing is what the provider issued.
+ */
+class PrescriptionService {
+  /**
+   * Whether a user is a pharmacy that can receive and dispense prescriptions
+   */
+  isPharmacy(user) {
+    return user?.userType === USER_TYPES.VENDOR && user.businessInfo?.type === VENDOR_TYPES.PHARMACY;
+  }
+
+  /**
+   * Issue and sign a prescription
+   * @param {Object} provider - Prescribing provider
+   * @param {Object} data - { patientId, appointmentId, items, refills, validDays, diagnosis, notes }
+   * @returns {Object} - Saved prescription
+   */
+  async issue(provider, { patientId, appointmentId, items, refills = 0, validDays = DEFAULT_VALID_DAYS, diagnosis, notes }) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw requestError('At least one medication is required', 400);
+    }
+    if (!Number.isInteger(refills) || refills < 0) {
+      throw requestError('Refills must be a whole number of 0 or more', 400);
+    }
+    if (!Number.isInteger(validDays) || validDays < 1 || validDays > MAX_VALID_DAYS) {
+      throw requestError(`validDays must be between 1 and ${MAX_VALID_DAYS}`, 400);
+    }
+
+    let appointment = null;
+    if (appointmentId) {
+      appointment = await Appointment.findOne({ _id: appointmentId, provider: provider._id });
+      if (!appointment) {
+        throw requestError('Appointment not found', 404);
+      }
+      if (patientId && String(appointment.patient) !== String(patientId)) {
+        throw requestError('Appointment belongs to another patient', 400);
+      }
+      patientId = appointment.patient;
+    }
+
+    const patient = patientId && await User.findOne({ _id: patientId, userType: USER_TYPES.PATIENT }).select('_id');
+    if (!patient) {
+      throw requestError('Patient not found', 404);
+    }
+
+    const issuedAt = new Date();
+    const prescription = new Prescription({
+      patient: patient._id,
+      provider: provider._id,
+      appointment: appointment?._id,
+      items: items.map(item => {
+        const picked = {};
+        ITEM_FIELDS.forEach(field => { if (item[field] !== undefined) picked[field] = item[field]; });
+        return picked;
+      }),
+      diagnosis,
+      notes,
+      refills: { authorized: refills, remaining: refills },
+      issuedAt,
+      validUntil: new Date(issuedAt.getTime() + validDays * 24 * 60 * 60 * 1000)
+    });
+
+    // Number and code are generated on validation and are part of what is signed
+    await prescription.validate();
+    prescription.signature = {
+      value: this.sign(this.hash(prescription)),
+      signedAt: issuedAt,
+      signedBy: provider._id
+    };
+
+    await ledger.runInSession(null, async (session) => {
+      await prescription.save({ session });
+      await User.updateOne({ _id: patient._id }, { $addToSet: { prescriptions: prescription._id } }, { session });
+    });
+
+    await this.notifySafely(patient._id, {
+      type: NOTIFICATION_TYPES.MEDICAL_RECORD,
+      title: 'New prescription',
+      message: `You have a new prescription (${prescription.prescriptionNumber}). Share it with a pharmacy to have it dispensed.`,
+      data: { prescriptionId: prescription._id }
+    });
+
+    return prescription;
+  }
+
+  /**
+   * SHA-256 over what the provider prescribed (not over dispensing progress),
+   * so the signature stays valid as the prescription is filled
+   */
+  hash(prescription) {
+    const canonical = JSON.stringify({
+      prescriptionNumber: prescription.prescriptionNumber,
+      verificationCode: prescription.verificationCode,
+      patient: String(prescription.patient?._id || prescription.patient),
+      provider: String(prescription.provider?._id || prescription.provider),
+      issuedAt: new Date(prescription.issuedAt).toISOString(),
+      validUntil: new Date(prescription.validUntil).toISOString(),
+      refills: prescription.refills.authorized,
+      items: prescription.items.map(item => ITEM_FIELDS.map(field => item[field] ?? null))
+    });
+
+    return crypto.createHash('sha256').update(canonical).digest('hex');
+  }
+
+  sign(hash) {
+    return crypto.createHmac('sha256', config.prescriptionSigningSecret).update(hash).digest('hex');
+  }
+
+  /**
+   * Check that the prescription's signature matches its content
+   */
+  verifySignature(prescription) {
+    const signature = prescription.signature?.value;
+    if (!signature || !/^[0-9a-f]{64}$/i.test(signature)) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(this.hash(prescription)), 'hex');
+    return crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'));
+  }
+
+  /**
+   * Look up a prescription by the code printed on it and check it can be dispensed
+   * @returns {Object|null} - { prescription, signatureValid, dispensable }
+   */
+  async verifyCode(code) {
+    const prescription = await Prescription.findOne({ verificationCode: String(code).trim().toUpperCase() })
+      .populate('provider', 'profile.firstName profile.lastName professionalInfo.licenseNumber')
+      .populate('patient', 'profile.firstName profile.lastName');
+    if (!prescription) return null;
+
+    const signatureValid = this.verifySignature(prescription);
+    return {
+      prescription,
+      signatureValid,
+      dispensable: signatureValid && prescription.status === 'active' && prescription.validUntil > new Date()
+    };
+  }
+
+  /**
+   * Share a prescription with a pharmacy so it can be dispensed there
+   * @returns {Object} - Updated prescription
+   */
+  async share(prescriptionId, patient, pharmacyId) {
+    const pharmacy = await User.findOne({
+      _id: pharmacyId,
+      userType: USER_TYPES.VENDOR,
+      'businessInfo.type': VENDOR_TYPES.PHARMACY,
+      status: ACCOUNT_STATUS.ACTIVE,
+      'verificationStatus.identity.verified': true
+    }).select('businessInfo.name');
+    if (!pharmacy) {
+      throw requestError('Pharmacy not found', 404);
+    }
+
+    const prescription = await Prescription.findOneAndUpdate(
+      { _id: prescriptionId, patient: patient._id, status: 'active', 'sharedWith.pharmacy': { $ne: pharmacy._id } },
+      { $push: { sharedWith: { pharmacy: pharmacy._id, sharedAt: new Date() } } },
+      { new: true }
+    );
+    if (!prescription) {
+      const existing = await Prescription.findOne({ _id: prescriptionId, patient: patient._id });
+      if (!existing) throw requestError('Prescription not found', 404);
+      if (existing.status !== 'active') throw requestError(`Cannot share a ${existing.status} prescription`, 409);
+      return existing;
+    }
+
+    await this.notifySafely(pharmacy._id, {
+      type: NOTIFICATION_TYPES.MEDICAL_RECORD,
+      title: 'Prescription shared with you',
+      message: `Prescription ${prescription.prescriptionNumber} has been shared with your pharmacy.`,
+      data: { prescriptionId: prescription._id }
+    });
+
+    return prescription;
+  }
+
+  /**
+   * Stop sharing a prescription with a pharmacy
+   * @returns {Object|null} - Updated prescription, or null if not found
+   */
+  async unshare(prescriptionId, patient, pharmacyId) {
+    return Prescription.findOneAndUpdate(
+      { _id: prescriptionId, patient: patient._id },
+      { $pull: { sharedWith: { pharmacy: pharmacyId } } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Dispense a prescription at a pharmacy. Dispensing once the current fill is
+   * complete starts the next fill and uses up a refill; when the last fill is
+   * complete the prescription is completed.
+   * @param {ObjectId} prescriptionId
+   * @param {Object} pharmacy - Dispensing pharmacy user
+   * @param {Object} data - { items: [{ itemId, quantity }], notes }; no items dispenses the rest of the fill
+   * @returns {Object} - Updated prescription
+   */
+  async dispense(prescriptionId, pharmacy, { items, notes } = {}) {
+    // Outside the transaction, so the expiry is kept when dispensing is refused for it
+    await this.expireOverdue(prescriptionId);
+
+    const { prescription } = await ledger.runInSession(null, (session) =>
+      this.recordDispensing(prescriptionId, pharmacy, { items, notes }, session)
+    );
+
+    const fillLabel = prescription.currentFill === 0 ? 'original fill' : `refill ${prescription.currentFill}`;
+    await this.notifySafely(prescription.patient, {
+      type: NOTIFICATION_TYPES.MEDICAL_RECORD,
+      title: 'Prescription dispensed',
+      message: `${pharmacy.businessInfo?.name || 'Your pharmacy'} dispensed ${prescription.isFillComplete() ? 'the' : 'part of the'} ${fillLabel} of prescription ${prescription.prescriptionNumber}. Refills remaining: ${prescription.refills.remaining}.`,
+      data: { prescriptionId: prescription._id }
+    });
+
+    return prescription;
+  }
+
+  /**
+   * Record a dispensing inside a MongoDB transaction (see dispense()), without
+   * notifying anyone
+   * @param {Object} data - { items, notes, order }; order is the vendor order it was dispensed for
+   * @returns {Object} - { prescription, dispensing }
+   */
+  async recordDispensing(prescriptionId, pharmacy, { items, notes, order } = {}, session) {
+    const prescription = await Prescription.findOne({ _id: prescriptionId, 'sharedWith.pharmacy': pharmacy._id })
+      .session(session);
+    if (!prescription) {
+      throw requestError('Prescription not found', 404);
+    }
+    if (prescription.status === 'expired' || prescription.validUntil <= new Date()) {
+      throw requestError('Prescription has expired', 409);
+    }
+    if (prescription.status !== 'active') {
+      throw requestError(`Cannot dispense a ${prescription.status} prescription`, 409);
+    }
+    if (!this.verifySignature(prescription)) {
+      throw requestError('Prescription signature is not valid', 409);
+    }
+
+    if (prescription.isFillComplete()) {
+      if (prescription.refills.remaining < 1) {
+        throw requestError('No refills remaining', 409);
+      }
+      prescription.refills.remaining -= 1;
+      prescription.currentFill += 1;
+      prescription.items.forEach(item => { item.dispensedQuantity = 0; });
+    }
+
+    const requested = Array.isArray(items) && items.length > 0
+      ? items
+      : prescription.items.map(item => ({ itemId: item._id, quantity: item.quantity - item.dispensedQuantity }));
+
+    const dispensed = [];
+    for (const { itemId, quantity } of requested) {
+      const item = prescription.items.id(itemId);
+      if (!item) {
+        throw requestError(`Item ${itemId} is not on this prescription`, 400);
+      }
+
+      const outstanding = item.quantity - item.dispensedQuantity;
+      if (!Number.isInteger(quantity) || quantity < 0 || quantity > outstanding) {
+        throw requestError(`Quantity for ${item.medication} must be a whole number up to ${outstanding}`, 400);
+      }
+      if (quantity === 0) continue;
+
+      item.dispensedQuantity += quantity;
+      dispensed.push({ item: item._id, medication: item.medication, quantity });
+    }
+
+    if (dispensed.length === 0) {
+      throw requestError('Nothing to dispense', 400);
+    }
+
+    const completesFill = prescription.isFillComplete();
+    prescription.dispensings.push({
+      pharmacy: pharmacy._id,
+      order,
+      dispensedBy: pharmacy._id,
+      fill: prescription.currentFill,
+      items: dispensed,
+      completesFill,
+      notes,
+      dispensedAt: new Date()
+    });
+
+    if (completesFill && prescription.refills.remaining === 0) {
+      prescription.status = 'completed';
+    }
+
+    await prescription.save({ session });
+
+    return { prescription, dispensing: prescription.dispensings[prescription.dispensings.length - 1] };
+  }
+
+  /**
+   * Mark an active prescription expired once it is past its validity
+   */
+  async expireOverdue(prescriptionId) {
+    await Prescription.updateOne(
+      { _id: prescriptionId, status: 'active', validUntil: { $lte: new Date() } },
+      { $set: { status: 'expired' } }
+    );
+  }
+
+  /**
+   * Units of an item that can be dispensed next: what is left of the current
+   * fill, or a whole fill when the current one is complete and a refill remains
+   */
+  outstandingQuantity(prescription, item) {
+    if (prescription.isFillComplete()) {
+      return prescription.refills.remaining > 0 ? item.quantity : 0;
+    }
+
+    return item.quantity - item.dispensedQuantity;
+  }
+
+  /**
+   * Undo the dispensings recorded for a cancelled order. Their quantities go back
+   * to the fill they were taken from, unless a later fill has started since.
+   */
+  async revertDispensings(orderId, session) {
+    const dispensed = await Prescription.find({ 'dispensings.order': orderId }).session(session || null);
+
+    for (const prescription of dispensed) {
+      for (const dispensing of prescription.dispensings) {
+        if (!dispensing.order?.equals(orderId) || dispensing.revertedAt) continue;
+
+        if (dispensing.fill === prescription.currentFill) {
+          dispensing.items.forEach(({ item, quantity }) => {
+            const prescribed = prescription.items.id(item);
+            if (prescribed) prescribed.dispensedQuantity = Math.max(0, prescribed.dispensedQuantity - quantity);
+          });
+          if (prescription.status === 'completed') prescription.status = 'active';
+        }
+        dispensing.revertedAt = new Date();
+      }
+
+      await prescription.save({ session });
+    }
+  }
+
+  /**
+   * Cancel an active prescription so it can no longer be dispensed
+   * @returns {Object} - Updated prescription
+   */
+  async cancel(prescriptionId, provider, reason) {
+    const prescription = await Prescription.findOneAndUpdate(
+      { _id: prescriptionId, provider: provider._id, status: 'active' },
+      { status: 'cancelled', cancelledAt: new Date(), cancellationReason: reason },
+      { new: true }
+    );
+
+    if (!prescription) {
+      const existing = await Prescription.exists({ _id: prescriptionId, provider: provider._id });
+      throw existing
+        ? requestError('Only active prescriptions can be cancelled', 409)
+        : requestError('Prescription not found', 404);
+    }
+
+    await this.notifySafely(prescription.patient, {
+      type: NOTIFICATION_TYPES.MEDICAL_RECORD,
+      title: 'Prescription cancelled',
+      message: `Prescription ${prescription.prescriptionNumber} was cancelled by your provider${reason ? `: ${reason}` : '.'}`,
+      data: { prescriptionId: prescription._id }
+    });
+
+    return prescription;
+  }
+
+  async notifySafely(userId, notification) {
+    try {
+      await notifications.notify(userId, notification);
+    } catch (error) {
+      console.error('Prescription notification failed:', error.message);
+    }
+  }
+}
+
+module.exports = new PrescriptionService();
@@ -0,0 +1,220 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// RRULE weekday codes, indexed like Date#getUTCDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+// A series books (and reserves payment for) every occurrence up front
+const MAX_OCCURRENCES = 52;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const ruleError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Parses and expands the subset of iCalendar recurrence rules (RFC 5545 RRULE)
+ * used for appointment series: FREQ=DAILY|WEEKLY|MONTHLY with INTERVAL, COUNT
+ * or UNTIL, BYDAY (e.g. MO,TH or 2TU / -1FR for monthly) and BYMONTHDAY.
+ * Dates are calendar days at midnight UTC, like slot.service.
+ */
+class RecurrenceService {
+  get maxOccurrences() {
+    return MAX_OCCURRENCES;
+  }
+
+  /**
+   * Parse a rule such as "FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,TH;COUNT=12"
+   * @param {String} rule - RRULE, with or without the "RRULE:" prefix
+   * @returns {Object} - { frequency, interval, count, until, byDay: [{ weekday, ordinal }], byMonthDay }
+   * @throws {Error} - statusCode 400 when the rule is invalid or unsupported
+   */
+  parse(rule) {
+    if (typeof rule !== 'string' || !rule.trim()) {
+      throw ruleError('Recurrence rule is required');
+    }
+
+    const parts = {};
+    for (const part of rule.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+      const [key, value] = part.split('=');
+      if (!key || value === undefined) {
+        throw ruleError(`Invalid recurrence rule part "${part}"`);
+      }
+      parts[key.toUpperCase()] = value.toUpperCase();
+    }
+
+    const frequency = parts.FREQ;
+    if (!FREQUENCIES.includes(frequency)) {
+      throw ruleError(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+    }
+
+    const interval = parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1;
+    if (!(interval >= 1)) {
+      throw ruleError('INTERVAL must be a positive integer');
+    }
+
+    const count = parts.COUNT ? parseInt(parts.COUNT, 10) : null;
+    if (parts.COUNT && !(count >= 1)) {
+      throw ruleError('COUNT must be a positive integer');
+    }
+
+    const until = parts.UNTIL ? this.parseUntil(parts.UNTIL) : null;
+    if (parts.UNTIL && !until) {
+      throw ruleError('UNTIL must be a date (YYYYMMDD)');
+    }
+
+    if (!count && !until) {
+      throw ruleError('Recurrence rule needs COUNT or UNTIL');
+    }
+    if (count && until) {
+      throw ruleError('COUNT and UNTIL cannot be combined');
+    }
+
+    const byDay = parts.BYDAY ? parts.BYDAY.split(',').map(value => {
+      const match = value.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+      if (!match) {
+        throw ruleError(`Invalid BYDAY value "${value}"`);
+      }
+      const ordinal = match[1] ? parseInt(match[1], 10) : null;
+      if (ordinal !== null && (frequency !== 'MONTHLY' || ordinal === 0 || Math.abs(ordinal) > 5)) {
+        throw ruleError(`Invalid BYDAY value "${value}"`);
+      }
+      return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+    }) : [];
+
+    const byMonthDay = parts.BYMONTHDAY ? parts.BYMONTHDAY.split(',').map(value => {
+      const day = parseInt(value, 10);
+      if (frequency !== 'MONTHLY' || !(day >= 1 && day <= 31)) {
+        throw ruleError(`Invalid BYMONTHDAY value "${value}"`);
+      }
+      return day;
+    }) : [];
+
+    if (frequency === 'DAILY' && byDay.length > 0) {
+      throw ruleError('BYDAY is not supported with FREQ=DAILY');
+    }
+    if (byDay.length > 0 && byMonthDay.length > 0) {
+      throw ruleError('BYDAY and BYMONTHDAY cannot be combined');
+    }
+
+    return { frequency, interval, count, until, byDay, byMonthDay };
+  }
+
+  /**
+   * Write a parsed rule back out in a canonical form
+   */
+  format({ frequency, interval, count, until, byDay, byMonthDay }) {
+    const parts = [`FREQ=${frequency}`];
+    if (interval > 1) parts.push(`INTERVAL=${interval}`);
+    if (byDay?.length) {
+      parts.push(`BYDAY=${byDay.map(day => `${day.ordinal ?? ''}${WEEKDAYS[day.weekday]}`).join(',')}`);
+    }
+    if (byMonthDay?.length) parts.push(`BYMONTHDAY=${byMonthDay.join(',')}`);
+    if (count) parts.push(`COUNT=${count}`);
+    if (until) parts.push(`UNTIL=${until.toISOString().slice(0, 10).replace(/-/g, '')}`);
+    return parts.join(';');
+  }
+
+  /**
+   * The occurrence days of a rule starting on a day. The start day counts as the
+   * first occurrence only if it matches the rule (as with iCalendar DTSTART).
+   * @param {String|Object} rule - RRULE or result of parse()
+   * @param {Date} startDate - First day (midnight UTC)
+   * @returns {Array} - Occurrence days (midnight UTC)
+   * @throws {Error} - statusCode 400 when the rule yields no or too many occurrences
+   */
+  expand(rule, startDate) {
+    const parsed = typeof rule === 'string' ? this.parse(rule) : rule;
+    const { frequency, interval, count, until } = parsed;
+    const limit = count || MAX_OCCURRENCES + 1;
+    const occurrences = [];
+
+    // Each period (day, week or month) yields its candidate days in order
+    for (let period = 0; occurrences.length < limit; period += interval) {
+      const candidates = this.periodDays(parsed, startDate, period);
+      if (candidates === null) break;
+
+      for (const day of candidates) {
+        if (day < startDate) continue;
+        if (until && day > until) break;
+        occurrences.push(day);
+        if (occurrences.length >= limit) break;
+      }
+
+      if (until && candidates.length > 0 && candidates[candidates.length - 1] > until) break;
+      if (period > MAX_OCCURRENCES * 31) break;
+    }
+
+    if (occurrences.length === 0) {
+      throw ruleError('Recurrence rule has no occurrences');
+    }
+    if (occurrences.length > MAX_OCCURRENCES) {
+      throw ruleError(`A series can have at most ${MAX_OCCURRENCES} occurrences`);
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * Candidate days in the period that is `offset` days, weeks or months after the start
+   */
+  periodDays({ frequency, until, byDay, byMonthDay }, startDate, offset) {
+    if (frequency === 'DAILY') {
+      const day = addDays(startDate, offset);
+      return until && day > until ? null : [day];
+    }
+
+    if (frequency === 'WEEKLY') {
+      // Weeks start on Monday (iCalendar's default WKST)
+      const weekStart = addDays(startDate, -((startDate.getUTCDay() + 6) % 7) + offset * 7);
+      if (until && weekStart > until) return null;
+
+      const weekdays = byDay.length > 0 ? byDay.map(day => day.weekday) : [startDate.getUTCDay()];
+      return [...new Set(weekdays)]
+        .map(weekday => addDays(weekStart, (weekday + 6) % 7))
+        .sort((a, b) => a - b);
+    }
+
+    const year = startDate.getUTCFullYear();
+    const month = startDate.getUTCMonth() + offset;
+    const monthStart = new Date(Date.UTC(year, month, 1));
+    if (until && monthStart > until) return null;
+
+    const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    let days;
+
+    if (byDay.length > 0) {
+      days = byDay.flatMap(({ weekday, ordinal }) => {
+        const first = 1 + (weekday - monthStart.getUTCDay() + 7) % 7;
+        const matches = [];
+        for (let day = first; day <= daysInMonth; day += 7) matches.push(day);
+        if (ordinal === null) return matches;
+        const match = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+        return match ? [match] : [];
+      });
+    } else {
+      // Months without the day (e.g. the 31st) are skipped, as in iCalendar
+      days = (byMonthDay.length > 0 ? byMonthDay : [startDate.getUTCDate()])
+        .filter(day => day <= daysInMonth);
+    }
+
+    return [...new Set(days)]
+      .sort((a, b) => a - b)
+      .map(day => new Date(Date.UTC(year, month, day)));
+  }
+
+  /**
+   * Parse an UNTIL value (YYYYMMDD or YYYYMMDDTHHMMSSZ) to its calendar day
+   */
+  parseUntil(value) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/);
+    if (!match) return null;
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return isNaN(date.getTime()) ? null : date;
+  }
+}
+
+module.exports = new RecurrenceService();
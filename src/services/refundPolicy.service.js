@@ -0,0 +1,239 @@
+const Transaction = require('../models/transaction.model');
+const Wallet = require('../models/wallet.model');
+const ledger = require('./ledger.service');
+const appointmentPayment = require('./appointmentPayment.service');
+const settlement = require('./settlement.service');
+const slots = require('./slot.service');
+const { USER_TYPES } = require('../utils/constants');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Used when a provider has not configured a cancellation policy
+const DEFAULT_POLICY = {
+  freeCancellationHours: 24,
+  feePercentage: 0
+};
+
+/**
+ * Decides how much of an appointment payment is refunded on cancellation and
+ * returns it to the wallets that paid: reservations still held are released,
+ * captured payments are refunded
+ */
+class RefundPolicyService {
+  /**
+   * A provider's cancellation policy with defaults filled in
+   * @param {Object} provider - Provider user document
+   */
+  policyFor(provider) {
+    const policy = provider?.cancellationPolicy || {};
+
+    return {
+      freeCancellationHours: policy.freeCancellationHours ?? DEFAULT_POLICY.freeCancellationHours,
+      feePercentage: policy.feePercentage ?? DEFAULT_POLICY.feePercentage
+    };
+  }
+
+  /**
+   * Work out the cancellation fee for an appointment.
+   * Cancellations by the provider or an admin, cancellations made before the
+   * free-cancellation window and cancellations of appointments the provider has
+   * since closed the time of, are refunded in full.
+   * @param {Object} appointment - Appointment document
+   * @param {Object} provider - Provider user document
+   * @param {Object} cancelledBy - User cancelling
+   * @param {Number} paidAmount - Amount paid for the appointment
+   * @returns {Object} - { policy, hoursBeforeStart, feePercentage, fee, refundAmount }
+   */
+  quote(appointment, provider, cancelledBy, paidAmount) {
+    const policy = this.policyFor(provider);
+    const startsAt = slots.startInstant(appointment, provider?.preferences?.timezone);
+    const hoursBeforeStart = startsAt ? (startsAt - Date.now()) / (60 * 60 * 1000) : Infinity;
+
+    const waived = cancelledBy.userType !== USER_TYPES.PATIENT ||
+      hoursBeforeStart >= policy.freeCancellationHours ||
+      Boolean(appointment.scheduleConflict?.flaggedAt);
+
+    const feePercentage = waived ? 0 : policy.feePercentage;
+    const fee = round(paidAmount * feePercentage / 100);
+
+    return {
+      policy,
+      hoursBeforeStart: Number.isFinite(hoursBeforeStart) ? round(hoursBeforeStart) : null,
+      feePercentage,
+      fee,
+      refundAmount: round(paidAmount - fee)
+    };
+  }
+
+  /**
+   * Reserved (pending) and captured (completed) payments made for an appointment
+   */
+  async findPayments(appointment, session) {
+    return Transaction.find({
+      type: 'payment',
+      status: { $in: ['pending', 'completed'] },
+      'reference.type': 'appointment',
+      'reference.id': appointment._id
+    }).session(session || null);
+  }
+
+  /**
+   * Amount still refundable across payments, in the appointment's currency
+   * (payments converted into a wallet's currency carry the original amount)
+   */
+  paidAmount(payments) {
+    return round(payments.reduce((sum, payment) => {
+      const { value, originalAmount } = payment.amount;
+      const rate = originalAmount ? originalAmount / value : 1;
+      return sum + payment.reversibleAmount() * rate;
+    }, 0));
+  }
+
+  /**
+   * Settle an appointment's payments on cancellation. Reservations are released
+   * (less the fee, charged to the provider) and captured payments are refunded.
+   * @param {Object} appointment - Appointment document
+   * @param {Array} payments - Result of findPayments()
+   * @param {Object} quote - Result of quote()
+   * @param {Object} [options] - { reason, session }
+   * @returns {Object} - { released, fees, refunds }
+   */
+  async settleCancellation(appointment, payments, quote, options = {}) {
+    const { session, reason } = options;
+    const released = [];
+    const fees = [];
+
+    for (const payment of payments.filter(item => item.status === 'pending')) {
+      const fee = await appointmentPayment.release(payment, quote.feePercentage, reason, session);
+      released.push(payment);
+      if (fee) fees.push(fee);
+    }
+
+    const captured = payments.filter(item => item.status === 'completed');
+    const refunds = await this.refundPayments(appointment, captured, quote, options);
+
+    return { released, fees, refunds };
+  }
+
+  /**
+   * Cancel an appointment and settle its payments under the provider's policy
+   * @param {Object} appointment - Appointment document
+   * @param {Object} provider - Provider user document
+   * @param {Object} cancelledBy - User cancelling
+   * @param {Object} [options] - { reason, session }
+   * @returns {Object} - { quote, released, fees, refunds }
+   */
+  async cancelAppointment(appointment, provider, cancelledBy, options = {}) {
+    const { session, reason } = options;
+
+    const payments = await this.findPayments(appointment, session);
+    const paidAmount = this.paidAmount(payments);
+    const quote = this.quote(appointment, provider, cancelledBy, paidAmount);
+
+    const settled = await this.settleCancellation(appointment, payments, quote, { session, reason });
+
+    if (settled.refunds.length > 0 || settled.released.length > 0) {
+      appointment.payment.status = 'refunded';
+      appointment.payment.refundedAmount = quote.refundAmount;
+      appointment.payment.refundedAt = new Date();
+    }
+
+    await appointment.cancel(cancelledBy._id, reason || 'Cancelled by user', quote.fee, { session });
+
+    return { quote, ...settled };
+  }
+
+  /**
+   * Refund captured appointment payments minus the cancellation fee. Each payment
+   * is refunded to the wallet it came from (personal or sponsored) less the same
+   * fee percentage, and the wallet that received it gives that share back.
+   * @param {Object} appointment - Appointment document
+   * @param {Array} payments - Completed payments from findPayments()
+   * @param {Object} quote - Result of quote()
+   * @param {Object} [options] - { reason, session }
+   * @returns {Array} - Refund transactions
+   */
+  async refundPayments(appointment, payments, quote, options = {}) {
+    const { session, reason } = options;
+    const refunds = [];
+
+    if (quote.refundAmount <= 0) {
+      return refunds;
+    }
+
+    for (const payment of payments) {
+      const value = round(payment.reversibleAmount() * (100 - quote.feePercentage) / 100);
+      if (value <= 0) continue;
+
+      // Claim the refunded amount on the payment so it cannot be refunded or reversed twice
+      const claimed = await Transaction.findOneAndUpdate(
+        {
+          _id: payment._id,
+          status: 'completed',
+          $expr: { $lte: [{ $add: ['$reversedAmount', value] }, { $add: ['$amount.value', 0.001] }] }
+        },
+        { $inc: { reversedAmount: value } },
+        { new: true, session }
+      );
+
+      if (!claimed) {
+        throw new Error(`Payment ${payment.transactionId} was already refunded`);
+      }
+
+      const original = claimed.toObject();
+      const [refund] = await Transaction.create([{
+        type: 'refund',
+        category: original.category,
+        from: original.to,
+        to: original.from,
+        linkedTransaction: claimed._id,
+        amount: {
+          value,
+          currency: original.amount.currency
+        },
+        paymentMethod: original.paymentMethod,
+        reference: original.reference,
+        status: 'completed',
+        completedAt: new Date(),
+        description: `Refund for cancelled appointment ${appointment.appointmentId}`,
+        internalNotes: quote.fee > 0
+          ? `Cancellation fee ${quote.feePercentage}% retained${reason ? ` - ${reason}` : ''}`
+          : reason
+      }], { session });
+
+      // Undo this share of each wallet movement the payment made
+      const movements = await ledger.transactionMovements(claimed._id, session);
+      const refundShare = value / claimed.amount.value;
+
+      for (const [walletId, net] of movements) {
+        const amount = round(Math.abs(net) * refundShare);
+        if (amount === 0) continue;
+
+        const wallet = await Wallet.findById(walletId).session(session);
+
+        if (net < 0) {
+          await wallet.credit(amount, refund._id, { session });
+        } else {
+          await wallet.debit(amount, refund._id, { session, skipLimits: true });
+        }
+      }
+
+      // Once settled, the provider's payout and the platform fee are returned too
+      await settlement.recover(claimed, value, refund, session);
+
+      claimed.reversals.push(refund._id);
+      claimed.statusHistory.push({
+        status: claimed.status,
+        timestamp: new Date(),
+        reason: `Refunded ${value} ${claimed.amount.currency} by ${refund.transactionId}`
+      });
+      await claimed.save({ session });
+
+      refunds.push(refund);
+    }
+
+    return refunds;
+  }
+}
+
+module.exports = new RefundPolicyService();
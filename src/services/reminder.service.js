@@ -0,0 +1,219 @@
+const Appointment = require('../models/appointment.model');
+const User = require('../models/user.model');
+const config = require('../config/config');
+const messaging = require('./messaging.service');
+const notifications = require('./notification.service');
+const slots = require('./slot.service');
+const { NOTIFICATION_TYPES } = require('../utils/constants');
+
+// Reminders are only sent for appointments still going ahead
+const ACTIVE_STATUSES = ['scheduled', 'confirmed', 'rescheduled'];
+
+// Failed deliveries are retried on later runs up to this many attempts
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Schedules appointment reminders at the configured offsets on the channels the
+ * patient has enabled, and delivers due reminders: SMS and email through
+ * messaging.service adapters, push as an in-app notification.
+ */
+class ReminderService {
+  /**
+   * Channels to remind a patient on, from their notification preferences
+   */
+  channelsFor(patient) {
+    const preferences = patient.preferences?.notifications || {};
+    if (preferences.appointments === false) return [];
+
+    const channels = [];
+    if (preferences.email !== false && patient.email) channels.push('email');
+    if (preferences.sms !== false && patient.phone) channels.push('sms');
+    if (preferences.push !== false) channels.push('push');
+
+    return channels;
+  }
+
+  /**
+   * (Re)schedule an appointment's reminders. Reminders not yet sent are replaced,
+   * so this is also called when an appointment moves. Offsets already past are skipped.
+   * @param {Object} appointment - Appointment document
+   * @returns {Array} - Reminders scheduled
+   */
+  async schedule(appointment) {
+    const [patient, provider] = await Promise.all([
+      User.findById(appointment.patient).select('email phone preferences'),
+      User.findById(appointment.provider).select('preferences.timezone')
+    ]);
+
+    const startsAt = slots.startInstant(appointment, provider?.preferences?.timezone);
+    const channels = patient && ACTIVE_STATUSES.includes(appointment.status) ? this.channelsFor(patient) : [];
+    const now = Date.now();
+
+    const scheduled = [];
+    if (startsAt) {
+      for (const offsetHours of config.reminderOffsetsHours) {
+        const scheduledFor = new Date(startsAt.getTime() - offsetHours * 60 * 60 * 1000);
+        if (scheduledFor.getTime() <= now) continue;
+
+        channels.forEach(type => scheduled.push({ type, offsetHours, scheduledFor, status: 'pending' }));
+      }
+    }
+
+    const kept = (appointment.reminders || [])
+      .filter(reminder => !['pending', 'sending'].includes(reminder.status || 'pending') || reminder.sent)
+      .map(reminder => reminder.toObject ? reminder.toObject() : reminder);
+
+    await Appointment.updateOne({ _id: appointment._id }, { $set: { reminders: [...kept, ...scheduled] } });
+    appointment.reminders = [...kept, ...scheduled];
+
+    return scheduled;
+  }
+
+  /**
+   * Schedule reminders without failing the change that triggered them
+   * @param {Array} appointments - Appointment documents
+   */
+  async scheduleAll(appointments) {
+    for (const appointment of appointments) {
+      try {
+        await this.schedule(appointment);
+      } catch (error) {
+        console.error(`Scheduling reminders for ${appointment.appointmentId} failed:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Send reminders that are due
+   * @param {Object} [options] - { limit, now }
+   * @returns {Object} - { sent, failed, skipped } reminder counts
+   */
+  async runDue({ limit = 100, now = new Date() } = {}) {
+    const appointments = await Appointment.find({
+      reminders: { $elemMatch: { status: 'pending', scheduledFor: { $lte: now } } }
+    })
+      .populate('patient', 'profile.firstName email phone preferences')
+      .populate('provider', 'profile.firstName profile.lastName preferences.timezone')
+      .limit(limit);
+
+    const result = { sent: 0, failed: 0, skipped: 0 };
+
+    for (const appointment of appointments) {
+      const due = appointment.reminders.filter(reminder =>
+        reminder.status === 'pending' && reminder.scheduledFor <= now
+      );
+
+      for (const reminder of due) {
+        const outcome = await this.deliver(appointment, reminder);
+        result[outcome] += 1;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Claim and send one reminder. The claim is atomic so concurrent workers send
+   * each reminder once; a reminder is skipped if the appointment is no longer
+   * going ahead or the patient has since turned the channel off.
+   * @returns {String} - sent, failed or skipped
+   */
+  async deliver(appointment, reminder) {
+    const claimed = await Appointment.updateOne(
+      { _id: appointment._id, reminders: { $elemMatch: { _id: reminder._id, status: 'pending' } } },
+      { $set: { 'reminders.$.status': 'sending' }, $inc: { 'reminders.$.attempts': 1 } }
+    );
+    if (claimed.modifiedCount === 0) return 'skipped';
+
+    const patient = appointment.patient;
+    let result;
+
+    if (!ACTIVE_STATUSES.includes(appointment.status)) {
+      result = { skipped: true, message: `Appointment ${appointment.status}` };
+    } else if (!patient || !this.channelsFor(patient).includes(reminder.type)) {
+      result = { skipped: true, message: 'Channel turned off by patient' };
+    } else {
+      result = await this.send(reminder.type, appointment, patient);
+    }
+
+    let status;
+    if (result.skipped) {
+      status = 'skipped';
+    } else if (result.success) {
+      status = 'sent';
+    } else {
+      status = reminder.attempts + 1 >= MAX_ATTEMPTS ? 'failed' : 'pending';
+    }
+
+    const update = {
+      'reminders.$.status': status,
+      'reminders.$.response': result.success ? result.reference : result.message
+    };
+    if (status === 'sent') {
+      update['reminders.$.sent'] = true;
+      update['reminders.$.sentAt'] = new Date();
+    }
+
+    await Appointment.updateOne(
+      { _id: appointment._id, 'reminders._id': reminder._id },
+      { $set: update }
+    );
+
+    return status === 'sent' ? 'sent' : status === 'skipped' ? 'skipped' : 'failed';
+  }
+
+  /**
+   * Send a reminder on one channel
+   * @returns {Object} - { success, reference, message }
+   */
+  async send(channel, appointment, patient) {
+    const { subject, text } = this.compose(appointment, patient);
+
+    if (channel === 'email') {
+      return messaging.sendEmail(patient.email, subject, text);
+    }
+    if (channel === 'sms') {
+      return messaging.sendSms(patient.phone, text);
+    }
+    if (channel === 'push') {
+      const notification = await notifications.notify(patient._id, {
+        type: NOTIFICATION_TYPES.APPOINTMENT,
+        title: subject,
+        message: text,
+        data: { appointmentId: appointment._id }
+      });
+      return { success: true, reference: notification._id.toString() };
+    }
+
+    return { skipped: true, message: `Unsupported reminder channel: ${channel}` };
+  }
+
+  /**
+   * Reminder text, with the time shown in the patient's time zone
+   */
+  compose(appointment, patient) {
+    const provider = appointment.provider;
+    const timeZone = slots.validZone(patient.preferences?.timezone);
+    const startsAt = slots.startInstant(appointment, provider?.preferences?.timezone);
+
+    const when = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      timeZoneName: 'short'
+    }).format(startsAt);
+
+    const providerName = [provider?.profile?.firstName, provider?.profile?.lastName].filter(Boolean).join(' ') || 'your provider';
+    const greeting = patient.profile?.firstName ? `Hi ${patient.profile.firstName}, ` : '';
+
+    return {
+      subject: 'Appointment reminder',
+      text: `${greeting}this is a reminder of your appointment ${appointment.appointmentId} with ${providerName} on ${when}.`
+    };
+  }
+}
+
+module.exports = new ReminderService();
@@ -0,0 +1,186 @@
+const Transaction = require('../models/transaction.model');
+const Wallet = require('../models/wallet.model');
+const User = require('../models/user.model');
+const ledger = require('./ledger.service');
+const settlement = require('./settlement.service');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// A compensating leg flows the opposite way to the leg it reverses
+const OPPOSITE_DIRECTION = {
+  outgoing: 'incoming',
+  incoming: 'outgoing'
+};
+
+/**
+ * Reverses completed transactions by posting compensating transactions.
+ * The original is never edited beyond its reversal bookkeeping, so the journal
+ * keeps both the movement and its correction.
+ */
+class ReversalService {
+  /**
+   * Reverse all or part of a transaction. Transfers are reversed on both legs.
+   * @param {Object} transaction - Transaction document (either leg of a transfer)
+   * @param {Object} [options] - { amount, reason, reversedBy }
+   *   amount is in the transaction's currency and defaults to everything not yet reversed
+   * @returns {Object} - { original, compensations }
+   */
+  async reverse(transaction, { amount, reason, reversedBy } = {}) {
+    if (transaction.type === 'reversal') {
+      throw new Error('Reversal transactions cannot themselves be reversed');
+    }
+
+    if (transaction.status !== 'completed') {
+      throw new Error(transaction.status === 'reversed'
+        ? 'Transaction has already been reversed'
+        : 'Can only reverse completed transactions');
+    }
+
+    const remaining = transaction.reversibleAmount();
+    const value = amount === undefined ? remaining : round(amount);
+
+    if (!(value > 0)) {
+      throw new Error('Reversal amount must be positive');
+    }
+
+    if (value > remaining) {
+      throw new Error(`Reversal amount exceeds the ${remaining} ${transaction.amount.currency} still reversible`);
+    }
+
+    // Share of the original being reversed, applied to each leg and wallet movement
+    const share = value / transaction.amount.value;
+
+    return ledger.runInSession(null, async (session) => {
+      const legs = [transaction._id];
+      if (transaction.linkedTransaction) {
+        legs.push(transaction.linkedTransaction);
+      }
+
+      const compensations = [];
+
+      for (const legId of legs) {
+        const legValue = await this.legAmount(legId, transaction, share, session);
+
+        // Claim the reversal so a concurrent or repeated request cannot exceed the original
+        const leg = await Transaction.findOneAndUpdate(
+          {
+            _id: legId,
+            status: 'completed',
+            $expr: { $lte: [{ $add: ['$reversedAmount', legValue] }, { $add: ['$amount.value', 0.001] }] }
+          },
+          { $inc: { reversedAmount: legValue } },
+          { new: true, session }
+        );
+
+        if (!leg) {
+          throw new Error('Transaction was already reversed or changed concurrently');
+        }
+
+        const compensation = await this.compensateLeg(leg, legValue, reason, reversedBy, session);
+        compensations.push(compensation);
+
+        leg.reversals.push(compensation._id);
+
+        const fullyReversed = leg.reversibleAmount() <= 0;
+        const note = `${fullyReversed ? 'Reversed' : 'Partially reversed'} ${legValue} ${leg.amount.currency}` +
+          ` by ${compensation.transactionId}${reason ? `: ${reason}` : ''}`;
+
+        if (fullyReversed) {
+          await leg.updateStatus('reversed', note, { session });
+        } else {
+          leg.statusHistory.push({ status: leg.status, timestamp: new Date(), reason: note });
+          await leg.save({ session });
+        }
+      }
+
+      // Keep the compensating legs of a transfer paired like the originals
+      if (compensations.length === 2) {
+        compensations[0].linkedTransaction = compensations[1]._id;
+        compensations[1].linkedTransaction = compensations[0]._id;
+        await compensations[0].save({ session });
+        await compensations[1].save({ session });
+      }
+
+      const original = await Transaction.findById(transaction._id).session(session);
+
+      return { original, compensations };
+    });
+  }
+
+  /**
+   * Amount to reverse on a leg, in that leg's currency
+   */
+  async legAmount(legId, transaction, share, session) {
+    if (legId.equals(transaction._id)) {
+      return round(transaction.amount.value * share);
+    }
+
+    const leg = await Transaction.findById(legId).session(session);
+    return round(leg.amount.value * share);
+  }
+
+  /**
+   * Create the compensating transaction for one leg and undo that leg's share
+   * of each wallet movement recorded in the journal
+   */
+  async compensateLeg(leg, value, reason, reversedBy, session) {
+    const share = value / leg.amount.value;
+    const original = leg.toObject();
+
+    const [compensation] = await Transaction.create([{
+      type: 'reversal',
+      category: original.category,
+      from: original.to,
+      to: original.from,
+      direction: OPPOSITE_DIRECTION[original.direction],
+      reversalOf: leg._id,
+      amount: {
+        value,
+        currency: original.amount.currency,
+        exchangeRate: original.amount.exchangeRate
+      },
+      paymentMethod: original.paymentMethod,
+      reference: original.reference,
+      status: 'completed',
+      completedAt: new Date(),
+      description: `Reversal of ${leg.transactionId}`,
+      internalNotes: [reason, reversedBy ? `Reversed by ${reversedBy}` : null].filter(Boolean).join(' - ')
+    }], { session });
+
+    const movements = await ledger.transactionMovements(leg._id, session);
+
+    for (const [walletId, net] of movements) {
+      const amount = round(Math.abs(net) * share);
+      if (amount === 0) continue;
+
+      const wallet = await Wallet.findById(walletId).session(session);
+
+      if (net < 0) {
+        await wallet.credit(amount, compensation._id, { session });
+      } else {
+        if (wallet.balance.available < amount) {
+          throw new Error(`Wallet ${wallet.walletId} has insufficient balance to reverse ${amount} ${wallet.balance.currency}`);
+        }
+        await wallet.debit(amount, compensation._id, { session, skipLimits: true });
+      }
+    }
+
+    // A settled payment was also paid out to its payee and the platform
+    if (leg.type === 'payment') {
+      await settlement.recover(leg, value, compensation, session);
+    }
+
+    // Reversing a settlement takes back earnings the payee was credited with
+    if (leg.type === 'settlement' && leg.to?.user) {
+      await User.updateOne(
+        { _id: leg.to.user },
+        { $inc: { 'earnings.totalEarnings': -value } },
+        { session }
+      );
+    }
+
+    return compensation;
+  }
+}
+
+module.exports = new ReversalService();
@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+const Review = require('../models/review.model');
+const Appointment = require('../models/appointment.model');
+const User = require('../models/user.model');
+const ledger = require('./ledger.service');
+const notifications = require('./notification.service');
+const { APPOINTMENT_STATUS, NOTIFICATION_TYPES } = require('../utils/constants');
+
+const requestError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * Patient reviews of completed appointments. The provider's rating and review
+ * count (user.statistics) are kept up to date incrementally as reviews are
+ * published, changed or hidden, in the same transaction as the review.
+ */
+class ReviewService {
+  /**
+   * Review a completed appointment. An appointment can be reviewed once, by its patient.
+   * @param {ObjectId} appointmentId
+   * @param {Object} patient - Reviewing user
+   * @param {Object} data - { rating, comment }
+   * @returns {Object} - Saved review
+   */
+  async create(appointmentId, patient, { rating, comment }) {
+    const appointment = await Appointment.findOne({ _id: appointmentId, patient: patient._id });
+    if (!appointment) {
+      throw requestError('Appointment not found', 404);
+    }
+    if (appointment.status !== APPOINTMENT_STATUS.COMPLETED) {
+      throw requestError('Only completed appointments can be reviewed', 409);
+    }
+
+    let review;
+    try {
+      review = await ledger.runInSession(null, async (session) => {
+        const [created] = await Review.create([{
+          appointment: appointment._id,
+          patient: patient._id,
+          provider: appointment.provider,
+          rating,
+          comment
+        }], { session });
+
+        await Appointment.updateOne(
+          { _id: appointment._id },
+          { $set: { 'feedback.patient': { rating, comment, submittedAt: new Date() } } },
+          { session }
+        );
+        await this.adjustRating(appointment.provider, rating, 1, session);
+
+        return created;
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw requestError('This appointment has already been reviewed', 409);
+      }
+      throw error;
+    }
+
+    await this.notifySafely(appointment.provider, {
+      type: NOTIFICATION_TYPES.APPOINTMENT,
+      title: 'New review',
+      message: `A patient rated appointment ${appointment.appointmentId} ${rating} out of 5.`,
+      data: { reviewId: review._id, appointmentId: appointment._id }
+    });
+
+    return review;
+  }
+
+  /**
+   * Add or change the provider's public reply
+   * @returns {Object} - Updated review
+   */
+  async reply(reviewId, provider, text) {
+    const now = new Date();
+    const review = await Review.findOne({ _id: reviewId, provider: provider._id });
+    if (!review) {
+      throw requestError('Review not found', 404);
+    }
+
+    const firstReply = !review.reply?.text;
+    review.reply = {
+      text,
+      repliedAt: review.reply?.repliedAt || now,
+      updatedAt: now
+    };
+    await review.save();
+
+    if (firstReply) {
+      await this.notifySafely(review.patient, {
+        type: NOTIFICATION_TYPES.APPOINTMENT,
+        title: 'Your provider replied to your review',
+        message: text.length > 140 ? `${text.slice(0, 137)}...` : text,
+        data: { reviewId: review._id, appointmentId: review.appointment }
+      });
+    }
+
+    return review;
+  }
+
+  /**
+   * Report a review for moderation. Each user can report a review once.
+   * @returns {Object|null} - Updated review, or null if the user already reported it
+   */
+  async flag(reviewId, user, reason) {
+    const review = await Review.findOne({ _id: reviewId, status: 'published' });
+    if (!review) {
+      throw requestError('Review not found', 404);
+    }
+
+    return Review.findOneAndUpdate(
+      { _id: review._id, 'flags.user': { $ne: user._id } },
+      {
+        $set: { flagged: true },
+        $push: { flags: { user: user._id, reason, flaggedAt: new Date() } }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Apply a moderation decision:
+   * hide - remove the review from the provider's profile and rating
+   * restore - publish a hidden review again
+   * dismiss - clear reports on a review that is fine as it is
+   * @param {ObjectId} reviewId
+   * @param {String} action - hide | restore | dismiss
+   * @param {Object} moderator - Super admin user
+   * @param {String} [note]
+   * @returns {Object} - Updated review
+   */
+  async moderate(reviewId, action, moderator, note) {
+    const from = { hide: 'published', restore: 'hidden', dismiss: 'published' }[action];
+    if (!from) {
+      throw requestError(`Unknown moderation action: ${action}`, 400);
+    }
+
+    return ledger.runInSession(null, async (session) => {
+      const update = {
+        $set: { flagged: false },
+        $push: { moderation: { action, by: moderator._id, note, at: new Date() } }
+      };
+      if (action === 'hide') update.$set.status = 'hidden';
+      if (action === 'restore') update.$set.status = 'published';
+
+      // Claim on the current status so concurrent decisions adjust the rating once
+      const review = await Review.findOneAndUpdate(
+        { _id: reviewId, status: from },
+        update,
+        { new: true, session }
+      );
+      if (!review) {
+        throw requestError(`No ${from} review to ${action}`, 409);
+      }
+
+      if (action === 'hide') {
+        await this.adjustRating(review.provider, -review.rating, -1, session);
+      } else if (action === 'restore') {
+        await this.adjustRating(review.provider, review.rating, 1, session);
+      }
+
+      return review;
+    });
+  }
+
+  /**
+   * Apply a change to a provider's rating total and review count, recomputing
+   * the average from them in the same atomic update
+   * @param {ObjectId} providerId
+   * @param {Number} ratingDelta - Change to the sum of ratings
+   * @param {Number} countDelta - Change to the number of reviews
+   * @param {ClientSession} [session]
+   */
+  async adjustRating(providerId, ratingDelta, countDelta, session) {
+    const sum = { $add: [{ $ifNull: ['$statistics.ratingSum', 0] }, ratingDelta] };
+    const count = { $add: [{ $ifNull: ['$statistics.totalReviews', 0] }, countDelta] };
+
+    await User.updateOne({ _id: providerId }, [
+      { $set: { 'statistics.ratingSum': sum, 'statistics.totalReviews': count } },
+      {
+        $set: {
+          'statistics.rating': {
+            $cond: [
+              { $gt: ['$statistics.totalReviews', 0] },
+              { $round: [{ $divide: ['$statistics.ratingSum', '$statistics.totalReviews'] }, 2] },
+              0
+            ]
+          }
+        }
+      }
+    ], { session });
+  }
+
+  /**
+   * Rebuild a provider's rating from their published reviews, for repairs
+   * @returns {Object} - { rating, totalReviews }
+   */
+  async recompute(providerId) {
+    const [totals] = await Review.aggregate([
+      { $match: { provider: new mongoose.Types.ObjectId(String(providerId)), status: 'published' } },
+      { $group: { _id: null, sum: { $sum: '$rating' }, count: { $sum: 1 } } }
+    ]);
+
+    const sum = totals?.sum || 0;
+    const count = totals?.count || 0;
+    const rating = count > 0 ? Math.round((sum / count) * 100) / 100 : 0;
+
+    await User.updateOne({ _id: providerId }, {
+      $set: {
+        'statistics.ratingSum': sum,
+        'statistics.totalReviews': count,
+        'statistics.rating': rating
+      }
+    });
+
+    return { rating, totalReviews: count };
+  }
+
+  /**
+   * Published reviews for a provider with the count of each star rating
+   * @returns {Object} - { reviews, total, distribution }
+   */
+  async forProvider(providerId, { page = 1, limit = 20 } = {}) {
+    const query = { provider: providerId, status: 'published' };
+
+    const [reviews, total, breakdown] = await Promise.all([
+      Review.find(query)
+        .select('-flags -moderation -flagged')
+        .populate('patient', 'profile.firstName')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Review.countDocuments(query),
+      Review.aggregate([
+        { $match: { provider: new mongoose.Types.ObjectId(String(providerId)), status: 'published' } },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    breakdown.forEach(({ _id, count }) => { distribution[_id] = count; });
+
+    return { reviews, total, distribution };
+  }
+
+  async notifySafely(userId, notification) {
+    try {
+      await notifications.notify(userId, notification);
+    } catch (error) {
+      console.error('Review notification failed:', error.message);
+    }
+  }
+}
+
+module.exports = new ReviewService();
@@ -0,0 +1,361 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/transaction.model');
+const Wallet = require('../models/wallet.model');
+const User = require('../models/user.model');
+const Withdrawal = require('../models/withdrawal.model');
+const ledger = require('./ledger.service');
+const exchangeRates = require('./exchangeRate.service');
+const config = require('../config/config');
+const { WALLET_TYPES } = require('../utils/constants');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Used when a provider has no platform fee configured
+const DEFAULT_PLATFORM_FEE_PERCENTAGE = 10;
+
+// Periods the payout history can be grouped by
+const HISTORY_PERIODS = ['day', 'week', 'month', 'year'];
+
+/**
+ * Pays providers for completed appointments and vendors for delivered orders.
+ * Captured payments accrue to the payee's pending earnings; once the hold
+ * period has passed the settlement job credits the payee's wallet net of the
+ * platform fee and books the fee to the platform revenue wallet.
+ */
+class SettlementService {
+  get periods() {
+    return HISTORY_PERIODS;
+  }
+
+  /**
+   * Record a captured payment as owed to the provider, fixing the amounts in
+   * the provider wallet's currency at capture time
+   * @param {Object} payment - Completed payment transaction paying a provider wallet
+   * @param {ClientSession} session
+   */
+  async accrue(payment, session) {
+    const providerWallet = await Wallet.findById(payment.to.wallet).session(session);
+    const provider = await User.findById(payment.to.user).select('earnings').session(session);
+
+    const { amount: grossAmount } = await exchangeRates.convert(
+      payment.amount.value,
+      payment.amount.currency,
+      providerWallet.balance.currency,
+      { session }
+    );
+    const platformFeePercentage = provider?.earnings?.platformFeePercentage ?? DEFAULT_PLATFORM_FEE_PERCENTAGE;
+    const platformFee = round(grossAmount * platformFeePercentage / 100);
+    const netAmount = round(grossAmount - platformFee);
+
+    payment.settlement = {
+      status: 'pending',
+      dueAt: new Date(Date.now() + config.settlementHoldHours * 60 * 60 * 1000),
+      currency: providerWallet.balance.currency,
+      grossAmount,
+      platformFeePercentage,
+      platformFee,
+      netAmount
+    };
+    await payment.save({ session });
+
+    await User.updateOne(
+      { _id: payment.to.user },
+      { $inc: { 'earnings.pendingPayments': netAmount } },
+      { session }
+    );
+
+    return payment.settlement;
+  }
+
+  /**
+   * Settle every payment whose hold period has passed
+   * @param {Object} [options] - { limit, now }
+   * @returns {Object} - { settled: [transactionId], failed: [{ transactionId, error }] }
+   */
+  async runDue({ limit = 100, now = new Date() } = {}) {
+    const due = await Transaction.find({
+      type: 'payment',
+      'settlement.status': 'pending',
+      'settlement.dueAt': { $lte: now }
+    })
+      .select('_id transactionId')
+      .sort({ 'settlement.dueAt': 1 })
+      .limit(limit);
+
+    const settled = [];
+    const failed = [];
+
+    for (const payment of due) {
+      try {
+        const result = await this.settle(payment._id);
+        if (result) settled.push(payment.transactionId);
+      } catch (error) {
+        failed.push({ transactionId: payment.transactionId, error: error.message });
+      }
+    }
+
+    return { settled, failed };
+  }
+
+  /**
+   * Settle one payment: credit the provider's wallet with the net amount and the
+   * platform revenue wallet with the fee. Amounts reversed or refunded since
+   * capture are not paid out.
+   * @param {ObjectId} paymentId - Payment transaction
+   * @returns {Object|null} - Settlement transaction, or null if nothing was owed
+   */
+  async settle(paymentId) {
+    return ledger.runInSession(null, async (session) => {
+      // Claim the payment so concurrent runs cannot settle it twice
+      const payment = await Transaction.findOneAndUpdate(
+        { _id: paymentId, 'settlement.status': 'pending' },
+        { $set: { 'settlement.status': 'settled', 'settlement.settledAt': new Date() } },
+        { new: true, session }
+      );
+
+      if (!payment) return null;
+
+      const accrued = payment.settlement;
+      const share = payment.status === 'completed' ? payment.reversibleAmount() / payment.amount.value : 0;
+      const netAmount = round(accrued.netAmount * share);
+      const platformFee = round(accrued.platformFee * share);
+
+      await User.updateOne(
+        { _id: payment.to.user },
+        { $inc: { 'earnings.pendingPayments': -accrued.netAmount, 'earnings.totalEarnings': netAmount } },
+        { session }
+      );
+
+      if (netAmount <= 0 && platformFee <= 0) {
+        payment.settlement.status = 'void';
+        await payment.save({ session });
+        return null;
+      }
+
+      const providerWallet = await Wallet.findById(payment.to.wallet).session(session);
+
+      const [settlement] = await Transaction.create([{
+        type: 'settlement',
+        category: payment.category,
+        from: { type: 'platform' },
+        to: payment.to,
+        linkedTransaction: payment._id,
+        amount: {
+          value: netAmount,
+          currency: accrued.currency
+        },
+        fees: {
+          platform: platformFee,
+          total: platformFee
+        },
+        reference: payment.reference,
+        status: 'completed',
+        completedAt: new Date(),
+        description: `Settlement of ${payment.transactionId}` +
+          (payment.reference?.details ? ` for ${payment.reference.type} ${payment.reference.details}` : '')
+      }], { session });
+
+      if (netAmount > 0) {
+        await providerWallet.credit(netAmount, settlement._id, { session });
+      }
+
+      if (platformFee > 0) {
+        const platformWallet = await this.platformWallet(accrued.currency, session);
+        await platformWallet.credit(platformFee, settlement._id, { session });
+      }
+
+      payment.settlement.transaction = settlement._id;
+      await payment.save({ session });
+
+      return settlement;
+    });
+  }
+
+  /**
+   * Take back what was paid out for a payment that is refunded or reversed after
+   * settlement: the payee's wallet returns its share of the net amount and the
+   * platform wallet its share of the fee. Payments not yet settled need nothing,
+   * as settle() only pays out what has not been refunded.
+   * @param {Object} payment - Payment transaction
+   * @param {Number} value - Amount refunded or reversed, in the payment's currency
+   * @param {Object} compensation - The refund or reversal transaction
+   * @param {ClientSession} session
+   * @returns {Object|null} - Recovery transaction, or null if nothing was paid out
+   */
+  async recover(payment, value, compensation, session) {
+    const accrued = payment.settlement;
+    if (accrued?.status !== 'settled' || !accrued.transaction) return null;
+
+    const share = value / payment.amount.value;
+    const netAmount = round(accrued.netAmount * share);
+    const platformFee = round(accrued.platformFee * share);
+
+    if (netAmount <= 0 && platformFee <= 0) return null;
+
+    // Claim the amount on the settlement so it cannot be recovered twice
+    const settled = await Transaction.findOneAndUpdate(
+      {
+        _id: accrued.transaction,
+        status: 'completed',
+        $expr: { $lte: [{ $add: ['$reversedAmount', netAmount] }, { $add: ['$amount.value', 0.001] }] }
+      },
+      { $inc: { reversedAmount: netAmount } },
+      { new: true, session }
+    );
+
+    if (!settled) {
+      throw new Error(`Settlement of ${payment.transactionId} was already reversed`);
+    }
+
+    const [recovery] = await Transaction.create([{
+      type: 'reversal',
+      category: settled.category,
+      from: settled.to,
+      to: { type: 'platform' },
+      reversalOf: settled._id,
+      amount: {
+        value: netAmount,
+        currency: accrued.currency
+      },
+      fees: {
+        platform: platformFee,
+        total: platformFee
+      },
+      reference: settled.reference,
+      status: 'completed',
+      completedAt: new Date(),
+      description: `Recovery of ${settled.transactionId} for ${compensation.type} ${compensation.transactionId}`
+    }], { session });
+
+    if (netAmount > 0) {
+      const payeeWallet = await Wallet.findById(settled.to.wallet).session(session);
+      if (payeeWallet.balance.available < netAmount) {
+        throw new Error(`Wallet ${payeeWallet.walletId} has insufficient balance to return ${netAmount} ${accrued.currency} already settled`);
+      }
+      await payeeWallet.debit(netAmount, recovery._id, { session, skipLimits: true });
+    }
+
+    if (platformFee > 0) {
+      const platformWallet = await this.platformWallet(accrued.currency, session);
+      await platformWallet.debit(platformFee, recovery._id, { session, skipLimits: true });
+    }
+
+    await User.updateOne(
+      { _id: settled.to.user },
+      { $inc: { 'earnings.totalEarnings': -netAmount } },
+      { session }
+    );
+
+    settled.reversals.push(recovery._id);
+    const note = `Recovered ${netAmount} ${accrued.currency} by ${recovery.transactionId}`;
+    if (settled.reversibleAmount() <= 0) {
+      await settled.updateStatus('reversed', note, { session });
+    } else {
+      settled.statusHistory.push({ status: settled.status, timestamp: new Date(), reason: note });
+      await settled.save({ session });
+    }
+
+    return recovery;
+  }
+
+  /**
+   * The platform revenue wallet for a currency, created on first use
+   */
+  async platformWallet(currency, session) {
+    let wallet = await Wallet.findOne({ type: WALLET_TYPES.PLATFORM, 'balance.currency': currency }).session(session);
+
+    if (!wallet) {
+      [wallet] = await Wallet.create([{
+        walletId: `WALLET-PLATFORM-${currency}`,
+        type: WALLET_TYPES.PLATFORM,
+        balance: { available: 0, pending: 0, reserved: 0, currency }
+      }], { session });
+    }
+
+    return wallet;
+  }
+
+  /**
+   * A provider's earnings summary and payout history grouped by period
+   * @param {Object} provider - Provider user document (with earnings)
+   * @param {Object} options - { period, from, to }
+   * @returns {Object} - { summary, history }
+   */
+  async earnings(provider, { period, from, to }) {
+    const providerId = new mongoose.Types.ObjectId(provider._id);
+    const range = { $gte: from, $lte: to };
+
+    const settlements = await Transaction.aggregate([
+      { $match: { type: 'settlement', 'to.user': providerId, status: 'completed', completedAt: range } },
+      {
+        $group: {
+          _id: { $dateTrunc: { date: '$completedAt', unit: period } },
+          settlements: { $sum: 1 },
+          grossAmount: { $sum: { $add: ['$amount.value', '$fees.platform'] } },
+          platformFees: { $sum: '$fees.platform' },
+          netAmount: { $sum: '$amount.value' }
+        }
+      }
+    ]);
+
+    const withdrawals = await Withdrawal.aggregate([
+      { $match: { owner: providerId, status: 'processed', 'payout.processedAt': range } },
+      {
+        $group: {
+          _id: { $dateTrunc: { date: '$payout.processedAt', unit: period } },
+          withdrawals: { $sum: 1 },
+          paidOut: { $sum: '$amount' }
+        }
+      }
+    ]);
+
+    const history = new Map();
+    const row = (start) => {
+      const key = start.toISOString();
+      if (!history.has(key)) {
+        history.set(key, {
+          periodStart: start,
+          settlements: 0,
+          grossAmount: 0,
+          platformFees: 0,
+          netAmount: 0,
+          withdrawals: 0,
+          paidOut: 0
+        });
+      }
+      return history.get(key);
+    };
+
+    settlements.forEach(({ _id, ...totals }) => {
+      Object.assign(row(_id), {
+        settlements: totals.settlements,
+        grossAmount: round(totals.grossAmount),
+        platformFees: round(totals.platformFees),
+        netAmount: round(totals.netAmount)
+      });
+    });
+    withdrawals.forEach(({ _id, ...totals }) => {
+      Object.assign(row(_id), {
+        withdrawals: totals.withdrawals,
+        paidOut: round(totals.paidOut)
+      });
+    });
+
+    const providerWallet = await Wallet.findOne({ owner: provider._id, type: WALLET_TYPES.PROVIDER })
+      .select('walletId balance');
+
+    return {
+      summary: {
+        currency: providerWallet?.balance.currency || exchangeRates.walletCurrency(provider.preferences?.currency),
+        totalEarnings: round(provider.earnings?.totalEarnings || 0),
+        pendingPayments: round(provider.earnings?.pendingPayments || 0),
+        paidOut: round(provider.earnings?.paidOut || 0),
+        platformFeePercentage: provider.earnings?.platformFeePercentage ?? DEFAULT_PLATFORM_FEE_PERCENTAGE,
+        walletBalance: providerWallet ? round(providerWallet.balance.available) : 0
+      },
+      history: [...history.values()].sort((a, b) => b.periodStart - a.periodStart)
+    };
+  }
+}
+
+module.exports = new SettlementService();
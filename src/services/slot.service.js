@@ -0,0 +1,334 @@
+const Appointment = require('../models/appointment.model');
+const User = require('../models/user.model');
+const ScheduleException = require('../models/scheduleException.model');
+const WaitlistEntry = require('../models/waitlistEntry.model');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Appointments in these states no longer hold their slot
+const RELEASED_STATUSES = ['cancelled', 'no-show'];
+
+const toMinutes = (time) => {
+  const match = /^(\d{2}):(\d{2})$/.exec(time || '');
+  if (!match) return null;
+
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return Number(match[1]) < 24 && Number(match[2]) < 60 ? minutes : null;
+};
+
+const toTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds
+ */
+const zoneOffset = (instant, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(instant));
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+
+  return Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second')) - instant;
+};
+
+/**
+ * Generates bookable slots from a provider's working hours, schedule exceptions,
+ * break and existing appointments, and checks requested times against the same
+ * rules at booking. Times are HH:mm in the provider's local time; dates are
+ * calendar days.
+ */
+class SlotService {
+  /**
+   * Parse a calendar day (YYYY-MM-DD or any date) to midnight UTC
+   * @returns {Date|null}
+   */
+  parseDate(date) {
+    const parsed = new Date(date);
+    if (!date || isNaN(parsed)) return null;
+
+    return new Date(Date.UTC(parsed.getUTCFullYear(), parsed.getUTCMonth(), parsed.getUTCDate()));
+  }
+
+  isValidTime(time) {
+    return toMinutes(time) !== null;
+  }
+
+  /**
+   * Appointment length in minutes: the service's duration when booked by the
+   * minute or hour, otherwise the provider's slot duration
+   */
+  durationFor(provider, service) {
+    if (service?.duration) {
+      if (service.durationType === 'hours') return service.duration * 60;
+      if (!service.durationType || service.durationType === 'minutes') return service.duration;
+    }
+
+    return provider.availability?.slotDuration || 30;
+  }
+
+  /**
+   * Working window for a day from the weekly template, in minutes from midnight
+   * @returns {Object|null} - { start, end } or null when the provider is not working
+   */
+  workingWindow(provider, day) {
+    const hours = provider.availability?.workingHours?.[DAYS[day.getUTCDay()]];
+    if (!hours || hours.isWorking === false) return null;
+
+    const start = toMinutes(hours.start);
+    const end = toMinutes(hours.end);
+    if (start === null || end === null || end <= start) return null;
+
+    return { start, end };
+  }
+
+  breakWindow(provider) {
+    const start = toMinutes(provider.availability?.breakTime?.start);
+    const end = toMinutes(provider.availability?.breakTime?.end);
+
+    return start !== null && end !== null && end > start ? { start, end } : null;
+  }
+
+  /**
+   * A day's schedule after exceptions: opening hours replace the weekly template,
+   * whole-day closures remove the day and timed closures block their hours
+   * @returns {Object} - { window, blocked: [{ start, end }], exceptions }
+   */
+  async daySchedule(provider, day, session) {
+    const exceptions = await ScheduleException.findForDay(provider._id, day, session);
+
+    let window = this.workingWindow(provider, day);
+    const opening = exceptions.find(exception => exception.type === 'open');
+    if (opening) {
+      window = { start: toMinutes(opening.startTime), end: toMinutes(opening.endTime) };
+    }
+
+    const blocked = [];
+    const lunch = this.breakWindow(provider);
+    if (lunch) blocked.push(lunch);
+
+    exceptions
+      .filter(exception => exception.type === 'closed')
+      .forEach(exception => {
+        if (exception.isAllDay) {
+          window = null;
+        } else {
+          blocked.push({ start: toMinutes(exception.startTime), end: toMinutes(exception.endTime) });
+        }
+      });
+
+    return { window, blocked, exceptions };
+  }
+
+  /**
+   * Intervals already taken by the provider's appointments, or held for
+   * waitlisted patients, on a day
+   * @param {Object} [options] - { session, excludeId, holder } (excludeId may be a list of ids;
+   *   holder is the patient booking, whose own waitlist hold does not block them)
+   */
+  async bookedIntervals(providerId, day, { session, excludeId, holder } = {}) {
+    const query = {
+      provider: providerId,
+      scheduledDate: { $gte: day, $lt: new Date(day.getTime() + DAY_MS) },
+      status: { $nin: RELEASED_STATUSES }
+    };
+    if (excludeId) {
+      query._id = Array.isArray(excludeId) ? { $nin: excludeId } : { $ne: excludeId };
+    }
+
+    const appointments = await Appointment.find(query)
+      .select('scheduledTime')
+      .session(session || null);
+
+    const holds = await WaitlistEntry.activeHolds(providerId, day, { session, holder });
+
+    return [
+      ...appointments.map(appointment => appointment.scheduledTime),
+      ...holds.map(hold => hold.offer)
+    ]
+      .map(time => {
+        const start = toMinutes(time?.startTime);
+        return start === null ? null : { start, end: start + (time.duration || 30) };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Free slots for a day
+   * @param {Object} provider - Provider user document
+   * @param {Date} day - Result of parseDate()
+   * @param {Number} duration - Appointment length in minutes
+   * @param {ClientSession} [session] - Session to read in
+   * @returns {Array} - [{ startTime, endTime }]
+   */
+  async freeSlots(provider, day, duration, session) {
+    const { window, blocked } = await this.daySchedule(provider, day, session);
+    if (!window) return [];
+
+    const step = provider.availability?.slotDuration || duration;
+    blocked.push(...await this.bookedIntervals(provider._id, day, { session }));
+
+    // Slots that have already started in the provider's time zone are not offered
+    const timeZone = provider.preferences?.timezone;
+    const now = Date.now();
+
+    const slots = [];
+    for (let start = window.start; start + duration <= window.end; start += step) {
+      const slot = { start, end: start + duration };
+
+      if (this.zonedInstant(day.getTime() + start * 60000, timeZone) < now) continue;
+      if (blocked.some(interval => overlaps(slot, interval))) continue;
+
+      slots.push({ startTime: toTime(slot.start), endTime: toTime(slot.end) });
+    }
+
+    return slots;
+  }
+
+  /**
+   * Hold the provider's calendar for the rest of a MongoDB transaction. Concurrent
+   * bookings for the same provider write the same document, so all but one abort
+   * and retry, and the retry sees the appointment that won. The transaction callback
+   * runs again from the start on retry, so it must read every document it changes
+   * inside the session instead of reusing copies loaded (or changed) before it.
+   */
+  async lockProvider(providerId, session) {
+    await User.updateOne(
+      { _id: providerId },
+      { $currentDate: { updatedAt: true } },
+      { session }
+    );
+  }
+
+  /**
+   * Check a requested time against working hours, break and existing appointments.
+   * Call inside the booking transaction after lockProvider().
+   * @param {Object} [options] - { session, excludeId, holder } (excludeId when moving an appointment,
+   *   holder when a waitlisted patient claims the slot held for them)
+   * @returns {String|null} - Reason the time cannot be booked, or null
+   */
+  async unavailableReason(provider, day, time, duration, options = {}) {
+    const start = toMinutes(time);
+    if (start === null) return 'Invalid time (expected HH:mm)';
+
+    const slot = { start, end: start + duration };
+
+    if (this.zonedInstant(day.getTime() + start * 60000, provider.preferences?.timezone) < Date.now()) {
+      return 'Requested time is in the past';
+    }
+
+    const { window, blocked } = await this.daySchedule(provider, day, options.session);
+    if (!window || slot.start < window.start || slot.end > window.end) {
+      return 'Requested time is outside the provider\'s working hours';
+    }
+
+    if (blocked.some(interval => overlaps(slot, interval))) {
+      return 'Provider is unavailable at the requested time';
+    }
+
+    const booked = await this.bookedIntervals(provider._id, day, options);
+    if (booked.some(interval => overlaps(slot, interval))) {
+      return 'Requested time is already booked';
+    }
+
+    return null;
+  }
+
+  /**
+   * The next free slots from a day onwards, for offering alternatives
+   * @param {Object} [options] - { count, days, session } (slots to return, days to search)
+   * @returns {Array} - [{ date, startTime, endTime }]
+   */
+  async suggest(provider, fromDay, duration, { count = 5, days = 14, session } = {}) {
+    const suggestions = [];
+
+    for (let offset = 0; offset < days && suggestions.length < count; offset++) {
+      const day = new Date(fromDay.getTime() + offset * DAY_MS);
+      const free = await this.freeSlots(provider, day, duration, session);
+
+      free.slice(0, count - suggestions.length).forEach(slot => {
+        suggestions.push({ date: day.toISOString().slice(0, 10), ...slot });
+      });
+    }
+
+    return suggestions;
+  }
+
+  /**
+   * Whether an appointment's time falls inside a closure
+   */
+  isClosedBy(exception, appointment) {
+    if (exception.type !== 'closed' || exception.isAllDay) {
+      return exception.type === 'closed';
+    }
+
+    const start = toMinutes(appointment.scheduledTime?.startTime);
+    if (start === null) return true;
+
+    return overlaps(
+      { start, end: start + (appointment.scheduledTime.duration || 30) },
+      { start: toMinutes(exception.startTime), end: toMinutes(exception.endTime) }
+    );
+  }
+
+  endTime(time, duration) {
+    return toTime(toMinutes(time) + duration);
+  }
+
+  /**
+   * An IANA time zone name, or UTC when it is missing or unknown
+   */
+  validZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timeZone || 'UTC' });
+      return timeZone || 'UTC';
+    } catch (error) {
+      return 'UTC';
+    }
+  }
+
+  /**
+   * The instant an appointment starts, reading its date and time as wall-clock
+   * time in the provider's time zone
+   * @param {Object} appointment - Appointment document
+   * @param {String} [timeZone] - Provider's IANA time zone
+   * @returns {Date|null}
+   */
+  startInstant(appointment, timeZone) {
+    const naive = appointment.startsAt?.getTime();
+    if (!naive) return null;
+
+    return this.zonedInstant(naive, timeZone);
+  }
+
+  /**
+   * The instant a wall-clock time in a time zone falls at
+   * @param {Number} naive - The wall-clock time read as UTC, in milliseconds
+   * @param {String} [timeZone] - IANA time zone
+   * @returns {Date}
+   */
+  zonedInstant(naive, timeZone) {
+    const zone = this.validZone(timeZone);
+    const offset = zoneOffset(naive, zone);
+    let instant = naive - offset;
+
+    // Across a DST change the offset at the real instant can differ from the first guess
+    const corrected = zoneOffset(instant, zone);
+    if (corrected !== offset) {
+      instant = naive - corrected;
+    }
+
+    return new Date(instant);
+  }
+}
+
+module.exports = new SlotService();
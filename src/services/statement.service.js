@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const LedgerEntry = require('../models/ledgerEntry.model');
+const config = require('../config/config');
+const { LEDGER_ACCOUNTS } = require('../utils/constants');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Longest period a single statement may cover
+const MAX_STATEMENT_DAYS = 366;
+
+/**
+ * Builds signed wallet statements from the ledger journal and the
+ * transactions each journal entry belongs to
+ */
+class StatementService {
+  /**
+   * Parse a statement period; date-only `to` values include the whole day.
+   * Defaults to the current calendar month.
+   * @returns {Object} - { from, to } or { error }
+   */
+  parsePeriod(from, to) {
+    const now = new Date();
+    const start = from ? new Date(from) : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const end = to ? new Date(to) : now;
+
+    if (isNaN(start) || isNaN(end)) {
+      return { error: 'Invalid from or to date' };
+    }
+
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      end.setUTCHours(23, 59, 59, 999);
+    }
+
+    if (start > end) {
+      return { error: 'from must be before to' };
+    }
+
+    if (end - start > MAX_STATEMENT_DAYS * 24 * 60 * 60 * 1000) {
+      return { error: `A statement can cover at most ${MAX_STATEMENT_DAYS} days` };
+    }
+
+    return { from: start, to: end };
+  }
+
+  /**
+   * Build a statement for a wallet's available balance
+   * @param {Object} wallet - Wallet document
+   * @param {Object} period - { from, to }
+   * @returns {Object} - Statement with opening/closing balance, entries, fees and signature
+   */
+  async build(wallet, { from, to }) {
+    const openingBalance = await this.balanceAt(wallet._id, from);
+
+    const journal = await LedgerEntry.find({
+      'postings.wallet': wallet._id,
+      postedAt: { $gte: from, $lte: to }
+    })
+      .populate('transaction', 'transactionId type category description fees amount direction')
+      .sort({ postedAt: 1, _id: 1 });
+
+    let balance = openingBalance;
+    let totalCredits = 0;
+    let totalDebits = 0;
+    const fees = { platform: 0, payment: 0, tax: 0, total: 0 };
+    const feesCounted = new Set();
+    const entries = [];
+
+    journal.forEach(entry => {
+      const net = this.availableMovement(entry, wallet._id);
+
+      // Pending deposits do not touch the available balance until they settle
+      if (net === 0) return;
+
+      balance = round(balance + net);
+      if (net > 0) totalCredits = round(totalCredits + net);
+      else totalDebits = round(totalDebits - net);
+
+      // Fees are shown once per transaction, on its first line
+      const transaction = entry.transaction;
+      const firstLine = transaction && !feesCounted.has(transaction._id.toString());
+      if (firstLine) {
+        feesCounted.add(transaction._id.toString());
+        Object.keys(fees).forEach(key => {
+          fees[key] = round(fees[key] + (transaction.fees?.[key] || 0));
+        });
+      }
+
+      entries.push({
+        date: entry.postedAt,
+        entryId: entry.entryId,
+        transactionId: transaction?.transactionId,
+        type: transaction?.type || entry.operation,
+        description: transaction?.description || entry.description,
+        credit: net > 0 ? net : 0,
+        debit: net < 0 ? -net : 0,
+        fees: firstLine ? transaction.fees?.total || 0 : 0,
+        balance
+      });
+    });
+
+    const statement = {
+      walletId: wallet.walletId,
+      walletType: wallet.type,
+      currency: wallet.balance.currency,
+      period: { from, to },
+      openingBalance,
+      totalCredits,
+      totalDebits,
+      fees,
+      closingBalance: balance,
+      entries
+    };
+
+    statement.hash = this.hash(statement);
+    statement.signature = this.sign(statement.hash);
+    statement.generatedAt = new Date();
+
+    return statement;
+  }
+
+  /**
+   * Available balance of a wallet just before a point in time
+   */
+  async balanceAt(walletId, date) {
+    const [result] = await LedgerEntry.aggregate([
+      { $match: { 'postings.wallet': walletId, postedAt: { $lt: date } } },
+      { $unwind: '$postings' },
+      { $match: { 'postings.wallet': walletId, 'postings.account': LEDGER_ACCOUNTS.WALLET_AVAILABLE } },
+      {
+        $group: {
+          _id: null,
+          balance: { $sum: { $subtract: ['$postings.credit', '$postings.debit'] } }
+        }
+      }
+    ]);
+
+    return round(result ? result.balance : 0);
+  }
+
+  /**
+   * Net change an entry makes to the wallet's available balance
+   */
+  availableMovement(entry, walletId) {
+    return round(entry.postings
+      .filter(posting => posting.account === LEDGER_ACCOUNTS.WALLET_AVAILABLE &&
+        posting.wallet && posting.wallet.equals(walletId))
+      .reduce((sum, posting) => sum + posting.credit - posting.debit, 0));
+  }
+
+  /**
+   * SHA-256 over the statement's figures and lines (excluding when it was generated),
+   * so regenerating the same period yields the same hash
+   */
+  hash(statement) {
+    const canonical = JSON.stringify({
+      walletId: statement.walletId,
+      currency: statement.currency,
+      from: new Date(statement.period.from).toISOString(),
+      to: new Date(statement.period.to).toISOString(),
+      openingBalance: statement.openingBalance,
+      closingBalance: statement.closingBalance,
+      fees: statement.fees,
+      entries: statement.entries.map(entry => [
+        entry.entryId,
+        entry.transactionId || null,
+        entry.credit,
+        entry.debit,
+        entry.balance
+      ])
+    });
+
+    return crypto.createHash('sha256').update(canonical).digest('hex');
+  }
+
+  sign(hash) {
+    return crypto.createHmac('sha256', config.statementSigningSecret).update(hash).digest('hex');
+  }
+
+  /**
+   * Check a statement against the ledger: the signature must be one the platform
+   * issued for the hash, and the hash must match the statement rebuilt for the
+   * same wallet and period, so a signed hash cannot vouch for altered figures
+   * @param {Object} wallet - Wallet document the statement is for
+   * @param {Object} period - { from, to } as printed on the statement
+   * @returns {Object} - { valid, reason }
+   */
+  async verify(wallet, period, hash, signature) {
+    if (!this.validSignature(hash, signature)) {
+      return { valid: false, reason: 'Signature was not issued for this hash' };
+    }
+
+    const statement = await this.build(wallet, period);
+    if (statement.hash !== hash.toLowerCase()) {
+      return { valid: false, reason: 'Statement does not match the wallet\'s records for this period' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Whether a signature is the platform's signature of a hash
+   */
+  validSignature(hash, signature) {
+    if (!/^[0-9a-f]{64}$/i.test(hash || '') || !/^[0-9a-f]{64}$/i.test(signature || '')) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(hash.toLowerCase()), 'hex');
+    return crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'));
+  }
+
+  /**
+   * Render a statement as CSV
+   * @returns {String}
+   */
+  toCsv(statement) {
+    const cell = (value) => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const row = (values) => values.map(cell).join(',');
+
+    const lines = [
+      row(['Wallet statement', statement.walletId]),
+      row(['Currency', statement.currency]),
+      row(['Period', statement.period.from.toISOString(), statement.period.to.toISOString()]),
+      row(['Opening balance', statement.openingBalance.toFixed(2)]),
+      '',
+      row(['Date', 'Transaction ID', 'Type', 'Description', 'Credit', 'Debit', 'Fees', 'Balance']),
+      ...statement.entries.map(entry => row([
+        entry.date.toISOString(),
+        entry.transactionId,
+        entry.type,
+        entry.description,
+        entry.credit.toFixed(2),
+        entry.debit.toFixed(2),
+        entry.fees.toFixed(2),
+        entry.balance.toFixed(2)
+      ])),
+      '',
+      row(['Total credits', statement.totalCredits.toFixed(2)]),
+      row(['Total debits', statement.totalDebits.toFixed(2)]),
+      row(['Platform fees', statement.fees.platform.toFixed(2)]),
+      row(['Payment fees', statement.fees.payment.toFixed(2)]),
+      row(['Tax', statement.fees.tax.toFixed(2)]),
+      row(['Total fees', statement.fees.total.toFixed(2)]),
+      row(['Closing balance', statement.closingBalance.toFixed(2)]),
+      '',
+      row(['Generated at', statement.generatedAt.toISOString()]),
+      row(['SHA-256', statement.hash]),
+      row(['Signature', statement.signature])
+    ];
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Render a statement as PDF
+   * @returns {Promise<Buffer>}
+   */
+  toPdf(statement) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 40 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const money = (value) => `${value.toFixed(2)} ${statement.currency}`;
+      const day = (date) => date.toISOString().slice(0, 10);
+
+      doc.fontSize(18).text('Anola Health Wallet Statement');
+      doc.moveDown(0.5);
+      doc.fontSize(10)
+        .text(`Wallet: ${statement.walletId} (${statement.walletType})`)
+        .text(`Period: ${day(statement.period.from)} to ${day(statement.period.to)}`)
+        .text(`Opening balance: ${money(statement.openingBalance)}`);
+      doc.moveDown();
+
+      const columns = [40, 110, 210, 330, 400, 470];
+      const line = (values, options = {}) => {
+        const y = doc.y;
+        values.forEach((value, index) => {
+          doc.text(value, columns[index], y, {
+            width: (columns[index + 1] || 555) - columns[index] - 5,
+            ...options
+          });
+        });
+        doc.x = 40;
+        doc.moveDown(0.3);
+      };
+
+      doc.font('Helvetica-Bold');
+      line(['Date', 'Transaction', 'Description', 'Credit', 'Debit', 'Balance']);
+      doc.font('Helvetica');
+
+      statement.entries.forEach(entry => {
+        if (doc.y > 760) doc.addPage();
+        line([
+          day(entry.date),
+          entry.transactionId || entry.entryId,
+          entry.description || entry.type,
+          entry.credit ? entry.credit.toFixed(2) : '',
+          entry.debit ? entry.debit.toFixed(2) : '',
+          entry.balance.toFixed(2)
+        ]);
+      });
+
+      doc.moveDown();
+      doc.text(`Total credits: ${money(statement.totalCredits)}`)
+        .text(`Total debits: ${money(statement.totalDebits)}`)
+        .text(`Fees: platform ${statement.fees.platform.toFixed(2)}, payment ${statement.fees.payment.toFixed(2)}, ` +
+          `tax ${statement.fees.tax.toFixed(2)}, total ${money(statement.fees.total)}`)
+        .font('Helvetica-Bold')
+        .text(`Closing balance: ${money(statement.closingBalance)}`)
+        .font('Helvetica');
+
+      doc.moveDown(2);
+      doc.fontSize(8)
+        .text(`Generated ${statement.generatedAt.toISOString()}`)
+        .text(`Period: ${statement.period.from.toISOString()} to ${statement.period.to.toISOString()}`)
+        .text(`SHA-256: ${statement.hash}`)
+        .text(`Signature: ${statement.signature}`)
+        .text('Verify this statement at POST /api/wallets/statements/verify with the wallet, period, hash and signature');
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = new StatementService();
@@ -0,0 +1,135 @@
+const config = require('../config/config');
+
+// Currencies Stripe charges in whole units rather than cents
+const ZERO_DECIMAL_CURRENCIES = ['BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'];
+
+/**
+ * Thin wrapper around the Stripe SDK so tests can swap in a stubbed client
+ */
+class StripeService {
+  constructor() {
+    this.client = null;
+  }
+
+  /**
+   * Replace the Stripe client (e.g. with a stub exposing paymentIntents.create,
+   * confirm and cancel, and webhooks.constructEvent)
+   */
+  useClient(client) {
+    this.client = client;
+    return this;
+  }
+
+  getClient() {
+    if (!this.client) {
+      if (!config.stripeSecretKey) {
+        throw new Error('Stripe is not configured');
+      }
+      this.client = require('stripe')(config.stripeSecretKey);
+    }
+    return this.client;
+  }
+
+  /**
+   * Convert an amount to Stripe's smallest currency unit
+   */
+  toMinorUnits(amount, currency) {
+    const multiplier = ZERO_DECIMAL_CURRENCIES.includes(currency.toUpperCase()) ? 1 : 100;
+    return Math.round(amount * multiplier);
+  }
+
+  /**
+   * Create a payment intent for a wallet deposit. It is not confirmed here:
+   * the deposit must be recorded before Stripe can charge and report it.
+   * @param {Object} params - { amount, currency, walletId, userId, paymentMethodId, customerId }
+   * @returns {Object} - Stripe PaymentIntent
+   */
+  async createDepositIntent({ amount, currency, walletId, userId, paymentMethodId, customerId }) {
+    const intent = {
+      amount: this.toMinorUnits(amount, currency),
+      currency: currency.toLowerCase(),
+      description: `Anola Health wallet deposit ${walletId}`,
+      metadata: {
+        purpose: 'wallet_deposit',
+        walletId,
+        userId: userId.toString()
+      },
+      automatic_payment_methods: { enabled: true, allow_redirects: 'never' }
+    };
+
+    if (customerId) {
+      intent.customer = customerId;
+    }
+
+    if (paymentMethodId) {
+      intent.payment_method = paymentMethodId;
+    }
+
+    return this.getClient().paymentIntents.create(intent);
+  }
+
+  /**
+   * Confirm a payment intent with the payment method it was created with
+   * @returns {Object} - Stripe PaymentIntent
+   */
+  async confirmIntent(intentId) {
+    return this.getClient().paymentIntents.confirm(intentId);
+  }
+
+  /**
+   * Cancel a payment intent that will not be completed
+   * @returns {Object} - Stripe PaymentIntent
+   */
+  async cancelIntent(intentId) {
+    return this.getClient().paymentIntents.cancel(intentId);
+  }
+
+  /**
+   * Get or create the Stripe customer for a user (saves stripeCustomerId on the user)
+   * @param {Object} user - User document
+   * @returns {String} - Stripe customer ID
+   */
+  async ensureCustomer(user) {
+    if (user.stripeCustomerId) {
+      return user.stripeCustomerId;
+    }
+
+    const customer = await this.getClient().customers.create({
+      email: user.email,
+      name: `${user.profile?.firstName || ''} ${user.profile?.lastName || ''}`.trim(),
+      metadata: { userId: user._id.toString() }
+    });
+
+    user.stripeCustomerId = customer.id;
+    await user.save({ validateBeforeSave: false });
+
+    return customer.id;
+  }
+
+  /**
+   * Attach a payment method collected by Stripe Elements to a customer for reuse
+   * @returns {Object} - Stripe PaymentMethod
+   */
+  async attachPaymentMethod(paymentMethodId, customerId) {
+    return this.getClient().paymentMethods.attach(paymentMethodId, { customer: customerId });
+  }
+
+  async detachPaymentMethod(paymentMethodId) {
+    return this.getClient().paymentMethods.detach(paymentMethodId);
+  }
+
+  /**
+   * Verify a webhook signature and parse the event
+   * @param {Buffer} payload - Raw request body
+   * @param {String} signature - Stripe-Signature header
+   * @returns {Object} - Stripe event
+   */
+  constructEvent(payload, signature) {
+    if (!config.stripeWebhookSecret) {
+      throw new Error('Stripe webhook secret is not configured');
+    }
+    return this.getClient().webhooks.constructEvent(payload, signature, config.stripeWebhookSecret);
+  }
+}
+
+module.exports = new StripeService();
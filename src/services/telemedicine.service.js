@@ -0,0 +1,201 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/user.model');
+const config = require('../config/config');
+const appointmentPayment = require('./appointmentPayment.service');
+const slots = require('./slot.service');
+const { APPOINTMENT_STATUS } = require('../utils/constants');
+
+const VIRTUAL_MODES = ['video', 'audio', 'chat'];
+
+// Rooms can be joined while the appointment is going ahead or under way
+const JOINABLE_STATUSES = [
+  APPOINTMENT_STATUS.SCHEDULED,
+  APPOINTMENT_STATUS.CONFIRMED,
+  APPOINTMENT_STATUS.RESCHEDULED,
+  APPOINTMENT_STATUS.IN_PROGRESS
+];
+
+// Room tokens are signed with the JWT secret, so they carry their own audience
+// and no userId claim: an access-token check never accepts one.
+const TOKEN_AUDIENCE = 'telemedicine';
+
+// Consultation details the provider can record when ending a session
+const CONSULTATION_FIELDS = ['chiefComplaint', 'diagnosis', 'treatmentPlan', 'notes', 'privateNotes'];
+
+const requestError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * Runs telemedicine sessions for video, audio and chat appointments: issues
+ * short-lived room tokens to the appointment's patient and provider around the
+ * scheduled time, and starts and ends the consultation when the provider does
+ * so in the room.
+ */
+class TelemedicineService {
+  isVirtual(appointment) {
+    return VIRTUAL_MODES.includes(appointment.mode);
+  }
+
+  isJoinable(appointment) {
+    return JOINABLE_STATUSES.includes(appointment.status);
+  }
+
+  /**
+   * Socket.io room for an appointment
+   */
+  room(appointmentId) {
+    return `appointment:${appointmentId}`;
+  }
+
+  /**
+   * The user's part in the appointment
+   * @returns {String|null} - patient, provider, or null if they are neither
+   */
+  roleOf(appointment, user) {
+    const id = String(user._id);
+    if (String(appointment.patient?._id || appointment.patient) === id) return 'patient';
+    if (String(appointment.provider?._id || appointment.provider) === id) return 'provider';
+    return null;
+  }
+
+  /**
+   * When the appointment's room is open: from the join window before the start
+   * until the late allowance after the scheduled end
+   * @returns {Object} - { startsAt, endsAt, opensAt, closesAt }
+   */
+  async window(appointment) {
+    let timezone = appointment.provider?.preferences?.timezone;
+    if (timezone === undefined) {
+      const provider = await User.findById(appointment.provider?._id || appointment.provider)
+        .select('preferences.timezone');
+      timezone = provider?.preferences?.timezone;
+    }
+
+    const startsAt = slots.startInstant(appointment, timezone);
+    const endsAt = new Date(startsAt.getTime() + (appointment.scheduledTime?.duration || 30) * 60 * 1000);
+
+    return {
+      startsAt,
+      endsAt,
+      opensAt: new Date(startsAt.getTime() - config.telemedicineJoinWindowMinutes * 60 * 1000),
+      closesAt: new Date(endsAt.getTime() + config.telemedicineLateMinutes * 60 * 1000)
+    };
+  }
+
+  /**
+   * Issue a room token to the appointment's patient or provider. Tokens are only
+   * issued while the room is open and expire when it closes.
+   * @param {Object} appointment - Appointment document
+   * @param {Object} user - Requesting user
+   * @returns {Object} - { token, room, expiresAt, opensAt, meetingLink }
+   */
+  async issueToken(appointment, user, { now = new Date() } = {}) {
+    const role = this.roleOf(appointment, user);
+    if (!role) {
+      throw requestError('Only the patient and provider can join this appointment', 403);
+    }
+    if (!this.isVirtual(appointment)) {
+      throw requestError('This appointment is not a video, audio or chat appointment', 400);
+    }
+    if (!this.isJoinable(appointment)) {
+      throw requestError(`Cannot join a ${appointment.status} appointment`, 409);
+    }
+
+    const { opensAt, closesAt } = await this.window(appointment);
+    if (now < opensAt) {
+      throw requestError(`The room opens at ${opensAt.toISOString()}`, 409);
+    }
+    if (now >= closesAt && appointment.status !== APPOINTMENT_STATUS.IN_PROGRESS) {
+      throw requestError('The time to join this appointment has passed', 409);
+    }
+
+    // A consultation that overruns keeps its room for another late allowance
+    const expiresAt = now >= closesAt
+      ? new Date(now.getTime() + config.telemedicineLateMinutes * 60 * 1000)
+      : closesAt;
+
+    const token = jwt.sign(
+      { appointmentId: String(appointment._id), participant: String(user._id), role },
+      config.jwtSecret,
+      {
+        audience: TOKEN_AUDIENCE,
+        expiresIn: Math.ceil((expiresAt.getTime() - now.getTime()) / 1000)
+      }
+    );
+
+    return {
+      token,
+      room: this.room(appointment._id),
+      role,
+      opensAt,
+      expiresAt,
+      meetingLink: await this.meetingLink(appointment)
+    };
+  }
+
+  /**
+   * Verify a room token
+   * @returns {Object} - { appointmentId, participant, role }
+   * @throws {Error} - If the token is invalid or expired
+   */
+  verifyToken(token) {
+    const decoded = jwt.verify(token, config.jwtSecret, { audience: TOKEN_AUDIENCE });
+    return {
+      appointmentId: decoded.appointmentId,
+      participant: decoded.participant,
+      role: decoded.role
+    };
+  }
+
+  /**
+   * The appointment's meeting link, recorded on the appointment the first time
+   * a room token is issued
+   */
+  async meetingLink(appointment) {
+    if (!appointment.location?.virtualMeetingLink) {
+      const link = `${config.clientUrl}/consultations/${appointment._id}`;
+
+      await appointment.constructor.updateOne(
+        { _id: appointment._id },
+        { $set: { 'location.type': 'virtual', 'location.virtualMeetingLink': link } }
+      );
+      appointment.set('location.type', 'virtual');
+      appointment.set('location.virtualMeetingLink', link);
+    }
+
+    return appointment.location.virtualMeetingLink;
+  }
+
+  /**
+   * Start the consultation. Only the provider can start a session.
+   */
+  async startSession(appointment, user) {
+    if (this.roleOf(appointment, user) !== 'provider') {
+      throw requestError('Only the provider can start the session', 403);
+    }
+
+    return appointment.startConsultation();
+  }
+
+  /**
+   * End the consultation, recording any consultation details, and capture the
+   * payment reserved at booking. Only the provider can end a session.
+   * @param {Object} [details] - Consultation fields and followUp
+   */
+  async endSession(appointment, user, details = {}) {
+    if (this.roleOf(appointment, user) !== 'provider') {
+      throw requestError('Only the provider can end the session', 403);
+    }
+
+    appointment.assertTransition(APPOINTMENT_STATUS.COMPLETED);
+
+    const consultationData = {};
+    for (const field of CONSULTATION_FIELDS) {
+      if (details[field] !== undefined) consultationData[field] = details[field];
+    }
+    if (details.followUp) appointment.followUp = details.followUp;
+
+    return appointmentPayment.completeAppointment(appointment, consultationData);
+  }
+}
+
+module.exports = new TelemedicineService();
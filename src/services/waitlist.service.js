@@ -0,0 +1,209 @@
+const WaitlistEntry = require('../models/waitlistEntry.model');
+const User = require('../models/user.model');
+const config = require('../config/config');
+const ledger = require('./ledger.service');
+const slots = require('./slot.service');
+const notifications = require('./notification.service');
+const appointmentPayment = require('./appointmentPayment.service');
+const { NOTIFICATION_TYPES } = require('../utils/constants');
+
+/**
+ * Offers freed appointment slots to waitlisted patients in the order they joined.
+ * An offered slot is held for the patient (see slot.service bookedIntervals)
+ * until they book it through the normal booking endpoint, decline it or the
+ * hold expires, after which it is offered to the next patient.
+ */
+class WaitlistService {
+  /**
+   * Offer a freed slot to the first waiting patient who wants it and whose
+   * service fits in it
+   * @param {ObjectId} providerId
+   * @param {Date} day - Calendar day (midnight UTC)
+   * @param {String} startTime - HH:mm
+   * @returns {Object|null} - Waitlist entry the slot was offered to
+   */
+  async offerFreedSlot(providerId, day, startTime) {
+    const provider = await User.findById(providerId).select('profile.firstName profile.lastName availability services preferences.timezone');
+    if (!provider) return null;
+
+    const offered = await ledger.runInSession(null, async (session) => {
+      await slots.lockProvider(providerId, session);
+
+      const waiting = await WaitlistEntry.find({ provider: providerId, status: 'waiting' })
+        .sort({ createdAt: 1 })
+        .session(session);
+
+      for (const entry of waiting) {
+        const alreadyOffered = entry.offerHistory.some(offer =>
+          offer.date?.getTime() === day.getTime() && offer.startTime === startTime
+        );
+        if (alreadyOffered) continue;
+
+        const pricing = appointmentPayment.priceService(provider, entry.service.serviceId);
+        if (!pricing) continue;
+
+        const duration = slots.durationFor(provider, pricing.service);
+        const endTime = slots.endTime(startTime, duration);
+        if (!entry.wants(day, startTime, endTime)) continue;
+
+        const unavailable = await slots.unavailableReason(provider, day, startTime, duration, { session });
+        if (unavailable) continue;
+
+        const now = new Date();
+        const offer = {
+          date: day,
+          startTime,
+          endTime,
+          duration,
+          offeredAt: now,
+          expiresAt: new Date(now.getTime() + config.waitlistHoldMinutes * 60 * 1000)
+        };
+
+        const claimed = await WaitlistEntry.findOneAndUpdate(
+          { _id: entry._id, status: 'waiting' },
+          {
+            $set: { status: 'offered', offer },
+            $push: { offerHistory: { date: day, startTime, offeredAt: now } }
+          },
+          { new: true, session }
+        );
+        if (claimed) return claimed;
+      }
+
+      return null;
+    });
+
+    if (offered) {
+      const providerName = `${provider.profile?.firstName || ''} ${provider.profile?.lastName || ''}`.trim() || 'Your provider';
+
+      await notifications.notify(offered.patient, {
+        type: NOTIFICATION_TYPES.APPOINTMENT,
+        title: 'A slot has opened up',
+        message: `${providerName} has a free slot on ${day.toISOString().slice(0, 10)} at ${startTime}. ` +
+          `It is held for you for ${config.waitlistHoldMinutes} minutes.`,
+        data: {
+          waitlistEntryId: offered._id,
+          providerId,
+          serviceId: offered.service.serviceId,
+          date: day.toISOString().slice(0, 10),
+          startTime,
+          expiresAt: offered.offer.expiresAt
+        }
+      });
+    }
+
+    return offered;
+  }
+
+  /**
+   * Offer the slots of cancelled or moved appointments to the waitlist. Errors
+   * are logged rather than thrown so they never fail the change that freed the slot.
+   * @param {Array} freed - [{ provider, date, startTime }]
+   */
+  async slotsFreed(freed) {
+    for (const { provider, date, startTime } of freed) {
+      try {
+        await this.offerFreedSlot(provider, date, startTime);
+      } catch (error) {
+        console.error('Waitlist offer error:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Give up the slot held for an entry (declined, expired or the patient left)
+   * and offer it to the next patient
+   * @param {ObjectId} entryId
+   * @param {String} outcome - declined or expired
+   * @param {Object} [options] - { status } Entry status afterwards (default waiting)
+   * @returns {Object|null} - Updated entry, or null if it held no slot
+   */
+  async releaseOffer(entryId, outcome, { status = 'waiting' } = {}) {
+    const filter = { _id: entryId, status: 'offered' };
+    if (outcome === 'expired') {
+      filter['offer.expiresAt'] = { $lte: new Date() };
+    }
+
+    // Only one caller wins the release, so the slot is passed on once
+    const previous = await WaitlistEntry.findOneAndUpdate(filter, { $set: { status }, $unset: { offer: 1 } });
+    if (!previous) return null;
+
+    const { date, startTime } = previous.offer;
+    await WaitlistEntry.updateOne(
+      { _id: entryId },
+      { $set: { 'offerHistory.$[held].outcome': outcome } },
+      { arrayFilters: [{ 'held.date': date, 'held.startTime': startTime, 'held.outcome': { $exists: false } }] }
+    );
+
+    await this.slotsFreed([{ provider: previous.provider, date, startTime }]);
+
+    return WaitlistEntry.findById(entryId);
+  }
+
+  /**
+   * Close the patient's waitlist entry once they book with the provider. Call
+   * inside the booking transaction.
+   * @param {Object} appointment - Newly booked appointment
+   * @param {String} serviceId - Service booked
+   */
+  async markBooked(appointment, serviceId, session) {
+    const held = {
+      patient: appointment.patient,
+      provider: appointment.provider,
+      status: 'offered',
+      'offer.date': appointment.scheduledDate,
+      'offer.startTime': appointment.scheduledTime.startTime
+    };
+    const waiting = {
+      patient: appointment.patient,
+      provider: appointment.provider,
+      status: 'waiting',
+      'service.serviceId': serviceId
+    };
+
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { $or: [held, waiting] },
+      { $set: { status: 'booked', appointment: appointment._id }, $unset: { offer: 1 } },
+      { session, sort: { status: 1 } }
+    );
+
+    if (entry?.status === 'offered') {
+      await WaitlistEntry.updateOne(
+        { _id: entry._id },
+        { $set: { 'offerHistory.$[held].outcome': 'claimed' } },
+        { session, arrayFilters: [{ 'held.outcome': { $exists: false } }] }
+      );
+    }
+
+    return entry;
+  }
+
+  /**
+   * Pass expired holds on to the next patient and close entries whose preferred
+   * windows have all passed
+   * @returns {Object} - { released, expired }
+   */
+  async runDue({ now = new Date() } = {}) {
+    const due = await WaitlistEntry.find({ status: 'offered', 'offer.expiresAt': { $lte: now } }).select('_id');
+
+    const released = [];
+    for (const entry of due) {
+      if (await this.releaseOffer(entry._id, 'expired')) {
+        released.push(entry._id);
+      }
+    }
+
+    const { modifiedCount } = await WaitlistEntry.updateMany(
+      {
+        status: 'waiting',
+        'preferredWindows.0': { $exists: true },
+        'preferredWindows.to': { $not: { $gte: slots.parseDate(now) } }
+      },
+      { $set: { status: 'expired' } }
+    );
+
+    return { released, expired: modifiedCount };
+  }
+}
+
+module.exports = new WaitlistService();
@@ -0,0 +1,138 @@
+const Transaction = require('../models/transaction.model');
+
+// Outgoing transactions that count as spent: committed funds, whether captured yet or not
+const SPENDING_STATUSES = ['pending', 'processing', 'completed'];
+
+// A limit of 0 is a limit; only a missing limit means none
+const isSet = (limit) => limit !== undefined && limit !== null;
+
+/**
+ * Daily, monthly and per-transaction spending limits for wallets.
+ * Usage is aggregated from outgoing transactions that are completed or still
+ * holding funds (pending reservations such as bookings, orders and withdrawals),
+ * so funds count against the day they were committed.
+ */
+class WalletLimitsService {
+  /**
+   * Start of the current day and month (server time)
+   */
+  periodStarts(now = new Date()) {
+    return {
+      startOfDay: new Date(now.getFullYear(), now.getMonth(), now.getDate()),
+      startOfMonth: new Date(now.getFullYear(), now.getMonth(), 1)
+    };
+  }
+
+  /**
+   * Aggregate spending for the current day and month
+   * @param {ObjectId} walletId - Wallet to aggregate
+   * @param {Object} [options] - { session, excludeTransaction }
+   * @returns {Object} - { daily: { amount, transactions }, monthly: { amount, transactions } }
+   */
+  async getUsage(walletId, { session, excludeTransaction } = {}) {
+    const { startOfDay, startOfMonth } = this.periodStarts();
+
+    const match = {
+      'from.wallet': walletId,
+      status: { $in: SPENDING_STATUSES },
+      direction: { $ne: 'incoming' },
+      type: { $ne: 'reversal' },
+      createdAt: { $gte: startOfMonth }
+    };
+    if (excludeTransaction) {
+      match._id = { $ne: excludeTransaction };
+    }
+
+    const [result] = await Transaction.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          daily: [
+            { $match: { createdAt: { $gte: startOfDay } } },
+            { $group: { _id: null, amount: { $sum: '$amount.value' }, transactions: { $sum: 1 } } }
+          ],
+          monthly: [
+            { $group: { _id: null, amount: { $sum: '$amount.value' }, transactions: { $sum: 1 } } }
+          ]
+        }
+      }
+    ]).session(session || null);
+
+    const totals = (bucket) => ({
+      amount: Math.round((bucket[0]?.amount || 0) * 100) / 100,
+      transactions: bucket[0]?.transactions || 0
+    });
+
+    return {
+      daily: totals(result.daily),
+      monthly: totals(result.monthly)
+    };
+  }
+
+  /**
+   * Check whether a wallet may spend an amount
+   * @param {Object} wallet - Wallet document
+   * @param {Number} amount - Amount about to leave the wallet
+   * @param {Object} [options] - { session, excludeTransaction }
+   * @returns {Object} - { valid, reason, usage }
+   */
+  async check(wallet, amount, options = {}) {
+    const limits = wallet.limits || {};
+
+    if (isSet(limits.perTransaction) && amount > limits.perTransaction) {
+      return { valid: false, reason: 'Exceeds per-transaction limit' };
+    }
+
+    const hasPeriodLimits = ['daily', 'monthly'].some(period =>
+      isSet(limits[period]?.amount) || isSet(limits[period]?.transactions)
+    );
+    if (!hasPeriodLimits) {
+      return { valid: true };
+    }
+
+    const usage = await this.getUsage(wallet._id, options);
+
+    for (const period of ['daily', 'monthly']) {
+      const limit = limits[period] || {};
+
+      if (isSet(limit.amount) && usage[period].amount + amount > limit.amount) {
+        return { valid: false, reason: `Exceeds ${period} spending limit`, usage };
+      }
+
+      if (isSet(limit.transactions) && usage[period].transactions + 1 > limit.transactions) {
+        return { valid: false, reason: `Exceeds ${period} transaction limit`, usage };
+      }
+    }
+
+    return { valid: true, usage };
+  }
+
+  /**
+   * Limits, usage and remaining allowance for a wallet
+   */
+  async summary(wallet) {
+    const limits = wallet.limits || {};
+    const usage = await this.getUsage(wallet._id);
+
+    const remaining = {};
+    ['daily', 'monthly'].forEach(period => {
+      const limit = limits[period] || {};
+      remaining[period] = {
+        amount: isSet(limit.amount) ? Math.max(0, Math.round((limit.amount - usage[period].amount) * 100) / 100) : null,
+        transactions: isSet(limit.transactions) ? Math.max(0, limit.transactions - usage[period].transactions) : null
+      };
+    });
+
+    return {
+      limits: {
+        daily: { amount: limits.daily?.amount ?? null, transactions: limits.daily?.transactions ?? null },
+        monthly: { amount: limits.monthly?.amount ?? null, transactions: limits.monthly?.transactions ?? null },
+        perTransaction: limits.perTransaction ?? null
+      },
+      usage,
+      remaining
+    };
+  }
+}
+
+module.exports = new WalletLimitsService();
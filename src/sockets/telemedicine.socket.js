@@ -0,0 +1,186 @@
+const Appointment = require('../models/appointment.model');
+const telemedicine = require('../services/telemedicine.service');
+const { verifyAccessToken } = require('../middleware/auth.middleware');
+
+const NAMESPACE = '/telemedicine';
+
+// Chat messages are relayed, not stored
+const MAX_CHAT_LENGTH = 2000;
+
+/**
+ * Reply to an event's acknowledgement callback, if the client sent one
+ */
+const reply = (ack, payload) => {
+  if (typeof ack === 'function') ack(payload);
+};
+
+/**
+ * The event payload if it is an object, else an empty one. Clients can send
+ * anything, including null, which destructuring defaults do not cover.
+ */
+const payloadOf = (payload) => (payload && typeof payload === 'object' ? payload : {});
+
+/**
+ * Wrap an event handler so that it cannot throw. socket.io calls listeners
+ * without catching their errors, and an uncaught exception stops the server.
+ */
+const safely = (event, handler) => async (...args) => {
+  try {
+    await handler(...args);
+  } catch (error) {
+    console.error(`Telemedicine ${event} error:`, error.message);
+    reply(args[args.length - 1], { success: false, error: `Failed to handle ${event}` });
+  }
+};
+
+/**
+ * Load the socket's appointment fresh, so session events act on its current status
+ */
+const loadAppointment = (socket) =>
+  Appointment.findById(socket.data.appointmentId).populate('provider', 'preferences.timezone');
+
+/**
+ * Authenticate a connection: the access token (auth.token) identifies the user
+ * and the room token (auth.roomToken) admits them to one appointment's room
+ */
+async function authenticateSocket(socket, next) {
+  try {
+    const { token, roomToken } = socket.handshake.auth || {};
+    if (!token || !roomToken) {
+      return next(new Error('Access token and room token are required'));
+    }
+
+    const user = await verifyAccessToken(token);
+
+    let claims;
+    try {
+      claims = telemedicine.verifyToken(roomToken);
+    } catch (error) {
+      return next(new Error('Invalid or expired room token'));
+    }
+
+    if (claims.participant !== String(user._id)) {
+      return next(new Error('Room token was issued to another user'));
+    }
+
+    const appointment = await Appointment.findById(claims.appointmentId).select('patient provider status');
+    if (!appointment || !telemedicine.roleOf(appointment, user)) {
+      return next(new Error('Appointment not found'));
+    }
+    if (!telemedicine.isJoinable(appointment)) {
+      return next(new Error(`Cannot join a ${appointment.status} appointment`));
+    }
+
+    socket.data.user = user;
+    socket.data.role = telemedicine.roleOf(appointment, user);
+    socket.data.appointmentId = claims.appointmentId;
+    socket.data.room = telemedicine.room(claims.appointmentId);
+    next();
+  } catch (error) {
+    next(new Error(error.isAuthError ? error.message : 'Authentication failed'));
+  }
+}
+
+/**
+ * Attach the telemedicine namespace to a socket.io server.
+ *
+ * Clients connect to /telemedicine with auth { token, roomToken } and are
+ * placed in their appointment's room. Events:
+ * - signal: WebRTC offers, answers and ICE candidates, relayed to the other
+ *   participants (or to one socket when `to` is given)
+ * - chat:message: text chat, relayed to everyone in the room
+ * - session:start / session:end: provider only; start and complete the
+ *   consultation, announced to the room as session:started / session:ended
+ * - participant:joined / participant:left: presence, sent by the server
+ * @param {Object} io - socket.io Server
+ * @returns {Object} - The namespace
+ */
+function attach(io) {
+  const namespace = io.of(NAMESPACE);
+
+  namespace.use(authenticateSocket);
+
+  namespace.on('connection', (socket) => {
+    const { user, role, room, appointmentId } = socket.data;
+    const participant = { socketId: socket.id, userId: String(user._id), role };
+
+    socket.join(room);
+    socket.to(room).emit('participant:joined', participant);
+
+    socket.on('signal', safely('signal', (payload) => {
+      const { to, data } = payloadOf(payload);
+      if (data === undefined) return;
+
+      const message = { from: socket.id, userId: participant.userId, role, data };
+      if (to) {
+        // Only relay to sockets in the same appointment room
+        if (namespace.adapter.rooms.get(room)?.has(to)) {
+          namespace.to(to).emit('signal', message);
+        }
+      } else {
+        socket.to(room).emit('signal', message);
+      }
+    }));
+
+    socket.on('chat:message', safely('chat:message', (payload, ack) => {
+      const { text } = payloadOf(payload);
+      const body = typeof text === 'string' ? text.trim() : '';
+      if (!body || body.length > MAX_CHAT_LENGTH) {
+        return reply(ack, { success: false, error: `Message must be 1-${MAX_CHAT_LENGTH} characters` });
+      }
+
+      const message = { from: socket.id, userId: participant.userId, role, text: body, sentAt: new Date() };
+      namespace.to(room).emit('chat:message', message);
+      reply(ack, { success: true, data: message });
+    }));
+
+    socket.on('session:start', safely('session:start', async (payload, ack) => {
+      if (typeof payload === 'function') [ack, payload] = [payload, undefined];
+
+      try {
+        const appointment = await loadAppointment(socket);
+        await telemedicine.startSession(appointment, user);
+
+        const started = {
+          appointmentId,
+          status: appointment.status,
+          startTime: appointment.consultation.startTime
+        };
+        namespace.to(room).emit('session:started', started);
+        reply(ack, { success: true, data: started });
+      } catch (error) {
+        reply(ack, { success: false, error: error.message });
+      }
+    }));
+
+    socket.on('session:end', safely('session:end', async (details, ack) => {
+      if (typeof details === 'function') [ack, details] = [details, undefined];
+
+      try {
+        const appointment = await loadAppointment(socket);
+        await telemedicine.endSession(appointment, user, payloadOf(details));
+
+        const ended = {
+          appointmentId,
+          status: appointment.status,
+          endTime: appointment.consultation.endTime
+        };
+        namespace.to(room).emit('session:ended', ended);
+        reply(ack, { success: true, data: ended });
+
+        // The room closes with the consultation
+        namespace.in(room).disconnectSockets(true);
+      } catch (error) {
+        reply(ack, { success: false, error: error.message });
+      }
+    }));
+
+    socket.on('disconnect', safely('disconnect', () => {
+      socket.to(room).emit('participant:left', participant);
+    }));
+  });
+
+  return namespace;
+}
+
+module.exports = { attach, NAMESPACE };
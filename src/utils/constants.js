@@ -28,6 +28,56 @@ exports.APPOINTMENT_STATUS = {
   RESCHEDULED: 'rescheduled'
 };
 
+// Allowed appointment status changes (completed, cancelled and no-show are final)
+exports.APPOINTMENT_TRANSITIONS = {
+  scheduled: ['confirmed', 'rescheduled', 'in-progress', 'cancelled', 'no-show'],
+  confirmed: ['rescheduled', 'in-progress', 'cancelled', 'no-show'],
+  rescheduled: ['confirmed', 'rescheduled', 'in-progress', 'cancelled', 'no-show'],
+  'in-progress': ['completed'],
+  completed: [],
+  cancelled: [],
+  'no-show': []
+};
+
+// Lab Order Status
+exports.LAB_ORDER_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+  SAMPLE_COLLECTED: 'sample_collected',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+// Allowed lab order status changes (completed, rejected and cancelled are final)
+exports.LAB_ORDER_TRANSITIONS = {
+  pending: ['accepted', 'rejected', 'cancelled'],
+  accepted: ['sample_collected', 'cancelled'],
+  sample_collected: ['completed'],
+  completed: [],
+  rejected: [],
+  cancelled: []
+};
+
+// Vendor Order Status
+exports.ORDER_STATUS = {
+  PAID: 'paid',
+  FULFILLED: 'fulfilled',
+  SHIPPED: 'shipped',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled'
+};
+
+// Allowed order status changes. Only pickup orders go from fulfilled straight to delivered;
+// order.service rejects that step for delivery orders, which must be shipped first
+exports.ORDER_TRANSITIONS = {
+  paid: ['fulfilled', 'cancelled'],
+  fulfilled: ['shipped', 'delivered', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
 // Transaction Types
 exports.TRANSACTION_TYPES = {
   PAYMENT: 'payment',
@@ -35,7 +85,9 @@ exports.TRANSACTION_TYPES = {
   DEPOSIT: 'deposit',
   WITHDRAWAL: 'withdrawal',
   TRANSFER: 'transfer',
-  SPONSORSHIP: 'sponsorship'
+  SPONSORSHIP: 'sponsorship',
+  REVERSAL: 'reversal',
+  SETTLEMENT: 'settlement'
 };
 
 // Wallet Types
@@ -44,9 +96,25 @@ exports.WALLET_TYPES = {
   SPONSORED: 'sponsored',
   GLOBAL: 'global',
   PROVIDER: 'provider',
-  VENDOR: 'vendor'
+  VENDOR: 'vendor',
+  PLATFORM: 'platform'
 };
 
+// Ledger Accounts
+exports.LEDGER_ACCOUNTS = {
+  WALLET_AVAILABLE: 'wallet_available',
+  WALLET_PENDING: 'wallet_pending',
+  WALLET_RESERVED: 'wallet_reserved',
+  EXTERNAL_FUNDING: 'external_funding',
+  EXTERNAL_SETTLEMENT: 'external_settlement'
+};
+
+// Wallet Currencies
+exports.SUPPORTED_CURRENCIES = ['USD', 'NGN', 'KES', 'GHS', 'ZAR', 'UGX', 'EUR', 'GBP'];
+
+// Currency new wallets fall back to when the owner's preference is unsupported
+exports.DEFAULT_CURRENCY = 'USD';
+
 // Blood Types
 exports.BLOOD_TYPES = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
 
@@ -0,0 +1,216 @@
+const Appointment = require('../src/models/appointment.model');
+const User = require('../src/models/user.model');
+const Wallet = require('../src/models/wallet.model');
+const ledger = require('../src/services/ledger.service');
+const appointmentPayment = require('../src/services/appointmentPayment.service');
+const slots = require('../src/services/slot.service');
+const waitlist = require('../src/services/waitlist.service');
+const reminders = require('../src/services/reminder.service');
+const appointmentController = require('../src/controllers/appointment.controller');
+
+const session = { id: 'session' };
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Query stub for model calls chained with .session()
+const withSession = (doc) => ({ session: jest.fn().mockResolvedValue(doc) });
+
+describe('appointment create', () => {
+  const provider = {
+    _id: 'provider-id',
+    services: [{ serviceId: 'consult', name: 'Consultation', price: 40 }]
+  };
+  // Wallet as planSplit read it, before the booking transaction
+  const planned = { _id: 'wallet-id', balance: { available: 100, currency: 'USD' } };
+  let req;
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(provider);
+    jest.spyOn(appointmentPayment, 'planSplit').mockResolvedValue({
+      portions: [{ source: 'personal', wallet: planned, amount: 40, conversion: { amount: 40, currency: 'USD' } }]
+    });
+    jest.spyOn(appointmentPayment, 'reserve').mockResolvedValue([]);
+    jest.spyOn(ledger, 'runInSession').mockImplementation((existing, fn) => fn(session));
+    jest.spyOn(slots, 'lockProvider').mockResolvedValue();
+    jest.spyOn(slots, 'unavailableReason').mockResolvedValue(null);
+    jest.spyOn(Appointment, 'create').mockImplementation(async ([doc]) => [{ _id: 'appointment-id', ...doc }]);
+    jest.spyOn(waitlist, 'markBooked').mockResolvedValue();
+    jest.spyOn(reminders, 'scheduleAll').mockResolvedValue();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    req = {
+      user: { _id: 'patient-id', userType: 'patient' },
+      body: { providerId: 'provider-id', serviceId: 'consult', date: '2026-11-02', time: '09:30', reason: 'Checkup' }
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reserves from the wallets as read in the booking transaction', async () => {
+    const current = { _id: 'wallet-id', balance: { available: 60, currency: 'USD' } };
+    jest.spyOn(Wallet, 'findById').mockReturnValue(withSession(current));
+
+    const res = mockResponse();
+    await appointmentController.create(req, res);
+
+    expect(Wallet.findById).toHaveBeenCalledWith('wallet-id');
+    expect(Wallet.findById.mock.results[0].value.session).toHaveBeenCalledWith(session);
+    const [, , portions, reserveSession] = appointmentPayment.reserve.mock.calls[0];
+    expect(portions[0].wallet).toBe(current);
+    expect(reserveSession).toBe(session);
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it('refuses the booking when the balance was spent since it was planned', async () => {
+    jest.spyOn(Wallet, 'findById').mockReturnValue(withSession({ _id: 'wallet-id', balance: { available: 10 } }));
+
+    const res = mockResponse();
+    await appointmentController.create(req, res);
+
+    expect(appointmentPayment.reserve).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Insufficient balance in personal wallet' }));
+  });
+});
+
+describe('appointment reschedule', () => {
+  const provider = { _id: 'provider-id', availability: {} };
+
+  // Appointment as stored: each read returns a fresh copy
+  const stored = () => ({
+    _id: 'appointment-id',
+    provider: 'provider-id',
+    status: 'scheduled',
+    scheduledDate: new Date('2026-11-02T00:00:00Z'),
+    scheduledTime: { startTime: '09:30', duration: 30 },
+    consultation: {},
+    assertTransition: jest.fn(),
+    reschedule: jest.fn().mockResolvedValue()
+  });
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(provider) });
+    jest.spyOn(slots, 'lockProvider').mockResolvedValue();
+    jest.spyOn(slots, 'unavailableReason').mockResolvedValue(null);
+    jest.spyOn(waitlist, 'slotsFreed').mockResolvedValue();
+    jest.spyOn(reminders, 'scheduleAll').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('moves the appointment as stored when the transaction is retried', async () => {
+    const loaded = stored();
+    const attempts = [stored(), stored()];
+    attempts[0].reschedule.mockRejectedValue(new Error('WriteConflict'));
+
+    jest.spyOn(Appointment, 'findOne').mockResolvedValue(loaded);
+    jest.spyOn(Appointment, 'findById').mockImplementation(() => withSession(attempts[Appointment.findById.mock.calls.length - 1]));
+    // Run the callback again after a transient failure, as the driver does
+    jest.spyOn(ledger, 'runInSession').mockImplementation(async (existing, fn) => {
+      try {
+        return await fn(session);
+      } catch (error) {
+        return fn(session);
+      }
+    });
+
+    const req = {
+      params: { id: 'appointment-id' },
+      user: { _id: 'patient-id', userType: 'patient' },
+      body: { date: '2026-11-03', time: '10:00' }
+    };
+    const res = mockResponse();
+    await appointmentController.reschedule(req, res);
+
+    expect(slots.lockProvider).toHaveBeenCalledTimes(2);
+    expect(attempts[1].reschedule).toHaveBeenCalledWith(
+      new Date('2026-11-03T00:00:00Z'),
+      { startTime: '10:00', endTime: '10:30', duration: 30 },
+      'patient-id',
+      undefined,
+      { session }
+    );
+    expect(loaded.reschedule).not.toHaveBeenCalled();
+    expect(waitlist.slotsFreed).toHaveBeenCalledWith([
+      { provider: 'provider-id', date: new Date('2026-11-02T00:00:00Z'), startTime: '09:30' }
+    ]);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ data: attempts[1] }));
+  });
+});
+
+describe('appointment reads', () => {
+  const listing = () => {
+    const query = {
+      populate: jest.fn(() => query),
+      sort: jest.fn(() => query),
+      skip: jest.fn(() => query),
+      limit: jest.fn().mockResolvedValue([])
+    };
+    return query;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Appointment, 'find').mockImplementation(listing);
+    jest.spyOn(Appointment, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lists only the provider\'s own appointments', async () => {
+    const res = mockResponse();
+    await appointmentController.getAll({ params: {}, query: {}, user: { _id: 'provider-id', userType: 'provider' } }, res);
+
+    expect(Appointment.find).toHaveBeenCalledWith({ provider: 'provider-id' });
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('lists every appointment for an admin', async () => {
+    const res = mockResponse();
+    await appointmentController.getAll({ params: {}, query: {}, user: { _id: 'admin-id', userType: 'admin' } }, res);
+
+    expect(Appointment.find).toHaveBeenCalledWith({});
+  });
+
+  it.each(['vendor', 'sponsor'])('does not list appointments for a %s', async (userType) => {
+    const res = mockResponse();
+    await appointmentController.getAll({ params: {}, query: {}, user: { _id: 'user-id', userType } }, res);
+
+    expect(Appointment.find).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it.each(['vendor', 'sponsor'])('does not show an appointment to a %s', async (userType) => {
+    jest.spyOn(Appointment, 'findOne');
+
+    const res = mockResponse();
+    await appointmentController.getById({ params: { id: 'appointment-id' }, user: { _id: 'user-id', userType } }, res);
+
+    expect(Appointment.findOne).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('looks up a patient\'s own appointment by id', async () => {
+    const query = { populate: jest.fn(() => query) };
+    query.populate.mockReturnValueOnce(query).mockResolvedValueOnce({ _id: 'appointment-id' });
+    jest.spyOn(Appointment, 'findOne').mockReturnValue(query);
+
+    const res = mockResponse();
+    await appointmentController.getById({ params: { id: 'appointment-id' }, user: { _id: 'patient-id', userType: 'patient' } }, res);
+
+    expect(Appointment.findOne).toHaveBeenCalledWith({ _id: 'appointment-id', patient: 'patient-id' });
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+});
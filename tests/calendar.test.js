@@ -0,0 +1,39 @@
+const Appointment = require('../src/models/appointment.model');
+const { downloadAppointment } = require('../src/controllers/calendar.controller');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  return res;
+};
+
+describe('downloadAppointment', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each(['vendor', 'sponsor'])('does not give a %s the appointment', async (userType) => {
+    jest.spyOn(Appointment, 'findOne');
+
+    const res = mockResponse();
+    await downloadAppointment({ params: { id: 'appointment-id' }, user: { _id: 'user-id', userType } }, res);
+
+    expect(Appointment.findOne).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('looks up only the provider\'s own appointment', async () => {
+    const query = { populate: jest.fn(() => query) };
+    query.populate.mockReturnValueOnce(query).mockResolvedValueOnce(null);
+    jest.spyOn(Appointment, 'findOne').mockReturnValue(query);
+
+    const res = mockResponse();
+    await downloadAppointment({ params: { id: 'appointment-id' }, user: { _id: 'provider-id', userType: 'provider' } }, res);
+
+    expect(Appointment.findOne).toHaveBeenCalledWith({ _id: 'appointment-id', provider: 'provider-id' });
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
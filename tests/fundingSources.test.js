@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+const Wallet = require('../src/models/wallet.model');
+const Sponsorship = require('../src/models/sponsorship.model');
+const User = require('../src/models/user.model');
+const walletController = require('../src/controllers/wallet.controller');
+
+const userId = new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const walletDoc = (fundingSources = []) => {
+  const wallet = Wallet.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    walletId: 'WALLET-1',
+    owner: userId,
+    type: 'personal',
+    balance: { available: 0, pending: 0, reserved: 0, currency: 'USD' },
+    fundingSources
+  });
+  wallet.save = jest.fn().mockResolvedValue(wallet);
+  return wallet;
+};
+
+const bankSource = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  type: 'bank',
+  processor: 'paystack',
+  token: 'AUTH_bank_1',
+  details: { last4: '1234', bankName: 'First Bank', accountName: 'Ada Obi' },
+  isDefault: true,
+  addedAt: new Date(),
+  ...overrides
+});
+
+describe('funding sources', () => {
+  let wallet;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const useWallet = (sources) => {
+    wallet = walletDoc(sources);
+    jest.spyOn(Wallet, 'findOne').mockResolvedValue(wallet);
+  };
+
+  it('saves a bank source from its processor token', async () => {
+    useWallet([]);
+    const req = {
+      user: { _id: userId },
+      body: {
+        type: 'bank',
+        processor: 'paystack',
+        token: 'AUTH_bank_1',
+        details: { last4: '1234', bankName: 'First Bank', accountName: 'Ada Obi', brand: 'ignored' }
+      }
+    };
+    const res = mockResponse();
+
+    await walletController.addFundingSource(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(wallet.fundingSources[0].token).toBe('AUTH_bank_1');
+    const { data } = res.json.mock.calls[0][0];
+    expect(data).toMatchObject({ type: 'bank', processor: 'paystack', isDefault: true });
+    expect(data.details).toMatchObject({ last4: '1234', bankName: 'First Bank', accountName: 'Ada Obi' });
+    expect(data.details.brand).toBeUndefined();
+    expect(data.token).toBeUndefined();
+  });
+
+  it('saves a mobile money source', async () => {
+    useWallet([bankSource()]);
+    const req = {
+      user: { _id: userId },
+      body: { type: 'mobile_money', processor: 'mpesa', token: 'MM-TOKEN', details: { network: 'Safaricom' } }
+    };
+    const res = mockResponse();
+
+    await walletController.addFundingSource(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json.mock.calls[0][0].data).toMatchObject({ type: 'mobile_money', isDefault: false });
+  });
+
+  it('needs a processor token for bank sources', async () => {
+    useWallet([]);
+    const res = mockResponse();
+
+    await walletController.addFundingSource({ user: { _id: userId }, body: { type: 'bank', processor: 'paystack' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(wallet.save).not.toHaveBeenCalled();
+  });
+
+  it('rejects raw account numbers', async () => {
+    useWallet([]);
+    const res = mockResponse();
+
+    await walletController.addFundingSource({
+      user: { _id: userId },
+      body: { type: 'bank', processor: 'paystack', token: 'AUTH', details: { accountNumber: '0123456789' } }
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(Wallet.findOne).not.toHaveBeenCalled();
+  });
+
+  it('saves a sponsor source for a sponsorship of the user', async () => {
+    useWallet([]);
+    jest.spyOn(Sponsorship, 'findOne').mockResolvedValue({ sponsorshipId: 'SPN-1', sponsor: 'sponsor-id' });
+    jest.spyOn(User, 'findById').mockReturnValue({
+      select: jest.fn().mockResolvedValue({ profile: { firstName: 'Grace', lastName: 'Hopper' } })
+    });
+    const res = mockResponse();
+
+    await walletController.addFundingSource({ user: { _id: userId }, body: { type: 'sponsor', sponsorshipId: 'SPN-1' } }, res);
+
+    expect(Sponsorship.findOne).toHaveBeenCalledWith({
+      sponsorshipId: 'SPN-1',
+      beneficiary: userId,
+      status: { $in: ['pending', 'active'] }
+    });
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json.mock.calls[0][0].data).toMatchObject({
+      type: 'sponsor',
+      processor: 'sponsorship',
+      details: expect.objectContaining({ accountName: 'Grace Hopper' })
+    });
+  });
+
+  it('does not save another user\'s sponsorship', async () => {
+    useWallet([]);
+    jest.spyOn(Sponsorship, 'findOne').mockResolvedValue(null);
+    const res = mockResponse();
+
+    await walletController.addFundingSource({ user: { _id: userId }, body: { type: 'sponsor', sponsorshipId: 'SPN-2' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(wallet.save).not.toHaveBeenCalled();
+  });
+
+  it('updates a bank source\'s token and details', async () => {
+    const source = bankSource();
+    useWallet([source]);
+    const req = {
+      user: { _id: userId },
+      params: { sourceId: source._id.toString() },
+      body: { token: 'AUTH_bank_2', details: { accountName: 'Ada Obi-Eze' } }
+    };
+    const res = mockResponse();
+
+    await walletController.updateFundingSource(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const saved = wallet.fundingSources.id(source._id);
+    expect(saved.token).toBe('AUTH_bank_2');
+    expect(saved.details).toMatchObject({ accountName: 'Ada Obi-Eze', bankName: 'First Bank', last4: '1234' });
+    expect(wallet.save).toHaveBeenCalled();
+  });
+
+  it('makes an updated source the default', async () => {
+    const current = bankSource();
+    const other = bankSource({ token: 'AUTH_bank_3', isDefault: false });
+    useWallet([current, other]);
+    const res = mockResponse();
+
+    await walletController.updateFundingSource({
+      user: { _id: userId },
+      params: { sourceId: other._id.toString() },
+      body: { isDefault: true }
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(wallet.fundingSources.id(current._id).isDefault).toBe(false);
+    expect(wallet.fundingSources.id(other._id).isDefault).toBe(true);
+  });
+
+  it('does not let a card\'s details be edited', async () => {
+    const card = bankSource({ type: 'card', processor: 'stripe', token: 'pm_1', details: { brand: 'visa', last4: '4242' } });
+    useWallet([card]);
+    const res = mockResponse();
+
+    await walletController.updateFundingSource({
+      user: { _id: userId },
+      params: { sourceId: card._id.toString() },
+      body: { details: { last4: '0000' } }
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(wallet.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const Wallet = require('../src/models/wallet.model');
+const LedgerEntry = require('../src/models/ledgerEntry.model');
+const ledger = require('../src/services/ledger.service');
+
+const session = { id: 'session' };
+const liveSince = new Date('2026-03-01T00:00:00Z');
+
+// Query stub for model calls chained with .select() and .session()
+const query = (result) => {
+  const chain = {
+    select: jest.fn(() => chain),
+    session: jest.fn().mockResolvedValue(result)
+  };
+  return chain;
+};
+
+describe('ledger.postOpeningBalances', () => {
+  const walletId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.spyOn(ledger, 'runInSession').mockImplementation((existing, fn) => fn(session));
+    jest.spyOn(ledger, 'post').mockImplementation(async (entry) => entry);
+    jest.spyOn(Wallet, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: walletId }]) });
+    jest.spyOn(LedgerEntry, 'exists').mockReturnValue(query(null));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('posts what the journal does not account for, just before the ledger went live', async () => {
+    jest.spyOn(Wallet, 'findById').mockReturnValue(query({
+      walletId: 'WALLET-1',
+      balance: { available: 120, pending: 0, reserved: 30, currency: 'NGN' }
+    }));
+    // Movements since the ledger went live: a 20 deposit settled, 30 reserved
+    jest.spyOn(ledger, 'computeWalletBalances').mockResolvedValue(new Map([
+      [walletId.toString(), { available: -10, pending: 0, reserved: 30 }]
+    ]));
+
+    const result = await ledger.postOpeningBalances({ liveSince });
+
+    expect(Wallet.find).toHaveBeenCalledWith({ createdAt: { $lt: liveSince } });
+    expect(ledger.computeWalletBalances).toHaveBeenCalledWith([walletId], session);
+    expect(ledger.post).toHaveBeenCalledWith({
+      operation: 'opening_balance',
+      postings: [
+        { account: 'wallet_available', wallet: walletId, credit: 130 },
+        { account: 'external_funding', debit: 130 }
+      ],
+      currency: 'NGN',
+      description: 'Opening balance on WALLET-1',
+      postedAt: new Date(liveSince.getTime() - 1)
+    }, session);
+    expect(result.posted).toEqual([{
+      wallet: walletId,
+      walletId: 'WALLET-1',
+      amounts: [{ account: 'wallet_available', amount: 130 }]
+    }]);
+  });
+
+  it('skips wallets the journal already matches', async () => {
+    jest.spyOn(Wallet, 'findById').mockReturnValue(query({
+      walletId: 'WALLET-1',
+      balance: { available: 50, pending: 0, reserved: 0, currency: 'USD' }
+    }));
+    jest.spyOn(ledger, 'computeWalletBalances').mockResolvedValue(new Map([
+      [walletId.toString(), { available: 50, pending: 0, reserved: 0 }]
+    ]));
+
+    const result = await ledger.postOpeningBalances({ liveSince });
+
+    expect(ledger.post).not.toHaveBeenCalled();
+    expect(result.posted).toEqual([]);
+  });
+
+  it('posts each wallet at most once', async () => {
+    LedgerEntry.exists.mockReturnValue(query({ _id: 'entry-id' }));
+    jest.spyOn(Wallet, 'findById');
+
+    const result = await ledger.postOpeningBalances({ liveSince });
+
+    expect(LedgerEntry.exists).toHaveBeenCalledWith({ operation: 'opening_balance', 'postings.wallet': walletId });
+    expect(Wallet.findById).not.toHaveBeenCalled();
+    expect(result.posted).toEqual([]);
+  });
+});
@@ -0,0 +1,379 @@
+jest.mock('../src/controllers/withdrawal.controller', () => ({
+  releaseWithdrawal: jest.fn()
+}));
+
+const config = require('../src/config/config');
+const Wallet = require('../src/models/wallet.model');
+const Transaction = require('../src/models/transaction.model');
+const Withdrawal = require('../src/models/withdrawal.model');
+const User = require('../src/models/user.model');
+const ledger = require('../src/services/ledger.service');
+const payout = require('../src/services/payout.service');
+const { releaseWithdrawal } = require('../src/controllers/withdrawal.controller');
+const { approveWithdrawal, resolveWithdrawal } = require('../src/controllers/withdrawalAdmin.controller');
+
+const session = { id: 'session' };
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Query stub for model calls chained with .session()
+const withSession = (doc) => ({ session: jest.fn().mockResolvedValue(doc) });
+
+const withdrawalDoc = (overrides = {}) => ({
+  _id: 'withdrawal-id',
+  withdrawalId: 'WD-1',
+  owner: 'owner-id',
+  wallet: 'wallet-id',
+  transaction: 'transaction-id',
+  amount: 50,
+  currency: 'USD',
+  method: 'bank',
+  destination: { accountNumber: '0001112223' },
+  updateStatus: jest.fn(),
+  save: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+describe('payout.service', () => {
+  afterEach(() => {
+    payout.useAdapter(null);
+  });
+
+  it('sends the withdrawal through the active adapter', async () => {
+    const adapter = new payout.LocalPayoutAdapter();
+    payout.useAdapter(adapter);
+
+    const result = await payout.send(withdrawalDoc());
+
+    expect(result).toMatchObject({ success: true, responseCode: 'OK', adapter: 'local' });
+    expect(result.reference).toMatch(/^LOCAL-/);
+    expect(adapter.sent).toEqual([expect.objectContaining({
+      withdrawalId: 'WD-1',
+      amount: 50,
+      currency: 'USD',
+      destination: { accountNumber: '0001112223' },
+      reference: result.reference
+    })]);
+  });
+
+  it('reports a declined payout without sending it', async () => {
+    const adapter = new payout.LocalPayoutAdapter({ failFor: ['0001112223'] });
+    payout.useAdapter(adapter);
+
+    const result = await payout.send(withdrawalDoc());
+
+    expect(result).toMatchObject({ success: false, responseCode: 'DECLINED', adapter: 'local' });
+    expect(adapter.sent).toHaveLength(0);
+  });
+
+  it('turns an adapter error into an unknown outcome', async () => {
+    payout.useAdapter({ name: 'broken', send: jest.fn().mockRejectedValue(new Error('Gateway timeout')) });
+
+    const result = await payout.send(withdrawalDoc());
+
+    expect(result).toEqual({
+      success: false,
+      unknown: true,
+      adapter: 'broken',
+      responseCode: 'ERROR',
+      message: 'Gateway timeout'
+    });
+  });
+
+  it('falls back to the configured adapter', () => {
+    expect(payout.getAdapter().name).toBe(config.payoutAdapter);
+  });
+});
+
+describe('approveWithdrawal', () => {
+  let adapter;
+  let req;
+
+  beforeEach(() => {
+    adapter = new payout.LocalPayoutAdapter({ failFor: ['9999999999'] });
+    payout.useAdapter(adapter);
+    jest.spyOn(ledger, 'runInSession').mockImplementation((existing, fn) => fn(session));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    req = { params: { id: 'withdrawal-id' }, body: { notes: 'Looks good' }, user: { _id: 'admin-id' } };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    releaseWithdrawal.mockReset();
+    payout.useAdapter(null);
+  });
+
+  // Stubs the documents settlement reads inside its transaction
+  const stubSettlement = (withdrawal) => {
+    const wallet = { confirmReserved: jest.fn().mockResolvedValue(), withdrawal: {}, save: jest.fn().mockResolvedValue() };
+    const transaction = { _id: 'transaction-id', updateStatus: jest.fn().mockResolvedValue() };
+
+    jest.spyOn(Withdrawal, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Withdrawal, 'findOne').mockReturnValue(withSession(withdrawal));
+    jest.spyOn(Wallet, 'findById').mockReturnValue(withSession(wallet));
+    jest.spyOn(Transaction, 'findById').mockReturnValue(withSession(transaction));
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+
+    return { wallet, transaction };
+  };
+
+  it('pays out the withdrawal and moves the reserved funds out of the wallet', async () => {
+    const withdrawal = withdrawalDoc();
+    jest.spyOn(Withdrawal, 'findOneAndUpdate').mockResolvedValue(withdrawal);
+    const { wallet, transaction } = stubSettlement(withdrawal);
+
+    const res = mockResponse();
+    await approveWithdrawal(req, res);
+
+    expect(Withdrawal.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'withdrawal-id', status: 'pending' },
+      expect.objectContaining({ status: 'processing', reviewedBy: 'admin-id' }),
+      { new: true }
+    );
+    expect(adapter.sent).toHaveLength(1);
+    const { reference } = adapter.sent[0];
+
+    expect(Withdrawal.findOne).toHaveBeenCalledWith({ _id: 'withdrawal-id', status: 'processing' });
+    expect(wallet.confirmReserved).toHaveBeenCalledWith(50, 'transaction-id', { session, statistic: 'totalWithdrawn' });
+    expect(transaction.processor).toMatchObject({ name: 'local', transactionId: reference, responseCode: 'OK' });
+    expect(transaction.updateStatus).toHaveBeenCalledWith('completed', 'Payout sent', { session });
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: 'owner-id' },
+      { $inc: { 'earnings.paidOut': 50 } },
+      { session }
+    );
+    expect(withdrawal.payout).toMatchObject({ adapter: 'local', reference, responseCode: 'OK', reviewRequired: false });
+    expect(withdrawal.updateStatus).toHaveBeenCalledWith('processed', 'admin-id', `Payout reference ${reference}`);
+    expect(releaseWithdrawal).not.toHaveBeenCalled();
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true, data: withdrawal }));
+  });
+
+  it('records the payout reference before settling', async () => {
+    const withdrawal = withdrawalDoc();
+    jest.spyOn(Withdrawal, 'findOneAndUpdate').mockResolvedValue(withdrawal);
+    const { wallet } = stubSettlement(withdrawal);
+
+    await approveWithdrawal(req, mockResponse());
+
+    const { reference } = adapter.sent[0];
+    expect(Withdrawal.updateOne).toHaveBeenCalledWith(
+      { _id: 'withdrawal-id' },
+      {
+        $set: {
+          'payout.adapter': 'local',
+          'payout.reference': reference,
+          'payout.responseCode': 'OK',
+          'payout.sentAt': expect.any(Date)
+        }
+      }
+    );
+    expect(Withdrawal.updateOne.mock.invocationCallOrder[0])
+      .toBeLessThan(wallet.confirmReserved.mock.invocationCallOrder[0]);
+  });
+
+  it('retries a settlement that fails after the payout was sent', async () => {
+    const withdrawal = withdrawalDoc();
+    jest.spyOn(Withdrawal, 'findOneAndUpdate').mockResolvedValue(withdrawal);
+    const { wallet } = stubSettlement(withdrawal);
+    wallet.confirmReserved.mockRejectedValueOnce(new Error('Write conflict'));
+
+    const res = mockResponse();
+    await approveWithdrawal(req, res);
+
+    expect(adapter.sent).toHaveLength(1);
+    expect(wallet.confirmReserved).toHaveBeenCalledTimes(2);
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('flags a sent payout for reconciliation when settlement keeps failing', async () => {
+    const withdrawal = withdrawalDoc();
+    const held = withdrawalDoc({ status: 'processing' });
+    jest.spyOn(Withdrawal, 'findOneAndUpdate')
+      .mockResolvedValueOnce(withdrawal)
+      .mockResolvedValueOnce(held);
+    const { wallet } = stubSettlement(withdrawal);
+    wallet.confirmReserved.mockRejectedValue(new Error('Write conflict'));
+
+    const res = mockResponse();
+    await approveWithdrawal(req, res);
+
+    expect(wallet.confirmReserved).toHaveBeenCalledTimes(3);
+    expect(Withdrawal.findOneAndUpdate).toHaveBeenLastCalledWith(
+      { _id: 'withdrawal-id', status: 'processing' },
+      expect.objectContaining({
+        $set: expect.objectContaining({
+          'payout.reviewRequired': true,
+          'payout.reviewReason': 'Payout sent but settlement failed: Write conflict'
+        })
+      }),
+      { new: true }
+    );
+    expect(releaseWithdrawal).not.toHaveBeenCalled();
+
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: false, data: held }));
+  });
+
+  it('holds the withdrawal for review when the payout outcome is unknown', async () => {
+    payout.useAdapter({ name: 'gateway', send: jest.fn().mockRejectedValue(new Error('Gateway timeout')) });
+    const withdrawal = withdrawalDoc();
+    const held = withdrawalDoc({ status: 'processing' });
+    jest.spyOn(Withdrawal, 'findOneAndUpdate')
+      .mockResolvedValueOnce(withdrawal)
+      .mockResolvedValueOnce(held);
+    jest.spyOn(Wallet, 'findById');
+
+    const res = mockResponse();
+    await approveWithdrawal(req, res);
+
+    expect(Withdrawal.findOneAndUpdate).toHaveBeenLastCalledWith(
+      { _id: 'withdrawal-id', status: 'processing' },
+      expect.objectContaining({
+        $set: {
+          'payout.adapter': 'gateway',
+          'payout.responseCode': 'ERROR',
+          'payout.reviewRequired': true,
+          'payout.reviewReason': 'Payout outcome unknown: Gateway timeout'
+        }
+      }),
+      { new: true }
+    );
+    expect(releaseWithdrawal).not.toHaveBeenCalled();
+    expect(Wallet.findById).not.toHaveBeenCalled();
+
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: false, data: held }));
+  });
+
+  it('returns the reserved funds when the payout is declined', async () => {
+    const withdrawal = withdrawalDoc({ destination: { accountNumber: '9999999999' } });
+    const failed = withdrawalDoc({ status: 'failed' });
+
+    jest.spyOn(Withdrawal, 'findOneAndUpdate').mockResolvedValue(withdrawal);
+    jest.spyOn(Wallet, 'findById');
+    releaseWithdrawal.mockResolvedValue(failed);
+
+    const res = mockResponse();
+    await approveWithdrawal(req, res);
+
+    expect(releaseWithdrawal).toHaveBeenCalledWith(
+      { _id: 'withdrawal-id', status: 'processing' },
+      'failed',
+      'admin-id',
+      'Payout declined by local adapter'
+    );
+    expect(failed.payout).toEqual({
+      adapter: 'local',
+      responseCode: 'DECLINED',
+      failureReason: 'Payout declined by local adapter'
+    });
+    expect(failed.save).toHaveBeenCalled();
+    expect(Wallet.findById).not.toHaveBeenCalled();
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: false, data: failed }));
+  });
+
+  it('does not pay out a withdrawal that is no longer pending', async () => {
+    jest.spyOn(Withdrawal, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const res = mockResponse();
+    await approveWithdrawal(req, res);
+
+    expect(adapter.sent).toHaveLength(0);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe('resolveWithdrawal', () => {
+  let req;
+
+  beforeEach(() => {
+    jest.spyOn(ledger, 'runInSession').mockImplementation((existing, fn) => fn(session));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    req = { params: { id: 'withdrawal-id' }, body: {}, user: { _id: 'admin-id' } };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    releaseWithdrawal.mockReset();
+  });
+
+  const heldWithdrawal = (payoutFields = {}) => withdrawalDoc({
+    status: 'processing',
+    payout: { adapter: 'gateway', responseCode: 'ERROR', reviewRequired: true, ...payoutFields }
+  });
+
+  it('settles a withdrawal whose payout went out', async () => {
+    const withdrawal = heldWithdrawal();
+    const wallet = { confirmReserved: jest.fn().mockResolvedValue(), withdrawal: {}, save: jest.fn().mockResolvedValue() };
+    jest.spyOn(Withdrawal, 'findOne')
+      .mockResolvedValueOnce(withdrawal)
+      .mockReturnValueOnce(withSession(withdrawal));
+    jest.spyOn(Wallet, 'findById').mockReturnValue(withSession(wallet));
+    jest.spyOn(Transaction, 'findById').mockReturnValue(withSession({ _id: 'transaction-id', updateStatus: jest.fn() }));
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+    req.body = { outcome: 'sent', reference: 'GW-123' };
+
+    const res = mockResponse();
+    await resolveWithdrawal(req, res);
+
+    expect(Withdrawal.findOne).toHaveBeenNthCalledWith(1, {
+      _id: 'withdrawal-id',
+      status: 'processing',
+      'payout.reviewRequired': true
+    });
+    expect(wallet.confirmReserved).toHaveBeenCalledWith(50, 'transaction-id', { session, statistic: 'totalWithdrawn' });
+    expect(withdrawal.payout).toMatchObject({ reference: 'GW-123', reviewRequired: false });
+    expect(withdrawal.updateStatus).toHaveBeenCalledWith('processed', 'admin-id', 'Payout reference GW-123');
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('needs a payout reference to settle', async () => {
+    jest.spyOn(Withdrawal, 'findOne').mockResolvedValue(heldWithdrawal());
+    req.body = { outcome: 'sent' };
+
+    const res = mockResponse();
+    await resolveWithdrawal(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it('returns the reserved funds when the payout did not go out', async () => {
+    const failed = heldWithdrawal();
+    jest.spyOn(Withdrawal, 'findOne').mockResolvedValue(heldWithdrawal());
+    releaseWithdrawal.mockResolvedValue(failed);
+    req.body = { outcome: 'failed', notes: 'Not on the provider statement' };
+
+    const res = mockResponse();
+    await resolveWithdrawal(req, res);
+
+    expect(releaseWithdrawal).toHaveBeenCalledWith(
+      { _id: 'withdrawal-id', status: 'processing' },
+      'failed',
+      'admin-id',
+      'Not on the provider statement'
+    );
+    expect(failed.payout).toMatchObject({ reviewRequired: false, failureReason: 'Not on the provider statement' });
+    expect(failed.save).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('only resolves withdrawals held for review', async () => {
+    jest.spyOn(Withdrawal, 'findOne').mockResolvedValue(null);
+    req.body = { outcome: 'failed' };
+
+    const res = mockResponse();
+    await resolveWithdrawal(req, res);
+
+    expect(releaseWithdrawal).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
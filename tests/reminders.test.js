@@ -0,0 +1,271 @@
+const config = require('../src/config/config');
+const Appointment = require('../src/models/appointment.model');
+const messaging = require('../src/services/messaging.service');
+const notifications = require('../src/services/notification.service');
+const reminders = require('../src/services/reminder.service');
+const reminderJob = require('../src/jobs/reminder.job');
+
+const { LocalMessageAdapter } = messaging;
+
+const patient = (overrides = {}) => ({
+  _id: 'patient-id',
+  email: 'ada@example.com',
+  phone: '+15550100',
+  profile: { firstName: 'Ada' },
+  preferences: { timezone: 'UTC', notifications: {} },
+  ...overrides
+});
+
+const appointment = (overrides = {}) => ({
+  _id: 'appointment-id',
+  appointmentId: 'APT-1',
+  status: 'confirmed',
+  startsAt: new Date('2026-11-02T09:30:00Z'),
+  patient: patient(),
+  provider: { profile: { firstName: 'Grace', lastName: 'Hopper' }, preferences: { timezone: 'UTC' } },
+  reminders: [],
+  ...overrides
+});
+
+const reminder = (type, overrides = {}) => ({
+  _id: `${type}-reminder`,
+  type,
+  status: 'pending',
+  attempts: 0,
+  scheduledFor: new Date('2026-11-01T09:30:00Z'),
+  ...overrides
+});
+
+// Status a reminder was left in by the last update of it
+const finalUpdate = (reminderId) => {
+  const calls = Appointment.updateOne.mock.calls.filter(([filter]) => filter['reminders._id'] === reminderId);
+  return calls[calls.length - 1]?.[1].$set;
+};
+
+describe('messaging.service', () => {
+  let nodeEnv;
+  let adapters;
+
+  beforeEach(() => {
+    nodeEnv = config.nodeEnv;
+    adapters = { sms: config.smsAdapter, email: config.emailAdapter };
+  });
+
+  afterEach(() => {
+    config.nodeEnv = nodeEnv;
+    config.smsAdapter = adapters.sms;
+    config.emailAdapter = adapters.email;
+    messaging.useSmsAdapter(null).useEmailAdapter(null);
+  });
+
+  it('sends through the adapter in use', async () => {
+    const sms = new LocalMessageAdapter();
+    const email = new LocalMessageAdapter();
+    messaging.useSmsAdapter(sms).useEmailAdapter(email);
+
+    const text = await messaging.sendSms('+15550100', 'Hello');
+    const mail = await messaging.sendEmail('ada@example.com', 'Subject', 'Body');
+
+    expect(text).toMatchObject({ success: true, adapter: 'local' });
+    expect(mail).toMatchObject({ success: true, adapter: 'local' });
+    expect(sms.sent).toEqual([{ to: '+15550100', body: 'Hello', reference: text.reference }]);
+    expect(email.sent).toEqual([{ to: 'ada@example.com', subject: 'Subject', text: 'Body', reference: mail.reference }]);
+  });
+
+  it('reports a rejected message', async () => {
+    messaging.useSmsAdapter(new LocalMessageAdapter({ failFor: ['+15550100'] }));
+
+    const result = await messaging.sendSms('+15550100', 'Hello');
+
+    expect(result).toEqual({ success: false, adapter: 'local', message: 'Message rejected by local adapter' });
+  });
+
+  it('defaults to the real adapters', () => {
+    const env = { sms: process.env.SMS_ADAPTER, email: process.env.EMAIL_ADAPTER };
+    delete process.env.SMS_ADAPTER;
+    delete process.env.EMAIL_ADAPTER;
+
+    try {
+      jest.isolateModules(() => {
+        const defaults = require('../src/config/config');
+        expect(defaults.smsAdapter).toBe('twilio');
+        expect(defaults.emailAdapter).toBe('sendgrid');
+      });
+    } finally {
+      Object.entries({ SMS_ADAPTER: env.sms, EMAIL_ADAPTER: env.email })
+        .filter(([, value]) => value !== undefined)
+        .forEach(([name, value]) => { process.env[name] = value; });
+    }
+  });
+
+  it('allows the local adapter outside production', () => {
+    config.nodeEnv = 'development';
+    config.smsAdapter = 'local';
+    config.emailAdapter = 'local';
+
+    expect(() => messaging.assertConfigured()).not.toThrow();
+  });
+
+  it('refuses the local adapter in production', async () => {
+    config.nodeEnv = 'production';
+    config.smsAdapter = 'local';
+
+    expect(() => messaging.assertConfigured()).toThrow('The local sms adapter does not deliver messages');
+
+    const result = await messaging.sendSms('+15550100', 'Hello');
+    expect(result.success).toBe(false);
+  });
+
+  it('refuses an unknown adapter', () => {
+    config.emailAdapter = 'carrier-pigeon';
+
+    expect(() => messaging.assertConfigured()).toThrow('Unknown email adapter: carrier-pigeon');
+  });
+});
+
+describe('reminder dispatch', () => {
+  let sms;
+  let email;
+
+  beforeEach(() => {
+    sms = new LocalMessageAdapter();
+    email = new LocalMessageAdapter();
+    messaging.useSmsAdapter(sms).useEmailAdapter(email);
+
+    jest.spyOn(Appointment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(notifications, 'notify').mockResolvedValue({ _id: 'notification-id' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    messaging.useSmsAdapter(null).useEmailAdapter(null);
+  });
+
+  it('sends due reminders on each channel and marks them sent', async () => {
+    const due = [reminder('email'), reminder('sms'), reminder('push')];
+    const later = reminder('email', { _id: 'later-reminder', scheduledFor: new Date('2026-11-02T08:30:00Z') });
+    const query = {
+      populate: jest.fn(() => query),
+      limit: jest.fn().mockResolvedValue([appointment({ reminders: [...due, later] })])
+    };
+    jest.spyOn(Appointment, 'find').mockReturnValue(query);
+
+    const result = await reminders.runDue({ now: new Date('2026-11-01T10:00:00Z') });
+
+    expect(result).toEqual({ sent: 3, failed: 0, skipped: 0 });
+
+    expect(email.sent).toEqual([expect.objectContaining({
+      to: 'ada@example.com',
+      subject: 'Appointment reminder',
+      text: expect.stringContaining('Hi Ada, this is a reminder of your appointment APT-1 with Grace Hopper')
+    })]);
+    expect(sms.sent).toEqual([expect.objectContaining({ to: '+15550100', body: expect.stringContaining('APT-1') })]);
+    expect(notifications.notify).toHaveBeenCalledWith('patient-id', expect.objectContaining({
+      title: 'Appointment reminder',
+      data: { appointmentId: 'appointment-id' }
+    }));
+
+    expect(finalUpdate('email-reminder')).toMatchObject({
+      'reminders.$.status': 'sent',
+      'reminders.$.sent': true,
+      'reminders.$.response': email.sent[0].reference
+    });
+    expect(finalUpdate('sms-reminder')).toMatchObject({ 'reminders.$.status': 'sent', 'reminders.$.response': sms.sent[0].reference });
+    expect(finalUpdate('push-reminder')).toMatchObject({ 'reminders.$.status': 'sent', 'reminders.$.response': 'notification-id' });
+    expect(finalUpdate('later-reminder')).toBeUndefined();
+  });
+
+  it('claims each reminder before sending it', async () => {
+    await reminders.deliver(appointment(), reminder('sms'));
+
+    expect(Appointment.updateOne).toHaveBeenNthCalledWith(1,
+      { _id: 'appointment-id', reminders: { $elemMatch: { _id: 'sms-reminder', status: 'pending' } } },
+      { $set: { 'reminders.$.status': 'sending' }, $inc: { 'reminders.$.attempts': 1 } }
+    );
+  });
+
+  it('skips a reminder another worker already claimed', async () => {
+    Appointment.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+
+    const outcome = await reminders.deliver(appointment(), reminder('sms'));
+
+    expect(outcome).toBe('skipped');
+    expect(sms.sent).toHaveLength(0);
+    expect(Appointment.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries a failed message on a later run', async () => {
+    messaging.useSmsAdapter(new LocalMessageAdapter({ failFor: ['+15550100'] }));
+
+    const outcome = await reminders.deliver(appointment(), reminder('sms'));
+
+    expect(outcome).toBe('failed');
+    expect(finalUpdate('sms-reminder')).toEqual({
+      'reminders.$.status': 'pending',
+      'reminders.$.response': 'Message rejected by local adapter'
+    });
+  });
+
+  it('gives up after the last attempt', async () => {
+    messaging.useSmsAdapter(new LocalMessageAdapter({ failFor: ['+15550100'] }));
+
+    await reminders.deliver(appointment(), reminder('sms', { attempts: 2 }));
+
+    expect(finalUpdate('sms-reminder')['reminders.$.status']).toBe('failed');
+  });
+
+  it('skips a channel the patient has turned off', async () => {
+    const optedOut = patient({ preferences: { notifications: { sms: false } } });
+
+    const outcome = await reminders.deliver(appointment({ patient: optedOut }), reminder('sms'));
+
+    expect(outcome).toBe('skipped');
+    expect(sms.sent).toHaveLength(0);
+    expect(finalUpdate('sms-reminder')).toEqual({
+      'reminders.$.status': 'skipped',
+      'reminders.$.response': 'Channel turned off by patient'
+    });
+  });
+
+  it('skips appointments that are no longer going ahead', async () => {
+    const outcome = await reminders.deliver(appointment({ status: 'cancelled' }), reminder('email'));
+
+    expect(outcome).toBe('skipped');
+    expect(email.sent).toHaveLength(0);
+    expect(finalUpdate('email-reminder')['reminders.$.response']).toBe('Appointment cancelled');
+  });
+});
+
+describe('reminder job', () => {
+  let nodeEnv;
+  let smsAdapter;
+
+  beforeEach(() => {
+    nodeEnv = config.nodeEnv;
+    smsAdapter = config.smsAdapter;
+  });
+
+  afterEach(() => {
+    reminderJob.stop();
+    config.nodeEnv = nodeEnv;
+    config.smsAdapter = smsAdapter;
+    messaging.useSmsAdapter(null).useEmailAdapter(null);
+  });
+
+  it('refuses to start in production with the local adapter', () => {
+    config.nodeEnv = 'production';
+    config.smsAdapter = 'local';
+    const setInterval = jest.spyOn(global, 'setInterval');
+
+    expect(() => reminderJob.start()).toThrow('The local sms adapter does not deliver messages');
+    expect(setInterval).not.toHaveBeenCalled();
+
+    setInterval.mockRestore();
+  });
+
+  it('starts with adapters in use', () => {
+    messaging.useSmsAdapter(new LocalMessageAdapter()).useEmailAdapter(new LocalMessageAdapter());
+
+    expect(() => reminderJob.start()).not.toThrow();
+  });
+});
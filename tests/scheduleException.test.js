@@ -0,0 +1,74 @@
+const Appointment = require('../src/models/appointment.model');
+const ScheduleException = require('../src/models/scheduleException.model');
+const User = require('../src/models/user.model');
+const ledger = require('../src/services/ledger.service');
+const slots = require('../src/services/slot.service');
+const notifications = require('../src/services/notification.service');
+const { createException } = require('../src/controllers/scheduleException.controller');
+
+const session = { id: 'session' };
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('createException', () => {
+  const provider = { _id: 'provider-id', profile: { firstName: 'Grace', lastName: 'Hopper' }, preferences: { timezone: 'UTC' } };
+  const booked = {
+    _id: 'appointment-id',
+    appointmentId: 'APT-1',
+    patient: 'patient-id',
+    scheduledDate: new Date('2099-11-02T00:00:00Z'),
+    scheduledTime: { startTime: '09:30', duration: 30 },
+    startsAt: new Date('2099-11-02T09:30:00Z'),
+    save: jest.fn().mockResolvedValue()
+  };
+  let exception;
+
+  beforeEach(() => {
+    exception = { _id: 'exception-id', type: 'closed', isAllDay: true, save: jest.fn().mockResolvedValue() };
+
+    jest.spyOn(User, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(provider) });
+    jest.spyOn(ledger, 'runInSession').mockImplementation((existing, fn) => fn(session));
+    jest.spyOn(slots, 'lockProvider').mockResolvedValue();
+    jest.spyOn(slots, 'suggest').mockResolvedValue([{ date: '2099-11-03', startTime: '09:30', endTime: '10:00' }]);
+    jest.spyOn(ScheduleException, 'create').mockResolvedValue([exception]);
+    jest.spyOn(Appointment, 'find').mockReturnValue({ session: jest.fn().mockResolvedValue([booked]) });
+    jest.spyOn(notifications, 'notify').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('closes the hours under the provider lock and notifies patients after commit', async () => {
+    const req = {
+      params: { providerId: 'provider-id' },
+      user: { _id: { toString: () => 'provider-id' } },
+      body: { type: 'closed', startDate: '2099-11-02', reason: 'Conference' }
+    };
+    const res = mockResponse();
+
+    await createException(req, res);
+
+    expect(slots.lockProvider).toHaveBeenCalledWith('provider-id', session);
+    expect(slots.lockProvider.mock.invocationCallOrder[0])
+      .toBeLessThan(ScheduleException.create.mock.invocationCallOrder[0]);
+    expect(ScheduleException.create).toHaveBeenCalledWith([expect.objectContaining({ type: 'closed' })], { session });
+    expect(Appointment.find.mock.results[0].value.session).toHaveBeenCalledWith(session);
+    expect(slots.suggest).toHaveBeenCalledWith(provider, booked.scheduledDate, 30, { session });
+    expect(booked.save).toHaveBeenCalledWith({ session });
+    expect(exception.affectedAppointments).toEqual(['appointment-id']);
+    expect(exception.save).toHaveBeenCalledWith({ session });
+
+    expect(notifications.notify).toHaveBeenCalledWith('patient-id', expect.objectContaining({
+      title: 'Your appointment needs rescheduling'
+    }));
+    expect(notifications.notify.mock.invocationCallOrder[0])
+      .toBeGreaterThan(exception.save.mock.invocationCallOrder[0]);
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+});
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../src/models/ledgerEntry.model');
+const statements = require('../src/services/statement.service');
+
+const walletId = new mongoose.Types.ObjectId();
+const wallet = { _id: walletId, walletId: 'WALLET-1', type: 'personal', balance: { currency: 'USD' } };
+const period = statements.parsePeriod('2026-09-01', '2026-09-30');
+
+const entry = (entryId, credit, debit = 0) => ({
+  entryId,
+  operation: 'credit',
+  postedAt: new Date('2026-09-10T12:00:00Z'),
+  postings: [{ account: 'wallet_available', wallet: walletId, credit, debit }]
+});
+
+// The journal the statement is built from
+const journal = (entries, opening = 0) => {
+  jest.spyOn(LedgerEntry, 'aggregate').mockResolvedValue(opening ? [{ balance: opening }] : []);
+  jest.spyOn(LedgerEntry, 'find').mockReturnValue({
+    populate: jest.fn(() => ({ sort: jest.fn().mockResolvedValue(entries) }))
+  });
+};
+
+describe('statements.verify', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts a statement the ledger still produces', async () => {
+    journal([entry('LE-1', 50), entry('LE-2', 0, 20)], 100);
+    const issued = await statements.build(wallet, period);
+
+    const result = await statements.verify(wallet, period, issued.hash, issued.signature);
+
+    expect(result).toEqual({ valid: true });
+  });
+
+  it('rejects a signed hash that does not match the wallet\'s records', async () => {
+    // A genuine hash/signature pair lifted from another statement
+    journal([entry('LE-1', 50)]);
+    const other = await statements.build(wallet, period);
+
+    journal([entry('LE-1', 5000)]);
+    const result = await statements.verify(wallet, period, other.hash, other.signature);
+
+    expect(result).toEqual({ valid: false, reason: 'Statement does not match the wallet\'s records for this period' });
+  });
+
+  it('rejects a signature the platform did not issue', async () => {
+    journal([entry('LE-1', 50)]);
+    const issued = await statements.build(wallet, period);
+
+    const result = await statements.verify(wallet, period, issued.hash, 'ab'.repeat(32));
+
+    expect(result).toEqual({ valid: false, reason: 'Signature was not issued for this hash' });
+  });
+
+  it('rejects a statement for a different period', async () => {
+    journal([entry('LE-1', 50)]);
+    const issued = await statements.build(wallet, period);
+
+    const result = await statements.verify(wallet, statements.parsePeriod('2026-09-01', '2026-09-29'), issued.hash, issued.signature);
+
+    expect(result.valid).toBe(false);
+  });
+});
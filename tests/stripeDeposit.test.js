@@ -0,0 +1,294 @@
+jest.mock('../src/middleware/db.middleware', () => ({
+  ensureDbConnection: (req, res, next) => next()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const Stripe = require('stripe');
+const config = require('../src/config/config');
+const Wallet = require('../src/models/wallet.model');
+const Transaction = require('../src/models/transaction.model');
+const ledger = require('../src/services/ledger.service');
+const stripe = require('../src/services/stripe.service');
+const { addFunds } = require('../src/controllers/wallet.controller');
+
+const WEBHOOK_SECRET = 'whsec_test_secret';
+const session = { id: 'session' };
+
+// Stubbed Stripe client: real signature checks, canned payment intents
+const stubClient = () => ({
+  webhooks: Stripe.webhooks,
+  paymentIntents: {
+    create: jest.fn().mockResolvedValue({ id: 'pi_123', status: 'requires_confirmation', client_secret: 'pi_123_secret' }),
+    confirm: jest.fn().mockResolvedValue({ id: 'pi_123', status: 'processing', client_secret: 'pi_123_secret' }),
+    cancel: jest.fn().mockResolvedValue({ id: 'pi_123', status: 'canceled' })
+  }
+});
+
+// Query stub for model calls chained with .session()
+const withSession = (doc) => ({ session: jest.fn().mockResolvedValue(doc) });
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const intentEvent = (type, intent) => ({
+  id: 'evt_123',
+  object: 'event',
+  type,
+  data: {
+    object: {
+      id: 'pi_123',
+      object: 'payment_intent',
+      metadata: { purpose: 'wallet_deposit' },
+      ...intent
+    }
+  }
+});
+
+const pendingDeposit = () => ({
+  _id: 'transaction-id',
+  status: 'pending',
+  to: { wallet: 'wallet-id' },
+  amount: { value: 25, currency: 'USD' },
+  processor: { name: 'stripe', transactionId: 'pi_123' },
+  updateStatus: jest.fn().mockResolvedValue()
+});
+
+const depositWallet = () => ({
+  settlePending: jest.fn().mockResolvedValue(),
+  cancelPending: jest.fn().mockResolvedValue()
+});
+
+describe('Stripe webhook', () => {
+  let app;
+  let secret;
+
+  const deliver = (event, signature) => {
+    const payload = JSON.stringify(event);
+    return request(app)
+      .post('/api/webhooks/stripe')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', signature || Stripe.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET }))
+      .send(payload);
+  };
+
+  beforeAll(() => {
+    secret = config.stripeWebhookSecret;
+    config.stripeWebhookSecret = WEBHOOK_SECRET;
+
+    app = express();
+    app.use('/api/webhooks', require('../src/routes/webhook.routes'));
+  });
+
+  afterAll(() => {
+    config.stripeWebhookSecret = secret;
+  });
+
+  beforeEach(() => {
+    stripe.useClient(stubClient());
+    jest.spyOn(ledger, 'runInSession').mockImplementation((existing, fn) => fn(session));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    stripe.useClient(null);
+  });
+
+  it('settles the pending deposit when the payment succeeds', async () => {
+    const transaction = pendingDeposit();
+    const wallet = depositWallet();
+    jest.spyOn(Transaction, 'findOne').mockReturnValue(withSession(transaction));
+    jest.spyOn(Wallet, 'findById').mockReturnValue(withSession(wallet));
+
+    const res = await deliver(intentEvent('payment_intent.succeeded', { status: 'succeeded' }));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, eventId: 'evt_123', result: 'completed' });
+    expect(Transaction.findOne).toHaveBeenCalledWith({
+      'processor.name': 'stripe',
+      'processor.transactionId': 'pi_123'
+    });
+    expect(wallet.settlePending).toHaveBeenCalledWith(25, 'transaction-id', { session });
+    expect(transaction.updateStatus).toHaveBeenCalledWith('completed', 'Payment confirmed by Stripe', { session });
+  });
+
+  it('drops the pending deposit when the payment fails', async () => {
+    const transaction = pendingDeposit();
+    const wallet = depositWallet();
+    jest.spyOn(Transaction, 'findOne').mockReturnValue(withSession(transaction));
+    jest.spyOn(Wallet, 'findById').mockReturnValue(withSession(wallet));
+
+    const res = await deliver(intentEvent('payment_intent.payment_failed', {
+      status: 'requires_payment_method',
+      last_payment_error: { message: 'Your card was declined.' }
+    }));
+
+    expect(res.status).toBe(200);
+    expect(res.body.result).toBe('failed');
+    expect(wallet.cancelPending).toHaveBeenCalledWith(25, 'transaction-id', { session });
+    expect(wallet.settlePending).not.toHaveBeenCalled();
+    expect(transaction.failureReason).toBe('Your card was declined.');
+    expect(transaction.updateStatus).toHaveBeenCalledWith('failed', 'Your card was declined.', { session });
+  });
+
+  it('settles a deposit only once when Stripe retries the event', async () => {
+    const transaction = { ...pendingDeposit(), status: 'completed' };
+    jest.spyOn(Transaction, 'findOne').mockReturnValue(withSession(transaction));
+    jest.spyOn(Wallet, 'findById');
+
+    const res = await deliver(intentEvent('payment_intent.succeeded', { status: 'succeeded' }));
+
+    expect(res.status).toBe(200);
+    expect(res.body.result).toBe('duplicate');
+    expect(Wallet.findById).not.toHaveBeenCalled();
+    expect(transaction.updateStatus).not.toHaveBeenCalled();
+  });
+
+  it('asks Stripe to retry a deposit intent that has not been recorded yet', async () => {
+    jest.spyOn(Transaction, 'findOne').mockReturnValue(withSession(null));
+
+    const res = await deliver(intentEvent('payment_intent.succeeded', { status: 'succeeded' }));
+
+    expect(res.status).toBe(404);
+    expect(res.body).toMatchObject({
+      success: false,
+      message: 'No deposit recorded for payment intent pi_123',
+      eventId: 'evt_123'
+    });
+  });
+
+  it('acknowledges intents that are not wallet deposits', async () => {
+    jest.spyOn(Transaction, 'findOne').mockReturnValue(withSession(null));
+
+    const res = await deliver(intentEvent('payment_intent.succeeded', { status: 'succeeded', metadata: {} }));
+
+    expect(res.status).toBe(200);
+    expect(res.body.result).toBe('unknown');
+  });
+
+  it('ignores other event types', async () => {
+    jest.spyOn(Transaction, 'findOne');
+
+    const res = await deliver({ id: 'evt_456', object: 'event', type: 'charge.refunded', data: { object: { id: 'ch_1' } } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.result).toBe('ignored');
+    expect(Transaction.findOne).not.toHaveBeenCalled();
+  });
+
+  it('rejects events with an invalid signature', async () => {
+    jest.spyOn(Transaction, 'findOne');
+
+    const res = await deliver(intentEvent('payment_intent.succeeded', { status: 'succeeded' }), 't=1,v1=invalid');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Webhook signature verification failed');
+    expect(Transaction.findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('addFunds', () => {
+  let client;
+  let wallet;
+  let calls;
+  let req;
+
+  beforeEach(() => {
+    calls = [];
+    client = stubClient();
+    client.paymentIntents.confirm.mockImplementation(async (id) => {
+      calls.push('confirm');
+      return { id, status: 'processing', client_secret: 'pi_123_secret' };
+    });
+    stripe.useClient(client);
+
+    wallet = {
+      _id: 'wallet-id',
+      walletId: 'WALLET-1',
+      type: 'personal',
+      status: 'active',
+      balance: { currency: 'USD', pending: 0 },
+      fundingSources: Object.assign([], { id: jest.fn() }),
+      creditPending: jest.fn(async (amount) => {
+        calls.push('creditPending');
+        wallet.balance.pending += amount;
+      })
+    };
+
+    jest.spyOn(Wallet, 'findOne').mockResolvedValue(wallet);
+    jest.spyOn(Transaction, 'create').mockImplementation(async ([deposit]) => {
+      calls.push('record');
+      return [{ ...deposit, _id: 'transaction-id', transactionId: 'TXN-1' }];
+    });
+    jest.spyOn(ledger, 'runInSession').mockImplementation((existing, fn) => fn(session));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    req = {
+      body: { amount: '25', paymentMethodId: 'pm_card_visa' },
+      user: { _id: 'user-id' },
+      ip: '127.0.0.1',
+      get: () => 'jest'
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    stripe.useClient(null);
+  });
+
+  it('records the pending deposit before the payment is confirmed', async () => {
+    const res = mockResponse();
+    await addFunds(req, res);
+
+    expect(client.paymentIntents.create.mock.calls[0][0]).not.toHaveProperty('confirm');
+    expect(calls).toEqual(['record', 'creditPending', 'confirm']);
+    expect(Transaction.create.mock.calls[0][0][0]).toMatchObject({
+      type: 'deposit',
+      status: 'pending',
+      amount: { value: 25, currency: 'USD' },
+      processor: { name: 'stripe', transactionId: 'pi_123' }
+    });
+    expect(client.paymentIntents.confirm).toHaveBeenCalledWith('pi_123');
+
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      success: true,
+      data: expect.objectContaining({ transactionId: 'TXN-1', paymentIntentId: 'pi_123', pendingBalance: 25 })
+    }));
+  });
+
+  it('cancels the payment intent when confirmation is declined', async () => {
+    client.paymentIntents.confirm.mockRejectedValue(new Error('Your card was declined.'));
+
+    const res = mockResponse();
+    await addFunds(req, res);
+
+    expect(wallet.creditPending).toHaveBeenCalledWith(25, 'transaction-id', { session });
+    expect(client.paymentIntents.cancel).toHaveBeenCalledWith('pi_123');
+    expect(res.status).toHaveBeenCalledWith(402);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      message: 'Payment was declined',
+      error: 'Your card was declined.',
+      data: { transactionId: 'TXN-1', paymentIntentId: 'pi_123' }
+    });
+  });
+
+  it('leaves confirmation to the client when no payment method was given', async () => {
+    req.body = { amount: '25' };
+
+    const res = mockResponse();
+    await addFunds(req, res);
+
+    expect(client.paymentIntents.confirm).not.toHaveBeenCalled();
+    expect(calls).toEqual(['record', 'creditPending']);
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(res.json.mock.calls[0][0].data.clientSecret).toBe('pi_123_secret');
+  });
+});
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const Wallet = require('../src/models/wallet.model');
+const ledger = require('../src/services/ledger.service');
+const walletLimits = require('../src/services/walletLimits.service');
+
+const session = { id: 'session' };
+
+const walletDoc = (balance = {}) => Wallet.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  walletId: 'WALLET-1',
+  type: 'personal',
+  balance: { available: 100, pending: 0, reserved: 0, currency: 'USD', ...balance },
+  statistics: { totalReceived: 0, totalSpent: 0, totalWithdrawn: 0, transactionCount: 0 },
+  transactions: []
+});
+
+// What the database holds after the update, as findOneAndUpdate returns it with lean
+const stored = (wallet, balance) => ({
+  ...wallet.toObject(),
+  balance: { ...wallet.toObject().balance, ...balance }
+});
+
+describe('wallet balance movements', () => {
+  beforeEach(() => {
+    jest.spyOn(ledger, 'runInSession').mockImplementation((existing, fn) => fn(existing || session));
+    jest.spyOn(ledger, 'postWalletOperation').mockResolvedValue({});
+    jest.spyOn(walletLimits, 'check').mockResolvedValue({ valid: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reserves with an $inc guarded by the available balance', async () => {
+    const wallet = walletDoc();
+    const transactionId = new mongoose.Types.ObjectId();
+    jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue(stored(wallet, { available: 60, reserved: 40 }));
+
+    await wallet.reserve(40, transactionId, { session });
+
+    expect(Wallet.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: wallet._id, 'balance.available': { $gte: 40 } },
+      { $inc: { 'balance.available': -40, 'balance.reserved': 40 } },
+      { new: true, session, lean: true }
+    );
+    expect(ledger.postWalletOperation).toHaveBeenCalledWith('reserve', wallet, 40, transactionId, session);
+    expect(wallet.balance.available).toBe(60);
+    expect(wallet.balance.reserved).toBe(40);
+  });
+
+  it('reads the balance from the database rather than the copy in memory', async () => {
+    // Loaded before another request spent most of the balance
+    const wallet = walletDoc({ available: 100 });
+    jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(wallet.debit(80, null, { session })).rejects.toThrow('Insufficient balance');
+    expect(Wallet.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: wallet._id, 'balance.available': { $gte: 80 } });
+    expect(ledger.postWalletOperation).not.toHaveBeenCalled();
+  });
+
+  it('counts the movement in the statistics and records the transaction', async () => {
+    const wallet = walletDoc();
+    const transactionId = new mongoose.Types.ObjectId();
+    jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue(stored(wallet, { available: 125 }));
+
+    await wallet.credit(25, transactionId, { session });
+
+    const update = Wallet.findOneAndUpdate.mock.calls[0][1];
+    expect(update.$inc).toEqual({
+      'balance.available': 25,
+      'statistics.totalReceived': 25,
+      'statistics.transactionCount': 1
+    });
+    expect(update.$push).toEqual({ transactions: transactionId });
+    expect(update.$set['statistics.lastTransactionDate']).toBeInstanceOf(Date);
+  });
+
+  it('does not write the refreshed balances back on a later save', async () => {
+    const wallet = walletDoc({ reserved: 50 });
+    jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue(stored(wallet, { reserved: 0 }));
+
+    await wallet.confirmReserved(50, null, { session, statistic: 'totalWithdrawn' });
+    wallet.withdrawal.lastWithdrawal = new Date();
+
+    expect(Wallet.findOneAndUpdate.mock.calls[0][1].$inc).toMatchObject({
+      'balance.reserved': -50,
+      'statistics.totalWithdrawn': 50
+    });
+    expect(wallet.balance.reserved).toBe(0);
+    expect(wallet.isModified('balance')).toBe(false);
+    expect(wallet.isModified('statistics')).toBe(false);
+    expect(wallet.isModified('withdrawal.lastWithdrawal')).toBe(true);
+  });
+
+  it('checks spending limits before moving funds', async () => {
+    const wallet = walletDoc();
+    walletLimits.check.mockResolvedValue({ valid: false, reason: 'Daily spending limit exceeded' });
+    jest.spyOn(Wallet, 'findOneAndUpdate');
+
+    await expect(wallet.reserve(40, null, { session })).rejects.toThrow('Daily spending limit exceeded');
+    expect(Wallet.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,59 @@
+const Transaction = require('../src/models/transaction.model');
+const walletLimits = require('../src/services/walletLimits.service');
+
+const usage = (daily, monthly = daily) => [{
+  daily: daily ? [{ amount: daily, transactions: 1 }] : [],
+  monthly: monthly ? [{ amount: monthly, transactions: 1 }] : []
+}];
+
+describe('walletLimits.check', () => {
+  beforeEach(() => {
+    jest.spyOn(Transaction, 'aggregate').mockReturnValue({ session: jest.fn().mockResolvedValue(usage(0)) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('counts pending reservations as well as completed spending', async () => {
+    Transaction.aggregate.mockReturnValue({ session: jest.fn().mockResolvedValue(usage(80)) });
+    const wallet = { _id: 'wallet-id', limits: { daily: { amount: 100 } } };
+
+    const result = await walletLimits.check(wallet, 30, { excludeTransaction: 'transaction-id' });
+
+    const [{ $match: match }] = Transaction.aggregate.mock.calls[0][0];
+    expect(match).toMatchObject({
+      'from.wallet': 'wallet-id',
+      status: { $in: ['pending', 'processing', 'completed'] },
+      _id: { $ne: 'transaction-id' }
+    });
+    expect(result).toMatchObject({ valid: false, reason: 'Exceeds daily spending limit' });
+  });
+
+  it('treats a limit of 0 as a limit', async () => {
+    const result = await walletLimits.check({ _id: 'wallet-id', limits: { daily: { amount: 0 } } }, 1);
+
+    expect(result).toMatchObject({ valid: false, reason: 'Exceeds daily spending limit' });
+  });
+
+  it('rejects any amount under a per-transaction limit of 0', async () => {
+    const result = await walletLimits.check({ _id: 'wallet-id', limits: { perTransaction: 0 } }, 1);
+
+    expect(result).toEqual({ valid: false, reason: 'Exceeds per-transaction limit' });
+    expect(Transaction.aggregate).not.toHaveBeenCalled();
+  });
+
+  it('allows spending when no limit is set', async () => {
+    const result = await walletLimits.check({ _id: 'wallet-id', limits: {} }, 1000);
+
+    expect(result).toEqual({ valid: true });
+    expect(Transaction.aggregate).not.toHaveBeenCalled();
+  });
+
+  it('reports no allowance left under a limit of 0', async () => {
+    const summary = await walletLimits.summary({ _id: 'wallet-id', limits: { monthly: { amount: 0 } } });
+
+    expect(summary.remaining.monthly).toEqual({ amount: 0, transactions: null });
+    expect(summary.remaining.daily).toEqual({ amount: null, transactions: null });
+  });
+});